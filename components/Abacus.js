@@ -1,45 +1,92 @@
 /**
  * Abacus Component - Beautiful SVG graphics with dragging support
- * Structure: Each rod has 1 upper bead (Heaven = 5) and 4 lower beads (Earth = 1+1+1+1)
- * Formula: S = 5 * U + L, where U = upper (0 or 1), L = lower (0-4)
+ * Rendering view on top of the headless core (core/BeadModel.js).
+ * Structure: Each rod has heaven beads (= 5 each) and earth beads (= 1 each),
+ * their counts depend on the abacus type (core/AbacusTypes.js). Soroban: 1 + 4.
+ * Formula: S = 5 * U + L, where U = active upper beads, L = active lower beads
  */
 
 import { logger } from '../core/logger.js';
+import { i18n } from '../i18n/i18n.js';
+import { BeadModel, MAX_DECIMAL_PLACES } from '../core/BeadModel.js';
+import { AbacusType } from '../core/AbacusTypes.js';
+import { Layout, LAYOUT_DEFAULTS } from '../core/Layout.js';
+import { Themes, ThemeId } from '../core/Themes.js';
+import { AbacusRenderer } from './AbacusRenderer.js';
+import { rasterizeSvg } from '../utils/export.js';
 
 const CONTEXT = 'Abacus';
 
+/**
+ * Keep the geometry keys of layout options
+ * @param {Object} options - Any of LAYOUT_DEFAULTS keys
+ * @returns {Object} - Keys of LAYOUT_DEFAULTS with finite values
+ */
+function pickLayout(options) {
+  const layout = {};
+  Object.keys(options).forEach(key => {
+    if (key in LAYOUT_DEFAULTS && Number.isFinite(options[key])) {
+      layout[key] = options[key];
+    } else {
+      logger.warn(CONTEXT, `Unknown layout option: ${key}`);
+    }
+  });
+  return layout;
+}
+
 export class Abacus {
   /**
    * @param {HTMLElement} container - Container for mounting
    * @param {number} digits - Number of digits (1-17)
+   * @param {string} type - Abacus type (AbacusType), soroban by default
+   * @param {Object} layout - Saved geometry, any of LAYOUT_DEFAULTS keys (see setLayout)
    */
-  constructor(container, digits = 13) {
+  constructor(container, digits = 13, type = AbacusType.SOROBAN, layout = {}) {
     this.container = container;
     this.digitCount = digits;
-    this.columns = this.digitCount;
+    this.columns = this.digitCount; // All rods are drawn, the SVG is scaled to fit (viewBox)
 
-    // State of beads with Y positions
-    this.beads = {};
-    
-    // Configuration
+    // Configuration (geometry keys - see core/Layout.js)
     this.config = {
+      ...LAYOUT_DEFAULTS,
+      ...pickLayout(layout),
       showDigits: false,
-      beadWidth: 32,
-      beadHeight: 36,
-      gapFromBar: 1,
-      barY: 116, // Middle bar Y position
-      notchOffset: 0 // Смещение засечек: 0 = стандарт (3,6,9...), 1 = влево (2,5,8...), 2 = вправо (1,4,7...)
+      notchOffset: 0, // Смещение засечек: 0 = стандарт (3,6,9...), 1 = влево (2,5,8...), 2 = вправо (1,4,7...)
+      decimalPlaces: 0 // Стержней справа от единичного (0 = единицы на крайнем правом)
     };
 
     // Event callbacks
     this.events = {
       onChange: [],
       onBeadMove: [],
-      onBeadSnap: []
+      onBeadSnap: [],
+      onTechnique: [],
+      onFingering: [],
+      onResize: []
     };
 
     // Reference to SVG element
     this.svgElement = null;
+    this.resizeObserver = null;
+    this.availableWidth = null; // Ширина содержимого контейнера, null - не измерена
+
+    // Colors of the SVG (core/Themes.js)
+    this.theme = Themes.get(ThemeId.CLASSIC);
+
+    // Named rod regions for multiplication/division (core/Workspace.js), null = one number
+    this.workspace = null;
+
+    // Headless core: bead state, moves and values. The abacus is a view on it,
+    // beads are shared so physics and interaction can move them directly.
+    this.model = new BeadModel(this.digitCount, this.config, type);
+    this.type = this.model.type;
+    this.beads = this.model.beads;
+
+    // Geometry shared by renderer, physics and interaction, rebuilt on structural changes
+    this.layout = new Layout(this.config, this.type, this.columns);
+
+    // Owns the SVG scene graph
+    this.renderer = new AbacusRenderer(this);
 
     this.init();
   }
@@ -48,379 +95,267 @@ export class Abacus {
    * Initialize abacus
    */
   init() {
-    // Initialize all beads to starting position
-    const beadHeight = this.config.beadHeight;
-    const gap = this.config.gapFromBar;
-
-    // Начальные позиции - компактная группа внизу
-    const bottomY = 284 - beadHeight / 2 - gap; // 265 - самая нижняя у нижней рамки
-
-    for (let col = 0; col < this.digitCount; col++) {
-      this.beads[col] = {
-        heaven: {
-          position: 'up', // 'up' | 'down'
-          y: 60 + beadHeight / 2 + gap,  // 79
-          isDragging: false
-        },
-        earth: [
-          // Косточки компактной группой внизу (впритык друг к другу, расстояние = beadHeight)
-          { position: 'down', y: bottomY - 3 * beadHeight, isDragging: false }, // 157
-          { position: 'down', y: bottomY - 2 * beadHeight, isDragging: false }, // 193
-          { position: 'down', y: bottomY - 1 * beadHeight, isDragging: false }, // 229
-          { position: 'down', y: bottomY - 0 * beadHeight, isDragging: false }  // 265
-        ]
-      };
+    this.svgElement = this.renderer.mount();
+    this.renderer.build();
+
+    // Масштаб SVG следует за шириной контейнера без перерисовки
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(([entry]) => this.fitToContainer(entry.contentRect.width));
+      this.resizeObserver.observe(this.container);
     }
 
-    this.render();
-    logger.debug(CONTEXT, `Abacus created with ${this.digitCount} rods`);
+    logger.debug(CONTEXT, `Abacus created with ${this.digitCount} rods (${this.type.id})`);
   }
 
   /**
-   * Render the abacus
+   * Check if rods are drawn horizontally (schoty)
+   * @returns {boolean}
+   */
+  isHorizontal() {
+    return this.type.orientation === 'horizontal';
+  }
+
+  /**
+   * Bring the SVG in line with the bead model (bead positions, rod values, digits)
+   * Only what changed is updated; bead moves are drawn in the next animation frame.
    */
   render() {
-    // Проверяем ширину контейнера и адаптируем количество разрядов
-    const containerWidth = this.container.clientWidth || 1500; // Дефолт если не определена
-    const COLUMN_WIDTH = 72; // Ширина одного разряда
-    const PADDING = 60; // Отступы слева и справа (увеличено для закругленных краев)
-
-    // Вычисляем максимальное количество разрядов, которое влезает
-    const maxVisibleDigits = Math.floor((containerWidth - PADDING) / COLUMN_WIDTH);
-
-    // Используем минимум из запрошенного и доступного (без обрезания)
-    this.columns = Math.min(this.digitCount, maxVisibleDigits);
-
-    const width = this.columns * COLUMN_WIDTH + PADDING;
-
-    this.container.innerHTML = `
-      <svg id="abacus-svg" width="${width}" height="360" style="user-select: none; overflow: visible;">
-        ${this.renderDefs()}
-        ${this.config.showDigits ? this.renderDigits() : ''}
-        <g transform="translate(0, 40)">
-          ${this.renderFrame()}
-          ${this.renderRods()}
-          ${this.renderMiddleBar()}
-          ${this.renderBeads()}
-        </g>
-      </svg>
-    `;
-
-    // Store reference to SVG element
-    this.svgElement = this.container.querySelector('#abacus-svg');
-
-    // Update SVG reference in interaction module after re-render
-    if (this.interaction && this.svgElement) {
-      this.interaction.updateSvgReference(this.svgElement);
-    }
+    this.renderer.update();
+  }
 
-    // Логируем если пришлось урезать разряды
-    if (this.columns < this.digitCount) {
-      logger.debug(CONTEXT, `Adjusted visible digits from ${this.digitCount} to ${this.columns} to fit container width ${containerWidth}px`);
-    }
+  /**
+   * Rebuild the scene after a structural change (rod count, geometry)
+   */
+  rebuild() {
+    this.columns = this.digitCount;
+    this.layout = new Layout(this.config, this.type, this.columns);
+    this.renderer.build();
   }
 
   /**
-   * SVG Definitions (gradients, filters)
-   */
-  renderDefs() {
-    return `
-      <defs>
-        <!-- Shadow for beads -->
-        <filter id="beadShadow" x="-50%" y="-50%" width="200%" height="200%">
-          <feGaussianBlur in="SourceAlpha" stdDeviation="3"/>
-          <feOffset dx="0" dy="3" result="offsetblur"/>
-          <feComponentTransfer>
-            <feFuncA type="linear" slope="0.6"/>
-          </feComponentTransfer>
-          <feMerge>
-            <feMergeNode/>
-            <feMergeNode in="SourceGraphic"/>
-          </feMerge>
-        </filter>
-
-        <!-- Shadow for frame -->
-        <filter id="frameShadow" x="-10%" y="-10%" width="120%" height="120%">
-          <feGaussianBlur in="SourceAlpha" stdDeviation="4"/>
-          <feOffset dx="0" dy="4" result="offsetblur"/>
-          <feComponentTransfer>
-            <feFuncA type="linear" slope="0.5"/>
-          </feComponentTransfer>
-          <feMerge>
-            <feMergeNode/>
-            <feMergeNode in="SourceGraphic"/>
-          </feMerge>
-        </filter>
-
-        <!-- Gradient for frame -->
-        <linearGradient id="topFrameGradient" x1="0%" y1="0%" x2="0%" y2="100%">
-          <stop offset="0%" stop-color="#A0522D" stop-opacity="1" />
-          <stop offset="50%" stop-color="#8B4513" stop-opacity="1" />
-          <stop offset="100%" stop-color="#6B3410" stop-opacity="1" />
-        </linearGradient>
-
-        <!-- Gradient for metal bar (darker for better notch visibility) -->
-        <linearGradient id="metalBarGradient" x1="0%" y1="0%" x2="0%" y2="100%">
-          <stop offset="0%" stop-color="#707070" stop-opacity="1" />
-          <stop offset="30%" stop-color="#808080" stop-opacity="1" />
-          <stop offset="50%" stop-color="#555555" stop-opacity="1" />
-          <stop offset="70%" stop-color="#686868" stop-opacity="1" />
-          <stop offset="100%" stop-color="#454545" stop-opacity="1" />
-        </linearGradient>
-
-        <!-- Gradient for beads -->
-        <radialGradient id="beadGradient" cx="45%" cy="40%">
-          <stop offset="0%" stop-color="#ffb366" stop-opacity="1" />
-          <stop offset="50%" stop-color="#ff7c00" stop-opacity="1" />
-          <stop offset="100%" stop-color="#cc6300" stop-opacity="1" />
-        </radialGradient>
-
-        <!-- Gradient for notches (inverted for "pressed in" effect) -->
-        <radialGradient id="notchGradient" cx="50%" cy="30%">
-          <stop offset="0%" stop-color="#404040" stop-opacity="1" />
-          <stop offset="60%" stop-color="#505050" stop-opacity="1" />
-          <stop offset="100%" stop-color="#707070" stop-opacity="1" />
-        </radialGradient>
-      </defs>
-    `;
-  }
-
-  /**
-   * Render abacus frame
-   */
-  renderFrame() {
-    const width = this.columns * 72 + 20;
-    const startX = 20; // Симметричный отступ (PADDING=60, barPadding=20, так что (60-20)/2=20)
-    return `
-      <!-- Top frame -->
-      <rect x="${startX}" y="30" width="${width}" height="30" fill="url(#topFrameGradient)" filter="url(#frameShadow)" rx="10" ry="10"/>
-      <rect x="${startX + 5}" y="33" width="${width - 10}" height="4" fill="rgba(255, 255, 255, 0.15)" rx="2"/>
-
-      <!-- Bottom frame -->
-      <rect x="${startX}" y="284" width="${width}" height="30" fill="url(#topFrameGradient)" filter="url(#frameShadow)" rx="10" ry="10"/>
-      <rect x="${startX + 5}" y="287" width="${width - 10}" height="4" fill="rgba(255, 255, 255, 0.15)" rx="2"/>
-    `;
-  }
-
-  /**
-   * Render rods
-   */
-  renderRods() {
-    let rods = '';
-    for (let col = 0; col < this.columns; col++) {
-      const x = 60 + col * 72; // Центр первой колонки: startX(20) + 40
-      rods += `<line x1="${x}" y1="60" x2="${x}" y2="284" stroke="#654321" stroke-width="8"/>`;
-    }
-    return rods;
+   * Displayed SVG size: the layout size, scaled down to the available width
+   * @returns {Object} - { width, height, scale }
+   */
+  getDisplaySize() {
+    const { width, height } = this.layout;
+    const scale = this.availableWidth > 0 ? Math.min(1, this.availableWidth / width) : 1;
+    return { width: width * scale, height: height * scale, scale };
+  }
+
+  /**
+   * Scale the SVG to the container width (called by the ResizeObserver)
+   * @param {number} availableWidth - Content width of the container in pixels
+   */
+  fitToContainer(availableWidth) {
+    this.availableWidth = availableWidth;
+    if (!this.svgElement) return;
+
+    const { width, height, scale } = this.getDisplaySize();
+    this.svgElement.setAttribute('width', width);
+    this.svgElement.setAttribute('height', height);
+    logger.debug(CONTEXT, `Scaled to ${Math.round(scale * 100)}%`);
+  }
+
+  /**
+   * Accessible name of a rod - its place value (units, tens...)
+   * @param {number} col - Column index
+   * @returns {string}
+   */
+  getRodLabel(col) {
+    const exponent = this.getUnitColumn() - col;
+    return exponent >= 0 ? i18n.t(`place${exponent}`) : i18n.t(`decimal${-exponent}`);
   }
 
   /**
-   * Render middle separator bar
+   * Get index of the unit rod (the one left of the decimal point)
+   * @returns {number}
    */
-  renderMiddleBar() {
-    const width = this.columns * 72 + 20;
-    const startX = 20; // Симметричный отступ (PADDING=60, barPadding=20)
-    return `
-      <rect x="${startX}" y="111" width="${width}" height="10" fill="url(#metalBarGradient)" rx="5" ry="5"/>
-      <rect x="${startX + 5}" y="112" width="${width - 10}" height="2" fill="rgba(255, 255, 255, 0.6)" rx="1"/>
-      <rect x="${startX}" y="121" width="${width}" height="2" fill="rgba(0, 0, 0, 0.3)" rx="1"/>
-      ${this.renderNotches()}
-    `;
+  getUnitColumn() {
+    return this.model.getUnitColumn();
   }
 
   /**
-   * Render notches (засечки) on the middle bar
-   * Notches are placed every 3rd digit from the RIGHT (for thousands, millions, etc.)
+   * Get value from a single column
+   * @param {number} col - Column index
+   * @returns {number}
    */
-  renderNotches() {
-    let notchesHTML = '';
-    const notchOffset = this.config.notchOffset || 0;
-    // Целевой остаток: 2 = стандарт (3,6,9 справа), 1 = сдвиг влево, 0 = сдвиг вправо
-    const targetRemainder = (2 - notchOffset + 3) % 3;
+  getColumnValue(col) {
+    return this.model.getColumnValue(col);
+  }
 
-    for (let col = 0; col < this.columns; col++) {
-      const x = 60 + col * 72; // Позиция стержня
-      const rightIndex = this.columns - 1 - col; // Индекс справа (0 = самый правый)
+  /**
+   * Get total value from abacus
+   * Rods right of the unit rod are decimal places (see setDecimalPlaces).
+   * Exact only up to Number.MAX_SAFE_INTEGER - use getValueString/getBigIntValue for wide abaci.
+   * @returns {number}
+   */
+  getValue() {
+    return this.model.getValue();
+  }
 
-      // Засечка каждые 3 разряда справа
-      if (rightIndex % 3 === targetRemainder) {
-        // Золотая вдавленная точка на средней планке
-        notchesHTML += `
-          <circle cx="${x}" cy="116" r="5" fill="#8B6914"/>
-          <circle cx="${x}" cy="115.5" r="4" fill="#B8860B"/>
-          <circle cx="${x}" cy="115" r="2.5" fill="#DAA520"/>
-          <circle cx="${x}" cy="114.5" r="1" fill="#FFD700"/>
-        `;
-      }
+  /**
+   * Get exact total value as a decimal string, e.g. "12.375"
+   * @returns {string}
+   */
+  getValueString() {
+    return this.model.getValueString();
+  }
+
+  /**
+   * Get exact value of all rods as an integer, ignoring the decimal point
+   * (value × 10^decimalPlaces)
+   * @returns {bigint}
+   */
+  getBigIntValue() {
+    return this.model.getBigIntValue();
+  }
+
+  /**
+   * Set value on abacus
+   * Decimals are aligned to the unit rod and rounded to the available decimal places.
+   * @param {number|bigint|string} value - Number to display, e.g. 12.375, 10n ** 16n or "12345678901234567"
+   * @returns {boolean} - False if the value is invalid or does not fit on the rods
+   */
+  setValue(value) {
+    if (!this.model.setValue(value)) {
+      return false;
     }
 
-    return notchesHTML;
+    this.render();
+    this.triggerEvent('onChange', { value: this.getValue() });
+    logger.debug(CONTEXT, `Set value: ${value}`);
+    return true;
+  }
+
+  /**
+   * Get resting Y position of a bead
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} index - Bead index
+   * @param {string} position - 'up' or 'down'
+   * @returns {number}
+   */
+  getBeadRestY(type, index, position) {
+    // Соробан: небесная 79/92, земные 140 + i*36 (активные) и 265 - (3-i)*36 (неактивные)
+    return this.model.getRestY(type, index, position);
   }
 
   /**
-   * Render all beads
+   * Get resting state of every bead on a rod showing a digit
+   * @param {number} digit - Digit (0..type.maxDigit)
+   * @returns {Array<Object>} - [{ type, index, position, y }]
    */
-  renderBeads() {
-    let beadsHTML = '';
+  getColumnLayout(digit) {
+    return this.model.getColumnLayout(digit);
+  }
 
-    for (let col = 0; col < this.columns; col++) {
-      const x = 60 + col * 72; // Центр первой колонки: startX(20) + 40
-      const beadHeight = this.config.beadHeight;
-      const beadWidth = this.config.beadWidth;
+  /**
+   * Get bead state object
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} index - Bead index
+   * @returns {Object}
+   */
+  getBead(col, type, index) {
+    return this.model.getBead(col, type, index);
+  }
 
-      // Heaven bead (upper)
-      const heavenY = this.beads[col].heaven.y;
-      beadsHTML += this.renderBead(x, heavenY, beadWidth, beadHeight, col, 'heaven', 0);
+  /**
+   * Move beads of a rod to the resting positions of a digit (no render)
+   * @param {number} col - Column index
+   * @param {number} digit - Digit (0..type.maxDigit)
+   */
+  placeColumn(col, digit) {
+    this.model.setColumnValue(col, digit);
+  }
 
-      // Earth beads (lower)
-      for (let index = 0; index < 4; index++) {
-        const earthY = this.beads[col].earth[index].y;
-        beadsHTML += this.renderBead(x, earthY, beadWidth, beadHeight, col, 'earth', index);
-      }
+  /**
+   * Set digit of a single rod, animated when physics is attached
+   * @param {number} col - Column index
+   * @param {number} digit - Digit (0..type.maxDigit)
+   * @returns {Promise}
+   */
+  setColumnValue(col, digit) {
+    if (col < 0 || col >= this.digitCount || !this.model.isValidDigit(digit)) {
+      logger.warn(CONTEXT, `Invalid digit ${digit} for column ${col}`);
+      return Promise.resolve();
     }
 
-    return beadsHTML;
-  }
-
-  /**
-   * Render single bead
-   */
-  renderBead(x, y, width, height, col, type, index) {
-    const hw = width;
-    const hh = height / 2;
-    const cutSize = 12;
-    const sideRoundness = 2;
-
-    // SVG path for bead shape (octagon with rounded corners)
-    const path = `
-      M ${x - cutSize} ${y - hh}
-      L ${x + cutSize} ${y - hh}
-      Q ${x + cutSize + 2} ${y - hh + 2} ${x + hw - sideRoundness} ${y - sideRoundness}
-      Q ${x + hw} ${y} ${x + hw - sideRoundness} ${y + sideRoundness}
-      Q ${x + cutSize + 2} ${y + hh - 2} ${x + cutSize} ${y + hh}
-      L ${x - cutSize} ${y + hh}
-      Q ${x - cutSize - 2} ${y + hh - 2} ${x - hw + sideRoundness} ${y + sideRoundness}
-      Q ${x - hw} ${y} ${x - hw + sideRoundness} ${y - sideRoundness}
-      Q ${x - cutSize - 2} ${y - hh + 2} ${x - cutSize} ${y - hh}
-      Z
-    `;
-
-    return `
-      <g class="bead" data-col="${col}" data-type="${type}" data-index="${index}" style="cursor: pointer;">
-        <path d="${path}" fill="url(#beadGradient)" filter="url(#beadShadow)" style="pointer-events: all;"/>
-        <line x1="${x - width}" y1="${y}" x2="${x + width}" y2="${y}" stroke="rgba(0, 0, 0, 0.075)" stroke-width="2" style="pointer-events: none;"/>
-      </g>
-    `;
-  }
-
-  /**
-   * Render digits below abacus
-   */
-  renderDigits() {
-    let digitsHTML = '<g class="digits">';
-
-    for (let col = 0; col < this.columns; col++) {
-      const x = 60 + col * 72; // Центр первой колонки: startX(20) + 40
-      const value = this.getColumnValue(col);
-      
-      digitsHTML += `
-        <text x="${x}" y="40"
-          text-anchor="middle"
-          font-family="Montserrat, sans-serif"
-          font-size="20"
-          font-weight="700"
-          fill="#4a4a4a">
-          ${value}
-        </text>
-      `;
+    if (this.physics) {
+      return this.physics.animateColumnTo(col, digit);
     }
-    
-    digitsHTML += '</g>';
-    return digitsHTML;
+
+    this.placeColumn(col, digit);
+    this.render();
+    this.triggerEvent('onChange', { col, value: this.getValue() });
+    return Promise.resolve();
   }
 
   /**
-   * Get value from a single column
-   * @param {number} col - Column index
-   * @returns {number}
+   * Change the number of rods at runtime, keeping the value
+   * Rods are added or removed on the left; undo history is reset (onResize).
+   * @param {number} digitCount - New number of rods
+   * @returns {boolean} - False if the value or the decimal places do not fit
    */
-  getColumnValue(col) {
-    let value = 0;
+  setDigitCount(digitCount) {
+    if (digitCount === this.digitCount) return true;
 
-    // Heaven bead = 5
-    if (this.beads[col].heaven.position === 'down') {
-      value += 5;
+    if (this.physics) {
+      this.physics.cancelAnimation();
+    }
+    if (!this.model.setDigitCount(digitCount)) {
+      return false;
     }
 
-    // Earth beads = 1 each
-    this.beads[col].earth.forEach(bead => {
-      if (bead.position === 'up') value += 1;
-    });
+    this.digitCount = digitCount;
+    if (this.workspace && this.workspace.columns !== digitCount) {
+      this.workspace = null;
+    }
 
-    return value;
+    this.rebuild();
+    this.triggerEvent('onChange', { value: this.getValue() });
+    this.triggerEvent('onResize', { digitCount });
+    logger.debug(CONTEXT, `Rod count: ${digitCount}`);
+    return true;
   }
 
   /**
-   * Get total value from abacus
-   * @returns {number}
+   * Split rods into named regions (multiplier, multiplicand, product...)
+   * @param {Workspace|null} workspace - Region layout, null to show one number again
    */
-  getValue() {
-    let total = 0;
-    for (let col = 0; col < this.digitCount; col++) {
-      const multiplier = Math.pow(10, this.digitCount - col - 1);
-      total += this.getColumnValue(col) * multiplier;
-    }
-    return total;
+  setWorkspace(workspace) {
+    this.workspace = workspace;
+    this.renderer.updateRegions();
+    logger.debug(CONTEXT, workspace
+      ? `Workspace: ${workspace.regions.map(r => `${r.role} ${r.start}+${r.length}`).join(', ')}`
+      : 'Workspace cleared');
   }
 
   /**
-   * Set value on abacus
-   * @param {number} value - Number to display
+   * Change colors of the abacus
+   * @param {Object} theme - Full theme, see Themes.get / Themes.resolve
    */
-  setValue(value) {
-    const digits = String(value).padStart(this.digitCount, '0').split('');
-    const beadHeight = this.config.beadHeight;
-    const gap = 1;
-
-    digits.forEach((digit, index) => {
-      const num = parseInt(digit, 10);
-
-      // Decompose into 5*U + L
-      if (num >= 5) {
-        this.beads[index].heaven.position = 'down';
-        this.beads[index].heaven.y = 111 - beadHeight / 2 - gap;  // 92 - active position near middle bar
-
-        const remainder = num - 5;
-        for (let i = 0; i < 4; i++) {
-          if (i < remainder) {
-            this.beads[index].earth[i].position = 'up';
-            this.beads[index].earth[i].y = 121 + beadHeight / 2 + gap + i * beadHeight;  // 140 + i*36
-          } else {
-            this.beads[index].earth[i].position = 'down';
-            const downIndex = 3 - i;
-            this.beads[index].earth[i].y = 284 - beadHeight / 2 - gap - downIndex * beadHeight;  // 265 - downIndex*36
-          }
-        }
-      } else {
-        this.beads[index].heaven.position = 'up';
-        this.beads[index].heaven.y = 60 + beadHeight / 2 + gap;  // 79 - inactive position below top frame
-
-        for (let i = 0; i < 4; i++) {
-          if (i < num) {
-            this.beads[index].earth[i].position = 'up';
-            this.beads[index].earth[i].y = 121 + beadHeight / 2 + gap + i * beadHeight;  // 140 + i*36
-          } else {
-            this.beads[index].earth[i].position = 'down';
-            const downIndex = 3 - i;
-            this.beads[index].earth[i].y = 284 - beadHeight / 2 - gap - downIndex * beadHeight;  // 265 - downIndex*36
-          }
-        }
-      }
-    });
+  setTheme(theme) {
+    this.theme = theme;
+    this.renderer.updateTheme();
+    logger.debug(CONTEXT, `Theme: ${theme.id}`);
+  }
 
-    this.render();
-    this.triggerEvent('onChange', { value });
-    logger.debug(CONTEXT, `Set value: ${value}`);
+  /**
+   * Current picture as a standalone SVG document (pending bead moves included)
+   * @returns {string} - SVG markup with inline gradients, see AbacusRenderer.serialize
+   */
+  toSVG() {
+    return this.renderer.serialize();
+  }
+
+  /**
+   * Current picture as a PNG image
+   * @param {number} scale - Output pixels per layout pixel (default: 2)
+   * @returns {Promise<Blob>}
+   */
+  toPNG(scale = 2) {
+    const { width, height } = this.layout;
+    return rasterizeSvg(this.toSVG(), width, height, scale);
   }
 
   /**
@@ -437,7 +372,7 @@ export class Abacus {
    */
   setShowDigits(show) {
     this.config.showDigits = show;
-    this.render();
+    this.renderer.updateDigits();
     logger.debug(CONTEXT, `Show digits: ${show}`);
   }
 
@@ -447,19 +382,72 @@ export class Abacus {
    */
   setNotchOffset(offset) {
     this.config.notchOffset = offset;
-    this.render();
+    this.renderer.updateNotches();
     logger.debug(CONTEXT, `Notch offset: ${offset}`);
   }
 
+  /**
+   * Choose the unit rod by the number of decimal rods to its right
+   * Beads stay in place, only the value they represent changes.
+   * @param {number} places - Decimal places (0 = rightmost rod is units, at most MAX_DECIMAL_PLACES)
+   * @returns {boolean} - False if there is no such unit rod
+   */
+  setDecimalPlaces(places) {
+    if (!Number.isInteger(places) || places < 0 || places >= this.digitCount || places > MAX_DECIMAL_PLACES) {
+      logger.warn(CONTEXT, `Invalid decimal places: ${places}`);
+      return false;
+    }
+
+    this.config.decimalPlaces = places;
+    this.renderer.updateNotches();
+    this.renderer.updateDigits();
+    this.renderer.updateLabels();
+    this.triggerEvent('onChange', { value: this.getValue() });
+    logger.debug(CONTEXT, `Decimal places: ${places}`);
+    return true;
+  }
+
+  /**
+   * Change geometry at runtime (bead size, rod pitch, frame proportions)
+   * Beads keep their digits and are moved to the resting positions of the new layout.
+   * @param {Object} options - Any of LAYOUT_DEFAULTS keys, e.g. { beadHeight: 40, rodPitch: 80 }
+   */
+  setLayout(options) {
+    const updates = pickLayout(options);
+
+    if (this.physics) {
+      this.physics.cancelAnimation();
+    }
+
+    Object.assign(this.config, updates);
+    this.model.updateLayout();
+
+    this.rebuild();
+    logger.debug(CONTEXT, 'Layout updated:', updates);
+  }
+
   /**
    * Register event callback
    * @param {string} eventName - Event name
    * @param {Function} callback - Callback function
+   * @returns {Function} - Unsubscribe function
    */
   on(eventName, callback) {
     if (this.events[eventName]) {
       this.events[eventName].push(callback);
     }
+    return () => this.off(eventName, callback);
+  }
+
+  /**
+   * Remove event callback
+   * @param {string} eventName - Event name
+   * @param {Function} callback - Callback function passed to on()
+   */
+  off(eventName, callback) {
+    if (this.events[eventName]) {
+      this.events[eventName] = this.events[eventName].filter(cb => cb !== callback);
+    }
   }
 
   /**
@@ -477,8 +465,13 @@ export class Abacus {
    * Destroy abacus and clean up
    */
   destroy() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    this.renderer.destroy();
     this.container.innerHTML = '';
-    this.events = { onChange: [], onBeadMove: [], onBeadSnap: [] };
+    this.events = { onChange: [], onBeadMove: [], onBeadSnap: [], onTechnique: [], onFingering: [], onResize: [] };
     logger.debug(CONTEXT, 'Abacus destroyed');
   }
 }
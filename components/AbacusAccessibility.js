@@ -0,0 +1,115 @@
+/**
+ * Abacus Accessibility - Keeps ARIA state of the SVG abacus in sync
+ * Rods are rendered as sliders (see AbacusRenderer.renderBeads); this module updates
+ * their values after every change and announces the total in a polite live region.
+ */
+
+import { logger } from '../core/logger.js';
+import { i18n } from '../i18n/i18n.js';
+
+const CONTEXT = 'AbacusAccessibility';
+
+export class AbacusAccessibility {
+  /**
+   * @param {Abacus} abacus - Abacus instance
+   * @param {Object} options
+   * @param {number} options.announceDelay - Pause (ms) before the total is announced
+   */
+  constructor(abacus, options = {}) {
+    this.abacus = abacus;
+    this.ANNOUNCE_DELAY = options.announceDelay || 400;
+
+    this.timer = null;
+    this.liveRegion = this.createLiveRegion();
+
+    this.onChange = this.onChange.bind(this);
+    this.updateLabels = this.updateLabels.bind(this);
+
+    this.abacus.on('onChange', this.onChange);
+    window.addEventListener('languageChanged', this.updateLabels);
+
+    logger.debug(CONTEXT, 'Accessibility initialized');
+  }
+
+  /**
+   * Create live region next to the abacus container
+   * It lives outside the container, so mounting the SVG does not replace it.
+   * @returns {HTMLElement}
+   */
+  createLiveRegion() {
+    const region = document.createElement('div');
+    region.className = 'visually-hidden';
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    this.abacus.container.insertAdjacentElement('afterend', region);
+    return region;
+  }
+
+  /**
+   * Change handler - sync rod values and schedule announcement
+   */
+  onChange() {
+    this.updateValues();
+
+    // Несколько косточек подряд (анимация, перенос) - объявляем только итог
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.announce(), this.ANNOUNCE_DELAY);
+  }
+
+  /**
+   * Update aria-valuenow of every rod
+   */
+  updateValues() {
+    this.forEachRod((rod, col) => {
+      rod.setAttribute('aria-valuenow', this.abacus.getColumnValue(col));
+    });
+  }
+
+  /**
+   * Update translated labels after language change
+   */
+  updateLabels() {
+    const svg = this.abacus.svgElement;
+    if (svg) {
+      svg.setAttribute('aria-label', i18n.t('abacusLabel'));
+    }
+
+    this.forEachRod((rod, col) => {
+      rod.setAttribute('aria-label', this.abacus.getRodLabel(col));
+    });
+  }
+
+  /**
+   * Announce total value
+   */
+  announce() {
+    this.timer = null;
+    const value = this.abacus.getValueString().replace('.', i18n.getDecimalSeparator());
+    this.liveRegion.textContent = i18n.t('announceValue', { value });
+  }
+
+  /**
+   * @param {Function} callback - (rodElement, col) => void
+   */
+  forEachRod(callback) {
+    const svg = this.abacus.svgElement;
+    if (!svg) return;
+
+    for (let col = 0; col < this.abacus.columns; col++) {
+      const rod = svg.querySelector(`#rod-${col}`);
+      if (rod) {
+        callback(rod, col);
+      }
+    }
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    clearTimeout(this.timer);
+    window.removeEventListener('languageChanged', this.updateLabels);
+    this.liveRegion.remove();
+    logger.debug(CONTEXT, 'Accessibility destroyed');
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Abacus Fingering - Thumb / index finger training
+ * The thumb raises earth beads, the index finger makes every other move.
+ * While a bead is dragged the finger for that move is shown below its rod;
+ * when AbacusTechnique finishes an operation, moves made in the wrong
+ * direction or order are logged and reported via onFingering.
+ */
+
+import { logger } from '../core/logger.js';
+import { Formulas } from '../core/Formulas.js';
+
+const CONTEXT = 'AbacusFingering';
+
+export class AbacusFingering {
+  /**
+   * @param {Abacus} abacus - Abacus instance
+   * @param {Object} options
+   * @param {boolean} options.enabled - Training mode on (default: false)
+   * @param {number} options.hintTimeout - How long (ms) a hint stays after the bead snaps
+   */
+  constructor(abacus, options = {}) {
+    this.abacus = abacus;
+    this.enabled = options.enabled || false;
+    this.HINT_TIMEOUT = options.hintTimeout || 1200;
+
+    this.hints = new Map(); // col -> hide timer, null while the bead is dragged
+    this.log = [];          // Mistakes since training was enabled
+
+    this.abacus.on('onBeadMove', this.onBeadMove.bind(this));
+    this.abacus.on('onBeadSnap', this.onBeadSnap.bind(this));
+    this.abacus.on('onTechnique', this.onTechnique.bind(this));
+
+    logger.debug(CONTEXT, `Finger training initialized (enabled: ${this.enabled})`);
+  }
+
+  /**
+   * Turn training mode on or off
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.log = [];
+    if (!enabled) {
+      this.hideHints();
+    }
+    logger.debug(CONTEXT, `Finger training: ${enabled}`);
+  }
+
+  /**
+   * Drag handler - show the finger for the direction the bead is moving
+   * @param {Object} data - { col, type, index, y, deltaY }
+   */
+  onBeadMove({ col, type, deltaY }) {
+    if (!this.enabled || !deltaY) return;
+
+    // Земные к планке - вверх, небесные к планке - вниз
+    const delta = type === 'heaven' ? Math.sign(deltaY) : -Math.sign(deltaY);
+    this.showHint(col, Formulas.getFinger({ bead: type, delta }));
+  }
+
+  /**
+   * Snap handler - show the finger for taps and keyboard moves, then fade the hint
+   * @param {Object} data - { col, type, index, position }
+   */
+  onBeadSnap({ col, type, position }) {
+    if (!this.enabled) return;
+
+    // null - подсказка уже показана перетаскиванием
+    if (this.hints.get(col) !== null) {
+      const delta = position === this.abacus.model.getActivePosition(type) ? 1 : -1;
+      this.showHint(col, Formulas.getFinger({ bead: type, delta }));
+    }
+    this.hideHintLater(col, this.HINT_TIMEOUT);
+  }
+
+  /**
+   * Operation handler - log moves made in the wrong direction or order
+   * @param {Object} result - AbacusTechnique validation result
+   */
+  onTechnique(result) {
+    if (!this.enabled) return;
+
+    this.check(result.moves, result.expected.moves).forEach(mistake => {
+      this.log.push(mistake);
+      logger.info(CONTEXT, mistake.message);
+      this.abacus.triggerEvent('onFingering', mistake);
+
+      // Подсказываем правильный палец для ошибочного хода
+      this.showHint(mistake.col, mistake.expected.finger, true);
+      this.hideHintLater(mistake.col, this.HINT_TIMEOUT * 2);
+    });
+  }
+
+  /**
+   * Compare moves made with the canonical moves of the formula
+   * @param {Array<Object>} actual - Recorded moves [{ col, bead, delta }]
+   * @param {Array<Object>} expected - Canonical moves [{ col, bead, delta, finger }]
+   * @returns {Array<Object>} - Mistakes [{ code, col, bead, delta, finger, expected, message }]
+   *   code 'direction' - beads moved the other way than the formula moves them
+   *   code 'order' - move made before one the formula makes earlier
+   */
+  check(actual, expected) {
+    const mistakes = [];
+    const used = new Set();
+    let last = -1; // Index of the latest expected move made so far
+
+    actual.forEach(move => {
+      const finger = Formulas.getFinger(move);
+      const sameBeads = (other) => other.col === move.col && other.bead === move.bead;
+      const index = expected.findIndex((other, i) => (
+        !used.has(i) && sameBeads(other) && Math.sign(other.delta) === Math.sign(move.delta)
+      ));
+
+      if (index === -1) {
+        const opposite = expected.find(sameBeads);
+        if (opposite) {
+          mistakes.push({
+            code: 'direction',
+            col: move.col,
+            bead: move.bead,
+            delta: move.delta,
+            finger,
+            expected: opposite,
+            message: `${this.describeMove(move)} made, formula needs ${this.describeMove(opposite)}`
+          });
+        }
+        return;
+      }
+
+      used.add(index);
+      if (index < last) {
+        mistakes.push({
+          code: 'order',
+          col: move.col,
+          bead: move.bead,
+          delta: move.delta,
+          finger,
+          expected: expected[index],
+          message: `${this.describeMove(expected[last])} made before ${this.describeMove(move)}`
+        });
+      } else {
+        last = index;
+      }
+    });
+
+    return mistakes;
+  }
+
+  /**
+   * Describe a move for the log, e.g. "earth down on rod 3 (index)"
+   * @param {Object} move - { col, bead, delta }
+   * @returns {string}
+   */
+  describeMove(move) {
+    // Положительный ход: земные вверх, небесные вниз
+    const up = move.bead === 'earth' ? move.delta > 0 : move.delta < 0;
+    return `${move.bead} ${up ? 'up' : 'down'} on rod ${move.col} (${Formulas.getFinger(move)})`;
+  }
+
+  /**
+   * Show a finger icon below a rod
+   * @param {number} col - Column index
+   * @param {string} finger - Finger
+   * @param {boolean} mistake - Highlight as a mistake
+   */
+  showHint(col, finger, mistake = false) {
+    clearTimeout(this.hints.get(col));
+    this.hints.set(col, null);
+
+    if (this.abacus.renderer) {
+      this.abacus.renderer.updateFingerHint(col, finger, mistake);
+    }
+  }
+
+  /**
+   * Hide the hint of a rod after a delay
+   * @param {number} col - Column index
+   * @param {number} delay - Delay in ms
+   */
+  hideHintLater(col, delay) {
+    clearTimeout(this.hints.get(col));
+    this.hints.set(col, setTimeout(() => this.hideHint(col), delay));
+  }
+
+  /**
+   * Hide the hint of a rod
+   * @param {number} col - Column index
+   */
+  hideHint(col) {
+    clearTimeout(this.hints.get(col));
+    this.hints.delete(col);
+
+    if (this.abacus.renderer) {
+      this.abacus.renderer.updateFingerHint(col, null);
+    }
+  }
+
+  /**
+   * Hide all hints
+   */
+  hideHints() {
+    [...this.hints.keys()].forEach(col => this.hideHint(col));
+  }
+
+  /**
+   * Destroy training mode
+   */
+  destroy() {
+    this.hideHints();
+    logger.debug(CONTEXT, 'Finger training destroyed');
+  }
+}
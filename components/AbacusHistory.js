@@ -0,0 +1,215 @@
+/**
+ * Abacus History - Undo/redo stack of bead states
+ * A snapshot is recorded after every bead snap and every programmatic value change.
+ * Snapshots keep bead positions only; resting coordinates are taken from the
+ * current layout on restore, so history survives bead size and rod pitch changes.
+ * Restoring a snapshot animates only the beads that differ.
+ */
+
+import { logger } from '../core/logger.js';
+
+const CONTEXT = 'AbacusHistory';
+
+export class AbacusHistory {
+  /**
+   * @param {Abacus} abacus - Abacus instance
+   * @param {Object} options
+   * @param {number} options.limit - Maximum number of undo steps
+   */
+  constructor(abacus, options = {}) {
+    this.abacus = abacus;
+    this.LIMIT = options.limit || 100;
+
+    this.undoStack = [];
+    this.redoStack = [];
+    this.current = this.takeSnapshot();
+    this.pendingRestores = 0; // Snapshots being restored - their events are not recorded
+
+    // Optional callback () => {} invoked when undo/redo availability changes
+    this.onUpdate = null;
+
+    this.abacus.on('onBeadSnap', () => this.record());
+    this.abacus.on('onChange', (data) => {
+      // Bead snaps are recorded through onBeadSnap, here only setValue/clear
+      if (data && data.col !== undefined) return;
+      this.record();
+    });
+    // Снимки с другим числом стержней восстановить нельзя
+    this.abacus.on('onResize', () => this.reset());
+
+    logger.debug(CONTEXT, 'History initialized');
+  }
+
+  /**
+   * Copy bead positions of all rods
+   * @returns {Array<Object>}
+   */
+  takeSnapshot() {
+    const copy = ({ position }) => ({ position });
+    const snapshot = [];
+
+    for (let col = 0; col < this.abacus.digitCount; col++) {
+      const rod = this.abacus.beads[col];
+      snapshot.push({
+        heaven: rod.heaven.map(copy),
+        earth: rod.earth.map(copy)
+      });
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Check if two snapshots hold the same bead positions
+   * @param {Array<Object>} a
+   * @param {Array<Object>} b
+   * @returns {boolean}
+   */
+  isSameState(a, b) {
+    const key = snapshot => snapshot
+      .map(rod => [...rod.heaven, ...rod.earth].map(bead => bead.position).join(','))
+      .join('|');
+    return key(a) === key(b);
+  }
+
+  /**
+   * Record current state as a new history entry
+   */
+  record() {
+    if (this.pendingRestores > 0) return;
+
+    const snapshot = this.takeSnapshot();
+    if (this.current && this.isSameState(snapshot, this.current)) {
+      this.current = snapshot;
+      return;
+    }
+
+    if (this.current) {
+      this.undoStack.push(this.current);
+      if (this.undoStack.length > this.LIMIT) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.current = snapshot;
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Undo last change
+   * @returns {Promise<boolean>} - False if there was nothing to undo
+   */
+  undo() {
+    if (this.undoStack.length === 0) return Promise.resolve(false);
+
+    this.redoStack.push(this.current);
+    this.current = this.undoStack.pop();
+    this.notify();
+
+    logger.debug(CONTEXT, `Undo (${this.undoStack.length} left)`);
+    return this.restore(this.current).then(() => true);
+  }
+
+  /**
+   * Redo last undone change
+   * @returns {Promise<boolean>} - False if there was nothing to redo
+   */
+  redo() {
+    if (this.redoStack.length === 0) return Promise.resolve(false);
+
+    this.undoStack.push(this.current);
+    this.current = this.redoStack.pop();
+    this.notify();
+
+    logger.debug(CONTEXT, `Redo (${this.redoStack.length} left)`);
+    return this.restore(this.current).then(() => true);
+  }
+
+  /**
+   * Move beads back to a snapshot, animating the ones that differ
+   * @param {Array<Object>} snapshot
+   * @returns {Promise}
+   */
+  restore(snapshot) {
+    const physics = this.abacus.physics;
+
+    const apply = () => {
+      const animations = [];
+      this.pendingRestores++;
+
+      snapshot.forEach((rod, col) => {
+        const targets = [
+          ...rod.heaven.map((state, index) => ({ type: 'heaven', index, state })),
+          ...rod.earth.map((state, index) => ({ type: 'earth', index, state }))
+        ];
+
+        targets.forEach(({ type, index, state }) => {
+          const bead = this.abacus.getBead(col, type, index);
+          const y = this.abacus.getBeadRestY(type, index, state.position);
+          bead.position = state.position;
+          if (bead.y === y) return;
+
+          if (physics) {
+            animations.push(physics.animateBead(col, type, index, y, physics.ANIMATION_DURATION));
+          } else {
+            bead.y = y;
+          }
+        });
+      });
+
+      if (!physics) {
+        this.abacus.render();
+      }
+
+      return Promise.all(animations).then(() => this.finishRestore());
+    };
+
+    return physics ? physics.queue.add(apply) : apply();
+  }
+
+  /**
+   * Announce restored value without recording it again
+   */
+  finishRestore() {
+    if (this.abacus.config.showDigits && this.abacus.renderer) {
+      this.abacus.renderer.updateDigits();
+    }
+
+    this.abacus.triggerEvent('onChange', { value: this.abacus.getValue(), source: 'history' });
+    this.pendingRestores--;
+  }
+
+  /**
+   * Forget all history, keeping the current state
+   */
+  reset() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.current = this.takeSnapshot();
+    this.notify();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Invoke update callback
+   */
+  notify() {
+    if (this.onUpdate) {
+      this.onUpdate();
+    }
+  }
+}
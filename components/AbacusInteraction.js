@@ -1,9 +1,13 @@
 /**
- * Abacus Interaction - Handles drag & drop and touch events
+ * Abacus Interaction - Handles drag & drop (Pointer Events) and keyboard
+ * Every active pointer drags its own bead, so two fingers can work on
+ * neighboring rods at once, as in real soroban technique. A tap toggles a
+ * bead, a flick throws it to the bar or the frame, a slow release settles it
+ * to the nearest resting place.
  */
 
 import { logger } from '../core/logger.js';
-import { screenToSVG, getBeadBounds, isPointInCircle } from '../utils/geometry.js';
+import { screenToElement, getBeadBounds, isPointInCircle } from '../utils/geometry.js';
 import { isTouchDevice } from '../utils/helpers.js';
 
 const CONTEXT = 'AbacusInteraction';
@@ -17,17 +21,33 @@ export class AbacusInteraction {
     this.abacus = abacus;
     this.svg = svgElement;
 
-    this.isDragging = false;
-    this.draggedBead = null; // { col, type, index }
-    this.dragStartY = 0;
-    this.beadStartY = 0;
+    // Active drags by pointerId: { col, type, index, startY, beadStartY, startTime, lastY, lastTime, velocity, distance }
+    this.drags = new Map();
+
+    // Gestures (rod coordinates, milliseconds)
+    this.TAP_DISTANCE = 5; // Дальше - уже перетаскивание
+    this.TAP_DURATION = 300;
+    this.FLICK_VELOCITY = 0.5; // px/ms
+    this.FLICK_WINDOW = 100; // Палец стоял дольше перед отпусканием - не бросок
 
     this.isTouchDevice = isTouchDevice();
 
-    // Offset for transformed group (abacus elements are in a group with translate(0, 40))
-    this.groupOffsetY = 40;
+    // Keyboard focus
+    this.focusedCol = Math.max(0, this.abacus.columns - 1); // Units rod by default
+    this.keyboardActive = false; // Focus ring visible
+    this.pointerFocus = false;   // Focus came from mouse/touch, not from Tab
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onFocus = this.onFocus.bind(this);
+    this.onBlur = this.onBlur.bind(this);
 
     this.initEvents();
+
+    // Стержней стало меньше - фокус остаётся на существующем
+    this.abacus.on('onResize', () => this.setFocusedCol(this.focusedCol));
     logger.debug(CONTEXT, `Interaction initialized (touch: ${this.isTouchDevice})`);
   }
 
@@ -35,187 +55,287 @@ export class AbacusInteraction {
    * Initialize event listeners
    */
   initEvents() {
-    // Mouse events
-    this.svg.addEventListener('mousedown', this.onMouseDown.bind(this));
-    document.addEventListener('mousemove', this.onMouseMove.bind(this));
-    document.addEventListener('mouseup', this.onMouseUp.bind(this));
+    // Pointer events - mouse, touch and pen; moves are tracked on document
+    // so a drag continues when the finger leaves the abacus
+    this.svg.addEventListener('pointerdown', this.onPointerDown);
+    document.addEventListener('pointermove', this.onPointerMove);
+    document.addEventListener('pointerup', this.onPointerUp);
+    document.addEventListener('pointercancel', this.onPointerUp);
 
-    // Touch events
-    this.svg.addEventListener('touchstart', this.onTouchStart.bind(this), { passive: false });
-    document.addEventListener('touchmove', this.onTouchMove.bind(this), { passive: false });
-    document.addEventListener('touchend', this.onTouchEnd.bind(this));
+    this.attachKeyboardEvents();
+    this.svg.setAttribute('aria-activedescendant', `rod-${this.focusedCol}`);
 
     logger.debug(CONTEXT, 'Events initialized');
   }
 
   /**
-   * Mouse down handler
-   * @param {MouseEvent} e
+   * Attach keyboard and focus listeners to current SVG
+   */
+  attachKeyboardEvents() {
+    this.svg.addEventListener('keydown', this.onKeyDown);
+    this.svg.addEventListener('focus', this.onFocus);
+    this.svg.addEventListener('blur', this.onBlur);
+  }
+
+  /**
+   * Detach keyboard and focus listeners from current SVG
+   */
+  detachKeyboardEvents() {
+    this.svg.removeEventListener('keydown', this.onKeyDown);
+    this.svg.removeEventListener('focus', this.onFocus);
+    this.svg.removeEventListener('blur', this.onBlur);
+  }
+
+  /**
+   * Focus handler - show focus ring when focus came from keyboard
+   */
+  onFocus() {
+    if (!this.pointerFocus) {
+      this.keyboardActive = true;
+      this.showFocusRing();
+    }
+    this.pointerFocus = false;
+  }
+
+  /**
+   * Blur handler - hide focus ring
+   */
+  onBlur() {
+    this.keyboardActive = false;
+    if (this.abacus.renderer) {
+      this.abacus.renderer.updateFocusRing(null);
+    }
+  }
+
+  /**
+   * Draw focus ring on the focused rod
+   */
+  showFocusRing() {
+    this.svg.setAttribute('aria-activedescendant', `rod-${this.focusedCol}`);
+
+    if (this.abacus.renderer) {
+      this.abacus.renderer.updateFocusRing(this.keyboardActive ? this.focusedCol : null);
+    }
+  }
+
+  /**
+   * Keyboard handler
+   * ←/→ - focus rod, ↑/↓ - earth beads, Shift+↑/↓ - heaven bead, 0-9 - set digit
+   * Horizontal abaci (schoty) swap the arrows: ↑/↓ focus rod, ←/→ move beads.
+   * @param {KeyboardEvent} e
    */
-  onMouseDown(e) {
+  onKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const col = this.focusedCol;
+    const digit = this.abacus.getColumnValue(col);
+    const type = this.abacus.type;
+    const heaven = this.abacus.model.countActive(col, 'heaven');
+    const earth = this.abacus.model.countActive(col, 'earth');
+
+    const horizontal = this.abacus.isHorizontal();
+    const prevRodKey = horizontal ? 'ArrowUp' : 'ArrowLeft';
+    const nextRodKey = horizontal ? 'ArrowDown' : 'ArrowRight';
+    const towardBarKey = horizontal ? 'ArrowLeft' : 'ArrowUp'; // Earth beads move to the bar
+    const awayFromBarKey = horizontal ? 'ArrowRight' : 'ArrowDown';
+    let target = null;
+
+    switch (e.key) {
+      case prevRodKey:
+        this.setFocusedCol(col - 1);
+        break;
+      case nextRodKey:
+        this.setFocusedCol(col + 1);
+        break;
+      case 'Home':
+        this.setFocusedCol(0);
+        break;
+      case 'End':
+        this.setFocusedCol(this.abacus.columns - 1);
+        break;
+      case towardBarKey:
+      case awayFromBarKey:
+        if (e.shiftKey) {
+          // Одна небесная косточка переключается, несколько - вниз добавляет, вверх убирает
+          const add = type.heaven === 1 ? heaven === 0 : e.key === awayFromBarKey;
+          if (add && heaven < type.heaven) {
+            target = digit + 5;
+          } else if (!add && heaven > 0) {
+            target = digit - 5;
+          }
+        } else if (e.key === towardBarKey) {
+          target = earth < type.earth ? digit + 1 : null;
+        } else {
+          target = earth > 0 ? digit - 1 : null;
+        }
+        break;
+      default:
+        if (/^[0-9]$/.test(e.key)) {
+          target = parseInt(e.key, 10);
+        } else {
+          return;
+        }
+    }
+
     e.preventDefault();
-    const { x, y } = screenToSVG(this.svg, e.clientX, e.clientY);
-    const bead = this.getBeadAtPosition(x, y - this.groupOffsetY);
+    this.keyboardActive = true;
+    this.showFocusRing();
 
-    if (bead) {
-      this.startDrag(bead, e.clientX, e.clientY);
+    if (target !== null && target !== digit) {
+      this.abacus.setColumnValue(col, target);
+      logger.debug(CONTEXT, `Keyboard: rod ${col} set to ${target}`);
     }
   }
 
   /**
-   * Touch start handler
-   * @param {TouchEvent} e
+   * Move keyboard focus to a rod
+   * @param {number} col - Column index (clamped to visible rods)
    */
-  onTouchStart(e) {
+  setFocusedCol(col) {
+    this.focusedCol = Math.max(0, Math.min(this.abacus.columns - 1, col));
+    this.showFocusRing();
+  }
+
+  /**
+   * Check if any bead is being dragged
+   * @returns {boolean}
+   */
+  get isDragging() {
+    return this.drags.size > 0;
+  }
+
+  /**
+   * Pointer down handler - start dragging the bead under the pointer
+   * @param {PointerEvent} e
+   */
+  onPointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
     e.preventDefault();
-    const touch = e.touches[0];
-    const { x, y } = screenToSVG(this.svg, touch.clientX, touch.clientY);
-    const bead = this.getBeadAtPosition(x, y - this.groupOffsetY);
+    this.pointerFocus = true;
+    if (e.pointerType === 'mouse') {
+      this.svg.focus();
+    }
+
+    const { x, y } = this.toRodCoords(e.clientX, e.clientY);
+    const bead = this.getBeadAtPosition(x, y);
 
-    if (bead) {
-      this.startDrag(bead, touch.clientX, touch.clientY);
+    if (bead && !this.isBeadDragged(bead)) {
+      this.startDrag(e.pointerId, bead, e.clientX, e.clientY, e.timeStamp);
     }
   }
 
+  /**
+   * Check if a bead is already held by another pointer
+   * @param {Object} bead - { col, type, index }
+   * @returns {boolean}
+   */
+  isBeadDragged(bead) {
+    return [...this.drags.values()].some(drag => (
+      drag.col === bead.col && drag.type === bead.type && drag.index === bead.index
+    ));
+  }
+
   /**
    * Start dragging a bead
+   * @param {number} pointerId - Pointer holding the bead
    * @param {Object} bead - { col, type, index }
    * @param {number} clientX - Starting X position (screen)
    * @param {number} clientY - Starting Y position (screen)
+   * @param {number} time - Event timestamp
    */
-  startDrag(bead, clientX, clientY) {
-    this.isDragging = true;
-    this.draggedBead = bead;
-
-    // Convert to SVG coordinates and adjust for group offset
-    const svgCoords = screenToSVG(this.svg, clientX, clientY);
-    this.dragStartY = svgCoords.y - this.groupOffsetY;
-
-    const beadData = bead.type === 'heaven'
-      ? this.abacus.beads[bead.col].heaven
-      : this.abacus.beads[bead.col].earth[bead.index];
+  startDrag(pointerId, bead, clientX, clientY, time) {
+    // Catch the group mid-flight if it is still settling
+    if (this.abacus.physics) {
+      this.abacus.physics.cancelGroupAnimation(bead.col, bead.type);
+    }
 
-    this.beadStartY = beadData.y;
+    const beadData = this.abacus.getBead(bead.col, bead.type, bead.index);
     beadData.isDragging = true;
 
-    logger.debug(CONTEXT, `Started dragging: col=${bead.col}, type=${bead.type}, index=${bead.index}`);
-  }
+    // Convert to rod coordinates (abacus body group)
+    const startY = this.toRodCoords(clientX, clientY).y;
+
+    this.drags.set(pointerId, {
+      ...bead,
+      startY,
+      beadStartY: beadData.y,
+      startTime: time,
+      lastY: startY,
+      lastTime: time,
+      velocity: 0,
+      distance: 0
+    });
 
-  /**
-   * Mouse move handler
-   * @param {MouseEvent} e
-   */
-  onMouseMove(e) {
-    if (!this.isDragging) return;
+    this.focusedCol = bead.col;
+    this.showFocusRing();
 
-    this.updateDrag(e.clientX, e.clientY);
+    logger.debug(CONTEXT, `Started dragging: pointer=${pointerId}, col=${bead.col}, type=${bead.type}, index=${bead.index}`);
   }
 
   /**
-   * Touch move handler
-   * @param {TouchEvent} e
+   * Pointer move handler
+   * @param {PointerEvent} e
    */
-  onTouchMove(e) {
-    if (!this.isDragging) return;
-    e.preventDefault();
+  onPointerMove(e) {
+    const drag = this.drags.get(e.pointerId);
+    if (!drag) return;
 
-    const touch = e.touches[0];
-    this.updateDrag(touch.clientX, touch.clientY);
+    e.preventDefault();
+    this.updateDrag(drag, e.clientX, e.clientY, e.timeStamp);
   }
 
   /**
    * Update bead position during drag
+   * @param {Object} drag - Drag state of one pointer
    * @param {number} clientX - Current X position (screen)
    * @param {number} clientY - Current Y position (screen)
+   * @param {number} time - Event timestamp
    */
-  updateDrag(clientX, clientY) {
-    // Convert to SVG coordinates and adjust for group offset
-    const svgCoords = screenToSVG(this.svg, clientX, clientY);
-    const adjustedY = svgCoords.y - this.groupOffsetY;
-    const deltaY = adjustedY - this.dragStartY;
-    const desiredY = this.beadStartY + deltaY;
-
-    const col = this.draggedBead.col;
-    const type = this.draggedBead.type;
-    const index = this.draggedBead.index;
-
-    if (type === 'heaven') {
-      // Heaven bead - simple, no collision with others
-      const constraints = this.abacus.physics.getYConstraints(col, type, index);
-      const clampedY = Math.max(constraints.min, Math.min(constraints.max, desiredY));
-
-      this.abacus.beads[col].heaven.y = clampedY;
-      if (this.abacus.renderer) {
-        this.abacus.renderer.updateBeadPosition(col, type, index, clampedY);
-      }
+  updateDrag(drag, clientX, clientY, time) {
+    // Convert to rod coordinates - beads always move along Y of the abacus body
+    const pointerY = this.toRodCoords(clientX, clientY).y;
+    const deltaY = pointerY - drag.startY;
+    const desiredY = drag.beadStartY + deltaY;
+    const { col, type, index } = drag;
+
+    // Track speed of the last move for flicks
+    if (time > drag.lastTime) {
+      drag.velocity = (pointerY - drag.lastY) / (time - drag.lastTime);
+      drag.lastY = pointerY;
+      drag.lastTime = time;
+    }
+    drag.distance = Math.max(drag.distance, Math.abs(deltaY));
 
-      // Update position based on distance from middle bar
-      const ACTIVATION_DISTANCE = 30; // Косточка активна если в пределах 30px от средней планки
-      const barTop = 111;
-      const threshold = barTop - ACTIVATION_DISTANCE; // 81
-      this.abacus.beads[col].heaven.position = clampedY > threshold ? 'down' : 'up';
-    } else {
-      // Earth beads - handle collision and group movement
-      this.updateEarthBeadWithCollision(col, index, desiredY);
-
-      // Update positions for all earth beads based on compact group at bottom
-      const beads = this.abacus.beads[col].earth;
-      const beadHeight = this.abacus.config.beadHeight;
-      const gap = 1;
-      const bottomY = 284 - beadHeight / 2 - gap; // 265
-      const TOLERANCE = 5;
-
-      let inactiveCount = 0;
-      let expectedY = bottomY;
-
-      // Проверяем снизу вверх - косточки в компактной группе у низа = неактивны
-      for (let i = 3; i >= 0; i--) {
-        if (Math.abs(beads[i].y - expectedY) < TOLERANCE) {
-          beads[i].position = 'down';
-          inactiveCount++;
-          expectedY = expectedY - beadHeight;
-        } else {
-          break;
-        }
-      }
+    // Handle collision and group movement
+    this.updateBeadWithCollision(col, type, index, desiredY);
 
-      // Все косточки выше компактной группы - активны
-      for (let i = 0; i < 4 - inactiveCount; i++) {
-        beads[i].position = 'up';
-      }
-    }
+    // Update positions for the group based on compact group at the frame
+    this.abacus.physics.updatePositions(col, type);
 
     // Update digit display in real-time
     if (this.abacus.config.showDigits && this.abacus.renderer) {
       this.abacus.renderer.updateDigits();
     }
 
-    // Trigger onBeadMove event
-    this.abacus.triggerEvent('onBeadMove', {
-      col: this.draggedBead.col,
-      type: this.draggedBead.type,
-      index: this.draggedBead.index,
-      y: desiredY
-    });
+    // Trigger onBeadMove event - deltaY gives the drag direction (finger training)
+    this.abacus.triggerEvent('onBeadMove', { col, type, index, y: desiredY, deltaY });
   }
 
   /**
-   * Update earth bead position with collision detection
+   * Update bead position with collision detection
    * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
    * @param {number} draggedIndex - Index of dragged bead
    * @param {number} desiredY - Desired Y position
    */
-  updateEarthBeadWithCollision(col, draggedIndex, desiredY) {
-    const beads = this.abacus.beads[col].earth;
-    const beadHeight = this.abacus.config.beadHeight;
+  updateBeadWithCollision(col, type, draggedIndex, desiredY) {
+    const beads = this.abacus.beads[col][type];
+    const beadHeight = this.abacus.layout.beadHeight;
     const minGap = 0; // No gap - beads touch each other
 
-    // Get base constraints (bar and frame limits)
-    const barBottom = 121;  // Bottom of middle bar
-    const bottomFrame = 284; // Top of bottom frame
-    const gap = 1;
-    const minY = barBottom + beadHeight / 2 + gap; // 121 + 18 + 1 = 140
-    const maxY = bottomFrame - beadHeight / 2 - gap; // 284 - 18 - 1 = 265
+    // Get base constraints (bar and frame limits), e.g. 140..265 for soroban earth beads
+    const { min: minY, max: maxY } = this.abacus.physics.getYConstraints(col, type, draggedIndex);
 
     // Constrain to frame limits first
     let newY = Math.max(minY, Math.min(maxY, desiredY));
@@ -227,19 +347,19 @@ export class AbacusInteraction {
 
       if (newY < minDistanceFromAbove) {
         // Would collide with bead above - push group up
-        this.pushBeadsUp(col, draggedIndex, newY);
+        this.pushBeadsUp(col, type, draggedIndex, newY);
         return;
       }
     }
 
     // Check collision with bead below
-    if (draggedIndex < 3) {
+    if (draggedIndex < beads.length - 1) {
       const beadBelow = beads[draggedIndex + 1];
       const maxDistanceFromBelow = beadBelow.y - beadHeight - minGap;
 
       if (newY > maxDistanceFromBelow) {
         // Would collide with bead below - push group down
-        this.pushBeadsDown(col, draggedIndex, newY);
+        this.pushBeadsDown(col, type, draggedIndex, newY);
         return;
       }
     }
@@ -247,24 +367,23 @@ export class AbacusInteraction {
     // No collision - move freely
     beads[draggedIndex].y = newY;
     if (this.abacus.renderer) {
-      this.abacus.renderer.updateBeadPosition(col, 'earth', draggedIndex, newY);
+      this.abacus.renderer.updateBeadPosition(col, type, draggedIndex, newY);
     }
   }
 
   /**
    * Push beads up when dragging up
    * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
    * @param {number} startIndex - Index of dragged bead
    * @param {number} newY - New Y position for dragged bead
    */
-  pushBeadsUp(col, startIndex, newY) {
-    const beads = this.abacus.beads[col].earth;
-    const beadHeight = this.abacus.config.beadHeight;
+  pushBeadsUp(col, type, startIndex, newY) {
+    const beads = this.abacus.beads[col][type];
+    const beadHeight = this.abacus.layout.beadHeight;
     const minGap = 0;
 
-    const barBottom = 121;  // Bottom of middle bar
-    const gap = 1;
-    const minY = barBottom + beadHeight / 2 + gap; // 140
+    const minY = this.abacus.physics.getYConstraints(col, type, startIndex).min; // 140 for soroban earth
 
     // Start with dragged bead position
     const positions = {};
@@ -301,7 +420,7 @@ export class AbacusInteraction {
     for (const index of beadsToMove) {
       beads[index].y = positions[index];
       if (this.abacus.renderer) {
-        this.abacus.renderer.updateBeadPosition(col, 'earth', index, positions[index]);
+        this.abacus.renderer.updateBeadPosition(col, type, index, positions[index]);
       }
     }
   }
@@ -309,17 +428,16 @@ export class AbacusInteraction {
   /**
    * Push beads down when dragging down
    * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
    * @param {number} startIndex - Index of dragged bead
    * @param {number} newY - New Y position for dragged bead
    */
-  pushBeadsDown(col, startIndex, newY) {
-    const beads = this.abacus.beads[col].earth;
-    const beadHeight = this.abacus.config.beadHeight;
+  pushBeadsDown(col, type, startIndex, newY) {
+    const beads = this.abacus.beads[col][type];
+    const beadHeight = this.abacus.layout.beadHeight;
     const minGap = 0;
 
-    const bottomFrame = 284;  // Top of bottom frame
-    const gap = 1;
-    const maxY = bottomFrame - beadHeight / 2 - gap; // 265
+    const maxY = this.abacus.physics.getYConstraints(col, type, startIndex).max; // 265 for soroban earth
 
     // Start with dragged bead position
     const positions = {};
@@ -329,7 +447,7 @@ export class AbacusInteraction {
     const beadsToMove = [startIndex];
 
     // Check beads below - calculate expected position based on dragged bead's NEW position
-    for (let i = startIndex + 1; i < 4; i++) {
+    for (let i = startIndex + 1; i < beads.length; i++) {
       const beadAboveNewY = i === startIndex + 1 ? positions[startIndex] : positions[i - 1];
       const expectedTouchY = beadAboveNewY + beadHeight + minGap;
 
@@ -356,53 +474,63 @@ export class AbacusInteraction {
     for (const index of beadsToMove) {
       beads[index].y = positions[index];
       if (this.abacus.renderer) {
-        this.abacus.renderer.updateBeadPosition(col, 'earth', index, positions[index]);
+        this.abacus.renderer.updateBeadPosition(col, type, index, positions[index]);
       }
     }
   }
 
   /**
-   * Mouse up handler
-   * @param {MouseEvent} e
+   * Pointer up / cancel handler
+   * @param {PointerEvent} e
    */
-  onMouseUp(e) {
-    if (!this.isDragging) return;
-    
-    this.endDrag();
+  onPointerUp(e) {
+    const drag = this.drags.get(e.pointerId);
+    if (!drag) return;
+
+    this.drags.delete(e.pointerId);
+    this.endDrag(drag, e.timeStamp, e.type === 'pointercancel');
   }
 
   /**
-   * Touch end handler
-   * @param {TouchEvent} e
+   * End dragging and snap the bead group - only this bead's rod, other pointers keep dragging
+   * @param {Object} drag - Drag state of one pointer
+   * @param {number} time - Event timestamp
+   * @param {boolean} cancelled - Pointer was cancelled by the browser, no gestures
    */
-  onTouchEnd(e) {
-    if (!this.isDragging) return;
-    
-    this.endDrag();
+  endDrag(drag, time, cancelled = false) {
+    const { col, type, index } = drag;
+    const physics = this.abacus.physics;
+    if (!physics) return;
+
+    const gesture = cancelled ? 'settle' : this.getGesture(drag, time);
+    if (gesture === 'tap') {
+      physics.toggleBead(col, type, index);
+    } else if (gesture === 'flick') {
+      // К планке: земные вверх, небесные вниз
+      physics.flickBead(col, type, index, type === 'heaven' ? drag.velocity > 0 : drag.velocity < 0);
+    } else {
+      physics.snapBead(col, type, index);
+    }
+
+    logger.debug(CONTEXT, `Drag ended: col=${col}, gesture=${gesture}`);
   }
 
   /**
-   * End dragging and snap bead to position
+   * Classify a finished drag
+   * @param {Object} drag - Drag state of one pointer
+   * @param {number} time - Release timestamp
+   * @returns {string} - 'tap', 'flick' or 'settle'
    */
-  endDrag() {
-    if (!this.draggedBead) return;
-
-    // Snap to grid
-    if (this.abacus.physics) {
-      this.abacus.physics.snapBead(
-        this.draggedBead.col,
-        this.draggedBead.type,
-        this.draggedBead.index
-      );
+  getGesture(drag, time) {
+    if (drag.distance < this.TAP_DISTANCE && time - drag.startTime < this.TAP_DURATION) {
+      return 'tap';
     }
-
-    logger.debug(CONTEXT, 'Drag ended');
-
-    this.isDragging = false;
-    this.draggedBead = null;
+    if (time - drag.lastTime <= this.FLICK_WINDOW && Math.abs(drag.velocity) >= this.FLICK_VELOCITY) {
+      return 'flick';
+    }
+    return 'settle';
   }
 
-
   /**
    * Find bead at given position
    * @param {number} x - SVG X coordinate
@@ -410,26 +538,26 @@ export class AbacusInteraction {
    * @returns {Object|null} - { col, type, index } or null
    */
   getBeadAtPosition(x, y) {
-    const beadWidth = this.abacus.config.beadWidth;
-    const beadHeight = this.abacus.config.beadHeight;
+    const { beadWidth, beadHeight } = this.abacus.layout;
 
     // Use exact bead boundaries for precise grabbing (reduced from beadWidth + 10)
     const hitRadiusX = beadWidth - 2; // Slightly smaller than actual width
     const hitRadiusY = beadHeight / 2 - 2; // Slightly smaller than actual height
 
     for (let col = 0; col < this.abacus.digitCount; col++) {
-      const rodX = 60 + col * 72; // Центр первой колонки: startX(20) + 40
+      const rodX = this.abacus.layout.rodX(col);
+      const { heaven, earth } = this.abacus.beads[col];
 
-      // Check heaven bead
-      const heavenY = this.abacus.beads[col].heaven.y;
-      if (this.isPointInBead(x, y, rodX, heavenY, hitRadiusX, hitRadiusY)) {
-        return { col, type: 'heaven', index: 0 };
+      // Check heaven beads
+      for (let i = 0; i < heaven.length; i++) {
+        if (this.isPointInBead(x, y, rodX, heaven[i].y, hitRadiusX, hitRadiusY)) {
+          return { col, type: 'heaven', index: i };
+        }
       }
 
       // Check earth beads (iterate backwards so top beads are checked first)
-      for (let i = 3; i >= 0; i--) {
-        const earthY = this.abacus.beads[col].earth[i].y;
-        if (this.isPointInBead(x, y, rodX, earthY, hitRadiusX, hitRadiusY)) {
+      for (let i = earth.length - 1; i >= 0; i--) {
+        if (this.isPointInBead(x, y, rodX, earth[i].y, hitRadiusX, hitRadiusY)) {
           return { col, type: 'earth', index: i };
         }
       }
@@ -438,6 +566,18 @@ export class AbacusInteraction {
     return null;
   }
 
+  /**
+   * Convert screen coordinates to rod coordinates (abacus body group)
+   * The body group is translated, and turned sideways for horizontal abaci.
+   * @param {number} clientX - Screen X
+   * @param {number} clientY - Screen Y
+   * @returns {Object} - {x, y}
+   */
+  toRodCoords(clientX, clientY) {
+    const body = this.svg.querySelector('.abacus-body') || this.svg;
+    return screenToElement(this.svg, body, clientX, clientY);
+  }
+
   /**
    * Check if point is within bead boundaries (ellipse shape)
    * @param {number} px - Point X
@@ -455,45 +595,19 @@ export class AbacusInteraction {
     return (dx * dx) / (radiusX * radiusX) + (dy * dy) / (radiusY * radiusY) <= 1;
   }
 
-  /**
-   * Update SVG reference after re-render
-   * @param {SVGElement} newSvg - New SVG element
-   */
-  updateSvgReference(newSvg) {
-    if (!newSvg) {
-      logger.error(CONTEXT, 'Cannot update SVG reference: newSvg is null');
-      return;
-    }
-
-    // Remove old event listeners
-    if (this.svg) {
-      this.svg.removeEventListener('mousedown', this.onMouseDown);
-      this.svg.removeEventListener('touchstart', this.onTouchStart);
-    }
-
-    // Update reference
-    this.svg = newSvg;
-
-    // Re-attach event listeners to new SVG
-    this.svg.addEventListener('mousedown', this.onMouseDown.bind(this));
-    this.svg.addEventListener('touchstart', this.onTouchStart.bind(this), { passive: false });
-
-    logger.debug(CONTEXT, 'SVG reference updated');
-  }
-
   /**
    * Destroy interaction and clean up events
    */
   destroy() {
     if (this.svg) {
-      this.svg.removeEventListener('mousedown', this.onMouseDown);
-      this.svg.removeEventListener('touchstart', this.onTouchStart);
+      this.svg.removeEventListener('pointerdown', this.onPointerDown);
+      this.detachKeyboardEvents();
     }
 
-    document.removeEventListener('mousemove', this.onMouseMove);
-    document.removeEventListener('mouseup', this.onMouseUp);
-    document.removeEventListener('touchmove', this.onTouchMove);
-    document.removeEventListener('touchend', this.onTouchEnd);
+    document.removeEventListener('pointermove', this.onPointerMove);
+    document.removeEventListener('pointerup', this.onPointerUp);
+    document.removeEventListener('pointercancel', this.onPointerUp);
+    this.drags.clear();
 
     logger.debug(CONTEXT, 'Interaction destroyed');
   }
@@ -3,77 +3,237 @@
  */
 
 import { logger } from '../core/logger.js';
-import { animate, Easing } from '../utils/animations.js';
+import { animate, Easing, AnimationQueue } from '../utils/animations.js';
 
 const CONTEXT = 'AbacusPhysics';
 
 export class AbacusPhysics {
   /**
    * @param {Abacus} abacus - Abacus instance
+   * @param {Object} options
+   * @param {number} options.animationDuration - Snap of a released bead, ms (default: 150, 0 = no animation);
+   *   whole rods set by value move twice as long
    */
-  constructor(abacus) {
+  constructor(abacus, options = {}) {
     this.abacus = abacus;
-    this.SNAP_DISTANCE = 15;
-    this.ANIMATION_DURATION = 150;
-    this.currentAnimation = null;
-    
+    this.ANIMATION_DURATION = Number.isFinite(options.animationDuration) ? options.animationDuration : 150;
+    this.COLUMN_ANIMATION_DURATION = this.ANIMATION_DURATION * 2;
+
+    // Running animations keyed by bead ("col:type:index")
+    this.animations = new Map();
+
+    // Sequencer for multi-step animations (solution playback, history)
+    this.queue = new AnimationQueue();
+
     logger.debug(CONTEXT, 'Physics initialized');
   }
 
   /**
-   * Snap bead - just update position state based on current Y
-   * No animation, bead stays where user released it
+   * Settle a released bead group to the nearest valid position
+   * Beads past half of their travel go to the bar, the rest back to the frame.
    * @param {number} col - Column index
    * @param {string} type - 'heaven' or 'earth'
    * @param {number} index - Bead index
+   * @returns {Promise} - Resolves when the group has snapped
    */
   snapBead(col, type, index) {
-    const beadRef = type === 'heaven'
-      ? this.abacus.beads[col].heaven
-      : this.abacus.beads[col].earth[index];
-
-    const currentY = beadRef.y;
-    const beadHeight = this.abacus.config.beadHeight;
-    const gap = 1;
-
-    // Determine position based on compact group at bottom
-    if (type === 'heaven') {
-      // Heaven bead: опущена (down) если близко к планке (ниже y=111) → даёт 5
-      const barTop = 111;
-      const ACTIVATION_DISTANCE = 30;
-      const threshold = barTop - ACTIVATION_DISTANCE; // 81
-      beadRef.position = currentY > threshold ? 'down' : 'up';
-    } else {
-      // Earth beads: считаем сколько косточек в компактной группе у нижней рамки
-      // Проверяем снизу вверх - косточки в компактной группе у низа = неактивны
-      const beads = this.abacus.beads[col].earth;
-      const bottomY = 284 - beadHeight / 2 - gap; // 265 - позиция у нижней рамки
-      const TOLERANCE = 5; // допуск для определения компактной группы
-
-      let inactiveCount = 0;
-      let expectedY = bottomY;
-
-      // Проверяем снизу вверх (от earth[3] к earth[0])
-      for (let i = 3; i >= 0; i--) {
-        if (Math.abs(beads[i].y - expectedY) < TOLERANCE) {
-          // Косточка на ожидаемой позиции в нижней группе - неактивна
-          beads[i].position = 'down';
-          inactiveCount++;
-          expectedY = expectedY - beadHeight; // следующая ожидаемая позиция выше
-        } else {
-          // Разрыв найден - все косточки выше активны
-          break;
-        }
+    const count = this.abacus.model.getNearestCount(col, type);
+    return this.animateGroupTo(col, type, count, index);
+  }
+
+  /**
+   * Tap - move a bead to the other side together with the beads in its way
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} index - Bead index
+   * @returns {Promise}
+   */
+  toggleBead(col, type, index) {
+    const count = this.abacus.model.getMoveCount(col, type, index);
+    return this.animateGroupTo(col, type, count, index);
+  }
+
+  /**
+   * Flick - throw a bead to the bar or to the frame, wherever it was released
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} index - Bead index
+   * @param {boolean} toActive - True to throw it to the bar
+   * @returns {Promise}
+   */
+  flickBead(col, type, index, toActive) {
+    const count = this.abacus.model.getMoveCount(col, type, index, toActive);
+    return this.animateGroupTo(col, type, count, index);
+  }
+
+  /**
+   * Animate a bead group to resting state with a number of active beads
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} count - Active beads
+   * @param {number} index - Bead that was moved (reported in events)
+   * @returns {Promise}
+   */
+  animateGroupTo(col, type, count, index) {
+    const layout = this.abacus.model.getGroupLayout(type, count);
+    this.abacus.getBead(col, type, index).isDragging = false;
+
+    const animations = layout.map(({ index: i, y }) => (
+      this.animateBead(col, type, i, y, this.ANIMATION_DURATION)
+    ));
+
+    return Promise.all(animations).then(results => {
+      // Группу схватили снова - состояние обновит следующее отпускание
+      if (results.includes(false)) return;
+
+      layout.forEach(({ index: i, position }) => {
+        this.abacus.getBead(col, type, i).position = position;
+      });
+      this.notifySnap(col, type, index, layout[index].position);
+    });
+  }
+
+  /**
+   * Stop animations of a bead group, e.g. when a finger catches it mid-flight
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   */
+  cancelGroupAnimation(col, type) {
+    this.abacus.beads[col][type].forEach((bead, i) => {
+      const animation = this.animations.get(`${col}:${type}:${i}`);
+      if (animation) {
+        animation.cancel();
       }
+    });
+  }
 
-      // Все косточки выше компактной группы внизу - активны
-      for (let i = 0; i < 4 - inactiveCount; i++) {
-        beads[i].position = 'up';
+  /**
+   * Update active/inactive state of a bead group from current Y positions
+   * Beads in the compact group at the frame (bottom for earth, top for heaven)
+   * are inactive, every bead past the first gap is active.
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   */
+  updatePositions(col, type) {
+    const beads = this.abacus.beads[col][type];
+    const TOLERANCE = 5; // допуск для определения компактной группы
+    const inactive = type === 'heaven' ? 'up' : 'down';
+    const active = type === 'heaven' ? 'down' : 'up';
+
+    // Проверяем от рамки к планке: земные снизу вверх, небесные сверху вниз
+    const order = beads.map((bead, i) => (type === 'heaven' ? i : beads.length - 1 - i));
+
+    let inactiveCount = 0;
+    for (const i of order) {
+      const expectedY = this.abacus.layout.getBeadRestY(type, i, inactive);
+      if (Math.abs(beads[i].y - expectedY) >= TOLERANCE) {
+        // Разрыв найден - все косточки дальше активны
+        break;
       }
+      beads[i].position = inactive;
+      inactiveCount++;
+    }
+
+    order.slice(inactiveCount).forEach(i => {
+      beads[i].position = active;
+    });
+  }
+
+  /**
+   * Animate Y of a single bead, replacing any animation already running on it
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} index - Bead index
+   * @param {number} targetY - Target Y position
+   * @param {number} duration - Duration in milliseconds
+   * @returns {Promise<boolean>} - Resolves with true when finished, false when cancelled
+   */
+  animateBead(col, type, index, targetY, duration) {
+    const key = `${col}:${type}:${index}`;
+    const previous = this.animations.get(key);
+    if (previous) {
+      previous.cancel();
     }
 
-    beadRef.isDragging = false;
+    const beadRef = this.abacus.getBead(col, type, index);
+
+    return new Promise(resolve => {
+      const controller = animate({
+        from: beadRef.y,
+        to: targetY,
+        duration,
+        easing: Easing.easeOutCubic,
+        onUpdate: (currentY) => {
+          beadRef.y = currentY;
+          if (this.abacus.renderer) {
+            this.abacus.renderer.updateBeadPosition(col, type, index, currentY);
+          }
+        },
+        onComplete: () => {
+          beadRef.y = targetY;
+          this.animations.delete(key);
+          resolve(true);
+        }
+      });
+
+      this.animations.set(key, {
+        cancel: () => {
+          controller.cancel();
+          this.animations.delete(key);
+          resolve(false);
+        }
+      });
+    });
+  }
+
+  /**
+   * Animate all beads of a rod to the resting layout of a digit
+   * @param {number} col - Column index
+   * @param {number} digit - Target digit
+   * @returns {Promise}
+   */
+  animateColumnTo(col, digit) {
+    const layout = this.abacus.getColumnLayout(digit);
+    const moved = layout.filter(({ type, index, position }) => (
+      this.abacus.getBead(col, type, index).position !== position
+    ));
+
+    const animations = layout.map(({ type, index, y }) => (
+      this.animateBead(col, type, index, y, this.COLUMN_ANIMATION_DURATION)
+    ));
+
+    return Promise.all(animations).then(results => {
+      if (results.includes(false)) return;
+
+      layout.forEach(({ type, index, position }) => {
+        this.abacus.getBead(col, type, index).position = position;
+      });
+
+      if (moved.length > 0) {
+        const { type, index, position } = moved[0];
+        this.notifySnap(col, type, index, position);
+      }
+    });
+  }
+
+  /**
+   * Queue rod animation after the ones already queued
+   * @param {number} col - Column index
+   * @param {number} digit - Target digit
+   * @returns {Promise}
+   */
+  queueColumnTo(col, digit) {
+    return this.queue.add(() => this.animateColumnTo(col, digit));
+  }
 
+  /**
+   * Update digits and trigger change events after a bead has settled
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} index - Bead index
+   * @param {string} position - New position
+   */
+  notifySnap(col, type, index, position) {
     // Update digits if enabled
     if (this.abacus.config.showDigits && this.abacus.renderer) {
       this.abacus.renderer.updateDigits();
@@ -92,73 +252,10 @@ export class AbacusPhysics {
       col,
       type,
       index,
-      position: beadRef.position
+      position
     });
 
-    logger.debug(CONTEXT, `Bead snapped: col=${col}, type=${type}, position=${beadRef.position}`);
-  }
-
-  /**
-   * Animate bead to target position
-   * @param {number} col - Column index
-   * @param {string} type - 'heaven' or 'earth'
-   * @param {number} index - Bead index
-   * @param {number} targetY - Target Y position
-   * @param {string} targetPosition - Target position ('up' or 'down')
-   */
-  animateBeadTo(col, type, index, targetY, targetPosition) {
-    // Cancel previous animation if exists
-    if (this.currentAnimation) {
-      this.currentAnimation.cancel();
-    }
-
-    const beadRef = type === 'heaven' 
-      ? this.abacus.beads[col].heaven 
-      : this.abacus.beads[col].earth[index];
-    
-    const startY = beadRef.y;
-
-    this.currentAnimation = animate({
-      from: startY,
-      to: targetY,
-      duration: this.ANIMATION_DURATION,
-      easing: Easing.easeOutCubic,
-      onUpdate: (currentY) => {
-        beadRef.y = currentY;
-        if (this.abacus.renderer) {
-          this.abacus.renderer.updateBeadPosition(col, type, index, currentY);
-        }
-      },
-      onComplete: () => {
-        beadRef.position = targetPosition;
-        beadRef.y = targetY;
-        beadRef.isDragging = false;
-        
-        // Update digits if enabled
-        if (this.abacus.config.showDigits && this.abacus.renderer) {
-          this.abacus.renderer.updateDigits();
-        }
-        
-        // Trigger onChange event
-        this.abacus.triggerEvent('onChange', { 
-          col, 
-          type, 
-          index, 
-          value: this.abacus.getValue() 
-        });
-        
-        // Trigger onBeadSnap event
-        this.abacus.triggerEvent('onBeadSnap', { 
-          col, 
-          type, 
-          index, 
-          position: targetPosition 
-        });
-        
-        this.currentAnimation = null;
-        logger.debug(CONTEXT, `Bead snapped: col=${col}, type=${type}, position=${targetPosition}`);
-      }
-    });
+    logger.debug(CONTEXT, `Bead snapped: col=${col}, type=${type}, position=${position}`);
   }
 
   /**
@@ -169,41 +266,21 @@ export class AbacusPhysics {
    * @returns {Object} - {min, max}
    */
   getYConstraints(col, type, index) {
-    const beadHeight = this.abacus.config.beadHeight;
-    const gap = 1; // 1px gap from bars/frames
-
-    if (type === 'heaven') {
-      // Heaven bead moves between top frame (bottom at y=60) and middle bar (top at y=111)
-      return {
-        min: 60 + beadHeight / 2 + gap,   // 60 + 18 + 1 = 79
-        max: 111 - beadHeight / 2 - gap   // 111 - 18 - 1 = 92
-      };
-    } else {
-      // Earth beads move between middle bar (bottom at y=121) and bottom frame (top at y=284)
-      return {
-        min: 121 + beadHeight / 2 + gap,  // 121 + 18 + 1 = 140
-        max: 284 - beadHeight / 2 - gap   // 284 - 18 - 1 = 265
-      };
-    }
-  }
-
-  /**
-   * Check if bead should snap to bar
-   * @param {number} y - Current Y position
-   * @param {number} barY - Bar Y position
-   * @returns {boolean}
-   */
-  shouldSnapToBar(y, barY) {
-    return Math.abs(y - barY) <= this.SNAP_DISTANCE;
+    // Limits of the whole group: first bead against the upper limit, last bead against the lower one
+    // Soroban heaven: 79..92 (top frame..middle bar), earth: 140..265 (middle bar..bottom frame)
+    const count = this.abacus.beads[col][type].length;
+    return {
+      min: this.abacus.layout.getBeadRestY(type, 0, 'up'),
+      max: this.abacus.layout.getBeadRestY(type, count - 1, 'down')
+    };
   }
 
   /**
-   * Cancel current animation
+   * Cancel running and queued animations
    */
   cancelAnimation() {
-    if (this.currentAnimation) {
-      this.currentAnimation.cancel();
-      this.currentAnimation = null;
-    }
+    this.queue.clear();
+    [...this.animations.values()].forEach(animation => animation.cancel());
+    this.animations.clear();
   }
 }
@@ -1,10 +1,42 @@
 /**
- * Abacus Renderer - Handles SVG rendering
+ * Abacus Renderer - Owns the SVG scene graph of the abacus
+ * The <svg> element is created once (mount) and keeps its listeners for the
+ * lifetime of the abacus. Structural changes (rod count, geometry) rebuild the
+ * body (build); everything else updates only what changed: bead transforms,
+ * digits, notches, regions. Bead moves are collected and written in one
+ * requestAnimationFrame pass (flush). Colors come from abacus.theme (core/Themes.js).
  */
 
 import { logger } from '../core/logger.js';
+import { i18n } from '../i18n/i18n.js';
+import { Finger } from '../core/Formulas.js';
+import { AbacusType } from '../core/AbacusTypes.js';
 
 const CONTEXT = 'AbacusRenderer';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Tint of workspace regions (core/Workspace.js), matches .workspace-readout in main.css
+const REGION_COLORS = {
+  multiplier: '#1e88e5',
+  multiplicand: '#43a047',
+  product: '#8e24aa',
+  divisor: '#1e88e5',
+  quotient: '#8e24aa',
+  remainder: '#43a047'
+};
+
+/**
+ * Set an attribute only if its value differs - unchanged nodes are not touched
+ * @param {Element} element
+ * @param {string} name - Attribute name
+ * @param {any} value - New value
+ */
+function setAttributeIfChanged(element, name, value) {
+  const text = String(value);
+  if (element.getAttribute(name) !== text) {
+    element.setAttribute(name, text);
+  }
+}
 
 export class AbacusRenderer {
   /**
@@ -12,36 +44,185 @@ export class AbacusRenderer {
    */
   constructor(abacus) {
     this.abacus = abacus;
+
+    // Scene graph (see mount/build)
+    this.svg = null;
+    this.body = null;
+    this.digitsGroup = null;
+    this.hintsGroup = null;
+    this.rodElements = [];
+    this.beadElements = new Map(); // "col:type:index" -> <g class="bead">
+    this.notchElements = [];
+    this.digitElements = [];
+
+    // Bead Y drawn on screen and Y waiting for the next frame, by bead key
+    this.drawn = new Map();
+    this.pending = new Map();
+    this.frame = null;
+
+    this.focusedCol = null; // Rod with the focus ring, null = hidden
+
     logger.debug(CONTEXT, 'Renderer initialized');
   }
 
   /**
-   * Update single bead position without full re-render
+   * Create the SVG element in the abacus container
+   * @returns {SVGElement}
+   */
+  mount() {
+    this.abacus.container.innerHTML = `
+      <svg id="abacus-svg" tabindex="0" role="group" aria-label="${i18n.t('abacusLabel')}" style="user-select: none; overflow: visible; outline: none; touch-action: none;">
+        <defs>${this.renderDefs()}</defs>
+        <g class="digits"></g>
+        <g class="abacus-body"></g>
+        <g class="finger-hints"></g>
+      </svg>
+    `;
+
+    this.svg = this.abacus.container.querySelector('#abacus-svg');
+    this.digitsGroup = this.svg.querySelector('.digits');
+    this.body = this.svg.querySelector('.abacus-body');
+    this.hintsGroup = this.svg.querySelector('.finger-hints');
+    return this.svg;
+  }
+
+  /**
+   * Rebuild rods, beads and digits for the current layout
+   * Called on structural changes only - the SVG element itself is kept.
+   */
+  build() {
+    if (!this.svg) return;
+
+    const { layout } = this.abacus;
+    const { width, height } = this.abacus.getDisplaySize();
+    this.cancelFrame();
+    this.pending.clear();
+    this.drawn.clear();
+
+    // viewBox в координатах раскладки - узкий контейнер уменьшает абакус, а не прячет стержни
+    this.svg.setAttribute('viewBox', `0 0 ${layout.width} ${layout.height}`);
+    this.svg.setAttribute('width', width);
+    this.svg.setAttribute('height', height);
+    this.body.setAttribute('transform', layout.getBodyTransform());
+
+    this.body.innerHTML = `
+      ${this.renderFrame()}
+      <g class="regions"></g>
+      ${this.renderRods()}
+      ${this.renderMiddleBar()}
+      ${this.renderBeads()}
+    `;
+    this.digitsGroup.innerHTML = this.renderDigits();
+    this.hintsGroup.innerHTML = '';
+
+    this.rodElements = [...this.body.querySelectorAll('.rod')];
+    this.notchElements = [...this.body.querySelectorAll('.notch')];
+    this.digitElements = [...this.digitsGroup.querySelectorAll('.digit')];
+    this.beadElements.clear();
+    this.body.querySelectorAll('.bead').forEach(element => {
+      const { col, type, index } = element.dataset;
+      const key = `${col}:${type}:${index}`;
+      this.beadElements.set(key, element);
+      this.drawn.set(key, this.abacus.getBead(Number(col), type, Number(index)).y);
+    });
+
+    this.updateRegions();
+    this.updateNotches();
+    this.updateDigits();
+    if (this.focusedCol !== null && this.focusedCol < this.abacus.columns) {
+      this.updateFocusRing(this.focusedCol);
+    }
+
+    logger.debug(CONTEXT, `Scene built: ${this.abacus.columns} rods`);
+  }
+
+  /**
+   * Bring the scene in line with the bead model
+   * Beads that moved are queued for the next frame, rod values and digits are updated now.
+   */
+  update() {
+    for (let col = 0; col < this.abacus.columns; col++) {
+      const rod = this.rodElements[col];
+      if (rod) {
+        setAttributeIfChanged(rod, 'aria-valuenow', this.abacus.getColumnValue(col));
+      }
+
+      ['heaven', 'earth'].forEach(type => {
+        this.abacus.beads[col][type].forEach((bead, index) => {
+          this.updateBeadPosition(col, type, index, bead.y);
+        });
+      });
+    }
+
+    this.updateDigits();
+  }
+
+  /**
+   * Queue a bead position for the next frame
    * @param {number} col - Column index
    * @param {string} type - 'heaven' or 'earth'
    * @param {number} index - Bead index
    * @param {number} y - New Y position
    */
   updateBeadPosition(col, type, index, y) {
-    const svg = this.abacus.svgElement;
-    if (!svg) return;
-
-    const selector = `[data-col="${col}"][data-type="${type}"][data-index="${index}"]`;
-    const beadGroup = svg.querySelector(selector);
-
-    if (beadGroup) {
-      const x = 60 + col * 72; // Центр первой колонки: startX(20) + 40
-      const path = beadGroup.querySelector('path');
-      const line = beadGroup.querySelector('line');
-      
-      if (path && line) {
-        path.setAttribute('d', this.getBeadPath(x, y, this.abacus.config.beadWidth, this.abacus.config.beadHeight));
-        line.setAttribute('y1', y);
-        line.setAttribute('y2', y);
+    const key = `${col}:${type}:${index}`;
+    if (this.drawn.get(key) === y) {
+      this.pending.delete(key);
+      return;
+    }
+
+    this.pending.set(key, { col, y });
+    if (this.frame === null) {
+      this.frame = requestAnimationFrame(() => this.flush());
+    }
+  }
+
+  /**
+   * Write queued bead positions to the SVG now
+   */
+  flush() {
+    this.cancelFrame();
+
+    this.pending.forEach(({ col, y }, key) => {
+      const element = this.beadElements.get(key);
+      if (element) {
+        element.setAttribute('transform', this.getBeadTransform(col, y));
       }
+      this.drawn.set(key, y);
+    });
+    this.pending.clear();
+  }
+
+  /**
+   * Cancel the scheduled frame (queued positions stay queued)
+   */
+  cancelFrame() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
     }
   }
 
+  /**
+   * Bead group transform - beads are drawn around their own center
+   * @param {number} col - Column index
+   * @param {number} y - Bead Y position
+   * @returns {string}
+   */
+  getBeadTransform(col, y) {
+    return `translate(${this.abacus.layout.rodX(col)}, ${y})`;
+  }
+
+  /**
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} index - Bead index
+   * @returns {SVGGElement|undefined}
+   */
+  getBeadElement(col, type, index) {
+    return this.beadElements.get(`${col}:${type}:${index}`);
+  }
+
   /**
    * Get SVG path for bead shape
    * @param {number} x - Center X
@@ -53,7 +234,7 @@ export class AbacusRenderer {
   getBeadPath(x, y, width, height) {
     const hw = width;
     const hh = height / 2;
-    const cutSize = 12;
+    const cutSize = width * 0.375; // 12 при стандартной ширине
     const sideRoundness = 2;
 
     return `
@@ -78,23 +259,11 @@ export class AbacusRenderer {
    * @param {boolean} highlight - Highlight state
    */
   highlightBead(col, type, index, highlight) {
-    const svg = this.abacus.svgElement;
-    if (!svg) return;
-
-    const selector = `[data-col="${col}"][data-type="${type}"][data-index="${index}"]`;
-    const beadGroup = svg.querySelector(selector);
-    
-    if (beadGroup) {
-      const path = beadGroup.querySelector('path');
-      if (path) {
-        if (highlight) {
-          path.style.filter = 'brightness(1.2)';
-          path.style.cursor = 'grab';
-        } else {
-          path.style.filter = '';
-          path.style.cursor = '';
-        }
-      }
+    const beadGroup = this.getBeadElement(col, type, index);
+    const path = beadGroup && beadGroup.querySelector('path');
+    if (path) {
+      path.style.filter = highlight ? 'brightness(1.2)' : '';
+      path.style.cursor = highlight ? 'grab' : '';
     }
   }
 
@@ -106,74 +275,441 @@ export class AbacusRenderer {
    * @param {boolean} isDragging - Dragging state
    */
   setBeadDragging(col, type, index, isDragging) {
-    const svg = this.abacus.svgElement;
-    if (!svg) return;
-
-    const selector = `[data-col="${col}"][data-type="${type}"][data-index="${index}"]`;
-    const beadGroup = svg.querySelector(selector);
-    
-    if (beadGroup) {
-      const path = beadGroup.querySelector('path');
-      if (path) {
-        if (isDragging) {
-          path.style.cursor = 'grabbing';
-          path.style.filter = 'brightness(1.3)';
-        } else {
-          path.style.cursor = '';
-          path.style.filter = '';
-        }
-      }
+    const beadGroup = this.getBeadElement(col, type, index);
+    const path = beadGroup && beadGroup.querySelector('path');
+    if (path) {
+      path.style.cursor = isDragging ? 'grabbing' : '';
+      path.style.filter = isDragging ? 'brightness(1.3)' : '';
     }
   }
 
   /**
-   * Update digits display
+   * Update digits display - only digits that changed are rewritten
    */
   updateDigits() {
-    if (!this.abacus.config.showDigits) return;
+    if (!this.digitsGroup) return;
+
+    const { showDigits, decimalPlaces } = this.abacus.config;
+    setAttributeIfChanged(this.digitsGroup, 'display', showDigits ? 'inline' : 'none');
+    if (!showDigits) return;
 
-    const svg = this.abacus.svgElement;
-    if (!svg) return;
+    this.digitElements.forEach((element, col) => {
+      const value = String(this.abacus.getColumnValue(col));
+      if (element.textContent !== value) {
+        element.textContent = value;
+      }
+    });
 
-    // Remove old digits
-    const oldDigits = svg.querySelector('.digits');
-    if (oldDigits) {
-      oldDigits.remove();
+    // Decimal separator right of the unit rod
+    const separator = this.digitsGroup.querySelector('.decimal-separator');
+    const unitCol = this.abacus.getUnitColumn();
+    const visible = decimalPlaces > 0 && unitCol + 1 < this.abacus.columns;
+    setAttributeIfChanged(separator, 'display', visible ? 'inline' : 'none');
+    if (visible) {
+      const { x, y } = this.abacus.layout.getDigitPosition(unitCol + 0.5);
+      setAttributeIfChanged(separator, 'x', x);
+      setAttributeIfChanged(separator, 'y', y);
+      const text = i18n.getDecimalSeparator();
+      if (separator.textContent !== text) {
+        separator.textContent = text;
+      }
     }
+  }
+
+  /**
+   * Show notches and the decimal point for the current notch offset and unit rod
+   * Notches are placed every 3rd digit from the RIGHT (for thousands, millions, etc.)
+   */
+  updateNotches() {
+    const notchOffset = this.abacus.config.notchOffset || 0;
+    // Целевой остаток: 2 = стандарт (3,6,9 справа), 1 = сдвиг влево, 0 = сдвиг вправо
+    const targetRemainder = (2 - notchOffset + 3) % 3;
+
+    this.notchElements.forEach(notch => {
+      const rightIndex = this.abacus.columns - 1 - Number(notch.dataset.col); // 0 = самый правый
+      setAttributeIfChanged(notch, 'display', rightIndex % 3 === targetRemainder ? 'inline' : 'none');
+    });
 
-    // Create new digits group using proper SVG namespace
-    const SVG_NS = 'http://www.w3.org/2000/svg';
-    const digitsGroup = document.createElementNS(SVG_NS, 'g');
-    digitsGroup.setAttribute('class', 'digits');
+    const point = this.body && this.body.querySelector('.decimal-point');
+    if (!point) return;
+
+    const unitCol = this.abacus.getUnitColumn();
+    const visible = this.abacus.config.decimalPlaces > 0 && unitCol + 1 < this.abacus.columns;
+    setAttributeIfChanged(point, 'display', visible ? 'inline' : 'none');
+    if (visible) {
+      // Между единичным стержнем и первым дробным
+      setAttributeIfChanged(point, 'transform', `translate(${this.abacus.layout.rodX(unitCol + 0.5)}, ${this.abacus.layout.getBarCenterY()})`);
+    }
+  }
+
+  /**
+   * Accessible names of the abacus and its rods (place values move with the unit rod)
+   */
+  updateLabels() {
+    if (!this.svg) return;
+
+    setAttributeIfChanged(this.svg, 'aria-label', i18n.t('abacusLabel'));
+    this.rodElements.forEach((rod, col) => {
+      setAttributeIfChanged(rod, 'aria-label', this.abacus.getRodLabel(col));
+    });
+  }
+
+  /**
+   * Tint workspace regions behind the rods
+   */
+  updateRegions() {
+    const group = this.body && this.body.querySelector('.regions');
+    if (group) {
+      group.innerHTML = this.renderRegions();
+    }
+  }
+
+  /**
+   * Redraw with the colors of abacus.theme
+   */
+  updateTheme() {
+    if (!this.svg) return;
+
+    this.svg.querySelector('defs').innerHTML = this.renderDefs();
+    this.build();
+  }
+
+  /**
+   * Draw keyboard focus ring around a rod
+   * @param {number|null} col - Column index, null to hide the ring
+   */
+  updateFocusRing(col) {
+    if (!this.body) return;
+
+    this.focusedCol = col;
+    const oldRing = this.body.querySelector('.focus-ring');
+    if (oldRing) {
+      oldRing.remove();
+    }
+
+    if (col === null) return;
+
+    const { x, y, width, height } = this.abacus.layout.getRodBox(col, 4); // Рамки + отступ 4px
+    const ring = document.createElementNS(SVG_NS, 'rect');
+    ring.setAttribute('class', 'focus-ring');
+    ring.setAttribute('x', x);
+    ring.setAttribute('y', y);
+    ring.setAttribute('width', width);
+    ring.setAttribute('height', height);
+    ring.setAttribute('rx', 10);
+    ring.setAttribute('fill', 'none');
+    ring.setAttribute('stroke', '#4a90e2');
+    ring.setAttribute('stroke-width', 3);
+    ring.setAttribute('stroke-dasharray', '8 4');
+    ring.style.pointerEvents = 'none';
+
+    this.body.appendChild(ring);
+  }
+
+  /**
+   * Show finger icon below a rod (finger training)
+   * @param {number} col - Column index
+   * @param {string|null} finger - Finger (see core/Formulas.js), null to hide
+   * @param {boolean} mistake - Highlight as a technique mistake
+   */
+  updateFingerHint(col, finger, mistake = false) {
+    if (!this.hintsGroup) return;
+
+    const oldHint = this.hintsGroup.querySelector(`.finger-hint[data-col="${col}"]`);
+    if (oldHint) {
+      oldHint.remove();
+    }
+
+    if (!finger) return;
+
+    const { x, y } = this.abacus.layout.getFingerHintPosition(col);
+    const hint = document.createElementNS(SVG_NS, 'text');
+    hint.setAttribute('class', mistake ? 'finger-hint finger-hint--mistake' : 'finger-hint');
+    hint.setAttribute('data-col', col);
+    hint.setAttribute('x', x);
+    hint.setAttribute('y', y);
+    hint.setAttribute('text-anchor', 'middle');
+    hint.setAttribute('dominant-baseline', 'central');
+    hint.setAttribute('font-size', this.abacus.layout.frameThickness * 0.7);
+    hint.style.pointerEvents = 'none';
+    if (mistake) {
+      hint.style.filter = 'drop-shadow(0 0 3px #e53935)';
+    }
+    hint.textContent = finger === Finger.THUMB ? '👍' : '☝️';
+
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = i18n.t(finger === Finger.THUMB ? 'fingerThumb' : 'fingerIndex');
+    hint.appendChild(title);
+
+    this.hintsGroup.appendChild(hint);
+  }
+
+  /**
+   * SVG Definitions (gradients, filters) - content of <defs>
+   */
+  renderDefs() {
+    const { frame, bar, heaven, earth, accent } = this.abacus.theme;
+    const stops = (colors, offsets) => colors
+      .map((color, i) => `<stop offset="${offsets[i]}%" stop-color="${color}" stop-opacity="1" />`)
+      .join('');
+
+    return `
+      <!-- Shadow for beads -->
+      <filter id="beadShadow" x="-50%" y="-50%" width="200%" height="200%">
+        <feGaussianBlur in="SourceAlpha" stdDeviation="3"/>
+        <feOffset dx="0" dy="3" result="offsetblur"/>
+        <feComponentTransfer>
+          <feFuncA type="linear" slope="0.6"/>
+        </feComponentTransfer>
+        <feMerge>
+          <feMergeNode/>
+          <feMergeNode in="SourceGraphic"/>
+        </feMerge>
+      </filter>
+
+      <!-- Shadow for frame -->
+      <filter id="frameShadow" x="-10%" y="-10%" width="120%" height="120%">
+        <feGaussianBlur in="SourceAlpha" stdDeviation="4"/>
+        <feOffset dx="0" dy="4" result="offsetblur"/>
+        <feComponentTransfer>
+          <feFuncA type="linear" slope="0.5"/>
+        </feComponentTransfer>
+        <feMerge>
+          <feMergeNode/>
+          <feMergeNode in="SourceGraphic"/>
+        </feMerge>
+      </filter>
+
+      <!-- Gradient for frame -->
+      <linearGradient id="topFrameGradient" x1="0%" y1="0%" x2="0%" y2="100%">
+        ${stops(frame, [0, 50, 100])}
+      </linearGradient>
+
+      <!-- Gradient for metal bar -->
+      <linearGradient id="metalBarGradient" x1="0%" y1="0%" x2="0%" y2="100%">
+        ${stops(bar, [0, 30, 50, 70, 100])}
+      </linearGradient>
+
+      <!-- Gradients for beads: heaven, earth and dark middle beads of schoty -->
+      <radialGradient id="beadHeavenGradient" cx="45%" cy="40%">
+        ${stops(heaven, [0, 50, 100])}
+      </radialGradient>
+      <radialGradient id="beadGradient" cx="45%" cy="40%">
+        ${stops(earth, [0, 50, 100])}
+      </radialGradient>
+      <radialGradient id="beadDarkGradient" cx="45%" cy="40%">
+        ${stops(accent, [0, 50, 100])}
+      </radialGradient>
+    `;
+  }
+
+  /**
+   * Render abacus frame
+   */
+  renderFrame() {
+    const { frameLeft: startX, frameWidth: width, frameTop, frameThickness } = this.abacus.layout;
+    const bottomY = this.abacus.layout.bottomFrameTop; // 284 для соробана
+    return `
+      <!-- Top frame -->
+      <rect x="${startX}" y="${frameTop}" width="${width}" height="${frameThickness}" fill="url(#topFrameGradient)" filter="url(#frameShadow)" rx="10" ry="10"/>
+      <rect x="${startX + 5}" y="${frameTop + 3}" width="${width - 10}" height="4" fill="rgba(255, 255, 255, 0.15)" rx="2"/>
+
+      <!-- Bottom frame -->
+      <rect x="${startX}" y="${bottomY}" width="${width}" height="${frameThickness}" fill="url(#topFrameGradient)" filter="url(#frameShadow)" rx="10" ry="10"/>
+      <rect x="${startX + 5}" y="${bottomY + 3}" width="${width - 10}" height="4" fill="rgba(255, 255, 255, 0.15)" rx="2"/>
+    `;
+  }
+
+  /**
+   * Render tinted workspace regions behind the rods
+   */
+  renderRegions() {
+    const { workspace, layout, columns } = this.abacus;
+    if (!workspace) return '';
+
+    return workspace.regions
+      .filter(region => region.start + region.length <= columns)
+      .map(region => {
+        const first = layout.getRodBox(region.start);
+        const last = layout.getRodBox(region.start + region.length - 1);
+        return `<rect class="workspace-region" data-role="${region.role}" x="${first.x + 2}" y="${first.y}" width="${last.x + last.width - first.x - 4}" height="${first.height}" fill="${REGION_COLORS[region.role]}" fill-opacity="0.18" rx="8" ry="8" pointer-events="none"/>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Render rods
+   */
+  renderRods() {
+    let rods = '';
+    const { topFrameBottom, bottomFrameTop, rodThickness } = this.abacus.layout;
+    for (let col = 0; col < this.abacus.columns; col++) {
+      const x = this.abacus.layout.rodX(col);
+      rods += `<line x1="${x}" y1="${topFrameBottom}" x2="${x}" y2="${bottomFrameTop}" stroke="${this.abacus.theme.rod}" stroke-width="${rodThickness}"/>`;
+    }
+    return rods;
+  }
+
+  /**
+   * Render middle separator bar
+   */
+  renderMiddleBar() {
+    // Счёты без средней планки - только десятичная точка на рамке
+    if (this.abacus.type.heaven === 0) return this.renderDecimalPoint();
+
+    const { frameLeft: startX, frameWidth: width, barTop, barBottom, barHeight } = this.abacus.layout; // 111 и 121 для соробана
+    return `
+      <rect x="${startX}" y="${barTop}" width="${width}" height="${barHeight}" fill="url(#metalBarGradient)" rx="5" ry="5"/>
+      <rect x="${startX + 5}" y="${barTop + 1}" width="${width - 10}" height="2" fill="rgba(255, 255, 255, 0.6)" rx="1"/>
+      <rect x="${startX}" y="${barBottom}" width="${width}" height="2" fill="rgba(0, 0, 0, 0.3)" rx="1"/>
+      ${this.renderNotches()}
+      ${this.renderDecimalPoint()}
+    `;
+  }
+
+  /**
+   * Render decimal point, placed and shown by updateNotches
+   */
+  renderDecimalPoint() {
+    return `
+      <g class="decimal-point" display="none">
+        <circle cx="0" cy="0" r="6" fill="#FFFFFF"/>
+        <circle cx="0" cy="0" r="4" fill="${this.abacus.theme.decimalPoint}"/>
+      </g>
+    `;
+  }
+
+  /**
+   * Render notches (засечки) on the middle bar, one per rod - updateNotches shows every 3rd
+   */
+  renderNotches() {
+    let notchesHTML = '';
+    const [outer, ring, inner, center] = this.abacus.theme.notch;
+    const cy = this.abacus.layout.getBarCenterY(); // 116 - центр планки
 
-    // Используем columns (видимые) вместо digitCount (все)
     for (let col = 0; col < this.abacus.columns; col++) {
-      const x = 60 + col * 72; // Центр первой колонки: startX(20) + 40
-      const value = this.abacus.getColumnValue(col);
+      const x = this.abacus.layout.rodX(col);
+      // Золотая вдавленная точка на средней планке
+      notchesHTML += `
+        <g class="notch" data-col="${col}" display="none">
+          <circle cx="${x}" cy="${cy}" r="5" fill="${outer}"/>
+          <circle cx="${x}" cy="${cy - 0.5}" r="4" fill="${ring}"/>
+          <circle cx="${x}" cy="${cy - 1}" r="2.5" fill="${inner}"/>
+          <circle cx="${x}" cy="${cy - 1.5}" r="1" fill="${center}"/>
+        </g>
+      `;
+    }
+
+    return notchesHTML;
+  }
 
-      // Create text element with proper SVG namespace
-      const textElement = document.createElementNS(SVG_NS, 'text');
-      textElement.setAttribute('x', x);
-      textElement.setAttribute('y', '40');
-      textElement.setAttribute('text-anchor', 'middle');
-      textElement.setAttribute('font-family', 'Montserrat, sans-serif');
-      textElement.setAttribute('font-size', '20');
-      textElement.setAttribute('font-weight', '700');
-      textElement.setAttribute('fill', '#4a4a4a');
-      textElement.textContent = value;
+  /**
+   * Render all beads
+   */
+  renderBeads() {
+    const { abacus } = this;
+    let beadsHTML = '';
 
-      digitsGroup.appendChild(textElement);
+    for (let col = 0; col < abacus.columns; col++) {
+      beadsHTML += `<g id="rod-${col}" class="rod" role="slider" aria-orientation="${abacus.type.orientation}" aria-valuemin="0" aria-valuemax="${abacus.type.maxDigit}" aria-valuenow="${abacus.getColumnValue(col)}" aria-label="${abacus.getRodLabel(col)}">`;
+
+      ['heaven', 'earth'].forEach(type => {
+        abacus.beads[col][type].forEach((bead, index) => {
+          beadsHTML += this.renderBead(col, type, index, bead.y);
+        });
+      });
+
+      beadsHTML += '</g>';
     }
 
-    // Insert new digits group
-    svg.appendChild(digitsGroup);
+    return beadsHTML;
+  }
+
+  /**
+   * Render single bead, drawn around (0, 0) and moved by its transform
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} index - Bead index
+   * @param {number} y - Bead Y position
+   * @returns {string}
+   */
+  renderBead(col, type, index, y) {
+    const { beadWidth: width, beadHeight: height } = this.abacus.layout;
+
+    return `
+      <g class="bead" data-col="${col}" data-type="${type}" data-index="${index}" transform="${this.getBeadTransform(col, y)}" style="cursor: pointer;">
+        <path d="${this.getBeadPath(0, 0, width, height)}" fill="${this.getBeadFill(type, index)}" filter="url(#beadShadow)" style="pointer-events: all;"/>
+        <line x1="${-width}" y1="0" x2="${width}" y2="0" stroke="rgba(0, 0, 0, 0.075)" stroke-width="2" style="pointer-events: none;"/>
+      </g>
+    `;
+  }
+
+  /**
+   * Bead fill - schoty mark the two middle beads of a rod with the accent color
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} index - Bead index
+   * @returns {string}
+   */
+  getBeadFill(type, index) {
+    if (type === 'heaven') return 'url(#beadHeavenGradient)';
+
+    const abacusType = this.abacus.type;
+    const middle = abacusType.earth / 2;
+    const isMiddle = abacusType.id === AbacusType.SCHOTY && (index === middle - 1 || index === middle);
+    return isMiddle ? 'url(#beadDarkGradient)' : 'url(#beadGradient)';
+  }
+
+  /**
+   * Render digit placeholders above the abacus, filled by updateDigits
+   */
+  renderDigits() {
+    const text = (x, y, className) => `<text class="${className}" x="${x}" y="${y}" text-anchor="middle" font-family="Montserrat, sans-serif" font-size="20" font-weight="700" fill="${this.abacus.theme.digits}"></text>`;
+    let digitsHTML = '';
+
+    for (let col = 0; col < this.abacus.columns; col++) {
+      const { x, y } = this.abacus.layout.getDigitPosition(col);
+      digitsHTML += text(x, y, 'digit');
+    }
+
+    return digitsHTML + text(0, 0, 'decimal-separator');
+  }
+
+  /**
+   * Standalone copy of the scene for export (.svg file, PNG, worksheets)
+   * Natural layout size with the gradients inline; interactive state - focus
+   * ring, finger hints, element ids, slider roles, cursors - is left out.
+   * @returns {string} - SVG markup, empty before mount
+   */
+  serialize() {
+    if (!this.svg) return '';
+    this.flush();
+
+    const svg = this.svg.cloneNode(true);
+    svg.querySelectorAll('.focus-ring, .finger-hints, [display="none"]').forEach(element => element.remove());
+    // Id градиентов нужны для url(#...), остальные id повторялись бы на листе с несколькими абакусами
+    svg.querySelectorAll('[id]').forEach(element => {
+      if (!element.closest('defs')) element.removeAttribute('id');
+    });
+    svg.querySelectorAll('.rod, .bead, .bead path').forEach(element => {
+      [...element.attributes]
+        .filter(({ name }) => name === 'role' || name === 'style' || name.startsWith('aria-'))
+        .forEach(({ name }) => element.removeAttribute(name));
+    });
+
+    ['id', 'tabindex', 'style', 'aria-activedescendant'].forEach(name => svg.removeAttribute(name));
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('width', this.abacus.layout.width);
+    svg.setAttribute('height', this.abacus.layout.height);
+
+    return new XMLSerializer().serializeToString(svg);
   }
 
   /**
-   * Full re-render of abacus
+   * Drop the scheduled frame
    */
-  render() {
-    this.abacus.render();
-    logger.debug(CONTEXT, 'Full re-render complete');
+  destroy() {
+    this.cancelFrame();
+    this.pending.clear();
+    logger.debug(CONTEXT, 'Renderer destroyed');
   }
 }
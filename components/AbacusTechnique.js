@@ -0,0 +1,304 @@
+/**
+ * Abacus Technique - Watches bead snaps and validates soroban technique
+ * Consecutive snaps are grouped into one operation. When the student pauses,
+ * the operation is compared with the canonical formula and reported via onTechnique.
+ */
+
+import { logger } from '../core/logger.js';
+import { Formulas, FormulaType } from '../core/Formulas.js';
+
+const CONTEXT = 'AbacusTechnique';
+
+export class AbacusTechnique {
+  /**
+   * @param {Abacus} abacus - Abacus instance
+   * @param {Object} options
+   * @param {number} options.operationTimeout - Pause (ms) that ends an operation
+   */
+  constructor(abacus, options = {}) {
+    this.abacus = abacus;
+    this.OPERATION_TIMEOUT = options.operationTimeout || 1500;
+
+    this.rods = [];          // Last known bead state of each rod
+    this.moves = [];         // Moves of the pending operation
+    this.startDigits = null; // Rod digits when the pending operation started
+    this.timer = null;
+
+    this.syncState();
+
+    this.unsubscribe = [
+      this.abacus.on('onBeadSnap', this.onBeadSnap.bind(this)),
+      this.abacus.on('onChange', this.onChange.bind(this))
+    ];
+
+    logger.debug(CONTEXT, 'Technique validator initialized');
+  }
+
+  /**
+   * Read bead state of a rod
+   * @param {number} col - Column index
+   * @returns {Object} - { heaven: active heaven beads, earth: active earth beads }
+   */
+  readRod(col) {
+    const rod = this.abacus.beads[col];
+    return {
+      heaven: rod.heaven.filter(bead => bead.position === 'down').length,
+      earth: rod.earth.filter(bead => bead.position === 'up').length
+    };
+  }
+
+  /**
+   * Get digits of all rods, leftmost first
+   * @returns {Array<number>}
+   */
+  readDigits() {
+    const digits = [];
+    for (let col = 0; col < this.abacus.digitCount; col++) {
+      digits.push(this.abacus.getColumnValue(col));
+    }
+    return digits;
+  }
+
+  /**
+   * Forget pending moves and re-read bead state
+   */
+  syncState() {
+    this.cancelTimer();
+    this.moves = [];
+    this.startDigits = null;
+    this.rods = [];
+    for (let col = 0; col < this.abacus.digitCount; col++) {
+      this.rods[col] = this.readRod(col);
+    }
+  }
+
+  /**
+   * Bead snap handler - records the bead moves caused by the snap
+   * @param {Object} data - { col, type, index, position }
+   */
+  onBeadSnap(data) {
+    // Формулы соробана 1/4 неприменимы к другим типам абакуса
+    if (!this.abacus.type.formulas) return;
+
+    const { col } = data;
+    const before = this.rods[col];
+    const after = this.readRod(col);
+
+    if (!before) {
+      this.syncState();
+      return;
+    }
+
+    const moves = [];
+    if (after.heaven !== before.heaven) {
+      moves.push({ col, bead: 'heaven', delta: after.heaven - before.heaven });
+    }
+    if (after.earth !== before.earth) {
+      moves.push({ col, bead: 'earth', delta: after.earth - before.earth });
+    }
+    if (moves.length === 0) return;
+
+    if (!this.startDigits) {
+      this.startDigits = this.rods.map(rod => rod.heaven * 5 + rod.earth);
+    }
+
+    this.rods[col] = after;
+    this.moves.push(...moves);
+    this.restartTimer();
+  }
+
+  /**
+   * Change handler - values set programmatically (setValue, clear) reset tracking
+   * @param {Object} data - Event data
+   */
+  onChange(data) {
+    if (data && data.col !== undefined) return;
+    this.syncState();
+  }
+
+  /**
+   * Restart the end-of-operation timer
+   */
+  restartTimer() {
+    this.cancelTimer();
+    this.timer = setTimeout(() => this.commit(), this.OPERATION_TIMEOUT);
+  }
+
+  /**
+   * Cancel the end-of-operation timer
+   */
+  cancelTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Finish the pending operation, validate it and emit onTechnique
+   * @returns {Object|null} - Validation result or null if nothing was pending
+   */
+  commit() {
+    this.cancelTimer();
+    if (!this.startDigits || this.moves.length === 0) return null;
+
+    const before = this.startDigits;
+    const after = this.readDigits();
+    const moves = this.moves;
+    this.moves = [];
+    this.startDigits = null;
+
+    const operand = Formulas.digitsToBigInt(after) - Formulas.digitsToBigInt(before);
+    if (operand === 0n) {
+      logger.debug(CONTEXT, 'Operation cancelled out, nothing to validate');
+      return null;
+    }
+
+    const result = this.validate(before, after, operand, moves);
+    this.abacus.triggerEvent('onTechnique', result);
+    logger.debug(CONTEXT, `Operation ${result.operand}: ${result.technique} (expected ${result.expected.technique})`, result.violations);
+    return result;
+  }
+
+  /**
+   * Validate recorded moves against the canonical plan
+   * @param {Array<number>} before - Digits before the operation
+   * @param {Array<number>} after - Digits after the operation
+   * @param {bigint} operand - Signed value that was added
+   * @param {Array<Object>} moves - Recorded moves [{ col, bead, delta }]
+   * @returns {Object}
+   */
+  validate(before, after, operand, moves) {
+    const plan = Formulas.planTerm(before, operand);
+    const expectedMoves = plan.steps.flatMap(step => step.moves);
+    const formulas = plan.steps.flatMap(step => step.formulas);
+    const expectedTechnique = Formulas.combineTypes(formulas.map(f => f.type));
+    const technique = this.classifyMoves(before, after, operand, moves);
+    const violations = [];
+
+    if (technique !== expectedTechnique) {
+      violations.push({
+        code: 'technique',
+        message: `Expected ${expectedTechnique}, got ${technique}`
+      });
+    }
+
+    const cols = [...new Set([...moves, ...expectedMoves].map(move => move.col))];
+    cols.forEach(col => {
+      const actual = moves.filter(move => move.col === col);
+      const expected = expectedMoves.filter(move => move.col === col);
+      violations.push(...this.compareRodMoves(col, actual, expected));
+    });
+
+    return {
+      operand: Number(operand),
+      before,
+      after,
+      technique,
+      formulas: formulas.map(f => f.id),
+      moves,
+      expected: { technique: expectedTechnique, moves: expectedMoves, steps: plan.steps },
+      valid: violations.length === 0,
+      violations
+    };
+  }
+
+  /**
+   * Classify what the student actually did
+   * A rod whose heaven and earth beads moved in opposite directions used a 5-complement;
+   * a rod whose digit moved against the operation used a 10-complement.
+   * @param {Array<number>} before - Digits before
+   * @param {Array<number>} after - Digits after
+   * @param {bigint} operand - Signed value that was added
+   * @param {Array<Object>} moves - Recorded moves
+   * @returns {string} - FormulaType
+   */
+  classifyMoves(before, after, operand, moves) {
+    const sign = operand > 0n ? 1 : -1;
+    const types = [];
+
+    before.forEach((digit, col) => {
+      const rodMoves = moves.filter(move => move.col === col);
+      const heavenSigns = rodMoves.filter(m => m.bead === 'heaven').map(m => Math.sign(m.delta));
+      const earthSigns = rodMoves.filter(m => m.bead === 'earth').map(m => Math.sign(m.delta));
+      const fiveComplement = heavenSigns.some(h => earthSigns.includes(-h));
+      const tenComplement = Math.sign(after[col] - digit) === -sign;
+
+      if (fiveComplement && tenComplement) types.push(FormulaType.MIXED);
+      else if (fiveComplement) types.push(FormulaType.SMALL_FRIEND);
+      else if (tenComplement) types.push(FormulaType.BIG_FRIEND);
+    });
+
+    return Formulas.combineTypes(types);
+  }
+
+  /**
+   * Compare moves made on one rod with the expected ones
+   * @param {number} col - Column index
+   * @param {Array<Object>} actual - Recorded moves on the rod
+   * @param {Array<Object>} expected - Canonical moves on the rod
+   * @returns {Array<Object>} - Violations
+   */
+  compareRodMoves(col, actual, expected) {
+    const violations = [];
+
+    for (let i = 1; i < actual.length; i++) {
+      const prev = actual[i - 1];
+      const move = actual[i];
+      if (prev.bead !== move.bead) continue;
+
+      if (Math.sign(prev.delta) !== Math.sign(move.delta)) {
+        violations.push({
+          code: 'reversal',
+          col,
+          message: `${move.bead} beads on rod ${col} were moved back and forth`
+        });
+      } else if (move.bead === 'earth') {
+        violations.push({
+          code: 'one-by-one',
+          col,
+          message: `Earth beads on rod ${col} were pushed one by one instead of together`
+        });
+      }
+    }
+
+    if (violations.length > 0) return violations;
+
+    if (actual.length !== expected.length) {
+      violations.push({
+        code: 'moves',
+        col,
+        message: `Rod ${col}: ${actual.length} move(s) made, ${expected.length} expected`
+      });
+      return violations;
+    }
+
+    const key = move => `${move.bead}${move.delta}`;
+    const sameMoves = actual.map(key).sort().join() === expected.map(key).sort().join();
+    if (!sameMoves) {
+      violations.push({
+        code: 'moves',
+        col,
+        message: `Rod ${col}: beads moved differently from the formula`
+      });
+    } else if (actual.map(key).join() !== expected.map(key).join()) {
+      violations.push({
+        code: 'order',
+        col,
+        message: `Rod ${col}: moves made in the wrong order`
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Destroy validator
+   */
+  destroy() {
+    this.cancelTimer();
+    this.unsubscribe.forEach(off => off());
+    this.unsubscribe = [];
+    logger.debug(CONTEXT, 'Technique validator destroyed');
+  }
+}
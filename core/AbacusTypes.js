@@ -0,0 +1,105 @@
+/**
+ * Abacus types - bead counts and rod geometry of supported abaci
+ *   soroban      - modern Japanese 1/4 (digits 0-9)
+ *   soroban-1-5  - old Japanese 1/5 (0-10)
+ *   suanpan      - Chinese 2/5 (0-15)
+ *   schoty       - Russian 10-bead, rods are horizontal (0-10)
+ * Rod geometry built from these counts lives in core/Layout.js.
+ */
+
+export const AbacusType = {
+  SOROBAN: 'soroban',
+  SOROBAN_1_5: 'soroban-1-5',
+  SUANPAN: 'suanpan',
+  SCHOTY: 'schoty'
+};
+
+/**
+ * heaven/earth     - bead counts above and below the bar
+ * heavenTravel/... - free rod length (px) a bead group can move along
+ * formulas         - the 5/10-complement method (core/Formulas.js) applies
+ */
+const TYPES = {
+  [AbacusType.SOROBAN]: {
+    id: AbacusType.SOROBAN,
+    heaven: 1,
+    earth: 4,
+    heavenTravel: 15,
+    earthTravel: 19,
+    orientation: 'vertical',
+    formulas: true
+  },
+  [AbacusType.SOROBAN_1_5]: {
+    id: AbacusType.SOROBAN_1_5,
+    heaven: 1,
+    earth: 5,
+    heavenTravel: 15,
+    earthTravel: 19,
+    orientation: 'vertical',
+    formulas: false
+  },
+  [AbacusType.SUANPAN]: {
+    id: AbacusType.SUANPAN,
+    heaven: 2,
+    earth: 5,
+    heavenTravel: 15,
+    earthTravel: 19,
+    orientation: 'vertical',
+    formulas: false
+  },
+  [AbacusType.SCHOTY]: {
+    id: AbacusType.SCHOTY,
+    heaven: 0,
+    earth: 10,
+    heavenTravel: 0,
+    earthTravel: 108,
+    orientation: 'horizontal',
+    formulas: false
+  }
+};
+
+export class AbacusTypes {
+  /**
+   * Get type definition
+   * @param {string} id - AbacusType value
+   * @returns {Object} - Falls back to soroban for unknown ids
+   */
+  static get(id) {
+    const type = TYPES[id] || TYPES[AbacusType.SOROBAN];
+    return {
+      ...type,
+      maxDigit: type.heaven * 5 + type.earth
+    };
+  }
+
+  /**
+   * List all type ids
+   * @returns {Array<string>}
+   */
+  static list() {
+    return Object.keys(TYPES);
+  }
+
+  /**
+   * How many heaven and earth beads show a digit
+   * Heaven beads are used first, as when setting a number by hand.
+   * @param {Object} type - Type definition
+   * @param {number} digit - Digit (0..type.maxDigit)
+   * @returns {Object} - { heaven, earth }
+   */
+  static decomposeDigit(type, digit) {
+    const heaven = Math.min(type.heaven, Math.floor(digit / 5));
+    return { heaven, earth: digit - heaven * 5 };
+  }
+
+  /**
+   * Digit shown by a rod
+   * @param {Object} rod - { heaven: [...], earth: [...] } with bead positions
+   * @returns {number}
+   */
+  static getRodValue(rod) {
+    const heaven = rod.heaven.filter(bead => bead.position === 'down').length;
+    const earth = rod.earth.filter(bead => bead.position === 'up').length;
+    return heaven * 5 + earth;
+  }
+}
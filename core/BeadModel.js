@@ -1,19 +1,31 @@
 /**
- * Bead data model and calculations
+ * Bead data model - headless abacus core
+ * Holds bead state, applies moves, reads and validates values. Has no DOM
+ * dependencies and runs in Node (answer checking on the server, tests);
+ * components/Abacus.js is a view on top of it.
  */
 
 import { logger } from './logger.js';
+import { Calculator } from './Calculator.js';
+import { AbacusTypes, AbacusType } from './AbacusTypes.js';
+import { Layout } from './Layout.js';
 
 const CONTEXT = 'BeadModel';
 
+// Rods right of the unit rod that have a place name (decimal1...decimal6 in i18n)
+export const MAX_DECIMAL_PLACES = 6;
+
 export class BeadModel {
   /**
    * @param {number} digitCount - Number of columns
-   * @param {Object} config - Configuration object
+   * @param {Object} config - Configuration object ({ decimalPlaces, geometry keys of core/Layout.js })
+   * @param {string} type - Abacus type (AbacusType), soroban by default
    */
-  constructor(digitCount, config) {
+  constructor(digitCount, config = {}, type = AbacusType.SOROBAN) {
     this.digitCount = digitCount;
     this.config = config;
+    this.type = AbacusTypes.get(type);
+    this.layout = new Layout(config, this.type, digitCount);
     this.beads = {};
     this.init();
   }
@@ -22,29 +34,29 @@ export class BeadModel {
    * Initialize bead positions
    */
   init() {
+    // Начальные позиции: небесные у верхней рамки, земные - компактной группой внизу
     for (let col = 0; col < this.digitCount; col++) {
       this.beads[col] = {
-        heaven: {
-          position: 'up',
-          y: this.getHeavenInactiveY(),
-          isDragging: false
-        },
-        earth: this.initEarthBeads()
+        heaven: this.initBeads('heaven', this.type.heaven, 'up'),
+        earth: this.initBeads('earth', this.type.earth, 'down')
       };
     }
-    logger.debug(CONTEXT, `Initialized ${this.digitCount} columns`);
+    logger.debug(CONTEXT, `Initialized ${this.digitCount} columns (${this.type.id})`);
   }
 
   /**
-   * Initialize earth beads for a column
+   * Initialize one bead group of a column
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} count - Number of beads
+   * @param {string} position - 'up' | 'down'
    * @returns {Array}
    */
-  initEarthBeads() {
+  initBeads(type, count, position) {
     const beads = [];
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < count; i++) {
       beads.push({
-        position: 'down',
-        y: this.getEarthInactiveY(i),
+        position,
+        y: this.getRestY(type, i, position),
         isDragging: false
       });
     }
@@ -52,40 +64,57 @@ export class BeadModel {
   }
 
   /**
-   * Get inactive Y position for heaven bead
-   * @returns {number}
+   * Rebuild geometry after bead size or frame options in config changed
+   * Beads keep their digits and move to the new resting positions.
    */
-  getHeavenInactiveY() {
-    return 40 + this.config.beadHeight / 2 + this.config.gapFromBar;
+  updateLayout() {
+    const digits = this.getColumnValues();
+    this.layout = new Layout(this.config, this.type, this.digitCount);
+    digits.forEach((digit, col) => this.setColumnValue(col, digit));
   }
 
   /**
-   * Get active Y position for heaven bead (at bar)
-   * @returns {number}
+   * Change the number of rods, keeping the value
+   * Rods are added or removed on the left, the unit rod keeps its place from the right.
+   * @param {number} digitCount - New number of rods
+   * @returns {boolean} - False if the value or the decimal places do not fit
    */
-  getHeavenActiveY() {
-    return this.config.barY - this.config.beadHeight / 2 - this.config.gapFromBar;
+  setDigitCount(digitCount) {
+    const places = this.config.decimalPlaces || 0;
+    const value = this.getValueString();
+    const digits = Calculator.toDigitString(value, places);
+
+    if (!Number.isInteger(digitCount) || digitCount <= places || !Calculator.isValidNumber(digits, digitCount)) {
+      logger.warn(CONTEXT, `Value ${value} does not fit on ${digitCount} rods`);
+      return false;
+    }
+
+    // Бусины меняем на месте - beads используется по ссылке (Abacus, физика)
+    Object.keys(this.beads).forEach(col => delete this.beads[col]);
+    this.digitCount = digitCount;
+    this.layout = new Layout(this.config, this.type, digitCount);
+    this.init();
+    this.setValue(value);
+    return true;
   }
 
   /**
-   * Get active Y position for earth bead (at bar)
-   * @param {number} index - Bead index (0-3)
+   * Get resting Y position of a bead
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} index - Bead index
+   * @param {string} position - 'up' or 'down'
    * @returns {number}
    */
-  getEarthActiveY(index) {
-    return this.config.barY + 10 + this.config.beadHeight / 2 + 
-           this.config.gapFromBar + index * this.config.beadHeight;
+  getRestY(type, index, position) {
+    return this.layout.getBeadRestY(type, index, position);
   }
 
   /**
-   * Get inactive Y position for earth bead (at bottom)
-   * @param {number} index - Bead index (0-3)
+   * Get index of the unit rod (the one left of the decimal point)
    * @returns {number}
    */
-  getEarthInactiveY(index) {
-    const reverseIndex = 3 - index;
-    return 264 - this.config.beadHeight / 2 - this.config.gapFromBar - 
-           reverseIndex * this.config.beadHeight;
+  getUnitColumn() {
+    return this.digitCount - 1 - (this.config.decimalPlaces || 0);
   }
 
   /**
@@ -94,78 +123,293 @@ export class BeadModel {
    * @returns {number}
    */
   getColumnValue(col) {
-    let value = 0;
+    return Calculator.calculateColumnValue(this.beads[col]);
+  }
+
+  /**
+   * Get values of all columns, leftmost first
+   * @returns {Array<number>}
+   */
+  getColumnValues() {
+    const values = [];
+    for (let col = 0; col < this.digitCount; col++) {
+      values.push(this.getColumnValue(col));
+    }
+    return values;
+  }
+
+  /**
+   * Check if a digit can be shown on one rod of this type
+   * @param {number} digit - Digit
+   * @returns {boolean}
+   */
+  isValidDigit(digit) {
+    return Number.isInteger(digit) && digit >= 0 && digit <= this.type.maxDigit;
+  }
+
+  /**
+   * Get resting state of every bead on a rod showing a digit
+   * @param {number} digit - Digit (0..type.maxDigit)
+   * @returns {Array<Object>} - [{ type, index, position, y }]
+   */
+  getColumnLayout(digit) {
+    // Decompose into 5*U + L
+    const { heaven, earth } = AbacusTypes.decomposeDigit(this.type, digit);
+    const layout = [];
 
-    // Heaven bead = 5
-    if (this.beads[col].heaven.position === 'down') {
-      value += 5;
+    // Активные небесные - нижние, у планки
+    for (let i = 0; i < this.type.heaven; i++) {
+      const position = i >= this.type.heaven - heaven ? 'down' : 'up';
+      layout.push({ type: 'heaven', index: i, position, y: this.getRestY('heaven', i, position) });
     }
 
-    // Earth beads = 1 each
-    this.beads[col].earth.forEach(bead => {
-      if (bead.position === 'up') {
-        value += 1;
-      }
-    });
+    // Активные земные - верхние, у планки
+    for (let i = 0; i < this.type.earth; i++) {
+      const position = i < earth ? 'up' : 'down';
+      layout.push({ type: 'earth', index: i, position, y: this.getRestY('earth', i, position) });
+    }
 
-    return value;
+    return layout;
   }
 
   /**
    * Set column value
    * @param {number} col - Column index
-   * @param {number} value - Value (0-9)
+   * @param {number} value - Value (0..type.maxDigit)
+   * @returns {boolean} - False if the column or value is invalid
    */
   setColumnValue(col, value) {
-    if (value < 0 || value > 9) {
+    if (!this.beads[col] || !this.isValidDigit(value)) {
       logger.warn(CONTEXT, `Invalid value ${value} for column ${col}`);
-      return;
+      return false;
+    }
+
+    this.getColumnLayout(value).forEach(({ type, index, position, y }) => {
+      const bead = this.getBead(col, type, index);
+      bead.position = position;
+      bead.y = y;
+    });
+    return true;
+  }
+
+  /**
+   * Move a bead to the other side, pushing the beads in its way
+   * Activating an earth bead lifts every bead above it, deactivating one drops
+   * every bead below it (mirrored for heaven beads) - as fingers do on a real abacus.
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} index - Bead index
+   * @returns {Object|null} - { col, from, to } digits, null if the bead does not exist
+   */
+  moveBead(col, type, index) {
+    const bead = this.beads[col] && this.beads[col][type] && this.beads[col][type][index];
+    if (!bead) {
+      logger.warn(CONTEXT, `No bead ${type}[${index}] on column ${col}`);
+      return null;
+    }
+
+    const from = this.getColumnValue(col);
+    const count = this.getMoveCount(col, type, index);
+
+    // Группу выставляем напрямую: раскладка цифры (getColumnLayout) сначала
+    // берёт небесные косточки, а ход не должен менять другую группу
+    this.setGroup(col, type, count);
+
+    const to = this.getColumnValue(col);
+    logger.debug(CONTEXT, `Moved ${type}[${index}] on column ${col}: ${from} -> ${to}`);
+    return { col, from, to };
+  }
+
+  /**
+   * Number of active beads in a group after a bead moves, pushing the beads in its way
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} index - Bead index
+   * @param {boolean} toActive - Direction of the move, the other side of the bead by default
+   * @returns {number}
+   */
+  getMoveCount(col, type, index, toActive) {
+    const { length } = this.beads[col][type];
+    if (toActive === undefined) {
+      toActive = this.getBead(col, type, index).position !== this.getActivePosition(type);
+    }
+
+    // Активные косточки собираются у планки: последние небесные, первые земные
+    if (type === 'heaven') {
+      return toActive ? length - index : length - 1 - index;
+    }
+    return toActive ? index + 1 : index;
+  }
+
+  /**
+   * Number of active beads of the resting state nearest to current bead Y
+   * A bead counts as active if it is closer to its place at the bar than to its
+   * place at the frame; the count stops at the first bead that is not, so a
+   * half-way release always settles to a valid group.
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @returns {number}
+   */
+  getNearestCount(col, type) {
+    const group = this.beads[col][type];
+    const active = this.getActivePosition(type);
+    const inactive = type === 'heaven' ? 'up' : 'down';
+
+    // От планки к рамке: земные сверху вниз, небесные снизу вверх
+    const order = group.map((bead, i) => (type === 'heaven' ? group.length - 1 - i : i));
+
+    let count = 0;
+    for (const i of order) {
+      const toBar = Math.abs(group[i].y - this.getRestY(type, i, active));
+      const toFrame = Math.abs(group[i].y - this.getRestY(type, i, inactive));
+      if (toBar >= toFrame) break;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Position of an active (counted) bead
+   * @param {string} type - 'heaven' or 'earth'
+   * @returns {string} - 'down' for heaven, 'up' for earth
+   */
+  getActivePosition(type) {
+    return type === 'heaven' ? 'down' : 'up';
+  }
+
+  /**
+   * Count active beads of a group
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @returns {number}
+   */
+  countActive(col, type) {
+    const active = this.getActivePosition(type);
+    return this.beads[col][type].filter(bead => bead.position === active).length;
+  }
+
+  /**
+   * Put a bead group into resting state with a number of active beads
+   * @param {number} col - Column index
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} count - Active beads
+   */
+  setGroup(col, type, count) {
+    this.getGroupLayout(type, count).forEach(({ index, position, y }) => {
+      const bead = this.getBead(col, type, index);
+      bead.position = position;
+      bead.y = y;
+    });
+  }
+
+  /**
+   * Get resting state of a bead group with a number of active beads
+   * @param {string} type - 'heaven' or 'earth'
+   * @param {number} count - Active beads
+   * @returns {Array<Object>} - [{ index, position, y }]
+   */
+  getGroupLayout(type, count) {
+    const length = type === 'heaven' ? this.type.heaven : this.type.earth;
+    const active = this.getActivePosition(type);
+    const inactive = type === 'heaven' ? 'up' : 'down';
+    const layout = [];
+
+    for (let i = 0; i < length; i++) {
+      const isActive = type === 'heaven' ? i >= length - count : i < count;
+      const position = isActive ? active : inactive;
+      layout.push({ index: i, position, y: this.getRestY(type, i, position) });
     }
+    return layout;
+  }
+
+  /**
+   * Get rod digits as a string, leftmost rod first (with leading zeros)
+   * @returns {string}
+   */
+  getDigits() {
+    return Calculator.calculateDigits(this.beads, this.digitCount);
+  }
 
-    // Decompose into heaven (5) + earth (1+1+1+1)
-    if (value >= 5) {
-      this.beads[col].heaven.position = 'down';
-      this.beads[col].heaven.y = this.getHeavenActiveY();
-
-      const remainder = value - 5;
-      for (let i = 0; i < 4; i++) {
-        if (i < remainder) {
-          this.beads[col].earth[i].position = 'up';
-          this.beads[col].earth[i].y = this.getEarthActiveY(i);
-        } else {
-          this.beads[col].earth[i].position = 'down';
-          this.beads[col].earth[i].y = this.getEarthInactiveY(i);
-        }
-      }
-    } else {
-      this.beads[col].heaven.position = 'up';
-      this.beads[col].heaven.y = this.getHeavenInactiveY();
-
-      for (let i = 0; i < 4; i++) {
-        if (i < value) {
-          this.beads[col].earth[i].position = 'up';
-          this.beads[col].earth[i].y = this.getEarthActiveY(i);
-        } else {
-          this.beads[col].earth[i].position = 'down';
-          this.beads[col].earth[i].y = this.getEarthInactiveY(i);
-        }
-      }
+  /**
+   * Get exact total value as a decimal string, e.g. "12.375"
+   * Rods right of the unit rod are decimal places (config.decimalPlaces).
+   * @returns {string}
+   */
+  getValueString() {
+    const places = this.config.decimalPlaces || 0;
+    const digits = this.getDigits();
+    const split = digits.length - places;
+    const whole = digits.slice(0, split).replace(/^0+(?=\d)/, '') || '0';
+
+    return places > 0 ? `${whole}.${digits.slice(split)}` : whole;
+  }
+
+  /**
+   * Get total value
+   * Exact only up to Number.MAX_SAFE_INTEGER - use getValueString/getBigIntValue for wide abaci.
+   * @returns {number}
+   */
+  getValue() {
+    return Number(this.getValueString());
+  }
+
+  /**
+   * Get exact value of all rods as an integer, ignoring the decimal point
+   * (value × 10^decimalPlaces)
+   * @returns {bigint}
+   */
+  getBigIntValue() {
+    return Calculator.calculateBigInt(this.beads, this.digitCount);
+  }
+
+  /**
+   * Check if a value can be shown on the rods
+   * @param {number|bigint|string} value - Number to check
+   * @returns {boolean}
+   */
+  isValidValue(value) {
+    const digits = Calculator.toDigitString(value, this.config.decimalPlaces || 0);
+    return digits !== null && Calculator.isValidNumber(digits, this.digitCount);
+  }
+
+  /**
+   * Set total value
+   * Decimals are aligned to the unit rod and rounded to the available decimal places.
+   * @param {number|bigint|string} value - Number to display, e.g. 12.375, 10n ** 16n or "12345678901234567"
+   * @returns {boolean} - False if the value is invalid or does not fit on the rods
+   */
+  setValue(value) {
+    if (!this.isValidValue(value)) {
+      logger.warn(CONTEXT, `Value ${value} cannot be set on ${this.digitCount} rods`);
+      return false;
     }
+
+    const digits = Calculator.toDigitString(value, this.config.decimalPlaces || 0);
+    Calculator.decomposeNumber(digits, this.digitCount).forEach((digit, col) => {
+      this.setColumnValue(col, digit);
+    });
+    return true;
+  }
+
+  /**
+   * Check if the abacus shows an expected answer
+   * @param {number|bigint|string} expected - Expected value
+   * @returns {boolean}
+   */
+  isShowing(expected) {
+    const digits = Calculator.toDigitString(expected, this.config.decimalPlaces || 0);
+    return digits !== null && BigInt(digits) === this.getBigIntValue();
   }
 
   /**
    * Get bead data
    * @param {number} col - Column index
    * @param {string} type - 'heaven' or 'earth'
-   * @param {number} index - Bead index (only for earth)
+   * @param {number} index - Bead index
    * @returns {Object}
    */
   getBead(col, type, index = 0) {
-    if (type === 'heaven') {
-      return this.beads[col].heaven;
-    } else {
-      return this.beads[col].earth[index];
-    }
+    return this.beads[col][type][index];
   }
 
   /**
@@ -176,11 +420,7 @@ export class BeadModel {
    * @param {number} y - New Y position
    */
   updateBeadY(col, type, index, y) {
-    if (type === 'heaven') {
-      this.beads[col].heaven.y = y;
-    } else {
-      this.beads[col].earth[index].y = y;
-    }
+    this.getBead(col, type, index).y = y;
   }
 
   /**
@@ -191,11 +431,7 @@ export class BeadModel {
    * @param {boolean} isDragging - Dragging state
    */
   setDragging(col, type, index, isDragging) {
-    if (type === 'heaven') {
-      this.beads[col].heaven.isDragging = isDragging;
-    } else {
-      this.beads[col].earth[index].isDragging = isDragging;
-    }
+    this.getBead(col, type, index).isDragging = isDragging;
   }
 
   /**
@@ -3,60 +3,73 @@
  */
 
 import { logger } from './logger.js';
+import { AbacusTypes } from './AbacusTypes.js';
 
 const CONTEXT = 'Calculator';
 
+// Series of Flash Anzan and dictation are summed as Numbers: 15 digits stay below Number.MAX_SAFE_INTEGER
+export const MAX_EXACT_DIGITS = 15;
+
 export class Calculator {
   /**
    * Calculate total value from bead model
+   * Exact only up to Number.MAX_SAFE_INTEGER - use calculateBigInt for wide abaci.
    * @param {Object} beads - Beads data object
    * @param {number} digitCount - Number of digits
    * @returns {number}
    */
   static calculateValue(beads, digitCount) {
-    let total = 0;
+    const total = Number(this.calculateDigits(beads, digitCount));
+
+    logger.debug(CONTEXT, `Total value: ${total}`);
+    return total;
+  }
+
+  /**
+   * Calculate exact total value from bead model
+   * Rods may hold more than 9 (suanpan up to 15), so digits are summed, not concatenated.
+   * @param {Object} beads - Beads data object
+   * @param {number} digitCount - Number of digits
+   * @returns {bigint}
+   */
+  static calculateBigInt(beads, digitCount) {
+    let total = 0n;
 
     for (let col = 0; col < digitCount; col++) {
-      const multiplier = Math.pow(10, digitCount - col - 1);
-      const columnValue = this.calculateColumnValue(beads[col]);
-      total += columnValue * multiplier;
+      total = total * 10n + BigInt(this.calculateColumnValue(beads[col]));
     }
 
-    logger.debug(CONTEXT, `Total value: ${total}`);
     return total;
   }
 
+  /**
+   * Get exact total value as a digit string padded to the rod count
+   * @param {Object} beads - Beads data object
+   * @param {number} digitCount - Number of digits
+   * @returns {string}
+   */
+  static calculateDigits(beads, digitCount) {
+    return this.calculateBigInt(beads, digitCount).toString().padStart(digitCount, '0');
+  }
+
   /**
    * Calculate value for a single column
    * @param {Object} columnBeads - Beads data for one column
    * @returns {number}
    */
   static calculateColumnValue(columnBeads) {
-    let value = 0;
-
-    // Heaven bead = 5
-    if (columnBeads.heaven.position === 'down') {
-      value += 5;
-    }
-
-    // Earth beads = 1 each
-    columnBeads.earth.forEach(bead => {
-      if (bead.position === 'up') {
-        value += 1;
-      }
-    });
-
-    return value;
+    // Heaven bead = 5, earth bead = 1
+    return AbacusTypes.getRodValue(columnBeads);
   }
 
   /**
    * Decompose number into digits array
-   * @param {number} value - Number to decompose
+   * @param {number|bigint|string} value - Number to decompose
    * @param {number} digitCount - Number of digits
    * @returns {Array<number>}
    */
   static decomposeNumber(value, digitCount) {
-    const str = String(value).padStart(digitCount, '0');
+    const str = this.formatNumber(value, digitCount);
     const digits = str.split('').map(d => parseInt(d, 10));
     
     logger.debug(CONTEXT, `Decomposed ${value} into:`, digits);
@@ -87,23 +100,74 @@ export class Calculator {
     }
   }
 
+  /**
+   * Convert a non-negative number to an exact digit string without leading zeros
+   * Decimals are scaled to whole rods: ("12.375", 3) → "12375". Extra decimals are rounded.
+   * @param {number|bigint|string} value - Number, BigInt or decimal string ("12.375")
+   * @param {number} decimals - Decimal places to keep (default: 0)
+   * @returns {string|null} - Null if value is not a non-negative number
+   */
+  static toDigitString(value, decimals = 0) {
+    let text;
+
+    if (typeof value === 'bigint') {
+      text = value >= 0n ? value.toString() : null;
+    } else if (typeof value === 'number') {
+      if (!Number.isFinite(value) || value < 0) return null;
+      // Целые - через BigInt (String(1e21) дал бы экспоненту), дробные - через toFixed
+      text = Number.isInteger(value) ? BigInt(value).toString() : value.toFixed(decimals);
+    } else if (typeof value === 'string') {
+      text = value.trim();
+    }
+
+    const match = text ? /^(\d+)(?:\.(\d*))?$/.exec(text) : null;
+    if (!match) return null;
+
+    const [, whole, fraction = ''] = match;
+    let scaled = BigInt(whole + fraction.padEnd(decimals, '0').slice(0, decimals));
+    if (fraction.length > decimals && fraction[decimals] >= '5') {
+      scaled += 1n;
+    }
+
+    return scaled.toString();
+  }
+
   /**
    * Validate number can be displayed on abacus
-   * @param {number} value - Number to validate
+   * @param {number|bigint|string} value - Number to validate
    * @param {number} digitCount - Number of digits
    * @returns {boolean}
    */
   static isValidNumber(value, digitCount) {
-    const maxValue = Math.pow(10, digitCount) - 1;
-    const isValid = value >= 0 && value <= maxValue;
+    const digits = this.toDigitString(value);
+    const isValid = digits !== null && digits.length <= digitCount;
     
     if (!isValid) {
-      logger.warn(CONTEXT, `Invalid number ${value} for ${digitCount} digits (max: ${maxValue})`);
+      logger.warn(CONTEXT, `Invalid number ${value} for ${digitCount} digits (max: ${'9'.repeat(digitCount)})`);
     }
     
     return isValid;
   }
 
+  /**
+   * Compare two values exactly, whatever their type: isSameValue('12.50', 12.5) → true
+   * Fractional Numbers are compared by their shortest decimal form (String(12.4) = "12.4").
+   * @param {number|bigint|string} a - Number, BigInt or decimal string
+   * @param {number|bigint|string} b - Number, BigInt or decimal string
+   * @returns {boolean} - False if either value is not a non-negative number
+   *   (also for fractional Numbers in exponent form, e.g. 1e-7)
+   */
+  static isSameValue(a, b) {
+    // Дробные Number - строкой, иначе toDigitString(…, 0) округлил бы 12.4 до 12
+    const values = [a, b].map(value => (typeof value === 'number' && !Number.isInteger(value) ? String(value) : value));
+    const decimals = Math.max(...values.map(value => {
+      const fraction = typeof value === 'string' ? value.split('.')[1] : null;
+      return fraction ? fraction.length : 0;
+    }));
+    const digits = this.toDigitString(values[0], decimals);
+    return digits !== null && digits === this.toDigitString(values[1], decimals);
+  }
+
   /**
    * Get maximum value for given digit count
    * @param {number} digitCount - Number of digits
@@ -113,14 +177,24 @@ export class Calculator {
     return Math.pow(10, digitCount) - 1;
   }
 
+  /**
+   * Get exact maximum value for given digit count
+   * @param {number} digitCount - Number of digits
+   * @returns {bigint}
+   */
+  static getMaxBigInt(digitCount) {
+    return 10n ** BigInt(digitCount) - 1n;
+  }
+
   /**
    * Format number with leading zeros
-   * @param {number} value - Number to format
+   * @param {number|bigint|string} value - Number to format
    * @param {number} digitCount - Number of digits
    * @returns {string}
    */
   static formatNumber(value, digitCount) {
-    return String(value).padStart(digitCount, '0');
+    const digits = this.toDigitString(value);
+    return (digits !== null ? digits : String(value)).padStart(digitCount, '0');
   }
 
   /**
@@ -142,4 +216,81 @@ export class Calculator {
     logger.debug(CONTEXT, `Generated random number: ${value}`);
     return value;
   }
+
+  /**
+   * Generate a random number with exactly the given number of digits
+   * @param {number} digitCount - Number of digits
+   * @returns {number}
+   */
+  static generateTerm(digitCount) {
+    const leading = this.generateRandomNumber(1, 1, 9);
+    if (digitCount <= 1) return leading;
+    return leading * Math.pow(10, digitCount - 1) + this.generateRandomNumber(digitCount - 1);
+  }
+
+  /**
+   * Generate a series of terms for mental arithmetic (Flash Anzan, dictation)
+   * The running total never goes below zero and never exceeds the abacus capacity
+   * or MAX_EXACT_DIGITS, so terms and sums stay exact Numbers on wide abaci too.
+   * @param {Object} options
+   * @param {number} options.digits - Digits per term
+   * @param {number} options.count - Number of terms
+   * @param {boolean} options.allowNegative - Allow subtraction terms
+   * @param {number} options.rods - Number of rods available
+   * @returns {Array<number>} - Signed terms, the first one is always positive
+   */
+  static generateSeries({ digits, count, allowNegative = false, rods }) {
+    const capacity = Math.min(rods, MAX_EXACT_DIGITS);
+    if (digits < 1 || digits > capacity) {
+      throw new RangeError(`Cannot generate ${digits}-digit terms for ${rods} rods`);
+    }
+
+    const maxValue = this.getMaxValue(capacity);
+    const MAX_ATTEMPTS = 100;
+    const terms = [];
+    let total = 0;
+
+    for (let i = 0; i < count; i++) {
+      let term = null;
+
+      for (let attempt = 0; attempt < MAX_ATTEMPTS && term === null; attempt++) {
+        const candidate = this.generateTerm(digits);
+        const canAdd = total + candidate <= maxValue;
+        const canSubtract = i > 0 && allowNegative && total - candidate >= 0;
+
+        if (canAdd && canSubtract) {
+          term = Math.random() < 0.5 ? candidate : -candidate;
+        } else if (canAdd) {
+          term = candidate;
+        } else if (canSubtract) {
+          term = -candidate;
+        }
+      }
+
+      if (term === null) {
+        throw new RangeError(`Cannot continue series within ${rods} rods`);
+      }
+
+      terms.push(term);
+      total += term;
+    }
+
+    logger.debug(CONTEXT, `Generated series: ${terms.join(', ')} = ${total}`);
+    return terms;
+  }
+
+  /**
+   * Parse an addition/subtraction chain like "37 + 48 − 19"
+   * @param {string} expression - Expression text
+   * @returns {Array<number>|null} - Signed terms or null if the text is not a valid chain
+   */
+  static parseExpression(expression) {
+    const normalized = String(expression).replace(/[−–]/g, '-').replace(/\s+/g, '');
+    if (!/^\d+([+-]\d+)*$/.test(normalized)) {
+      logger.warn(CONTEXT, `Invalid expression: ${expression}`);
+      return null;
+    }
+
+    return normalized.match(/[+-]?\d+/g).map(term => parseInt(term, 10));
+  }
 }
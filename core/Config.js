@@ -1,72 +1,278 @@
 /**
  * Configuration manager for Soroban
+ * One versioned settings schema: every stored key has a type, a default and
+ * limits. Stored settings are migrated to the current version on load and
+ * validated; invalid values are repaired to their defaults (or clamped) and
+ * the repaired settings are written back.
  */
 
 import { logger } from './logger.js';
 import { loadConfig, saveConfig } from '../utils/storage.js';
+import { LAYOUT_DEFAULTS } from './Layout.js';
+import { AbacusType } from './AbacusTypes.js';
+import { Themes, ThemeId } from './Themes.js';
+import { MAX_EXACT_DIGITS } from './Calculator.js';
+import { MAX_DECIMAL_PLACES } from './BeadModel.js';
 
 const CONTEXT = 'Config';
 
+// Version 1 - unversioned blob written ad hoc by the UI
+export const SETTINGS_VERSION = 2;
+
+// Пределы геометрии: меньше - косточки не видно, не ухватить или стержни слипаются
+const LAYOUT_LIMITS = {
+  beadWidth: [8, 100],
+  beadHeight: [10, 100],
+  gapFromBar: [0, 20],
+  rodPitch: [16, 300], // Не меньше двух полуширин косточки - см. validate
+  rodThickness: [1, 40],
+  framePadding: [8, 300],
+  frameThickness: [4, 100],
+  barHeight: [2, 60],
+  marginX: [0, 200],
+  marginTop: [0, 200],
+  marginBottom: [0, 200],
+  digitsHeight: [10, 100]
+};
+
+/**
+ * Rule types:
+ *   integer / number - { min, max }, out-of-range values are clamped
+ *   boolean
+ *   enum             - { values }
+ *   object           - { fields } nested schema
+ *   custom           - { validate } value => boolean, for free-form values
+ */
+const LAYOUT_SCHEMA = Object.fromEntries(
+  Object.entries(LAYOUT_DEFAULTS).map(([key, value]) => {
+    const [min, max] = LAYOUT_LIMITS[key];
+    return [key, { type: 'number', default: value, min, max }];
+  })
+);
+
+export const SETTINGS_SCHEMA = {
+  digitCount: { type: 'integer', default: 13, min: 1, max: 17 },
+  abacusType: { type: 'enum', default: AbacusType.SOROBAN, values: Object.values(AbacusType) },
+  showDigits: { type: 'boolean', default: false },
+  fingerTraining: { type: 'boolean', default: false },
+  notchOffset: { type: 'enum', default: 0, values: [0, 1, 2] }, // 0 = стандарт (3,6,9...), 1 = влево, 2 = вправо
+  decimalPlaces: { type: 'integer', default: 0, min: 0, max: MAX_DECIMAL_PLACES },
+  theme: { type: 'enum', default: ThemeId.CLASSIC, values: Object.values(ThemeId) },
+  customTheme: { type: 'custom', default: null, validate: value => value === null || Themes.validate(value).length === 0 },
+  ...LAYOUT_SCHEMA, // Геометрия: размеры косточек, шаг стержней, рамка
+  animationDuration: { type: 'integer', default: 150, min: 0, max: 2000 }, // Защёлкивание косточек, 0 = без анимации
+  flashAnzan: {
+    type: 'object',
+    fields: {
+      digits: { type: 'integer', default: 1, min: 1, max: MAX_EXACT_DIGITS },
+      count: { type: 'integer', default: 5, min: 2, max: 30 },
+      interval: { type: 'integer', default: 1000, min: 200, max: 5000 },
+      allowNegative: { type: 'boolean', default: false }
+    }
+  },
+  dictation: {
+    type: 'object',
+    fields: {
+      digits: { type: 'integer', default: 2, min: 1, max: MAX_EXACT_DIGITS }, // Числительные - до 10^15
+      count: { type: 'integer', default: 5, min: 2, max: 30 },
+      rate: { type: 'number', default: 1, min: 0.5, max: 2 },
+      pause: { type: 'integer', default: 1500, min: 0, max: 10000 },
+      allowNegative: { type: 'boolean', default: true }
+    }
+  }
+};
+
+/**
+ * Migrations to the version they produce, oldest first
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    // Значения <select> могли сохраниться строками
+    migrate(settings) {
+      ['digitCount', 'notchOffset', 'decimalPlaces'].forEach(key => {
+        if (typeof settings[key] === 'string' && settings[key].trim() !== '') {
+          settings[key] = Number(settings[key]);
+        }
+      });
+      return settings;
+    }
+  }
+];
+
 export class Config {
   constructor() {
     // Default configuration
-    this.defaults = {
-      digitCount: 13,
-      showDigits: false,
-      beadWidth: 32,
-      beadHeight: 36,
-      gapFromBar: 1,
-      barY: 116,
-      snapDistance: 15,
-      animationDuration: 150
-    };
+    this.defaults = Config.getDefaults();
 
     // Current configuration
-    this.current = { ...this.defaults };
+    this.current = Config.getDefaults();
 
     // Load saved configuration
     this.load();
   }
 
+  /**
+   * Default values of a schema
+   * @param {Object} schema - Schema (default: SETTINGS_SCHEMA)
+   * @returns {Object}
+   */
+  static getDefaults(schema = SETTINGS_SCHEMA) {
+    const defaults = {};
+    Object.entries(schema).forEach(([key, rule]) => {
+      defaults[key] = rule.type === 'object' ? this.getDefaults(rule.fields) : rule.default;
+    });
+    return defaults;
+  }
+
+  /**
+   * Check a value against its rule
+   * @param {Object} rule - Schema rule
+   * @param {any} value - Stored value
+   * @returns {Object} - { value, valid } - value repaired if it was invalid
+   */
+  static validateValue(rule, value) {
+    switch (rule.type) {
+      case 'integer':
+      case 'number': {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          return { value: rule.default, valid: false };
+        }
+        const whole = rule.type === 'integer' ? Math.round(value) : value;
+        const clamped = Math.min(rule.max, Math.max(rule.min, whole));
+        return { value: clamped, valid: clamped === value };
+      }
+      case 'boolean':
+        return typeof value === 'boolean' ? { value, valid: true } : { value: rule.default, valid: false };
+      case 'enum':
+        return rule.values.includes(value) ? { value, valid: true } : { value: rule.default, valid: false };
+      case 'custom':
+        return rule.validate(value) ? { value, valid: true } : { value: rule.default, valid: false };
+      case 'object': {
+        const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+        const { settings, repaired } = this.validate(isObject ? value : {}, rule.fields);
+        return { value: settings, valid: isObject && repaired.length === 0 };
+      }
+      default:
+        throw new Error(`Unknown rule type: ${rule.type}`);
+    }
+  }
+
+  /**
+   * Validate settings against a schema, repairing invalid values
+   * Missing keys get their defaults; unknown keys are dropped.
+   * @param {Object} settings - Stored settings
+   * @param {Object} schema - Schema (default: SETTINGS_SCHEMA)
+   * @returns {Object} - { settings, repaired } - repaired: keys that were invalid
+   */
+  static validate(settings, schema = SETTINGS_SCHEMA) {
+    const result = {};
+    const repaired = [];
+
+    Object.entries(schema).forEach(([key, rule]) => {
+      if (!(key in settings)) {
+        result[key] = rule.type === 'object' ? this.getDefaults(rule.fields) : rule.default;
+        return;
+      }
+      const { value, valid } = this.validateValue(rule, settings[key]);
+      result[key] = value;
+      if (!valid) repaired.push(key);
+    });
+
+    // Единичный стержень должен существовать
+    if (schema === SETTINGS_SCHEMA && result.decimalPlaces >= result.digitCount) {
+      result.decimalPlaces = result.digitCount - 1;
+      repaired.push('decimalPlaces');
+    }
+
+    // Соседние косточки не должны заходить друг на друга
+    if (schema === SETTINGS_SCHEMA && result.rodPitch < 2 * result.beadWidth) {
+      result.rodPitch = 2 * result.beadWidth;
+      repaired.push('rodPitch');
+    }
+
+    // Своя тема выбрана, но не загружена
+    if (schema === SETTINGS_SCHEMA && result.theme === ThemeId.CUSTOM && result.customTheme === null) {
+      result.theme = ThemeId.CLASSIC;
+      repaired.push('theme');
+    }
+
+    return { settings: result, repaired };
+  }
+
+  /**
+   * Bring stored settings to the current version
+   * @param {Object} stored - Stored settings (version 1 has no `version` key)
+   * @returns {Object} - Settings without the version key
+   */
+  static migrate(stored) {
+    const { version: storedVersion, ...settings } = stored;
+    const version = Number.isInteger(storedVersion) ? storedVersion : 1;
+    if (version > SETTINGS_VERSION) {
+      logger.warn(CONTEXT, `Settings version ${version} is newer than ${SETTINGS_VERSION}, validating as is`);
+    }
+
+    return MIGRATIONS
+      .filter(migration => migration.version > version)
+      .reduce((result, migration) => {
+        logger.info(CONTEXT, `Migrating settings to version ${migration.version}`);
+        return migration.migrate(result);
+      }, settings);
+  }
+
   /**
    * Load configuration from localStorage
    */
   load() {
     const saved = loadConfig();
-    if (saved) {
-      this.current = { ...this.defaults, ...saved };
-      logger.debug(CONTEXT, 'Configuration loaded from storage');
-    } else {
+    if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+      this.current = Config.getDefaults();
+      if (saved !== null) {
+        logger.warn(CONTEXT, 'Stored settings are not an object, resetting to defaults');
+        this.save();
+      }
       logger.debug(CONTEXT, 'Using default configuration');
+      return;
+    }
+
+    const { settings, repaired } = Config.validate(Config.migrate(saved));
+    this.current = settings;
+
+    if (repaired.length > 0) {
+      logger.warn(CONTEXT, `Repaired invalid settings: ${repaired.join(', ')}`);
+    }
+    if (repaired.length > 0 || !(saved.version >= SETTINGS_VERSION)) {
+      this.save();
     }
+    logger.debug(CONTEXT, 'Configuration loaded from storage');
   }
 
   /**
    * Save configuration to localStorage
    */
   save() {
-    saveConfig(this.current);
+    saveConfig({ version: SETTINGS_VERSION, ...this.current });
     logger.debug(CONTEXT, 'Configuration saved to storage');
   }
 
   /**
-   * Get configuration value
+   * Get configuration value (objects are copies)
    * @param {string} key - Configuration key
    * @returns {any}
    */
   get(key) {
-    return this.current[key];
+    const value = this.current[key];
+    return value !== null && typeof value === 'object' ? { ...value } : value;
   }
 
   /**
    * Set configuration value
    * @param {string} key - Configuration key
    * @param {any} value - Value to set
+   * @returns {boolean} - False if the key is unknown or the value invalid
    */
   set(key, value) {
-    this.current[key] = value;
-    this.save();
-    logger.debug(CONTEXT, `Config updated: ${key} = ${value}`);
+    return this.update({ [key]: value });
   }
 
   /**
@@ -74,24 +280,36 @@ export class Config {
    * @returns {Object}
    */
   getAll() {
-    return { ...this.current };
+    return Object.fromEntries(Object.keys(this.current).map(key => [key, this.get(key)]));
   }
 
   /**
    * Update multiple configuration values
+   * Nothing is changed if any key is unknown or any value invalid.
    * @param {Object} updates - Key-value pairs to update
+   * @returns {boolean}
    */
   update(updates) {
-    this.current = { ...this.current, ...updates };
+    const unknown = Object.keys(updates).filter(key => !(key in SETTINGS_SCHEMA));
+    const { settings, repaired } = Config.validate({ ...this.current, ...updates });
+    const rejected = [...unknown, ...repaired];
+
+    if (rejected.length > 0) {
+      logger.warn(CONTEXT, `Rejected settings: ${rejected.join(', ')}`, updates);
+      return false;
+    }
+
+    this.current = settings;
     this.save();
     logger.debug(CONTEXT, 'Configuration updated:', updates);
+    return true;
   }
 
   /**
    * Reset to default configuration
    */
   reset() {
-    this.current = { ...this.defaults };
+    this.current = Config.getDefaults();
     this.save();
     logger.debug(CONTEXT, 'Configuration reset to defaults');
   }
@@ -0,0 +1,223 @@
+/**
+ * Exercise generator - addition/subtraction chains that practice a chosen formula
+ * Every generated term comes with the bead moves it expects, rod by rod,
+ * so the UI can use them for hints and checking.
+ */
+
+import { logger } from './logger.js';
+import { Calculator } from './Calculator.js';
+import { Formulas } from './Formulas.js';
+
+const CONTEXT = 'ExerciseGenerator';
+
+const MAX_DETOURS = 20;   // Terms without the target formula tried at each step (all of them for 1-digit terms)
+const MAX_PLANS = 50000;  // Search budget - only hit when the formula is out of reach
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items
+ * @returns {Array} - The same array
+ */
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+export class ExerciseGenerator {
+  /**
+   * Generate an exercise
+   * @param {Object} options
+   * @param {string} options.formula - Target formula id, e.g. "+4=+5-1" or "+7=+10-3"
+   * @param {Array<string>} options.exclude - Formula ids or types (FormulaType) not learned yet
+   * @param {number} options.digits - Digits per term (default: 1)
+   * @param {number} options.count - Number of terms (default: 5)
+   * @param {number} options.rods - Rods available (default: digits + 1)
+   * @param {boolean} options.allowNegative - Allow subtraction terms (default: true)
+   * @returns {Object} - { formula, terms, answer, steps }
+   */
+  static generate(options = {}) {
+    const {
+      formula,
+      exclude = [],
+      digits = 1,
+      count = 5,
+      rods = digits + 1,
+      allowNegative = true
+    } = options;
+
+    if (!Formulas.getType(formula)) {
+      throw new Error(`Unknown formula: ${formula}`);
+    }
+    if (this.isExcluded(formula, exclude)) {
+      throw new Error(`Target formula ${formula} is excluded`);
+    }
+    if (digits < 1 || digits > rods) {
+      throw new RangeError(`Cannot generate ${digits}-digit terms for ${rods} rods`);
+    }
+
+    const { operand } = Formulas.list().find(f => f.id === formula);
+    if (operand < 0 && !allowNegative) {
+      throw new RangeError(`Formula ${formula} needs subtraction terms`);
+    }
+
+    const task = {
+      formula,
+      operand,
+      exclude,
+      digits,
+      count,
+      allowNegative,
+      maxValue: Calculator.getMaxValue(rods),
+      deadEnds: new Set(), // "step:total:practiced" states that cannot be completed
+      plans: 0
+    };
+
+    const steps = this.extend(task, new Array(rods).fill(0), 0, [], false);
+    if (!steps) {
+      throw new RangeError(`Formula ${formula} cannot be practiced with these settings`);
+    }
+
+    const terms = steps.map(step => step.term);
+    const total = terms.reduce((sum, term) => sum + term, 0);
+    logger.debug(CONTEXT, `Generated exercise for ${formula}: ${terms.join(', ')} = ${total} (${task.plans} terms planned)`);
+
+    return { formula, terms, answer: total, steps };
+  }
+
+  /**
+   * Depth-first search for the rest of an exercise
+   * Terms that practice the target formula are tried first; when a branch cannot
+   * reach the formula (or runs out of terms), the search backs up and tries another term.
+   * @param {Object} task - Options of generate and the search state
+   * @param {Array<number>} current - Rod digits so far
+   * @param {number} total - Sum so far
+   * @param {Array<Object>} steps - Steps so far
+   * @param {boolean} practiced - True if a step already used the target formula
+   * @returns {Array<Object>|null} - All steps, null if this branch cannot be completed
+   */
+  static extend(task, current, total, steps, practiced) {
+    if (steps.length === task.count) {
+      return practiced ? steps : null;
+    }
+
+    // Цифры стержней однозначно задаются суммой - тупик запоминаем по ней
+    const key = `${steps.length}:${total}:${practiced}`;
+    if (task.deadEnds.has(key) || task.plans > MAX_PLANS) return null;
+
+    for (const step of this.getSteps(task, current, total, steps.length)) {
+      const hit = practiced || step.formulas.includes(task.formula);
+      const result = this.extend(task, step.after, total + step.term, [...steps, step], hit);
+      if (result) return result;
+    }
+
+    task.deadEnds.add(key);
+    return null;
+  }
+
+  /**
+   * Steps that may follow, in the order to try them
+   * Every step practicing the target formula comes first, then up to MAX_DETOURS others,
+   * each group shuffled. Only terms that may use the formula are planned in full;
+   * the others are planned one by one until enough of them pass the exclusions.
+   * @param {Object} task - See extend
+   * @param {Array<number>} current - Rod digits before the term
+   * @param {number} total - Sum before the term
+   * @param {number} index - Index of the term
+   * @returns {Array<Object>} - Steps (see describeTerm)
+   */
+  static getSteps(task, current, total, index) {
+    const terms = shuffle(this.getCandidates(task.digits)
+      .filter(term => term > 0 || (task.allowNegative && index > 0))
+      .filter(term => total + term >= 0 && total + term <= task.maxValue));
+
+    const targeted = [];
+    const detours = [];
+    const plan = term => {
+      task.plans++;
+      const step = this.describeTerm(current, term);
+      return step.formulas.some(id => this.isExcluded(id, task.exclude)) ? null : step;
+    };
+
+    terms.filter(term => this.mayPractice(term, task.operand)).forEach(term => {
+      const step = plan(term);
+      if (step) (step.formulas.includes(task.formula) ? targeted : detours).push(step);
+    });
+
+    for (const term of terms) {
+      if (detours.length >= MAX_DETOURS) break;
+      if (this.mayPractice(term, task.operand)) continue;
+      const step = plan(term);
+      if (step) detours.push(step);
+    }
+
+    return [...targeted, ...detours.slice(0, MAX_DETOURS)];
+  }
+
+  /**
+   * Cheap check before planning: a formula is applied to one digit of the term,
+   * or to the ±1 carried into the next rod
+   * @param {number} term - Signed term
+   * @param {number} operand - Signed operand of the formula
+   * @returns {boolean} - False if the term cannot use the formula
+   */
+  static mayPractice(term, operand) {
+    if (Math.sign(term) !== Math.sign(operand)) return false;
+    return Math.abs(operand) === 1 || String(Math.abs(term)).includes(String(Math.abs(operand)));
+  }
+
+  /**
+   * Candidate terms with exactly the given number of digits (both signs)
+   * Small ranges are enumerated, larger ones are sampled.
+   * @param {number} digits - Digits per term
+   * @returns {Array<number>}
+   */
+  static getCandidates(digits) {
+    const MAX_ENUMERATED_DIGITS = 3;
+    const SAMPLE_SIZE = 500;
+    const magnitudes = [];
+
+    if (digits <= MAX_ENUMERATED_DIGITS) {
+      const min = digits === 1 ? 1 : Math.pow(10, digits - 1);
+      for (let n = min; n < Math.pow(10, digits); n++) {
+        magnitudes.push(n);
+      }
+    } else {
+      for (let i = 0; i < SAMPLE_SIZE; i++) {
+        magnitudes.push(Calculator.generateTerm(digits));
+      }
+    }
+
+    return magnitudes.flatMap(n => [n, -n]);
+  }
+
+  /**
+   * Describe a term with its canonical bead moves
+   * @param {Array<number>} digits - Rod digits before the term
+   * @param {number} term - Signed term
+   * @returns {Object} - { term, before, after, rods, moves, formulas }
+   */
+  static describeTerm(digits, term) {
+    const plan = Formulas.buildPlan(digits, term);
+    return {
+      term,
+      before: plan.before,
+      after: plan.after,
+      rods: plan.steps,
+      moves: plan.steps.flatMap(step => step.moves),
+      formulas: plan.steps.flatMap(step => step.formulas.map(f => f.id))
+    };
+  }
+
+  /**
+   * Check if a formula is excluded by id or by type
+   * @param {string} id - Formula id
+   * @param {Array<string>} exclude - Excluded ids or types
+   * @returns {boolean}
+   */
+  static isExcluded(id, exclude) {
+    return exclude.includes(id) || exclude.includes(Formulas.getType(id));
+  }
+}
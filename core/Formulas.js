@@ -0,0 +1,291 @@
+/**
+ * Soroban formulas - the standard method for adding and subtracting on one rod
+ * Every single-digit operation is resolved the way it is taught:
+ *   direct       - beads are moved straight away (+3 on 1)
+ *   small friend - 5-complement (+4 = +5 -1)
+ *   big friend   - 10-complement (+7 = +10 -3)
+ *   mixed        - 10-complement whose remainder needs a 5-complement (+6 = +10 -5 +1)
+ * Two-finger technique: the thumb raises earth beads, the index finger makes
+ * every other move (lowers earth beads, moves heaven beads both ways).
+ */
+
+import { logger } from './logger.js';
+import { Calculator } from './Calculator.js';
+
+const CONTEXT = 'Formulas';
+
+let formulaList = null; // Built once by Formulas.list()
+
+export const FormulaType = {
+  DIRECT: 'direct',
+  SMALL_FRIEND: 'small-friend',
+  BIG_FRIEND: 'big-friend',
+  MIXED: 'mixed'
+};
+
+export const Finger = {
+  THUMB: 'thumb',
+  INDEX: 'index'
+};
+
+export class Formulas {
+  /**
+   * Resolve a single-digit operation on one rod
+   * @param {number} digit - Current rod digit (0-9)
+   * @param {number} operand - Signed digit to apply (-9..9, not 0)
+   * @returns {Object} - { type, id, parts, carry, result }
+   *   parts - signed steps in teaching order, e.g. [10, -5, 1]; ±10 is a carry to the left rod
+   *   carry - +1 / -1 applied to the left rod, 0 if none
+   */
+  static resolve(digit, operand) {
+    const n = Math.abs(operand);
+    const current = Calculator.decomposeDigit(digit);
+
+    if (operand > 0) {
+      if (digit + n <= 9) {
+        const add = Calculator.decomposeDigit(n);
+        if ((add.heaven === 0 || current.heaven === 0) && current.earth + add.earth <= 4) {
+          return this.build(FormulaType.DIRECT, operand, [n], digit);
+        }
+        return this.build(FormulaType.SMALL_FRIEND, operand, [5, -(5 - n)], digit);
+      }
+
+      const complement = 10 - n;
+      const sub = Calculator.decomposeDigit(complement);
+      if (sub.heaven <= current.heaven && sub.earth <= current.earth) {
+        return this.build(FormulaType.BIG_FRIEND, operand, [10, -complement], digit);
+      }
+      return this.build(FormulaType.MIXED, operand, [10, -5, 5 - complement], digit);
+    }
+
+    if (digit - n >= 0) {
+      const sub = Calculator.decomposeDigit(n);
+      if (sub.heaven <= current.heaven && sub.earth <= current.earth) {
+        return this.build(FormulaType.DIRECT, operand, [-n], digit);
+      }
+      return this.build(FormulaType.SMALL_FRIEND, operand, [-5, 5 - n], digit);
+    }
+
+    const complement = 10 - n;
+    const add = Calculator.decomposeDigit(complement);
+    if ((add.heaven === 0 || current.heaven === 0) && current.earth + add.earth <= 4) {
+      return this.build(FormulaType.BIG_FRIEND, operand, [-10, complement], digit);
+    }
+    return this.build(FormulaType.MIXED, operand, [-10, 5, -(5 - complement)], digit);
+  }
+
+  /**
+   * Assemble resolution result
+   * @param {string} type - FormulaType
+   * @param {number} operand - Signed operand
+   * @param {Array<number>} parts - Signed parts
+   * @param {number} digit - Rod digit before the operation
+   * @returns {Object}
+   */
+  static build(type, operand, parts, digit) {
+    const carry = parts.includes(10) ? 1 : parts.includes(-10) ? -1 : 0;
+    return {
+      type,
+      id: this.getId(operand, type === FormulaType.DIRECT ? [] : parts),
+      parts,
+      carry,
+      result: digit + operand - carry * 10
+    };
+  }
+
+  /**
+   * Build formula identifier, e.g. "+4=+5-1" or "-3" for direct moves
+   * @param {number} operand - Signed operand
+   * @param {Array<number>} parts - Signed parts (empty for direct)
+   * @returns {string}
+   */
+  static getId(operand, parts) {
+    const head = this.formatSigned(operand);
+    return parts.length ? `${head}=${parts.map(p => this.formatSigned(p)).join('')}` : head;
+  }
+
+  /**
+   * @param {number} value
+   * @returns {string}
+   */
+  static formatSigned(value) {
+    return value < 0 ? `-${-value}` : `+${value}`;
+  }
+
+  /**
+   * Human readable formula label with a typographic minus
+   * @param {string} id - Formula id
+   * @returns {string}
+   */
+  static getLabel(id) {
+    return id.replace(/-/g, '−').replace(/=/g, ' = ');
+  }
+
+  /**
+   * List every formula of the method
+   * @returns {Array<Object>} - [{ id, type, operand }]
+   */
+  static list() {
+    if (formulaList) return formulaList;
+
+    const formulas = [];
+
+    for (const sign of [1, -1]) {
+      for (let n = 1; n <= 9; n++) {
+        const operand = sign * n;
+        formulas.push({ id: this.getId(operand, []), type: FormulaType.DIRECT, operand });
+        if (n <= 4) {
+          const parts = sign > 0 ? [5, -(5 - n)] : [-5, 5 - n];
+          formulas.push({ id: this.getId(operand, parts), type: FormulaType.SMALL_FRIEND, operand });
+        }
+        formulas.push({ id: this.getId(operand, [sign * 10, -sign * (10 - n)]), type: FormulaType.BIG_FRIEND, operand });
+        if (n >= 6) {
+          formulas.push({ id: this.getId(operand, [sign * 10, -sign * 5, sign * (n - 5)]), type: FormulaType.MIXED, operand });
+        }
+      }
+    }
+
+    formulaList = formulas;
+    return formulas;
+  }
+
+  /**
+   * Get formula type from its id
+   * @param {string} id - Formula id
+   * @returns {string|null}
+   */
+  static getType(id) {
+    const formula = this.list().find(f => f.id === id);
+    return formula ? formula.type : null;
+  }
+
+  /**
+   * Finger that makes a bead move
+   * @param {Object} move - { bead, delta }, positive delta adds to the rod
+   * @returns {string} - Finger
+   */
+  static getFinger(move) {
+    return move.bead === 'earth' && move.delta > 0 ? Finger.THUMB : Finger.INDEX;
+  }
+
+  /**
+   * Convert one part of a formula into bead moves on a rod
+   * @param {number} col - Column index
+   * @param {number} part - Signed part (not ±10)
+   * @returns {Array<Object>} - [{ col, bead, delta, finger }]
+   */
+  static partToMoves(col, part) {
+    const { heaven, earth } = Calculator.decomposeDigit(Math.abs(part));
+    const sign = Math.sign(part);
+    const moves = [];
+    if (heaven) moves.push({ col, bead: 'heaven', delta: sign });
+    if (earth) moves.push({ col, bead: 'earth', delta: sign * earth });
+    return moves.map(move => ({ ...move, finger: this.getFinger(move) }));
+  }
+
+  /**
+   * Apply a signed digit to a rod, resolving carries into rods on the left
+   * @param {Array<number>} digits - Rod digits, leftmost first (mutated)
+   * @param {number} col - Column index
+   * @param {number} operand - Signed digit (-9..9)
+   * @returns {Object} - { col, operand, digit, type, id, parts, moves, formulas }
+   */
+  static applyDigit(digits, col, operand) {
+    if (col < 0) {
+      throw new RangeError('Operation does not fit on the abacus');
+    }
+
+    const digit = digits[col];
+    const resolution = this.resolve(digit, operand);
+    const moves = [];
+    const formulas = [{ col, id: resolution.id, type: resolution.type }];
+
+    resolution.parts.forEach(part => {
+      if (Math.abs(part) === 10) {
+        const carry = this.applyDigit(digits, col - 1, resolution.carry);
+        moves.push(...carry.moves);
+        formulas.push(...carry.formulas);
+      } else {
+        moves.push(...this.partToMoves(col, part));
+      }
+    });
+
+    digits[col] = resolution.result;
+
+    return {
+      col,
+      operand,
+      digit,
+      type: resolution.type,
+      id: resolution.id,
+      parts: resolution.parts,
+      moves,
+      formulas
+    };
+  }
+
+  /**
+   * Plan the canonical bead moves for adding a term to the abacus
+   * Digits of the term are applied from left to right, as on a real soroban.
+   * @param {Array<number>} digits - Rod digits before the operation, leftmost first
+   * @param {number|bigint} operand - Signed term
+   * @returns {Object} - { operand, before, after, steps }
+   *   each step also carries `after` - rod digits once that digit of the term is applied
+   */
+  static planTerm(digits, operand) {
+    const plan = this.buildPlan(digits, operand);
+    logger.debug(CONTEXT, `Planned ${operand}: ${plan.steps.map(s => s.id).join(', ')}`);
+    return plan;
+  }
+
+  /**
+   * planTerm without logging - for callers that try many terms (ExerciseGenerator)
+   * @param {Array<number>} digits - Rod digits before the operation, leftmost first
+   * @param {number|bigint} operand - Signed term
+   * @returns {Object} - See planTerm
+   */
+  static buildPlan(digits, operand) {
+    const working = [...digits];
+    const negative = operand < 0;
+    const magnitude = String(negative ? -operand : operand);
+    const steps = [];
+
+    if (magnitude.length > working.length) {
+      throw new RangeError(`Term ${operand} does not fit on ${working.length} rods`);
+    }
+
+    magnitude.split('').forEach((char, i) => {
+      const value = parseInt(char, 10);
+      if (value === 0) return;
+      const col = working.length - magnitude.length + i;
+      const step = this.applyDigit(working, col, negative ? -value : value);
+      step.after = [...working];
+      steps.push(step);
+    });
+
+    return { operand, before: [...digits], after: working, steps };
+  }
+
+  /**
+   * Overall technique from a list of formula types
+   * @param {Array<string>} types - FormulaType values
+   * @returns {string}
+   */
+  static combineTypes(types) {
+    const small = types.includes(FormulaType.SMALL_FRIEND);
+    const big = types.includes(FormulaType.BIG_FRIEND);
+    if (types.includes(FormulaType.MIXED) || (small && big)) return FormulaType.MIXED;
+    if (big) return FormulaType.BIG_FRIEND;
+    if (small) return FormulaType.SMALL_FRIEND;
+    return FormulaType.DIRECT;
+  }
+
+  /**
+   * Convert rod digits to an exact integer
+   * @param {Array<number>} digits - Rod digits, leftmost first
+   * @returns {bigint}
+   */
+  static digitsToBigInt(digits) {
+    return digits.reduce((total, digit) => total * 10n + BigInt(digit), 0n);
+  }
+}
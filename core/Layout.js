@@ -0,0 +1,173 @@
+/**
+ * Layout - geometry of the abacus computed from configuration
+ * Rendering, hit-testing, snapping and the bead model all read positions from
+ * a Layout instance, so bead size, rod pitch and frame proportions can change
+ * at runtime without them falling out of sync.
+ *
+ * Positions are in rod coordinates of the abacus body group: rods run along Y
+ * from the top frame to the bottom frame, columns are laid out along X.
+ * Horizontal types (schoty) turn the whole group sideways (see getBodyTransform).
+ */
+
+export const LAYOUT_DEFAULTS = {
+  beadWidth: 32, // Половина ширины косточки: косточка от x - 32 до x + 32
+  beadHeight: 36,
+  gapFromBar: 1,
+  rodPitch: 72, // Расстояние между стержнями
+  rodThickness: 8,
+  framePadding: 40, // От края рамки до центра крайнего стержня
+  frameThickness: 30,
+  barHeight: 10,
+  marginX: 20, // Поля вокруг рамки
+  marginTop: 30,
+  marginBottom: 6,
+  digitsHeight: 40 // Строка с цифрами над рамкой
+};
+
+const DIGIT_BASELINE_SHIFT = 7; // Сдвиг базовой линии, чтобы цифра была по центру стержня
+
+export class Layout {
+  /**
+   * @param {Object} config - Abacus configuration, missing keys fall back to LAYOUT_DEFAULTS
+   * @param {Object} type - Type definition (AbacusTypes.get)
+   * @param {number} columns - Number of visible rods
+   */
+  constructor(config, type, columns) {
+    const options = { ...LAYOUT_DEFAULTS, ...config };
+
+    this.type = type;
+    this.columns = columns;
+
+    this.beadWidth = options.beadWidth;
+    this.beadHeight = options.beadHeight;
+    this.gapFromBar = options.gapFromBar;
+    this.rodPitch = options.rodPitch;
+    this.rodThickness = options.rodThickness;
+    this.framePadding = options.framePadding;
+    this.frameThickness = options.frameThickness;
+    this.barHeight = options.barHeight;
+    this.digitsHeight = options.digitsHeight;
+
+    // Across the rods
+    this.frameLeft = options.marginX;
+    this.frameWidth = (columns - 1) * this.rodPitch + 2 * this.framePadding;
+
+    // Along the rods - schoty have no bar, it collapses onto the top frame
+    const hasBar = type.heaven > 0;
+    this.frameTop = options.marginTop;
+    this.topFrameBottom = this.frameTop + this.frameThickness;
+    this.barTop = hasBar
+      ? this.topFrameBottom + type.heaven * this.beadHeight + type.heavenTravel
+      : this.topFrameBottom;
+    this.barBottom = hasBar ? this.barTop + this.barHeight : this.barTop;
+    this.bottomFrameTop = this.barBottom + type.earth * this.beadHeight + type.earthTravel;
+    this.bottomFrameBottom = this.bottomFrameTop + this.frameThickness;
+
+    // SVG size, swapped for horizontal rods
+    const across = this.frameWidth + 2 * options.marginX;
+    const along = this.digitsHeight + this.bottomFrameBottom + options.marginBottom;
+    this.width = this.isHorizontal() ? along : across;
+    this.height = this.isHorizontal() ? across : along;
+  }
+
+  /**
+   * Check if rods are drawn horizontally (schoty)
+   * @returns {boolean}
+   */
+  isHorizontal() {
+    return this.type.orientation === 'horizontal';
+  }
+
+  /**
+   * X of a rod center
+   * @param {number} col - Column index (fractional values fall between rods)
+   * @returns {number}
+   */
+  rodX(col) {
+    return this.frameLeft + this.framePadding + col * this.rodPitch;
+  }
+
+  /**
+   * Center of the middle bar (top frame if there is no bar)
+   * @returns {number}
+   */
+  getBarCenterY() {
+    return this.type.heaven > 0
+      ? this.barTop + this.barHeight / 2
+      : this.frameTop + this.frameThickness / 2;
+  }
+
+  /**
+   * Resting Y of a bead
+   * Active beads rest against the bar (heaven above it, earth below it),
+   * inactive ones are stacked against the frames.
+   * @param {string} beadType - 'heaven' or 'earth'
+   * @param {number} index - Bead index, top to bottom
+   * @param {string} position - 'up' or 'down'
+   * @returns {number}
+   */
+  getBeadRestY(beadType, index, position) {
+    const h = this.beadHeight;
+    const gap = this.gapFromBar;
+
+    if (beadType === 'heaven') {
+      return position === 'down'
+        ? this.barTop - h / 2 - gap - (this.type.heaven - 1 - index) * h
+        : this.topFrameBottom + h / 2 + gap + index * h;
+    }
+
+    return position === 'up'
+      ? this.barBottom + h / 2 + gap + index * h
+      : this.bottomFrameTop - h / 2 - gap - (this.type.earth - 1 - index) * h;
+  }
+
+  /**
+   * Area of a rod including both frames, e.g. for the focus ring
+   * @param {number} col - Column index
+   * @param {number} inset - Extra space around the frames
+   * @returns {Object} - { x, y, width, height }
+   */
+  getRodBox(col, inset = 0) {
+    return {
+      x: this.rodX(col) - this.rodPitch / 2,
+      y: this.frameTop - inset,
+      width: this.rodPitch,
+      height: this.bottomFrameBottom - this.frameTop + 2 * inset
+    };
+  }
+
+  /**
+   * Transform of the group holding frame, rods and beads
+   * Beads always move along Y inside the group; horizontal types swap the axes.
+   * @returns {string}
+   */
+  getBodyTransform() {
+    return this.isHorizontal()
+      ? `matrix(0 1 1 0 ${this.digitsHeight} 0)`
+      : `translate(0, ${this.digitsHeight})`;
+  }
+
+  /**
+   * Position of a rod digit label in SVG coordinates
+   * @param {number} col - Column index (fractional values fall between rods)
+   * @returns {Object} - { x, y }
+   */
+  getDigitPosition(col) {
+    const x = this.rodX(col);
+    return this.isHorizontal()
+      ? { x: this.digitsHeight, y: x + DIGIT_BASELINE_SHIFT }
+      : { x, y: this.digitsHeight };
+  }
+
+  /**
+   * Position of a finger hint in SVG coordinates - on the bottom frame below a rod
+   * @param {number} col - Column index
+   * @returns {Object} - { x, y }
+   */
+  getFingerHintPosition(col) {
+    const x = this.rodX(col);
+    const y = this.digitsHeight + this.bottomFrameTop + this.frameThickness / 2;
+    return this.isHorizontal() ? { x: y, y: x } : { x, y };
+  }
+}
+
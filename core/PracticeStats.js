@@ -0,0 +1,138 @@
+/**
+ * Practice statistics - accuracy and speed of recorded exercise attempts
+ * Headless: works on plain attempt records, storage lives in utils/practiceHistory.js.
+ *
+ * Attempt record:
+ *   { id, mode, startedAt, time, digits, count, terms, expected, actual, correct, moves, formulas }
+ *   mode      - 'flash' | 'dictation'
+ *   startedAt - start time (ms since epoch), time - time taken (ms)
+ *   moves     - bead moves made, formulas - formula ids of the operations (core/Formulas.js)
+ */
+
+const CSV_COLUMNS = [
+  'id', 'mode', 'startedAt', 'digits', 'count', 'terms',
+  'expected', 'actual', 'correct', 'time', 'moves', 'formulas'
+];
+
+export class PracticeStats {
+  /**
+   * Accuracy and average time of a list of attempts
+   * @param {Array<Object>} attempts - Attempt records
+   * @returns {Object} - { attempts, correct, accuracy (0-1), averageTime (ms) }
+   */
+  static summarize(attempts) {
+    const correct = attempts.filter(a => a.correct).length;
+    const totalTime = attempts.reduce((sum, a) => sum + a.time, 0);
+    return {
+      attempts: attempts.length,
+      correct,
+      accuracy: attempts.length ? correct / attempts.length : 0,
+      averageTime: attempts.length ? totalTime / attempts.length : 0
+    };
+  }
+
+  /**
+   * Day of an attempt in local time, e.g. "2026-01-05"
+   * @param {number} timestamp - ms since epoch
+   * @returns {string}
+   */
+  static getDay(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Daily accuracy and speed, oldest day first
+   * @param {Array<Object>} attempts - Attempt records
+   * @returns {Array<Object>} - [{ day, attempts, correct, accuracy, averageTime }]
+   */
+  static getTrend(attempts) {
+    const days = new Map();
+    attempts.forEach(attempt => {
+      const day = this.getDay(attempt.startedAt);
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push(attempt);
+    });
+
+    return [...days.keys()].sort().map(day => ({ day, ...this.summarize(days.get(day)) }));
+  }
+
+  /**
+   * Summary and trend per group of attempts
+   * @param {Array<Object>} attempts - Attempt records
+   * @param {Function} getKeys - attempt => keys the attempt counts for
+   * @returns {Array<Object>} - [{ key, attempts, correct, accuracy, averageTime, trend }]
+   */
+  static groupBy(attempts, getKeys) {
+    const groups = new Map();
+    attempts.forEach(attempt => {
+      new Set(getKeys(attempt)).forEach(key => {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(attempt);
+      });
+    });
+
+    return [...groups.entries()].map(([key, list]) => ({
+      key,
+      ...this.summarize(list),
+      trend: this.getTrend(list)
+    }));
+  }
+
+  /**
+   * Statistics per digit length of the terms
+   * @param {Array<Object>} attempts - Attempt records
+   * @returns {Array<Object>} - Groups sorted by digit length
+   */
+  static byDigits(attempts) {
+    return this.groupBy(attempts, a => [a.digits]).sort((a, b) => a.key - b.key);
+  }
+
+  /**
+   * Statistics per formula - an attempt counts for every formula used in it
+   * @param {Array<Object>} attempts - Attempt records
+   * @returns {Array<Object>} - Groups, most practised formula first
+   */
+  static byFormula(attempts) {
+    return this.groupBy(attempts, a => a.formulas || [])
+      .sort((a, b) => b.attempts - a.attempts || a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Export attempts as CSV, one attempt per row
+   * @param {Array<Object>} attempts - Attempt records
+   * @returns {string}
+   */
+  static toCSV(attempts) {
+    const rows = attempts.map(attempt => CSV_COLUMNS.map(column => {
+      const value = attempt[column];
+      if (column === 'startedAt') return new Date(value).toISOString();
+      if (Array.isArray(value)) return this.escapeCSV(value.join(' '));
+      if (typeof value === 'string') return this.escapeCSV(value);
+      return value === undefined || value === null ? '' : String(value);
+    }).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+  }
+
+  /**
+   * Quote a text cell; cells starting with = + - @ get a leading apostrophe
+   * so spreadsheets do not run formula ids like "+4=+5-1" as formulas
+   * @param {string} text
+   * @returns {string}
+   */
+  static escapeCSV(text) {
+    const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+    return /[",\r\n']/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+  }
+
+  /**
+   * Export attempts as JSON
+   * @param {Array<Object>} attempts - Attempt records
+   * @returns {string}
+   */
+  static toJSON(attempts) {
+    return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), attempts }, null, 2);
+  }
+}
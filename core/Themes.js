@@ -0,0 +1,178 @@
+/**
+ * Visual themes - colors of the SVG abacus
+ *   classic        - orange beads on a brown wooden frame
+ *   high-contrast  - yellow beads on a black frame, white bar and rods
+ *   colorblind     - Okabe-Ito palette, heaven and earth beads in different
+ *                    colors (blue / orange) - also helps beginners
+ *   custom         - palette loaded from JSON (fromJSON), missing keys come from
+ *                    classic; an optional "name" is shown in the theme list
+ * Drawn by components/AbacusRenderer.js.
+ */
+
+export const ThemeId = {
+  CLASSIC: 'classic',
+  HIGH_CONTRAST: 'high-contrast',
+  COLORBLIND: 'colorblind',
+  CUSTOM: 'custom'
+};
+
+/**
+ * Theme keys and how many colors each takes (1 = a single color string)
+ *   frame   - wooden frame gradient, top to bottom
+ *   bar     - middle bar gradient, top to bottom
+ *   heaven  - heaven bead gradient, center to edge
+ *   earth   - earth bead gradient, center to edge
+ *   accent  - middle beads of schoty, center to edge
+ *   notch   - notch rings, outer to inner
+ */
+const THEME_KEYS = {
+  frame: 3,
+  bar: 5,
+  heaven: 3,
+  earth: 3,
+  accent: 3,
+  notch: 4,
+  rod: 1,
+  decimalPoint: 1,
+  digits: 1
+};
+
+// Hex или rgb()/hsl() - цвета попадают в атрибуты SVG, другие строки не принимаем
+const COLOR_PATTERN = /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(rgb|hsl)a?\([\d\s.,%]+\))$/i;
+
+const THEMES = {
+  [ThemeId.CLASSIC]: {
+    id: ThemeId.CLASSIC,
+    frame: ['#A0522D', '#8B4513', '#6B3410'],
+    bar: ['#707070', '#808080', '#555555', '#686868', '#454545'],
+    heaven: ['#ffb366', '#ff7c00', '#cc6300'],
+    earth: ['#ffb366', '#ff7c00', '#cc6300'],
+    accent: ['#8a5a3c', '#5c3317', '#3d220f'],
+    notch: ['#8B6914', '#B8860B', '#DAA520', '#FFD700'],
+    rod: '#654321',
+    decimalPoint: '#C0392B',
+    digits: '#4a4a4a'
+  },
+  [ThemeId.HIGH_CONTRAST]: {
+    id: ThemeId.HIGH_CONTRAST,
+    frame: ['#1a1a1a', '#000000', '#000000'],
+    bar: ['#ffffff', '#ffffff', '#e0e0e0', '#ffffff', '#d0d0d0'],
+    heaven: ['#fff59d', '#ffd600', '#c7a500'],
+    earth: ['#fff59d', '#ffd600', '#c7a500'],
+    accent: ['#ffffff', '#e0e0e0', '#9e9e9e'],
+    notch: ['#000000', '#000000', '#000000', '#000000'],
+    rod: '#ffffff',
+    decimalPoint: '#d50000',
+    digits: '#000000'
+  },
+  [ThemeId.COLORBLIND]: {
+    id: ThemeId.COLORBLIND,
+    frame: ['#A0522D', '#8B4513', '#6B3410'],
+    bar: ['#707070', '#808080', '#555555', '#686868', '#454545'],
+    heaven: ['#8fd0f2', '#0072B2', '#005080'],
+    earth: ['#ffd27a', '#E69F00', '#b37a00'],
+    accent: ['#e8b3d0', '#CC79A7', '#a05080'],
+    notch: ['#004d40', '#009E73', '#33b88f', '#d5f5e3'],
+    rod: '#654321',
+    decimalPoint: '#D55E00',
+    digits: '#222222'
+  }
+};
+
+export class Themes {
+  /**
+   * Get a built-in theme
+   * @param {string} id - ThemeId value
+   * @returns {Object} - Copy of the theme, falls back to classic for unknown ids
+   */
+  static get(id) {
+    return this.copy(THEMES[id] || THEMES[ThemeId.CLASSIC]);
+  }
+
+  /**
+   * List built-in theme ids
+   * @returns {Array<string>}
+   */
+  static list() {
+    return Object.keys(THEMES);
+  }
+
+  /**
+   * Theme to draw for a stored choice
+   * @param {string} id - ThemeId value
+   * @param {Object|null} custom - Custom theme (used when id is 'custom')
+   * @returns {Object}
+   */
+  static resolve(id, custom = null) {
+    if (id === ThemeId.CUSTOM && custom && this.validate(custom).length === 0) {
+      return { ...this.get(ThemeId.CLASSIC), ...this.copy(custom), id: ThemeId.CUSTOM };
+    }
+    return this.get(id);
+  }
+
+  /**
+   * Check a (possibly partial) theme
+   * @param {Object} theme - Theme keys, see THEME_KEYS
+   * @returns {Array<string>} - Problems found, empty if the theme is valid
+   */
+  static validate(theme) {
+    if (theme === null || typeof theme !== 'object' || Array.isArray(theme)) {
+      return ['theme must be an object'];
+    }
+
+    const errors = [];
+    Object.entries(theme).forEach(([key, value]) => {
+      if (key === 'id') return;
+      if (key === 'name') {
+        if (typeof value !== 'string') errors.push('"name" must be a string');
+        return;
+      }
+
+      const count = THEME_KEYS[key];
+      if (!count) {
+        errors.push(`unknown key "${key}"`);
+      } else if (count === 1 && !this.isColor(value)) {
+        errors.push(`"${key}" must be a color`);
+      } else if (count > 1 && !(Array.isArray(value) && value.length === count && value.every(c => this.isColor(c)))) {
+        errors.push(`"${key}" must be a list of ${count} colors`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Load a custom theme from JSON
+   * @param {string} text - JSON object with any of the theme keys
+   * @returns {Object} - Theme keys of the JSON (without defaults)
+   * @throws {SyntaxError} - Text is not JSON
+   * @throws {TypeError} - JSON is not a valid theme
+   */
+  static fromJSON(text) {
+    const theme = JSON.parse(text);
+    const errors = this.validate(theme);
+    if (errors.length > 0) {
+      throw new TypeError(errors.join('; '));
+    }
+
+    const custom = this.copy(theme);
+    delete custom.id; // Id задаёт resolve - 'custom'
+    return custom;
+  }
+
+  /**
+   * @param {any} value
+   * @returns {boolean}
+   */
+  static isColor(value) {
+    return typeof value === 'string' && COLOR_PATTERN.test(value.trim());
+  }
+
+  /**
+   * Deep copy of a theme (color lists are arrays)
+   * @param {Object} theme
+   * @returns {Object}
+   */
+  static copy(theme) {
+    return Object.fromEntries(Object.entries(theme).map(([key, value]) => [key, Array.isArray(value) ? [...value] : value]));
+  }
+}
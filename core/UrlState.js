@@ -0,0 +1,97 @@
+/**
+ * URL State - app state in the query string of a shareable link
+ *   lang=en&rods=13&places=2&notch=0&showDigits=1&value=20.25&mode=solution&expr=37+%2B+48&step=3
+ * Every key is optional; decode drops invalid values so a hand-edited or
+ * outdated link still opens. Kept in sync with the page by ui/UrlSync.js.
+ */
+
+import { logger } from './logger.js';
+import { MAX_DECIMAL_PLACES } from './BeadModel.js';
+
+const CONTEXT = 'UrlState';
+
+export const ExerciseMode = {
+  FLASH: 'flash',
+  DICTATION: 'dictation',
+  SOLUTION: 'solution',
+  WORKSPACE: 'workspace'
+};
+
+// Режимы с выражением и шагами
+const STEPPED_MODES = [ExerciseMode.SOLUTION, ExerciseMode.WORKSPACE];
+
+const LANGUAGES = ['ua', 'en', 'ru', 'es']; // Как в детекторе языка index.html
+const MAX_RODS = 17;
+const MAX_EXPRESSION_LENGTH = 100;
+const VALUE_PATTERN = /^\d{1,17}(\.\d{1,16})?$/;
+
+export class UrlState {
+  /**
+   * Build the query string for a state
+   * @param {Object} state - { lang, digitCount, decimalPlaces, notchOffset, showDigits, value, mode, expression, step }
+   * @returns {string} - Query without the leading "?"
+   */
+  static encode(state) {
+    const params = new URLSearchParams();
+    const add = (name, value) => {
+      if (value !== undefined && value !== null && value !== '') params.set(name, String(value));
+    };
+
+    add('lang', state.lang);
+    add('rods', state.digitCount);
+    add('places', state.decimalPlaces);
+    add('notch', state.notchOffset);
+    if (typeof state.showDigits === 'boolean') add('showDigits', state.showDigits ? 1 : 0);
+    add('value', state.value);
+    add('mode', state.mode);
+    if (STEPPED_MODES.includes(state.mode)) {
+      add('expr', state.expression);
+      add('step', state.step);
+    }
+
+    return params.toString();
+  }
+
+  /**
+   * Read a state from a query string
+   * @param {string} search - Query, with or without the leading "?"
+   * @returns {Object} - Valid keys only (see encode)
+   */
+  static decode(search) {
+    const params = new URLSearchParams(search);
+    const state = {};
+    const invalid = [];
+
+    const read = (name, key, parse) => {
+      if (!params.has(name)) return;
+      const value = parse(params.get(name));
+      if (value === undefined) {
+        invalid.push(name);
+      } else {
+        state[key] = value;
+      }
+    };
+    const integer = (min, max) => text => {
+      const value = /^\d+$/.test(text) ? Number(text) : NaN;
+      return value >= min && value <= max ? value : undefined;
+    };
+
+    read('lang', 'lang', text => (LANGUAGES.includes(text) ? text : undefined));
+    read('rods', 'digitCount', integer(1, MAX_RODS));
+    read('places', 'decimalPlaces', integer(0, MAX_DECIMAL_PLACES));
+    read('notch', 'notchOffset', integer(0, 2));
+    read('showDigits', 'showDigits', text => ({ 1: true, 0: false })[text]);
+    read('value', 'value', text => (VALUE_PATTERN.test(text) ? text : undefined));
+    read('mode', 'mode', text => (Object.values(ExerciseMode).includes(text) ? text : undefined));
+
+    if (STEPPED_MODES.includes(state.mode)) {
+      read('expr', 'expression', text => (text.trim() !== '' && text.length <= MAX_EXPRESSION_LENGTH ? text : undefined));
+      read('step', 'step', integer(0, Number.MAX_SAFE_INTEGER));
+    }
+
+    if (invalid.length > 0) {
+      logger.warn(CONTEXT, `Ignored invalid link parameters: ${invalid.join(', ')}`);
+    }
+    return state;
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Worksheet - printable abacus exercises with an answer key
+ *   read - abaci show the numbers, the student writes them down
+ *   set  - blank abaci with the numbers printed under them, the student draws the beads
+ * Every abacus of a sheet has the same number of rods, enough for the longest number.
+ * Numbers are kept as digit strings: 17 digits do not fit in an exact Number.
+ * Drawn and printed by ui/ExportPanel.js.
+ */
+
+import { logger } from './logger.js';
+import { Calculator } from './Calculator.js';
+
+const CONTEXT = 'Worksheet';
+
+export const WorksheetMode = {
+  READ: 'read',
+  SET: 'set'
+};
+
+export const WORKSHEET_LIMITS = {
+  minRods: 3,  // Хотя бы одна группа засечек
+  maxRods: 17, // Как у самого большого абакуса (core/Config.js)
+  maxItems: 30
+};
+
+/**
+ * Digit string of a whole non-negative number
+ * @param {number|bigint|string} value
+ * @returns {string|null} - Null for fractions, negatives and non-numbers
+ */
+function toWholeDigits(value) {
+  const whole = typeof value === 'string' ? /^\s*\d+\s*$/.test(value) : Number.isInteger(value) || typeof value === 'bigint';
+  return whole ? Calculator.toDigitString(value) : null;
+}
+
+export class Worksheet {
+  /**
+   * Parse a list of whole numbers, e.g. "7, 42 305"
+   * @param {string} text - Numbers separated by commas, semicolons or spaces
+   * @returns {Array<string>} - Digit strings without leading zeros
+   * @throws {TypeError} - A token is not a whole non-negative number
+   * @throws {RangeError} - Too many numbers or a number does not fit on the rods
+   */
+  static parseNumbers(text) {
+    const tokens = String(text).split(/[\s,;]+/).filter(token => token !== '');
+    if (tokens.length > WORKSHEET_LIMITS.maxItems) {
+      throw new RangeError(`At most ${WORKSHEET_LIMITS.maxItems} numbers`);
+    }
+
+    return tokens.map(token => {
+      if (!/^\d+$/.test(token)) {
+        throw new TypeError(`"${token}" is not a whole number`);
+      }
+      const digits = Calculator.toDigitString(token);
+      if (digits.length > WORKSHEET_LIMITS.maxRods) {
+        throw new RangeError(`${token} does not fit on ${WORKSHEET_LIMITS.maxRods} rods`);
+      }
+      return digits;
+    });
+  }
+
+  /**
+   * Random numbers with exactly the given number of digits
+   * @param {number} count - How many numbers
+   * @param {number} digits - Digits per number
+   * @returns {Array<string>} - Digit strings
+   */
+  static generateNumbers(count, digits) {
+    if (digits < 1 || digits > WORKSHEET_LIMITS.maxRods) {
+      throw new RangeError(`Cannot generate ${digits}-digit numbers`);
+    }
+
+    const total = Math.min(count, WORKSHEET_LIMITS.maxItems);
+    // По цифре: Calculator.generateTerm дал бы Number, неточный за 2^53
+    const randomDigit = (min = 0) => String(min + Math.floor(Math.random() * (10 - min)));
+    return Array.from({ length: total }, () =>
+      randomDigit(1) + Array.from({ length: digits - 1 }, () => randomDigit()).join('')
+    );
+  }
+
+  /**
+   * Lay out a sheet
+   * @param {Object} options
+   * @param {Array<number|string>} options.numbers - Whole numbers, one abacus each
+   * @param {string} options.mode - WorksheetMode value (default: read)
+   * @returns {Object} - { mode, rods, items: [{ number, value }] } - number is the 1-based label,
+   *   value is the digit string drawn on the abacus and printed in the answer key
+   * @throws {TypeError} - Unknown mode or a number is not whole and non-negative
+   */
+  static create({ numbers, mode = WorksheetMode.READ }) {
+    if (!Object.values(WorksheetMode).includes(mode)) {
+      throw new TypeError(`Unknown worksheet mode: ${mode}`);
+    }
+    if (numbers.length === 0) {
+      throw new RangeError('Worksheet needs at least one number');
+    }
+
+    const values = numbers.map(value => {
+      const digits = toWholeDigits(value);
+      if (digits === null) {
+        throw new TypeError(`${value} is not a whole number`);
+      }
+      return digits;
+    });
+
+    const longest = Math.max(...values.map(value => value.length));
+    const rods = Math.min(WORKSHEET_LIMITS.maxRods, Math.max(WORKSHEET_LIMITS.minRods, longest));
+    const items = values.map((value, i) => ({ number: i + 1, value }));
+
+    logger.debug(CONTEXT, `Worksheet (${mode}): ${numbers.length} numbers on ${rods} rods`);
+    return { mode, rods, items };
+  }
+}
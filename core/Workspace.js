@@ -0,0 +1,283 @@
+/**
+ * Workspace - named regions of rods for multiplication and division
+ * Operands, product/quotient and remainder each get their own group of rods,
+ * as on a real soroban. Regions read their value from rod digits; the planners
+ * return guided steps with the canonical bead moves, built on Formulas.planTerm.
+ */
+
+import { logger } from './logger.js';
+import { Formulas } from './Formulas.js';
+
+const CONTEXT = 'Workspace';
+
+export const RegionRole = {
+  MULTIPLIER: 'multiplier',
+  MULTIPLICAND: 'multiplicand',
+  PRODUCT: 'product',
+  DIVISOR: 'divisor',
+  QUOTIENT: 'quotient',
+  REMAINDER: 'remainder' // Holds the dividend until it is divided
+};
+
+export const Operation = {
+  MULTIPLY: 'multiply',
+  DIVIDE: 'divide'
+};
+
+export class Workspace {
+  /**
+   * @param {number} columns - Number of rods
+   * @param {string|null} operation - Operation the regions are laid out for
+   */
+  constructor(columns, operation = null) {
+    this.columns = columns;
+    this.operation = operation;
+    this.regions = [];
+  }
+
+  /**
+   * Assign a group of rods to a role
+   * @param {string} role - RegionRole
+   * @param {number} start - Leftmost rod of the region
+   * @param {number} length - Number of rods
+   * @returns {Object} - { role, start, length }
+   */
+  addRegion(role, start, length) {
+    if (!Number.isInteger(start) || !Number.isInteger(length) || length < 1 ||
+        start < 0 || start + length > this.columns) {
+      throw new RangeError(`Region ${role} (${start}, ${length}) does not fit on ${this.columns} rods`);
+    }
+    if (this.getRegion(role)) {
+      throw new Error(`Region ${role} already exists`);
+    }
+    const overlap = this.regions.find(r => start < r.start + r.length && r.start < start + length);
+    if (overlap) {
+      throw new RangeError(`Region ${role} overlaps ${overlap.role}`);
+    }
+
+    const region = { role, start, length };
+    this.regions.push(region);
+    this.regions.sort((a, b) => a.start - b.start);
+    return region;
+  }
+
+  /**
+   * @param {string} role - RegionRole
+   * @returns {Object|null}
+   */
+  getRegion(role) {
+    return this.regions.find(r => r.role === role) || null;
+  }
+
+  /**
+   * Region a rod belongs to
+   * @param {number} col - Column index
+   * @returns {Object|null}
+   */
+  getRegionAt(col) {
+    return this.regions.find(r => col >= r.start && col < r.start + r.length) || null;
+  }
+
+  /**
+   * Value of a region - its rods read as a whole number, rightmost rod is units
+   * @param {string} role - RegionRole
+   * @param {Array<number>} digits - Rod digits of the whole abacus, leftmost first
+   * @returns {number}
+   */
+  getValue(role, digits) {
+    const region = this.getRegion(role);
+    if (!region) return 0;
+    return Number(Formulas.digitsToBigInt(digits.slice(region.start, region.start + region.length)));
+  }
+
+  /**
+   * Values of all regions
+   * @param {Array<number>} digits - Rod digits, leftmost first
+   * @returns {Object} - { [role]: value }
+   */
+  getValues(digits) {
+    const values = {};
+    this.regions.forEach(region => {
+      values[region.role] = this.getValue(region.role, digits);
+    });
+    return values;
+  }
+
+  /**
+   * Plan adding a signed value to a region
+   * @param {Array<number>} digits - Rod digits before the operation, leftmost first
+   * @param {string} role - RegionRole
+   * @param {number} operand - Signed value, already shifted to its place
+   * @returns {Object} - { before, after, moves } with moves on abacus rods
+   */
+  planAdd(digits, role, operand) {
+    const { start, length } = this.getRegion(role);
+    const plan = Formulas.planTerm(digits.slice(start, start + length), operand);
+    const after = [...digits];
+    after.splice(start, length, ...plan.after);
+
+    const moves = plan.steps.flatMap(step => step.moves.map(move => ({ ...move, col: move.col + start })));
+    return { before: [...digits], after, moves };
+  }
+
+  /**
+   * Lay out regions for multiplication:
+   * multiplier on the left, multiplicand next to it, product on the right
+   * @param {number} columns - Number of rods
+   * @param {number} multiplicand - Non-negative integer
+   * @param {number} multiplier - Non-negative integer
+   * @returns {Workspace}
+   */
+  static forMultiplication(columns, multiplicand, multiplier) {
+    const m = String(multiplicand).length;
+    const n = String(multiplier).length;
+    const productLength = m + n;
+    const free = columns - (n + m + productLength);
+
+    if (free < 0) {
+      throw new RangeError(`${multiplicand} × ${multiplier} does not fit on ${columns} rods`);
+    }
+
+    // Пустой стержень между областями, если хватает места
+    const gap = free >= 2 ? 1 : 0;
+    const workspace = new Workspace(columns, Operation.MULTIPLY);
+    workspace.addRegion(RegionRole.MULTIPLIER, 0, n);
+    workspace.addRegion(RegionRole.MULTIPLICAND, n + gap, m);
+    workspace.addRegion(RegionRole.PRODUCT, columns - productLength, productLength);
+    return workspace;
+  }
+
+  /**
+   * Lay out regions for division:
+   * divisor on the left, quotient left of the dividend, dividend (remainder) on the right
+   * @param {number} columns - Number of rods
+   * @param {number} dividend - Non-negative integer
+   * @param {number} divisor - Positive integer
+   * @returns {Workspace}
+   */
+  static forDivision(columns, dividend, divisor) {
+    const p = String(dividend).length;
+    const r = String(divisor).length;
+    const quotientLength = Math.max(1, p - r + 1);
+    const free = columns - (r + quotientLength + p);
+
+    if (free < 0) {
+      throw new RangeError(`${dividend} ÷ ${divisor} does not fit on ${columns} rods`);
+    }
+
+    const gap = free >= 2 ? 1 : 0;
+    const workspace = new Workspace(columns, Operation.DIVIDE);
+    workspace.addRegion(RegionRole.DIVISOR, 0, r);
+    workspace.addRegion(RegionRole.QUOTIENT, columns - p - gap - quotientLength, quotientLength);
+    workspace.addRegion(RegionRole.REMAINDER, columns - p, p);
+    return workspace;
+  }
+
+  /**
+   * Guided steps of soroban multiplication
+   * Operands are set first; then every digit of the multiplicand (left to right)
+   * is multiplied by every digit of the multiplier, and each two-digit partial
+   * product is added to the product rods of its place.
+   * @param {number} multiplicand - Non-negative integer
+   * @param {number} multiplier - Non-negative integer
+   * @returns {Array<Object>} - [{ action, role, operand, place, factors, product, before, after, moves }]
+   *   action 'set' - operand entered into its region
+   *   action 'multiply' - factors[0] × factors[1] = product added at `place` (10^place) of the product
+   */
+  planMultiplication(multiplicand, multiplier) {
+    const steps = [];
+    let digits = new Array(this.columns).fill(0);
+
+    const push = (step, role, operand) => {
+      const plan = this.planAdd(digits, role, operand);
+      steps.push({ ...step, role, operand, ...plan });
+      digits = plan.after;
+    };
+
+    push({ action: 'set' }, RegionRole.MULTIPLIER, multiplier);
+    push({ action: 'set' }, RegionRole.MULTIPLICAND, multiplicand);
+
+    const a = String(multiplicand).split('').map(Number);
+    const b = String(multiplier).split('').map(Number);
+
+    a.forEach((x, i) => {
+      b.forEach((y, j) => {
+        const product = x * y;
+        if (product === 0) return;
+        const place = (a.length - 1 - i) + (b.length - 1 - j);
+        push({ action: 'multiply', factors: [x, y], product, place }, RegionRole.PRODUCT, product * 10 ** place);
+      });
+    });
+
+    logger.debug(CONTEXT, `Planned ${multiplicand} × ${multiplier}: ${steps.length} steps`);
+    return steps;
+  }
+
+  /**
+   * Guided steps of soroban division
+   * Operands are set first; then for each place of the quotient, from the highest,
+   * the quotient digit is set and its products with the divisor digits are
+   * subtracted from the dividend, which ends up as the remainder.
+   * @param {number} dividend - Non-negative integer
+   * @param {number} divisor - Positive integer
+   * @returns {Array<Object>} - [{ action, role, operand, place, digit, factors, product, before, after, moves }]
+   *   action 'set' - operand entered into its region
+   *   action 'quotient' - digit set at `place` of the quotient
+   *   action 'subtract' - factors[0] × factors[1] = product subtracted at `place` of the remainder
+   */
+  planDivision(dividend, divisor) {
+    if (divisor <= 0) {
+      throw new RangeError('Division by zero');
+    }
+
+    const steps = [];
+    let digits = new Array(this.columns).fill(0);
+
+    const push = (step, role, operand) => {
+      const plan = this.planAdd(digits, role, operand);
+      steps.push({ ...step, role, operand, ...plan });
+      digits = plan.after;
+    };
+
+    push({ action: 'set' }, RegionRole.DIVISOR, divisor);
+    push({ action: 'set' }, RegionRole.REMAINDER, dividend);
+
+    const d = String(divisor).split('').map(Number);
+    let remainder = dividend;
+
+    for (let place = this.getRegion(RegionRole.QUOTIENT).length - 1; place >= 0; place--) {
+      const digit = Math.floor(remainder / (divisor * 10 ** place));
+      if (digit === 0) continue;
+
+      push({ action: 'quotient', digit, place }, RegionRole.QUOTIENT, digit * 10 ** place);
+
+      d.forEach((y, j) => {
+        const product = digit * y;
+        if (product === 0) return;
+        const shift = place + (d.length - 1 - j);
+        push({ action: 'subtract', factors: [digit, y], product, place: shift }, RegionRole.REMAINDER, -product * 10 ** shift);
+      });
+
+      remainder -= digit * divisor * 10 ** place;
+    }
+
+    logger.debug(CONTEXT, `Planned ${dividend} ÷ ${divisor}: ${steps.length} steps`);
+    return steps;
+  }
+
+  /**
+   * Parse "123 × 45" or "1476 ÷ 12" (also *, x, /, :)
+   * @param {string} expression
+   * @returns {Object|null} - { operation, left, right }, null if invalid
+   */
+  static parse(expression) {
+    const match = String(expression).replace(/\s+/g, '').match(/^(\d+)([×xх*÷/:])(\d+)$/i);
+    if (!match) {
+      logger.warn(CONTEXT, `Invalid expression: ${expression}`);
+      return null;
+    }
+
+    const operation = '÷/:'.includes(match[2]) ? Operation.DIVIDE : Operation.MULTIPLY;
+    return { operation, left: parseInt(match[1], 10), right: parseInt(match[3], 10) };
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * Headless abacus core - DOM-free modules usable from Node
+ * (server-side answer checking, exercise generation, tests)
+ */
+
+export { BeadModel, MAX_DECIMAL_PLACES } from './BeadModel.js';
+export { Calculator, MAX_EXACT_DIGITS } from './Calculator.js';
+export { AbacusTypes, AbacusType } from './AbacusTypes.js';
+export { Layout, LAYOUT_DEFAULTS } from './Layout.js';
+export { Formulas, FormulaType, Finger } from './Formulas.js';
+export { ExerciseGenerator } from './ExerciseGenerator.js';
+export { Workspace, RegionRole, Operation } from './Workspace.js';
+export { PracticeStats } from './PracticeStats.js';
+export { Themes, ThemeId } from './Themes.js';
+export { Worksheet, WorksheetMode, WORKSHEET_LIMITS } from './Worksheet.js';
+export { UrlState, ExerciseMode } from './UrlState.js';
+export { logger } from './logger.js';
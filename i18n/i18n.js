@@ -3,6 +3,7 @@
  */
 
 import { translations } from './translations.js';
+import { numerals } from './numerals/index.js';
 import { logger } from '../core/logger.js';
 
 const CONTEXT = 'i18n';
@@ -17,9 +18,10 @@ class I18n {
   /**
    * Get translation for a key
    * @param {string} key - Translation key
+   * @param {Object} params - Values for {placeholders} in the translation
    * @returns {string}
    */
-  t(key) {
+  t(key, params = {}) {
     const translation = this.translations[this.currentLang]?.[key];
     
     if (!translation) {
@@ -27,7 +29,9 @@ class I18n {
       return key;
     }
     
-    return translation;
+    return translation.replace(/\{(\w+)\}/g, (match, name) => (
+      params[name] !== undefined ? String(params[name]) : match
+    ));
   }
 
   /**
@@ -45,8 +49,7 @@ class I18n {
     window.APP_LANG = lang;
     
     // Update HTML lang attribute
-    const langMap = { ua: 'uk', en: 'en', ru: 'ru', es: 'es' };
-    document.documentElement.lang = langMap[lang] || 'uk';
+    document.documentElement.lang = this.getLocale();
     
     logger.info(CONTEXT, `Language changed to: ${lang}`);
     
@@ -62,6 +65,36 @@ class I18n {
     return this.currentLang;
   }
 
+  /**
+   * Get BCP 47 locale of current language
+   * @returns {string}
+   */
+  getLocale() {
+    const localeMap = { ua: 'uk', en: 'en', ru: 'ru', es: 'es' };
+    return localeMap[this.currentLang] || 'uk';
+  }
+
+  /**
+   * Get decimal separator of current language ("." or ",")
+   * @returns {string}
+   */
+  getDecimalSeparator() {
+    const parts = new Intl.NumberFormat(this.getLocale()).formatToParts(1.5);
+    const decimal = parts.find(part => part.type === 'decimal');
+    return decimal ? decimal.value : '.';
+  }
+
+  /**
+   * Spell a number in current language, e.g. 34 -> "тридцять чотири"
+   * @param {number} value - Non-negative integer
+   * @param {Object} options - Grammar options of the language, e.g. { gender: 'f' } (see i18n/numerals)
+   * @returns {string}
+   */
+  numberToWords(value, options = {}) {
+    const grammar = numerals[this.currentLang] || numerals.ua;
+    return grammar.toWords(value, options);
+  }
+
   /**
    * Get all available languages
    * @returns {string[]}
@@ -75,4 +108,4 @@ class I18n {
 export const i18n = new I18n();
 
 // Export convenience function
-export const t = (key) => i18n.t(key);
+export const t = (key, params) => i18n.t(key, params);
@@ -0,0 +1,60 @@
+/**
+ * English numerals (short scale, no "and": "one hundred twenty-three")
+ */
+
+const UNITS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['thousand', 'million', 'billion', 'trillion'];
+
+/**
+ * Index of the noun form that follows a number
+ * @param {number} n - Non-negative integer
+ * @returns {number} - 0 singular, 1 plural
+ */
+export function pluralForm(n) {
+  return n === 1 ? 0 : 1;
+}
+
+/**
+ * Spell a number below 1000
+ * @param {number} n
+ * @returns {Array<string>}
+ */
+function tripleToWords(n) {
+  const parts = [];
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+
+  if (hundreds) parts.push(UNITS[hundreds], 'hundred');
+  if (rest >= 20) {
+    const units = rest % 10;
+    parts.push(units ? `${TENS[Math.floor(rest / 10)]}-${UNITS[units]}` : TENS[rest / 10]);
+  } else if (rest) {
+    parts.push(UNITS[rest]);
+  }
+  return parts;
+}
+
+/**
+ * @param {number} value - Non-negative safe integer below 10^15
+ * @returns {string}
+ */
+export function toWords(value) {
+  if (!Number.isSafeInteger(value) || value < 0 || value >= Math.pow(1000, SCALES.length + 1)) {
+    throw new RangeError(`Cannot spell ${value}`);
+  }
+  if (value === 0) return UNITS[0];
+
+  const parts = [];
+  let scale = 0;
+  for (let rest = value; rest > 0; rest = Math.floor(rest / 1000), scale++) {
+    const group = rest % 1000;
+    if (group) {
+      parts.unshift(...tripleToWords(group), ...(scale > 0 ? [SCALES[scale - 1]] : []));
+    }
+  }
+  return parts.join(' ');
+}
@@ -0,0 +1,124 @@
+/**
+ * Spanish numerals (long scale: 10^9 = mil millones, 10^12 = un billón)
+ * "Uno" agrees in gender (una, veintiuna, doscientas) and is shortened
+ * before nouns: un millón, veintiún mil.
+ */
+
+const UNITS = [
+  'cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve',
+  'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+  'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve'
+];
+const TENS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+const HUNDREDS = [
+  '', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos',
+  'seiscientos', 'setecientos', 'ochocientos', 'novecientos'
+];
+
+/**
+ * Index of the noun form that follows a number
+ * @param {number} n - Non-negative integer
+ * @returns {number} - 0 singular, 1 plural
+ */
+export function pluralForm(n) {
+  return n === 1 ? 0 : 1;
+}
+
+/**
+ * Word for a number ending in "uno"
+ * @param {string} word - uno / veintiuno
+ * @param {string} gender - 'm' or 'f'
+ * @param {boolean} beforeNoun - Shorten before a noun
+ * @returns {string}
+ */
+function adjustOne(word, gender, beforeNoun) {
+  const stem = word.slice(0, -3);
+  if (gender === 'f') return `${stem}una`;
+  if (beforeNoun) return stem ? `${stem}ún` : 'un';
+  return word;
+}
+
+/**
+ * Spell a number below 1000
+ * @param {number} n
+ * @param {string} gender - 'm' or 'f'
+ * @param {boolean} beforeNoun - Number is followed by a noun (mil, millones)
+ * @returns {Array<string>}
+ */
+function tripleToWords(n, gender, beforeNoun) {
+  if (n === 100) return ['cien'];
+
+  const parts = [];
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+
+  if (hundreds) {
+    parts.push(gender === 'f' && hundreds > 1 ? HUNDREDS[hundreds].replace(/os$/, 'as') : HUNDREDS[hundreds]);
+  }
+
+  if (rest > 0 && rest < 30) {
+    const word = UNITS[rest];
+    parts.push(rest % 10 === 1 && rest !== 11 ? adjustOne(word, gender, beforeNoun) : word);
+  } else if (rest >= 30) {
+    const units = rest % 10;
+    parts.push(TENS[Math.floor(rest / 10)]);
+    if (units) {
+      parts.push('y', units === 1 ? adjustOne(UNITS[1], gender, beforeNoun) : UNITS[units]);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Spell a number below one million
+ * @param {number} n
+ * @param {string} gender - 'm' or 'f'
+ * @param {boolean} beforeNoun - Number is followed by a noun
+ * @returns {Array<string>}
+ */
+function belowMillion(n, gender, beforeNoun) {
+  const thousands = Math.floor(n / 1000);
+  const rest = n % 1000;
+  const parts = [];
+
+  // 1000 - просто "mil", без "un"
+  if (thousands === 1) {
+    parts.push('mil');
+  } else if (thousands > 1) {
+    parts.push(...tripleToWords(thousands, gender, true), 'mil');
+  }
+  if (rest) {
+    parts.push(...tripleToWords(rest, gender, beforeNoun));
+  }
+  return parts;
+}
+
+/**
+ * @param {number} value - Non-negative safe integer below 10^15
+ * @param {Object} options
+ * @param {string} options.gender - 'm' or 'f' - gender of the counted noun (default: 'm')
+ * @returns {string}
+ */
+export function toWords(value, { gender = 'm' } = {}) {
+  if (!Number.isSafeInteger(value) || value < 0 || value >= 1e15) {
+    throw new RangeError(`Cannot spell ${value}`);
+  }
+  if (value === 0) return UNITS[0];
+
+  const billions = Math.floor(value / 1e12);
+  const millions = Math.floor(value / 1e6) % 1e6;
+  const rest = value % 1e6;
+  const parts = [];
+
+  // Миллионы и биллионы - существительные мужского рода
+  if (billions) {
+    parts.push(...belowMillion(billions, 'm', true), billions === 1 ? 'billón' : 'billones');
+  }
+  if (millions) {
+    parts.push(...belowMillion(millions, 'm', true), millions === 1 ? 'millón' : 'millones');
+  }
+  if (rest) {
+    parts.push(...belowMillion(rest, gender, false));
+  }
+  return parts.join(' ');
+}
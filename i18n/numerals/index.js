@@ -0,0 +1,12 @@
+/**
+ * Number wording by UI language
+ * Every module exports toWords(value, options) and pluralForm(n);
+ * grammar specific to a language (gender, case forms) lives in its module.
+ */
+
+import * as ua from './ua.js';
+import * as en from './en.js';
+import * as ru from './ru.js';
+import * as es from './es.js';
+
+export const numerals = { ua, en, ru, es };
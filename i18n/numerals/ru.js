@@ -0,0 +1,28 @@
+/**
+ * Russian numerals
+ */
+
+import { createToWords, pluralForm } from './slavic.js';
+
+export const toWords = createToWords({
+  zero: 'ноль',
+  units: ['ноль', 'один', 'два', 'три', 'четыре', 'пять', 'шесть', 'семь', 'восемь', 'девять'],
+  genders: {
+    f: { 1: 'одна', 2: 'две' },
+    n: { 1: 'одно' }
+  },
+  teens: [
+    'десять', 'одиннадцать', 'двенадцать', 'тринадцать', 'четырнадцать',
+    'пятнадцать', 'шестнадцать', 'семнадцать', 'восемнадцать', 'девятнадцать'
+  ],
+  tens: ['', '', 'двадцать', 'тридцать', 'сорок', 'пятьдесят', 'шестьдесят', 'семьдесят', 'восемьдесят', 'девяносто'],
+  hundreds: ['', 'сто', 'двести', 'триста', 'четыреста', 'пятьсот', 'шестьсот', 'семьсот', 'восемьсот', 'девятьсот'],
+  scales: [
+    { gender: 'f', forms: ['тысяча', 'тысячи', 'тысяч'] },
+    { gender: 'm', forms: ['миллион', 'миллиона', 'миллионов'] },
+    { gender: 'm', forms: ['миллиард', 'миллиарда', 'миллиардов'] },
+    { gender: 'm', forms: ['триллион', 'триллиона', 'триллионов'] }
+  ]
+});
+
+export { pluralForm };
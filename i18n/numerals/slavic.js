@@ -0,0 +1,86 @@
+/**
+ * Shared grammar of East Slavic numerals (Ukrainian, Russian)
+ * Numerals agree in gender with the counted noun (один / одна / одне), and
+ * the noun after a numeral takes one of three case forms picked by the last
+ * digits: 1 - nominative singular, 2-4 - nominative plural (genitive singular
+ * in Russian), 5+ and teens - genitive plural.
+ */
+
+/**
+ * Index of the noun form that follows a number
+ * @param {number} n - Non-negative integer
+ * @returns {number} - 0 (тисяча), 1 (тисячі) or 2 (тисяч)
+ */
+export function pluralForm(n) {
+  const lastTwo = n % 100;
+  const last = n % 10;
+  if (lastTwo >= 11 && lastTwo <= 14) return 2;
+  if (last === 1) return 0;
+  if (last >= 2 && last <= 4) return 1;
+  return 2;
+}
+
+/**
+ * Build number-to-words conversion for one language
+ * @param {Object} words - Word tables of the language
+ * @param {string} words.zero
+ * @param {Array<string>} words.units - 0-9, masculine
+ * @param {Object} words.genders - Forms of 1 and 2 by gender, e.g. { f: { 1: 'одна', 2: 'дві' } }
+ * @param {Array<string>} words.teens - 10-19
+ * @param {Array<string>} words.tens - Index 2-9
+ * @param {Array<string>} words.hundreds - Index 1-9
+ * @param {Array<Object>} words.scales - [{ gender, forms: [one, few, many] }] for 10^3, 10^6...
+ * @returns {Function} - (value, options) => string
+ */
+export function createToWords(words) {
+  const unitWord = (digit, gender) => (words.genders[gender] && words.genders[gender][digit]) || words.units[digit];
+
+  const tripleToWords = (n, gender) => {
+    const parts = [];
+    const hundreds = Math.floor(n / 100);
+    const tens = Math.floor((n % 100) / 10);
+    const units = n % 10;
+
+    if (hundreds) parts.push(words.hundreds[hundreds]);
+    if (tens === 1) {
+      parts.push(words.teens[units]);
+    } else {
+      if (tens) parts.push(words.tens[tens]);
+      if (units) parts.push(unitWord(units, gender));
+    }
+    return parts;
+  };
+
+  /**
+   * @param {number} value - Non-negative safe integer below 10^15
+   * @param {Object} options
+   * @param {string} options.gender - 'm', 'f' or 'n' - gender of the counted noun (default: 'm')
+   * @returns {string}
+   */
+  return function toWords(value, { gender = 'm' } = {}) {
+    if (!Number.isSafeInteger(value) || value < 0 || value >= Math.pow(1000, words.scales.length + 1)) {
+      throw new RangeError(`Cannot spell ${value}`);
+    }
+    if (value === 0) return words.zero;
+
+    // Группы по три цифры, младшая первая
+    const groups = [];
+    for (let rest = value; rest > 0; rest = Math.floor(rest / 1000)) {
+      groups.push(rest % 1000);
+    }
+
+    const parts = [];
+    for (let i = groups.length - 1; i >= 0; i--) {
+      const group = groups[i];
+      if (!group) continue;
+
+      if (i === 0) {
+        parts.push(...tripleToWords(group, gender));
+      } else {
+        const scale = words.scales[i - 1];
+        parts.push(...tripleToWords(group, scale.gender), scale.forms[pluralForm(group)]);
+      }
+    }
+    return parts.join(' ');
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Ukrainian numerals
+ */
+
+import { createToWords, pluralForm } from './slavic.js';
+
+export const toWords = createToWords({
+  zero: 'нуль',
+  units: ['нуль', 'один', 'два', 'три', 'чотири', "п'ять", 'шість', 'сім', 'вісім', "дев'ять"],
+  genders: {
+    f: { 1: 'одна', 2: 'дві' },
+    n: { 1: 'одне' }
+  },
+  teens: [
+    'десять', 'одинадцять', 'дванадцять', 'тринадцять', 'чотирнадцять',
+    "п'ятнадцять", 'шістнадцять', 'сімнадцять', 'вісімнадцять', "дев'ятнадцять"
+  ],
+  tens: ['', '', 'двадцять', 'тридцять', 'сорок', "п'ятдесят", 'шістдесят', 'сімдесят', 'вісімдесят', "дев'яносто"],
+  hundreds: ['', 'сто', 'двісті', 'триста', 'чотириста', "п'ятсот", 'шістсот', 'сімсот', 'вісімсот', "дев'ятсот"],
+  scales: [
+    { gender: 'f', forms: ['тисяча', 'тисячі', 'тисяч'] },
+    { gender: 'm', forms: ['мільйон', 'мільйони', 'мільйонів'] },
+    { gender: 'm', forms: ['мільярд', 'мільярди', 'мільярдів'] },
+    { gender: 'm', forms: ['трильйон', 'трильйони', 'трильйонів'] }
+  ]
+});
+
+export { pluralForm };
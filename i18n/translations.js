@@ -10,12 +10,22 @@ export const translations = {
 
     // Buttons
     reset: 'Скинути',
+    undo: 'Скасувати',
+    redo: 'Повторити',
     settings: 'Налаштування',
     close: 'Закрити',
 
     // Config menu
     configTitle: 'Налаштування',
     showDigits: 'Показати цифри',
+    fingerTraining: 'Тренування пальців (великий / вказівний)',
+    fingerThumb: 'Великий палець',
+    fingerIndex: 'Вказівний палець',
+    abacusType: 'Тип абакуса',
+    typeSoroban: 'Соробан 1/4',
+    typeSoroban15: 'Соробан 1/5 (старий)',
+    typeSuanpan: 'Суаньпань 2/5',
+    typeSchoty: 'Російські рахівниці',
     sorobanSize: 'Розмір соробана',
     sizeSmall: 'Маленький (9 стержнів)',
     sizeMedium: 'Стандарт (13 стержнів)',
@@ -24,6 +34,132 @@ export const translations = {
     notchStandard: 'Стандарт (3, 6, 9... справа)',
     notchLeft: 'Зсув вліво (2, 5, 8... справа)',
     notchRight: 'Зсув вправо (1, 4, 7... справа)',
+    unitRod: 'Одиничний стержень',
+    unitRodRightmost: 'Крайній правий (цілі числа)',
+    unitRodDecimals: 'Знаків після коми: {n}',
+
+    // Flash Anzan
+    flashAnzan: 'Флеш-анзан',
+    flashDigits: 'Розрядність чисел',
+    flashCount: 'Кількість чисел',
+    flashInterval: 'Інтервал (мс)',
+    flashNegative: "Від'ємні числа",
+    flashStart: 'Почати',
+    flashCheck: 'Перевірити',
+    flashEnterAnswer: 'Покладіть суму на абакус і натисніть «Перевірити»',
+    flashCorrect: 'Правильно!',
+    flashWrong: 'Неправильно. Відповідь: {answer}',
+    flashImpossible: 'Неможливо скласти приклад з такими налаштуваннями',
+
+    // Dictation
+    dictation: 'Диктант',
+    dictationRate: 'Темп мовлення',
+    dictationPause: 'Пауза між числами (мс)',
+    dictationPlus: 'плюс',
+    dictationMinus: 'мінус',
+    dictationQuestion: 'Скільки вийшло?',
+    dictationListen: 'Слухайте і рахуйте на абакусі…',
+    dictationEnterAnswer: 'Покладіть відповідь на абакус і натисніть «Перевірити»',
+    dictationUnsupported: 'Браузер не підтримує синтез мовлення',
+    dictationSpellFailed: 'Не вдалося прочитати число вголос',
+
+    // Solution playback
+    solution: "Розв'язок",
+    solutionShow: 'Показати',
+    solutionPlay: 'Відтворити',
+    solutionPause: 'Пауза',
+    solutionBack: 'Крок назад',
+    solutionForward: 'Крок вперед',
+    solutionReady: 'Кроків: {total}. Натисніть ▶',
+    solutionStep: 'Крок {current} з {total}',
+    solutionInvalid: 'Приклад неможливо розв\'язати на цьому абакусі',
+    captionAdd: 'додати {n}',
+    captionSubtract: 'відняти {n}',
+    workspace: 'Множення/ділення',
+    workspaceInvalid: 'Введіть приклад на кшталт 123 × 45 або 1476 ÷ 12',
+    workspaceSet: '{region}: набрати {value}',
+    workspaceMultiply: '{a} × {b} = {product} → {place}',
+    workspaceQuotient: 'Частка: {digit} → {place}',
+    workspaceSubtract: '{a} × {b} = {product}, відняти → {place}',
+    regionMultiplier: 'Множник',
+    regionMultiplicand: 'Множене',
+    regionProduct: 'Добуток',
+    regionDivisor: 'Дільник',
+    regionQuotient: 'Частка',
+    regionRemainder: 'Ділене / остача',
+    stats: 'Статистика',
+    statsEmpty: 'Спроб ще немає. Пройдіть флеш-анзан або диктант.',
+    statsSummary: 'Спроб: {attempts} · Точність: {accuracy} · Середній час: {time}',
+    statsByDigits: 'За розрядністю',
+    statsByFormula: 'За формулами',
+    statsNoFormulas: 'Формули ще не використовувались',
+    statsDigits: 'Розрядів',
+    statsFormula: 'Формула',
+    statsAttempts: 'Спроби',
+    statsAccuracy: 'Точність',
+    statsTime: 'Час',
+    statsTrend: 'Динаміка по днях',
+    statsSeconds: 'с',
+    statsExportJson: 'Експорт JSON',
+    statsExportCsv: 'Експорт CSV',
+    statsClear: 'Очистити',
+    statsClearConfirm: 'Видалити всю історію практики?',
+    sizeTooSmall: 'Значення не вміщується на {count} стержнях',
+    decimalsTooMany: 'Для {count} знаків після коми замало стержнів',
+    theme: 'Тема',
+    themeClassic: 'Класичне дерево',
+    themeHighContrast: 'Висока контрастність',
+    themeColorblind: 'Для дальтоніків (різні кольори верхніх і нижніх)',
+    themeCustom: 'Своя тема',
+    themeLoad: 'Завантажити тему (JSON)',
+    themeLoaded: 'Тему завантажено',
+    themeInvalid: 'Не вдалося завантажити тему: {error}',
+    export: 'Експорт',
+    exportImage: 'Поточний абакус',
+    exportScale: 'Масштаб PNG',
+    exportSvg: 'Завантажити SVG',
+    exportPng: 'Завантажити PNG',
+    exportFailed: 'Не вдалося створити зображення: {error}',
+    worksheet: 'Робочий аркуш',
+    worksheetMode: 'Завдання',
+    worksheetRead: 'Прочитай число на абакусі',
+    worksheetSet: 'Познач число на абакусі',
+    worksheetNumbers: 'Числа (порожньо — випадкові)',
+    worksheetCount: 'Кількість випадкових чисел',
+    worksheetDigits: 'Розрядність випадкових чисел',
+    worksheetAnswerKey: 'Додати відповіді',
+    worksheetPrint: 'Друкувати аркуш',
+    worksheetName: "Ім'я",
+    worksheetDate: 'Дата',
+    worksheetKey: 'Відповіді',
+    worksheetInvalid: 'Не вдалося скласти аркуш: {error}',
+
+    // Accessibility
+    abacusLabel: 'Соробан',
+    announceValue: 'Разом: {value}',
+    place0: 'Одиниці',
+    place1: 'Десятки',
+    place2: 'Сотні',
+    place3: 'Тисячі',
+    place4: 'Десятки тисяч',
+    place5: 'Сотні тисяч',
+    place6: 'Мільйони',
+    place7: 'Десятки мільйонів',
+    place8: 'Сотні мільйонів',
+    place9: 'Мільярди',
+    place10: 'Десятки мільярдів',
+    place11: 'Сотні мільярдів',
+    place12: 'Трильйони',
+    place13: 'Десятки трильйонів',
+    place14: 'Сотні трильйонів',
+    place15: 'Квадрильйони',
+    place16: 'Десятки квадрильйонів',
+    decimal1: 'Десяті',
+    decimal2: 'Соті',
+    decimal3: 'Тисячні',
+    decimal4: 'Десятитисячні',
+    decimal5: 'Стотисячні',
+    decimal6: 'Мільйонні',
 
     // Footer
     footer: 'MindWorld School © 2025'
@@ -36,12 +172,22 @@ export const translations = {
 
     // Buttons
     reset: 'Reset',
+    undo: 'Undo',
+    redo: 'Redo',
     settings: 'Settings',
     close: 'Close',
 
     // Config menu
     configTitle: 'Settings',
     showDigits: 'Show Digits',
+    fingerTraining: 'Finger training (thumb / index)',
+    fingerThumb: 'Thumb',
+    fingerIndex: 'Index finger',
+    abacusType: 'Abacus type',
+    typeSoroban: 'Soroban 1/4',
+    typeSoroban15: 'Soroban 1/5 (old)',
+    typeSuanpan: 'Suanpan 2/5',
+    typeSchoty: 'Russian schoty',
     sorobanSize: 'Soroban Size',
     sizeSmall: 'Small (9 rods)',
     sizeMedium: 'Medium (13 rods)',
@@ -50,6 +196,132 @@ export const translations = {
     notchStandard: 'Standard (3, 6, 9... from right)',
     notchLeft: 'Shift left (2, 5, 8... from right)',
     notchRight: 'Shift right (1, 4, 7... from right)',
+    unitRod: 'Unit rod',
+    unitRodRightmost: 'Rightmost (whole numbers)',
+    unitRodDecimals: 'Decimal places: {n}',
+
+    // Flash Anzan
+    flashAnzan: 'Flash Anzan',
+    flashDigits: 'Digits per number',
+    flashCount: 'Number count',
+    flashInterval: 'Interval (ms)',
+    flashNegative: 'Negative numbers',
+    flashStart: 'Start',
+    flashCheck: 'Check',
+    flashEnterAnswer: 'Set the sum on the abacus and press "Check"',
+    flashCorrect: 'Correct!',
+    flashWrong: 'Wrong. The answer is {answer}',
+    flashImpossible: 'Cannot build an exercise with these settings',
+
+    // Dictation
+    dictation: 'Dictation',
+    dictationRate: 'Speech rate',
+    dictationPause: 'Pause between numbers (ms)',
+    dictationPlus: 'plus',
+    dictationMinus: 'minus',
+    dictationQuestion: 'What is the answer?',
+    dictationListen: 'Listen and work it out on the abacus…',
+    dictationEnterAnswer: 'Set the answer on the abacus and press "Check"',
+    dictationUnsupported: 'Your browser does not support speech synthesis',
+    dictationSpellFailed: 'Cannot read this number aloud',
+
+    // Solution playback
+    solution: 'Solution',
+    solutionShow: 'Show',
+    solutionPlay: 'Play',
+    solutionPause: 'Pause',
+    solutionBack: 'Step back',
+    solutionForward: 'Step forward',
+    solutionReady: '{total} steps. Press ▶',
+    solutionStep: 'Step {current} of {total}',
+    solutionInvalid: 'This expression cannot be solved on this abacus',
+    captionAdd: 'add {n}',
+    captionSubtract: 'subtract {n}',
+    workspace: 'Multiply/divide',
+    workspaceInvalid: 'Enter an example like 123 × 45 or 1476 ÷ 12',
+    workspaceSet: '{region}: set {value}',
+    workspaceMultiply: '{a} × {b} = {product} → {place}',
+    workspaceQuotient: 'Quotient: {digit} → {place}',
+    workspaceSubtract: '{a} × {b} = {product}, subtract → {place}',
+    regionMultiplier: 'Multiplier',
+    regionMultiplicand: 'Multiplicand',
+    regionProduct: 'Product',
+    regionDivisor: 'Divisor',
+    regionQuotient: 'Quotient',
+    regionRemainder: 'Dividend / remainder',
+    stats: 'Statistics',
+    statsEmpty: 'No attempts yet. Try Flash Anzan or dictation.',
+    statsSummary: 'Attempts: {attempts} · Accuracy: {accuracy} · Average time: {time}',
+    statsByDigits: 'By digit length',
+    statsByFormula: 'By formula',
+    statsNoFormulas: 'No formulas used yet',
+    statsDigits: 'Digits',
+    statsFormula: 'Formula',
+    statsAttempts: 'Attempts',
+    statsAccuracy: 'Accuracy',
+    statsTime: 'Time',
+    statsTrend: 'Daily trend',
+    statsSeconds: 's',
+    statsExportJson: 'Export JSON',
+    statsExportCsv: 'Export CSV',
+    statsClear: 'Clear',
+    statsClearConfirm: 'Delete the whole practice history?',
+    sizeTooSmall: 'The value does not fit on {count} rods',
+    decimalsTooMany: 'Not enough rods for {count} decimal places',
+    theme: 'Theme',
+    themeClassic: 'Classic wood',
+    themeHighContrast: 'High contrast',
+    themeColorblind: 'Colorblind-safe (heaven and earth beads in different colors)',
+    themeCustom: 'Custom theme',
+    themeLoad: 'Load theme (JSON)',
+    themeLoaded: 'Theme loaded',
+    themeInvalid: 'Could not load the theme: {error}',
+    export: 'Export',
+    exportImage: 'Current abacus',
+    exportScale: 'PNG scale',
+    exportSvg: 'Download SVG',
+    exportPng: 'Download PNG',
+    exportFailed: 'Could not create the image: {error}',
+    worksheet: 'Worksheet',
+    worksheetMode: 'Task',
+    worksheetRead: 'Read the abacus',
+    worksheetSet: 'Show the number on the abacus',
+    worksheetNumbers: 'Numbers (empty = random)',
+    worksheetCount: 'Random numbers',
+    worksheetDigits: 'Digits of random numbers',
+    worksheetAnswerKey: 'Include answer key',
+    worksheetPrint: 'Print worksheet',
+    worksheetName: 'Name',
+    worksheetDate: 'Date',
+    worksheetKey: 'Answer key',
+    worksheetInvalid: 'Could not make the worksheet: {error}',
+
+    // Accessibility
+    abacusLabel: 'Soroban',
+    announceValue: 'Total: {value}',
+    place0: 'Units',
+    place1: 'Tens',
+    place2: 'Hundreds',
+    place3: 'Thousands',
+    place4: 'Ten thousands',
+    place5: 'Hundred thousands',
+    place6: 'Millions',
+    place7: 'Ten millions',
+    place8: 'Hundred millions',
+    place9: 'Billions',
+    place10: 'Ten billions',
+    place11: 'Hundred billions',
+    place12: 'Trillions',
+    place13: 'Ten trillions',
+    place14: 'Hundred trillions',
+    place15: 'Quadrillions',
+    place16: 'Ten quadrillions',
+    decimal1: 'Tenths',
+    decimal2: 'Hundredths',
+    decimal3: 'Thousandths',
+    decimal4: 'Ten-thousandths',
+    decimal5: 'Hundred-thousandths',
+    decimal6: 'Millionths',
 
     // Footer
     footer: 'MindWorld School © 2025'
@@ -62,12 +334,22 @@ export const translations = {
 
     // Buttons
     reset: 'Сбросить',
+    undo: 'Отменить',
+    redo: 'Повторить',
     settings: 'Настройки',
     close: 'Закрыть',
 
     // Config menu
     configTitle: 'Настройки',
     showDigits: 'Показать цифры',
+    fingerTraining: 'Тренировка пальцев (большой / указательный)',
+    fingerThumb: 'Большой палец',
+    fingerIndex: 'Указательный палец',
+    abacusType: 'Тип абакуса',
+    typeSoroban: 'Соробан 1/4',
+    typeSoroban15: 'Соробан 1/5 (старый)',
+    typeSuanpan: 'Суаньпань 2/5',
+    typeSchoty: 'Русские счёты',
     sorobanSize: 'Размер соробана',
     sizeSmall: 'Маленький (9 стержней)',
     sizeMedium: 'Стандарт (13 стержней)',
@@ -76,6 +358,132 @@ export const translations = {
     notchStandard: 'Стандарт (3, 6, 9... справа)',
     notchLeft: 'Сдвиг влево (2, 5, 8... справа)',
     notchRight: 'Сдвиг вправо (1, 4, 7... справа)',
+    unitRod: 'Единичный стержень',
+    unitRodRightmost: 'Крайний правый (целые числа)',
+    unitRodDecimals: 'Знаков после запятой: {n}',
+
+    // Flash Anzan
+    flashAnzan: 'Флеш-анзан',
+    flashDigits: 'Разрядность чисел',
+    flashCount: 'Количество чисел',
+    flashInterval: 'Интервал (мс)',
+    flashNegative: 'Отрицательные числа',
+    flashStart: 'Начать',
+    flashCheck: 'Проверить',
+    flashEnterAnswer: 'Положите сумму на абакус и нажмите «Проверить»',
+    flashCorrect: 'Правильно!',
+    flashWrong: 'Неправильно. Ответ: {answer}',
+    flashImpossible: 'Невозможно составить пример с такими настройками',
+
+    // Dictation
+    dictation: 'Диктант',
+    dictationRate: 'Темп речи',
+    dictationPause: 'Пауза между числами (мс)',
+    dictationPlus: 'плюс',
+    dictationMinus: 'минус',
+    dictationQuestion: 'Сколько получилось?',
+    dictationListen: 'Слушайте и считайте на абакусе…',
+    dictationEnterAnswer: 'Положите ответ на абакус и нажмите «Проверить»',
+    dictationUnsupported: 'Браузер не поддерживает синтез речи',
+    dictationSpellFailed: 'Не удалось прочитать число вслух',
+
+    // Solution playback
+    solution: 'Решение',
+    solutionShow: 'Показать',
+    solutionPlay: 'Воспроизвести',
+    solutionPause: 'Пауза',
+    solutionBack: 'Шаг назад',
+    solutionForward: 'Шаг вперёд',
+    solutionReady: 'Шагов: {total}. Нажмите ▶',
+    solutionStep: 'Шаг {current} из {total}',
+    solutionInvalid: 'Пример невозможно решить на этом абакусе',
+    captionAdd: 'прибавить {n}',
+    captionSubtract: 'отнять {n}',
+    workspace: 'Умножение/деление',
+    workspaceInvalid: 'Введите пример вроде 123 × 45 или 1476 ÷ 12',
+    workspaceSet: '{region}: набрать {value}',
+    workspaceMultiply: '{a} × {b} = {product} → {place}',
+    workspaceQuotient: 'Частное: {digit} → {place}',
+    workspaceSubtract: '{a} × {b} = {product}, отнять → {place}',
+    regionMultiplier: 'Множитель',
+    regionMultiplicand: 'Множимое',
+    regionProduct: 'Произведение',
+    regionDivisor: 'Делитель',
+    regionQuotient: 'Частное',
+    regionRemainder: 'Делимое / остаток',
+    stats: 'Статистика',
+    statsEmpty: 'Попыток пока нет. Пройдите флеш-анзан или диктант.',
+    statsSummary: 'Попыток: {attempts} · Точность: {accuracy} · Среднее время: {time}',
+    statsByDigits: 'По разрядности',
+    statsByFormula: 'По формулам',
+    statsNoFormulas: 'Формулы пока не использовались',
+    statsDigits: 'Разрядов',
+    statsFormula: 'Формула',
+    statsAttempts: 'Попытки',
+    statsAccuracy: 'Точность',
+    statsTime: 'Время',
+    statsTrend: 'Динамика по дням',
+    statsSeconds: 'с',
+    statsExportJson: 'Экспорт JSON',
+    statsExportCsv: 'Экспорт CSV',
+    statsClear: 'Очистить',
+    statsClearConfirm: 'Удалить всю историю практики?',
+    sizeTooSmall: 'Значение не помещается на {count} стержнях',
+    decimalsTooMany: 'Для {count} знаков после запятой мало стержней',
+    theme: 'Тема',
+    themeClassic: 'Классическое дерево',
+    themeHighContrast: 'Высокая контрастность',
+    themeColorblind: 'Для дальтоников (разные цвета верхних и нижних)',
+    themeCustom: 'Своя тема',
+    themeLoad: 'Загрузить тему (JSON)',
+    themeLoaded: 'Тема загружена',
+    themeInvalid: 'Не удалось загрузить тему: {error}',
+    export: 'Экспорт',
+    exportImage: 'Текущий абакус',
+    exportScale: 'Масштаб PNG',
+    exportSvg: 'Скачать SVG',
+    exportPng: 'Скачать PNG',
+    exportFailed: 'Не удалось создать изображение: {error}',
+    worksheet: 'Рабочий лист',
+    worksheetMode: 'Задание',
+    worksheetRead: 'Прочитай число на абакусе',
+    worksheetSet: 'Отложи число на абакусе',
+    worksheetNumbers: 'Числа (пусто — случайные)',
+    worksheetCount: 'Количество случайных чисел',
+    worksheetDigits: 'Разрядность случайных чисел',
+    worksheetAnswerKey: 'Добавить ответы',
+    worksheetPrint: 'Печать листа',
+    worksheetName: 'Имя',
+    worksheetDate: 'Дата',
+    worksheetKey: 'Ответы',
+    worksheetInvalid: 'Не удалось составить лист: {error}',
+
+    // Accessibility
+    abacusLabel: 'Соробан',
+    announceValue: 'Итого: {value}',
+    place0: 'Единицы',
+    place1: 'Десятки',
+    place2: 'Сотни',
+    place3: 'Тысячи',
+    place4: 'Десятки тысяч',
+    place5: 'Сотни тысяч',
+    place6: 'Миллионы',
+    place7: 'Десятки миллионов',
+    place8: 'Сотни миллионов',
+    place9: 'Миллиарды',
+    place10: 'Десятки миллиардов',
+    place11: 'Сотни миллиардов',
+    place12: 'Триллионы',
+    place13: 'Десятки триллионов',
+    place14: 'Сотни триллионов',
+    place15: 'Квадриллионы',
+    place16: 'Десятки квадриллионов',
+    decimal1: 'Десятые',
+    decimal2: 'Сотые',
+    decimal3: 'Тысячные',
+    decimal4: 'Десятитысячные',
+    decimal5: 'Стотысячные',
+    decimal6: 'Миллионные',
 
     // Footer
     footer: 'MindWorld School © 2025'
@@ -88,12 +496,22 @@ export const translations = {
 
     // Buttons
     reset: 'Reiniciar',
+    undo: 'Deshacer',
+    redo: 'Rehacer',
     settings: 'Ajustes',
     close: 'Cerrar',
 
     // Config menu
     configTitle: 'Ajustes',
     showDigits: 'Mostrar dígitos',
+    fingerTraining: 'Entrenamiento de dedos (pulgar / índice)',
+    fingerThumb: 'Pulgar',
+    fingerIndex: 'Dedo índice',
+    abacusType: 'Tipo de ábaco',
+    typeSoroban: 'Soroban 1/4',
+    typeSoroban15: 'Soroban 1/5 (antiguo)',
+    typeSuanpan: 'Suanpan 2/5',
+    typeSchoty: 'Schoty ruso',
     sorobanSize: 'Tamaño del soroban',
     sizeSmall: 'Pequeño (9 varillas)',
     sizeMedium: 'Medio (13 varillas)',
@@ -102,6 +520,132 @@ export const translations = {
     notchStandard: 'Estándar (3, 6, 9... desde derecha)',
     notchLeft: 'Desplazar izquierda (2, 5, 8... desde derecha)',
     notchRight: 'Desplazar derecha (1, 4, 7... desde derecha)',
+    unitRod: 'Varilla de unidades',
+    unitRodRightmost: 'La última (números enteros)',
+    unitRodDecimals: 'Decimales: {n}',
+
+    // Flash Anzan
+    flashAnzan: 'Flash Anzan',
+    flashDigits: 'Dígitos por número',
+    flashCount: 'Cantidad de números',
+    flashInterval: 'Intervalo (ms)',
+    flashNegative: 'Números negativos',
+    flashStart: 'Empezar',
+    flashCheck: 'Comprobar',
+    flashEnterAnswer: 'Pon la suma en el ábaco y pulsa «Comprobar»',
+    flashCorrect: '¡Correcto!',
+    flashWrong: 'Incorrecto. La respuesta es {answer}',
+    flashImpossible: 'No se puede crear un ejercicio con estos ajustes',
+
+    // Dictation
+    dictation: 'Dictado',
+    dictationRate: 'Velocidad de voz',
+    dictationPause: 'Pausa entre números (ms)',
+    dictationPlus: 'más',
+    dictationMinus: 'menos',
+    dictationQuestion: '¿Cuánto da?',
+    dictationListen: 'Escucha y calcula en el ábaco…',
+    dictationEnterAnswer: 'Pon la respuesta en el ábaco y pulsa «Comprobar»',
+    dictationUnsupported: 'Tu navegador no admite la síntesis de voz',
+    dictationSpellFailed: 'No se puede leer este número en voz alta',
+
+    // Solution playback
+    solution: 'Solución',
+    solutionShow: 'Mostrar',
+    solutionPlay: 'Reproducir',
+    solutionPause: 'Pausa',
+    solutionBack: 'Paso atrás',
+    solutionForward: 'Paso adelante',
+    solutionReady: '{total} pasos. Pulsa ▶',
+    solutionStep: 'Paso {current} de {total}',
+    solutionInvalid: 'Esta expresión no se puede resolver en este ábaco',
+    captionAdd: 'sumar {n}',
+    captionSubtract: 'restar {n}',
+    workspace: 'Multiplicar/dividir',
+    workspaceInvalid: 'Escribe un ejemplo como 123 × 45 o 1476 ÷ 12',
+    workspaceSet: '{region}: marcar {value}',
+    workspaceMultiply: '{a} × {b} = {product} → {place}',
+    workspaceQuotient: 'Cociente: {digit} → {place}',
+    workspaceSubtract: '{a} × {b} = {product}, restar → {place}',
+    regionMultiplier: 'Multiplicador',
+    regionMultiplicand: 'Multiplicando',
+    regionProduct: 'Producto',
+    regionDivisor: 'Divisor',
+    regionQuotient: 'Cociente',
+    regionRemainder: 'Dividendo / resto',
+    stats: 'Estadísticas',
+    statsEmpty: 'Aún no hay intentos. Prueba Flash Anzan o el dictado.',
+    statsSummary: 'Intentos: {attempts} · Precisión: {accuracy} · Tiempo medio: {time}',
+    statsByDigits: 'Por número de cifras',
+    statsByFormula: 'Por fórmula',
+    statsNoFormulas: 'Aún no se han usado fórmulas',
+    statsDigits: 'Cifras',
+    statsFormula: 'Fórmula',
+    statsAttempts: 'Intentos',
+    statsAccuracy: 'Precisión',
+    statsTime: 'Tiempo',
+    statsTrend: 'Evolución diaria',
+    statsSeconds: 's',
+    statsExportJson: 'Exportar JSON',
+    statsExportCsv: 'Exportar CSV',
+    statsClear: 'Borrar',
+    statsClearConfirm: '¿Borrar todo el historial de práctica?',
+    sizeTooSmall: 'El valor no cabe en {count} varillas',
+    decimalsTooMany: 'No hay varillas suficientes para {count} decimales',
+    theme: 'Tema',
+    themeClassic: 'Madera clásica',
+    themeHighContrast: 'Alto contraste',
+    themeColorblind: 'Apto para daltónicos (cuentas superiores e inferiores de distinto color)',
+    themeCustom: 'Tema propio',
+    themeLoad: 'Cargar tema (JSON)',
+    themeLoaded: 'Tema cargado',
+    themeInvalid: 'No se pudo cargar el tema: {error}',
+    export: 'Exportar',
+    exportImage: 'Ábaco actual',
+    exportScale: 'Escala PNG',
+    exportSvg: 'Descargar SVG',
+    exportPng: 'Descargar PNG',
+    exportFailed: 'No se pudo crear la imagen: {error}',
+    worksheet: 'Hoja de ejercicios',
+    worksheetMode: 'Tarea',
+    worksheetRead: 'Lee el ábaco',
+    worksheetSet: 'Representa el número en el ábaco',
+    worksheetNumbers: 'Números (vacío = aleatorios)',
+    worksheetCount: 'Cantidad de números aleatorios',
+    worksheetDigits: 'Cifras de los números aleatorios',
+    worksheetAnswerKey: 'Incluir respuestas',
+    worksheetPrint: 'Imprimir hoja',
+    worksheetName: 'Nombre',
+    worksheetDate: 'Fecha',
+    worksheetKey: 'Respuestas',
+    worksheetInvalid: 'No se pudo crear la hoja: {error}',
+
+    // Accessibility
+    abacusLabel: 'Soroban',
+    announceValue: 'Total: {value}',
+    place0: 'Unidades',
+    place1: 'Decenas',
+    place2: 'Centenas',
+    place3: 'Unidades de millar',
+    place4: 'Decenas de millar',
+    place5: 'Centenas de millar',
+    place6: 'Millones',
+    place7: 'Decenas de millón',
+    place8: 'Centenas de millón',
+    place9: 'Miles de millones',
+    place10: 'Decenas de miles de millones',
+    place11: 'Centenas de miles de millones',
+    place12: 'Billones',
+    place13: 'Decenas de billón',
+    place14: 'Centenas de billón',
+    place15: 'Miles de billones',
+    place16: 'Decenas de miles de billones',
+    decimal1: 'Décimas',
+    decimal2: 'Centésimas',
+    decimal3: 'Milésimas',
+    decimal4: 'Diezmilésimas',
+    decimal5: 'Cienmilésimas',
+    decimal6: 'Millonésimas',
 
     // Footer
     footer: 'MindWorld School © 2025'
@@ -4,12 +4,16 @@
  */
 
 import { Abacus } from './components/Abacus.js';
-import { AbacusRenderer } from './components/AbacusRenderer.js';
 import { AbacusInteraction } from './components/AbacusInteraction.js';
 import { AbacusPhysics } from './components/AbacusPhysics.js';
+import { AbacusTechnique } from './components/AbacusTechnique.js';
+import { AbacusFingering } from './components/AbacusFingering.js';
+import { AbacusHistory } from './components/AbacusHistory.js';
+import { AbacusAccessibility } from './components/AbacusAccessibility.js';
 import { UIController } from './ui/UIController.js';
 import { logger } from './core/logger.js';
-import { loadConfig } from './utils/storage.js';
+import { config as settings } from './core/Config.js';
+import { LAYOUT_DEFAULTS } from './core/Layout.js';
 
 const CONTEXT = 'Main';
 
@@ -19,12 +23,11 @@ const CONTEXT = 'Main';
 function init() {
   logger.info(CONTEXT, '🧮 Soroban Interactive - Starting...');
 
-  // Load saved configuration
-  const config = loadConfig() || {};
-  const digitCount = config.digitCount || 13;
-  const showDigits = config.showDigits || false;
+  // Load saved configuration (migrated and validated - see core/Config.js)
+  const config = settings.getAll();
+  const { digitCount, showDigits, abacusType } = config;
 
-  logger.info(CONTEXT, `Configuration: ${digitCount} rods, digits: ${showDigits}`);
+  logger.info(CONTEXT, `Configuration: ${abacusType}, ${digitCount} rods, digits: ${showDigits}`);
 
   // Create abacus
   const container = document.getElementById('abacus-container');
@@ -33,17 +36,19 @@ function init() {
     return;
   }
 
-  const abacus = new Abacus(container, digitCount);
+  // Saved geometry - the layout keys of the settings
+  const layout = Object.fromEntries(Object.keys(LAYOUT_DEFAULTS).map(key => [key, config[key]]));
+  const abacus = new Abacus(container, digitCount, abacusType, layout);
   
   // Set initial configuration
   abacus.setShowDigits(showDigits);
 
-  // Attach modules
-  const renderer = new AbacusRenderer(abacus);
-  const physics = new AbacusPhysics(abacus);
-  
-  abacus.renderer = renderer;
-  abacus.physics = physics;
+  // Attach modules (the abacus owns its renderer)
+  abacus.physics = new AbacusPhysics(abacus, { animationDuration: config.animationDuration });
+  abacus.technique = new AbacusTechnique(abacus);
+  abacus.fingering = new AbacusFingering(abacus, { enabled: config.fingerTraining });
+  abacus.history = new AbacusHistory(abacus);
+  abacus.accessibility = new AbacusAccessibility(abacus);
 
   // First render
   abacus.render();
@@ -75,6 +80,14 @@ function init() {
     logger.debug(CONTEXT, `Bead snapped: col=${data.col}, type=${data.type}, position=${data.position}`);
   });
 
+  abacus.on('onTechnique', (data) => {
+    logger.debug(CONTEXT, `Technique: ${data.operand} → ${data.technique}, valid: ${data.valid}`);
+  });
+
+  abacus.on('onFingering', (data) => {
+    logger.debug(CONTEXT, `Fingering mistake (${data.code}): ${data.message}`);
+  });
+
   // Export to window for debugging
   window.abacus = abacus;
   window.logger = logger;
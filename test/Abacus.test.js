@@ -0,0 +1,164 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus } from './helpers/dom.js';
+import { AbacusTypes } from '../core/AbacusTypes.js';
+import { Workspace } from '../core/Workspace.js';
+import { AbacusTechnique } from '../components/AbacusTechnique.js';
+import { i18n } from '../i18n/i18n.js';
+
+/**
+ * Deterministic digit string of a given length
+ * @param {number} length
+ * @param {number} seed
+ * @returns {string}
+ */
+function digitString(length, seed) {
+  let digits = '';
+  for (let i = 0; i < length; i++) {
+    digits += String((seed * 7 + i * 3) % 10);
+  }
+  return digits.replace(/^0+(?=\d)/, '');
+}
+
+describe('Abacus', () => {
+  test('setValue round-trips for every rod count', async () => {
+    for (let rods = 1; rods <= 17; rods++) {
+      const abacus = await createAbacus({ digits: rods });
+      const max = '9'.repeat(rods);
+
+      for (const value of ['0', max, digitString(rods, rods), digitString(rods, rods + 1)]) {
+        assert.equal(abacus.setValue(value), true, `${value} on ${rods} rods`);
+        assert.equal(abacus.getValueString(), value);
+        assert.equal(abacus.getBigIntValue(), BigInt(value));
+      }
+
+      assert.equal(abacus.setValue(`1${'0'.repeat(rods)}`), false);
+      assert.equal(abacus.getValueString(), digitString(rods, rods + 1));
+      destroyAbacus(abacus);
+    }
+  });
+
+  test('setValue round-trips decimals', async () => {
+    const abacus = await createAbacus({ digits: 8 });
+    abacus.setDecimalPlaces(3);
+
+    assert.equal(abacus.setValue('12345.678'), true);
+    assert.equal(abacus.getValueString(), '12345.678');
+    assert.equal(abacus.setValue(0.0005), true);
+    assert.equal(abacus.getValueString(), '0.001');
+    destroyAbacus(abacus);
+  });
+
+  test('keeps decimal places to the named rods', async () => {
+    const abacus = await createAbacus({ digits: 17 });
+    assert.equal(abacus.setDecimalPlaces(6), true);
+    assert.equal(abacus.getRodLabel(16), i18n.t('decimal6'));
+
+    assert.equal(abacus.setDecimalPlaces(7), false);
+    assert.equal(abacus.config.decimalPlaces, 6);
+    destroyAbacus(abacus);
+  });
+
+  test('setValue round-trips on every abacus type', async () => {
+    for (const type of AbacusTypes.list()) {
+      const abacus = await createAbacus({ digits: 6, type });
+      assert.equal(abacus.setValue(907153), true);
+      assert.equal(abacus.getValue(), 907153, type);
+      destroyAbacus(abacus);
+    }
+  });
+
+  test('renders beads where the model keeps them', async () => {
+    const abacus = await createAbacus({ digits: 2 });
+    abacus.setValue(37);
+
+    abacus.renderer.flush();
+
+    const bead = abacus.svgElement.querySelector('[data-col="1"][data-type="earth"][data-index="1"]');
+    assert.equal(bead.getAttribute('transform'), `translate(${abacus.layout.rodX(1)}, ${abacus.getBead(1, 'earth', 1).y})`);
+    assert.equal(abacus.svgElement.querySelector('#rod-0').getAttribute('aria-valuenow'), '3');
+    destroyAbacus(abacus);
+  });
+
+  test('tints workspace regions behind the rods', async () => {
+    const abacus = await createAbacus({ digits: 9 });
+    abacus.setWorkspace(Workspace.forMultiplication(9, 12, 3));
+
+    const regions = [...abacus.svgElement.querySelectorAll('.workspace-region')];
+    assert.deepEqual(regions.map(r => r.dataset.role), ['multiplier', 'multiplicand', 'product']);
+    assert.equal(Number(regions[2].getAttribute('x')), abacus.layout.getRodBox(6).x + 2);
+
+    abacus.setWorkspace(null);
+    assert.equal(abacus.svgElement.querySelector('.workspace-region'), null);
+    destroyAbacus(abacus);
+  });
+
+  test('setDigitCount keeps the value when rods are added or removed', async () => {
+    const abacus = await createAbacus({ digits: 5 });
+    abacus.setValue(40721);
+    const resized = [];
+    abacus.on('onResize', e => resized.push(e.digitCount));
+
+    assert.equal(abacus.setDigitCount(9), true);
+    assert.equal(abacus.getValueString(), '40721');
+    assert.equal(abacus.svgElement.querySelectorAll('.rod').length, 9);
+
+    assert.equal(abacus.setDigitCount(5), true);
+    assert.equal(abacus.getValueString(), '40721');
+    assert.deepEqual(resized, [9, 5]);
+    destroyAbacus(abacus);
+  });
+
+  test('setDigitCount refuses rod counts the value does not fit on', async () => {
+    const abacus = await createAbacus({ digits: 5 });
+    abacus.setValue(40721);
+
+    assert.equal(abacus.setDigitCount(4), false);
+    assert.equal(abacus.digitCount, 5);
+    assert.equal(abacus.getValueString(), '40721');
+    destroyAbacus(abacus);
+  });
+
+  test('starts with saved geometry', async () => {
+    const abacus = await createAbacus({ digits: 3, layout: { rodPitch: 90, beadHeight: 40 } });
+    assert.equal(abacus.layout.rodX(1) - abacus.layout.rodX(0), 90);
+    assert.equal(abacus.config.beadHeight, 40);
+    assert.equal(abacus.config.beadWidth, 32);
+    destroyAbacus(abacus);
+  });
+
+  test('scales to a narrow container through the viewBox', async () => {
+    const abacus = await createAbacus({ digits: 13 });
+    const { width, height } = abacus.layout;
+    assert.equal(abacus.svgElement.getAttribute('viewBox'), `0 0 ${width} ${height}`);
+    assert.equal(Number(abacus.svgElement.getAttribute('width')), width);
+
+    abacus.fitToContainer(width / 2);
+    assert.equal(Number(abacus.svgElement.getAttribute('width')), width / 2);
+    assert.equal(Number(abacus.svgElement.getAttribute('height')), height / 2);
+    assert.equal(abacus.svgElement.querySelectorAll('.rod').length, 13);
+
+    abacus.setDigitCount(17);
+    assert.equal(Math.round(Number(abacus.svgElement.getAttribute('width'))), Math.round(width / 2));
+    destroyAbacus(abacus);
+  });
+
+  test('removes event callbacks and a destroyed technique validator', async () => {
+    const abacus = await createAbacus({ digits: 5 });
+    const values = [];
+    const off = abacus.on('onChange', data => values.push(data.value));
+
+    abacus.setValue(12);
+    off();
+    abacus.setValue(34);
+    assert.deepEqual(values, [12]);
+
+    const listeners = abacus.events.onChange.length;
+    const technique = new AbacusTechnique(abacus);
+    assert.equal(abacus.events.onChange.length, listeners + 1);
+    technique.destroy();
+    assert.equal(abacus.events.onChange.length, listeners);
+    assert.equal(abacus.events.onBeadSnap.length, 0);
+    destroyAbacus(abacus);
+  });
+});
@@ -0,0 +1,97 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus, dragBead, tapBead, waitForSnap } from './helpers/dom.js';
+import { AbacusTechnique } from '../components/AbacusTechnique.js';
+import { AbacusFingering } from '../components/AbacusFingering.js';
+import { Formulas, Finger } from '../core/Formulas.js';
+
+describe('AbacusFingering', () => {
+  let abacus;
+
+  beforeEach(async () => {
+    abacus = await createAbacus({ digits: 2 });
+    abacus.technique = new AbacusTechnique(abacus);
+    abacus.fingering = new AbacusFingering(abacus, { enabled: true });
+  });
+
+  afterEach(() => {
+    abacus.fingering.destroy();
+    abacus.technique.destroy();
+    destroyAbacus(abacus);
+  });
+
+  const hint = col => abacus.svgElement.querySelector(`.finger-hint[data-col="${col}"]`);
+
+  test('plans the thumb for raising earth beads only', () => {
+    const [heaven, earth] = Formulas.planTerm([0, 0], 6).steps[0].moves;
+    assert.equal(heaven.finger, Finger.INDEX);
+    assert.equal(earth.finger, Finger.THUMB);
+    assert.equal(Formulas.getFinger({ bead: 'earth', delta: -2 }), Finger.INDEX);
+  });
+
+  test('shows the finger for the direction of a drag', () => {
+    const { fingering } = abacus;
+    fingering.onBeadMove({ col: 1, type: 'earth', deltaY: -5 });
+    assert.equal(hint(1).textContent.startsWith('👍'), true);
+
+    fingering.onBeadMove({ col: 1, type: 'earth', deltaY: 5 });
+    assert.equal(hint(1).textContent.startsWith('☝️'), true);
+  });
+
+  test('shows a hint for taps and hides it afterwards', async () => {
+    abacus.fingering.HINT_TIMEOUT = 10;
+    tapBead(abacus, { col: 0, type: 'earth', index: 0 });
+    await waitForSnap(abacus);
+    assert.notEqual(hint(0), null);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(hint(0), null);
+  });
+
+  test('logs earth beads raised before the heaven bead in +6', () => {
+    const expected = Formulas.planTerm([0, 0], 6).steps[0].moves;
+    const mistakes = abacus.fingering.check([
+      { col: 1, bead: 'earth', delta: 1 },
+      { col: 1, bead: 'heaven', delta: 1 }
+    ], expected);
+
+    assert.equal(mistakes.length, 1);
+    assert.equal(mistakes[0].code, 'order');
+    assert.equal(mistakes[0].message, 'earth up on rod 1 (thumb) made before heaven down on rod 1 (index)');
+  });
+
+  test('logs beads moved in the wrong direction', () => {
+    // 8 - 4 = 4: -4 = -5 +1, the earth bead goes up with the thumb
+    const expected = Formulas.planTerm([0, 8], -4).steps[0].moves;
+    const mistakes = abacus.fingering.check([
+      { col: 1, bead: 'heaven', delta: -1 },
+      { col: 1, bead: 'earth', delta: -3 },
+      { col: 1, bead: 'earth', delta: 4 }
+    ], expected);
+
+    assert.deepEqual(mistakes.map(m => m.code), ['direction']);
+    assert.equal(mistakes[0].expected.finger, Finger.THUMB);
+  });
+
+  test('reports mistakes of a finished operation', async () => {
+    const mistakes = [];
+    abacus.on('onFingering', mistake => mistakes.push(mistake));
+
+    dragBead(abacus, { col: 1, type: 'earth', index: 0 }, -100);
+    await waitForSnap(abacus);
+    dragBead(abacus, { col: 1, type: 'heaven', index: 0 }, 100);
+    await waitForSnap(abacus);
+    abacus.technique.commit();
+
+    assert.equal(abacus.getValue(), 6);
+    assert.deepEqual(mistakes.map(m => m.code), ['order']);
+    assert.equal(abacus.fingering.log.length, 1);
+    assert.match(hint(1).getAttribute('class'), /finger-hint--mistake/);
+  });
+
+  test('does nothing while disabled', () => {
+    abacus.fingering.setEnabled(false);
+    abacus.fingering.onBeadMove({ col: 0, type: 'earth', deltaY: -5 });
+    assert.equal(hint(0), null);
+  });
+});
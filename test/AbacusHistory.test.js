@@ -0,0 +1,43 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus } from './helpers/dom.js';
+import { AbacusHistory } from '../components/AbacusHistory.js';
+
+describe('AbacusHistory', () => {
+  let abacus;
+  let history;
+
+  beforeEach(async () => {
+    abacus = await createAbacus({ digits: 3 });
+    history = new AbacusHistory(abacus);
+  });
+
+  afterEach(() => {
+    destroyAbacus(abacus);
+  });
+
+  test('undoes and redoes value changes', async () => {
+    abacus.setValue(3);
+    abacus.setValue(8);
+
+    assert.equal(await history.undo(), true);
+    assert.equal(abacus.getValue(), 3);
+    assert.equal(await history.redo(), true);
+    assert.equal(abacus.getValue(), 8);
+    assert.equal(history.canRedo(), false);
+  });
+
+  test('restores beads to the resting places of the current layout', async () => {
+    abacus.setValue(3);
+    abacus.setValue(0);
+    abacus.setLayout({ beadHeight: 44, rodPitch: 96 });
+
+    await history.undo();
+    assert.equal(abacus.getValue(), 3);
+    ['heaven', 'earth'].forEach(type => {
+      abacus.beads[2][type].forEach((bead, index) => {
+        assert.equal(bead.y, abacus.getBeadRestY(type, index, bead.position), `${type} ${index}`);
+      });
+    });
+  });
+});
@@ -0,0 +1,303 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus, dragBead, tapBead, firePointer, toScreen, waitForSnap } from './helpers/dom.js';
+import { AbacusType } from '../core/AbacusTypes.js';
+
+describe('AbacusInteraction', () => {
+  let abacus;
+
+  afterEach(() => destroyAbacus(abacus));
+
+  describe('getBeadAtPosition', () => {
+    beforeEach(async () => {
+      abacus = await createAbacus({ digits: 3 });
+    });
+
+    test('finds beads at their centers', () => {
+      const x = abacus.layout.rodX(1);
+      const { interaction } = abacus;
+
+      assert.deepEqual(interaction.getBeadAtPosition(x, abacus.getBead(1, 'heaven', 0).y), { col: 1, type: 'heaven', index: 0 });
+      for (let i = 0; i < 4; i++) {
+        assert.deepEqual(interaction.getBeadAtPosition(x, abacus.getBead(1, 'earth', i).y), { col: 1, type: 'earth', index: i });
+      }
+    });
+
+    test('misses the bar, the frame and the space between rods', () => {
+      const { layout, interaction } = abacus;
+      const x = layout.rodX(0);
+
+      assert.equal(interaction.getBeadAtPosition(x, layout.barTop + layout.barHeight / 2), null);
+      assert.equal(interaction.getBeadAtPosition(x, layout.frameTop + 5), null);
+      assert.equal(interaction.getBeadAtPosition(layout.rodX(0.5), abacus.getBead(0, 'earth', 3).y), null);
+    });
+
+    test('keeps a small margin inside the bead edge', () => {
+      const { layout, interaction } = abacus;
+      const bead = abacus.getBead(2, 'heaven', 0);
+      const x = layout.rodX(2);
+
+      assert.notEqual(interaction.getBeadAtPosition(x, bead.y + layout.beadHeight / 2 - 3), null);
+      assert.equal(interaction.getBeadAtPosition(x + layout.beadWidth - 1, bead.y), null);
+    });
+  });
+
+  describe('dragging', () => {
+    beforeEach(async () => {
+      abacus = await createAbacus({ digits: 3 });
+    });
+
+    test('maps screen coordinates through the body transform', () => {
+      const { clientX, clientY } = toScreen(abacus, 100, 200);
+      assert.deepEqual(abacus.interaction.toRodCoords(clientX, clientY), { x: 100, y: 200 });
+      assert.equal(clientY, 200 + abacus.layout.digitsHeight);
+    });
+
+    test('moves an earth bead to the bar', async () => {
+      dragBead(abacus, { col: 2, type: 'earth', index: 0 }, -100);
+      await waitForSnap(abacus);
+      assert.equal(abacus.getValue(), 1);
+      assert.equal(abacus.getBead(2, 'earth', 0).y, abacus.layout.getBeadRestY('earth', 0, 'up'));
+    });
+
+    test('pushes the beads above when dragging up', async () => {
+      dragBead(abacus, { col: 2, type: 'earth', index: 2 }, -100);
+      await waitForSnap(abacus);
+      assert.equal(abacus.getColumnValue(2), 3);
+
+      const earth = abacus.beads[2].earth;
+      const { beadHeight } = abacus.layout;
+      assert.equal(earth[1].y - earth[0].y, beadHeight);
+      assert.equal(earth[2].y - earth[1].y, beadHeight);
+    });
+
+    test('pushes the beads below when dragging down', async () => {
+      abacus.setValue(4);
+      dragBead(abacus, { col: 2, type: 'earth', index: 1 }, 100);
+      await waitForSnap(abacus);
+      assert.equal(abacus.getColumnValue(2), 1);
+
+      const earth = abacus.beads[2].earth;
+      assert.equal(earth[3].y, abacus.layout.getBeadRestY('earth', 3, 'down'));
+      assert.equal(earth[3].y - earth[1].y, 2 * abacus.layout.beadHeight);
+    });
+
+    test('stops the group at the bar and the frame', async () => {
+      dragBead(abacus, { col: 0, type: 'earth', index: 3 }, -500);
+      await waitForSnap(abacus);
+      assert.equal(abacus.getColumnValue(0), 4);
+      assert.equal(abacus.getBead(0, 'earth', 0).y, abacus.layout.getBeadRestY('earth', 0, 'up'));
+
+      dragBead(abacus, { col: 0, type: 'earth', index: 0 }, 500);
+      await waitForSnap(abacus);
+      assert.equal(abacus.getColumnValue(0), 0);
+      assert.equal(abacus.getBead(0, 'earth', 3).y, abacus.layout.getBeadRestY('earth', 3, 'down'));
+    });
+
+    test('moves the heaven bead', async () => {
+      dragBead(abacus, { col: 1, type: 'heaven', index: 0 }, 50);
+      await waitForSnap(abacus);
+      assert.equal(abacus.getValue(), 50);
+
+      dragBead(abacus, { col: 1, type: 'heaven', index: 0 }, -50);
+      await waitForSnap(abacus);
+      assert.equal(abacus.getValue(), 0);
+    });
+
+    test('settles a half-way release to the nearest resting place', async () => {
+      const { layout } = abacus;
+      const travel = layout.getBeadRestY('earth', 0, 'down') - layout.getBeadRestY('earth', 0, 'up');
+
+      dragBead(abacus, { col: 2, type: 'earth', index: 0 }, -(travel / 2 - 2));
+      await waitForSnap(abacus);
+      assert.equal(abacus.getValue(), 0);
+      assert.equal(abacus.getBead(2, 'earth', 0).y, layout.getBeadRestY('earth', 0, 'down'));
+
+      dragBead(abacus, { col: 2, type: 'earth', index: 0 }, -(travel / 2 + 2));
+      await waitForSnap(abacus);
+      assert.equal(abacus.getValue(), 1);
+      assert.equal(abacus.getBead(2, 'earth', 0).y, layout.getBeadRestY('earth', 0, 'up'));
+    });
+
+    test('settles a pushed group as a whole', async () => {
+      dragBead(abacus, { col: 2, type: 'earth', index: 2 }, -12);
+      await waitForSnap(abacus);
+      assert.equal(abacus.getColumnValue(2), 3);
+      assert.deepEqual(
+        abacus.beads[2].earth.map(bead => bead.y),
+        abacus.model.getGroupLayout('earth', 3).map(({ y }) => y)
+      );
+    });
+
+    test('reports changes once per drag', async () => {
+      const changes = [];
+      abacus.on('onChange', ({ value }) => changes.push(value));
+      dragBead(abacus, { col: 2, type: 'earth', index: 1 }, -100, 10);
+      await waitForSnap(abacus);
+      assert.deepEqual(changes, [2]);
+    });
+  });
+
+  describe('gestures', () => {
+    beforeEach(async () => {
+      abacus = await createAbacus({ digits: 3 });
+    });
+
+    test('tap toggles an earth bead with the beads in its way', async () => {
+      tapBead(abacus, { col: 2, type: 'earth', index: 2 });
+      await waitForSnap(abacus);
+      assert.equal(abacus.getColumnValue(2), 3);
+      assert.equal(abacus.getBead(2, 'earth', 0).y, abacus.layout.getBeadRestY('earth', 0, 'up'));
+
+      tapBead(abacus, { col: 2, type: 'earth', index: 1 });
+      await waitForSnap(abacus);
+      assert.equal(abacus.getColumnValue(2), 1);
+      assert.equal(abacus.getBead(2, 'earth', 2).y, abacus.layout.getBeadRestY('earth', 2, 'down'));
+    });
+
+    test('tap toggles the heaven bead', async () => {
+      tapBead(abacus, { col: 1, type: 'heaven', index: 0 });
+      await waitForSnap(abacus);
+      assert.equal(abacus.getValue(), 50);
+
+      tapBead(abacus, { col: 1, type: 'heaven', index: 0 });
+      await waitForSnap(abacus);
+      assert.equal(abacus.getValue(), 0);
+    });
+
+    test('a long press does not toggle', async () => {
+      const point = { x: abacus.layout.rodX(0), y: abacus.getBead(0, 'earth', 0).y };
+      firePointer(abacus, abacus.svgElement, 'pointerdown', point, { timeStamp: 1000 });
+      firePointer(abacus, document, 'pointerup', point, { timeStamp: 2000 });
+      await waitForSnap(abacus);
+      assert.equal(abacus.getValue(), 0);
+    });
+
+    test('flick throws a bead in the direction of the flick', async () => {
+      const { layout } = abacus;
+
+      // Короткий бросок к планке - меньше половины хода, но косточка долетает
+      dragBead(abacus, { col: 2, type: 'earth', index: 0 }, -7, 3, { duration: 9 });
+      await waitForSnap(abacus);
+      assert.equal(abacus.getValue(), 1);
+      assert.equal(abacus.getBead(2, 'earth', 0).y, layout.getBeadRestY('earth', 0, 'up'));
+
+      dragBead(abacus, { col: 2, type: 'earth', index: 0 }, 7, 3, { duration: 9 });
+      await waitForSnap(abacus);
+      assert.equal(abacus.getValue(), 0);
+    });
+
+    test('a flick stopped before release settles instead', async () => {
+      const x = abacus.layout.rodX(2);
+      const y = abacus.getBead(2, 'earth', 0).y;
+      firePointer(abacus, abacus.svgElement, 'pointerdown', { x, y }, { timeStamp: 1000 });
+      firePointer(abacus, document, 'pointermove', { x, y: y - 6 }, { timeStamp: 1010 });
+      firePointer(abacus, document, 'pointerup', { x, y: y - 6 }, { timeStamp: 1500 });
+      await waitForSnap(abacus);
+      assert.equal(abacus.getValue(), 0);
+    });
+
+    test('catches a group that is still settling', async () => {
+      tapBead(abacus, { col: 0, type: 'earth', index: 3 });
+      assert.equal(abacus.physics.animations.size, 4);
+
+      dragBead(abacus, { col: 0, type: 'earth', index: 0 }, 100);
+      await waitForSnap(abacus);
+      assert.equal(abacus.getColumnValue(0), 0);
+    });
+  });
+
+  describe('multi-touch', () => {
+    beforeEach(async () => {
+      abacus = await createAbacus({ digits: 3 });
+    });
+
+    /**
+     * Put a finger on a bead and return a function moving it by deltaY
+     */
+    const touch = (pointerId, { col, type, index }) => {
+      const x = abacus.layout.rodX(col);
+      const startY = abacus.getBead(col, type, index).y;
+      const options = { pointerId, pointerType: 'touch' };
+
+      firePointer(abacus, abacus.svgElement, 'pointerdown', { x, y: startY }, options);
+      return {
+        move: deltaY => firePointer(abacus, document, 'pointermove', { x, y: startY + deltaY }, options),
+        up: (name = 'pointerup') => firePointer(abacus, document, name, { x, y: startY }, options)
+      };
+    };
+
+    test('drags beads on neighboring rods at the same time', async () => {
+      const thumb = touch(1, { col: 2, type: 'earth', index: 1 });
+      const finger = touch(2, { col: 1, type: 'heaven', index: 0 });
+      assert.equal(abacus.interaction.drags.size, 2);
+
+      thumb.move(-60);
+      finger.move(40);
+      assert.equal(abacus.getColumnValue(2), 2);
+      assert.equal(abacus.getColumnValue(1), 5);
+
+      thumb.up();
+      assert.equal(abacus.interaction.isDragging, true);
+      assert.equal(abacus.getBead(1, 'heaven', 0).isDragging, true);
+
+      finger.up();
+      assert.equal(abacus.interaction.isDragging, false);
+      await waitForSnap(abacus);
+      assert.equal(abacus.getValue(), 52);
+    });
+
+    test('snaps each rod when its own pointer lifts', async () => {
+      const snaps = [];
+      abacus.on('onBeadSnap', ({ col }) => snaps.push(col));
+
+      const a = touch(7, { col: 0, type: 'earth', index: 0 });
+      const b = touch(9, { col: 2, type: 'earth', index: 0 });
+      a.move(-60);
+      b.move(-60);
+      b.up();
+      a.up('pointercancel');
+      await waitForSnap(abacus);
+
+      assert.deepEqual(snaps, [2, 0]);
+      assert.equal(abacus.getValue(), 101);
+    });
+
+    test('does not let two pointers hold the same bead', () => {
+      touch(1, { col: 0, type: 'earth', index: 0 });
+      touch(2, { col: 0, type: 'earth', index: 0 });
+      assert.equal(abacus.interaction.drags.size, 1);
+    });
+
+    test('ignores moves of pointers that hold no bead', () => {
+      firePointer(abacus, document, 'pointermove', { x: 0, y: 0 }, { pointerId: 5 });
+      firePointer(abacus, document, 'pointerup', { x: 0, y: 0 }, { pointerId: 5 });
+      assert.equal(abacus.getValue(), 0);
+    });
+
+    test('ignores the right mouse button', () => {
+      const x = abacus.layout.rodX(0);
+      firePointer(abacus, abacus.svgElement, 'pointerdown', { x, y: abacus.getBead(0, 'earth', 0).y }, { button: 2 });
+      assert.equal(abacus.interaction.isDragging, false);
+    });
+  });
+
+  describe('other abacus types', () => {
+    test('drags suanpan heaven beads as a group', async () => {
+      abacus = await createAbacus({ digits: 2, type: AbacusType.SUANPAN });
+      dragBead(abacus, { col: 1, type: 'heaven', index: 0 }, 100);
+      await waitForSnap(abacus);
+      assert.equal(abacus.getColumnValue(1), 10);
+    });
+
+    test('drags schoty beads along a horizontal rod', async () => {
+      abacus = await createAbacus({ digits: 2, type: AbacusType.SCHOTY });
+      const { clientX, clientY } = toScreen(abacus, 10, 20);
+      assert.deepEqual({ clientX, clientY }, { clientX: 20 + abacus.layout.digitsHeight, clientY: 10 });
+
+      dragBead(abacus, { col: 1, type: 'earth', index: 6 }, -200);
+      await waitForSnap(abacus);
+      assert.equal(abacus.getColumnValue(1), 7);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus } from './helpers/dom.js';
+import { AbacusTypes } from '../core/AbacusTypes.js';
+import { BeadModel } from '../core/BeadModel.js';
+import { AbacusPhysics } from '../components/AbacusPhysics.js';
+
+describe('AbacusPhysics', () => {
+  let abacus;
+
+  afterEach(() => destroyAbacus(abacus));
+
+  describe('updatePositions', () => {
+    beforeEach(async () => {
+      abacus = await createAbacus({ digits: 1 });
+    });
+
+    test('treats beads within 5px of the frame stack as inactive', () => {
+      const earth = abacus.beads[0].earth;
+      earth[0].y -= 4.9;
+      abacus.physics.updatePositions(0, 'earth');
+      assert.equal(earth[0].position, 'down');
+
+      earth[0].y -= 0.1;
+      abacus.physics.updatePositions(0, 'earth');
+      assert.equal(earth[0].position, 'up');
+    });
+
+    test('activates every bead past the first gap', () => {
+      const earth = abacus.beads[0].earth;
+      earth[2].y -= 10; // bead 3 stays on the frame, bead 2 leaves a gap
+      abacus.physics.updatePositions(0, 'earth');
+      assert.deepEqual(earth.map(bead => bead.position), ['up', 'up', 'up', 'down']);
+    });
+
+    test('checks the heaven bead against the top frame', () => {
+      const [heaven] = abacus.beads[0].heaven;
+      heaven.y += 6;
+      abacus.physics.updatePositions(0, 'heaven');
+      assert.equal(heaven.position, 'down');
+    });
+
+    test('agrees with BeadModel for every digit of every type', () => {
+      AbacusTypes.list().forEach(id => {
+        const model = new BeadModel(1, {}, id);
+        const physics = { abacus: { beads: model.beads, layout: model.layout } };
+        const { updatePositions } = Object.getPrototypeOf(abacus.physics);
+
+        for (let digit = 0; digit <= model.type.maxDigit; digit++) {
+          model.setColumnValue(0, digit);
+          updatePositions.call(physics, 0, 'heaven');
+          updatePositions.call(physics, 0, 'earth');
+          assert.equal(model.getColumnValue(0), digit, `${id} digit ${digit}`);
+        }
+      });
+    });
+  });
+
+  describe('getYConstraints', () => {
+    test('spans the group from bar to frame', async () => {
+      abacus = await createAbacus({ digits: 1 });
+      const { layout, physics } = abacus;
+
+      assert.deepEqual(physics.getYConstraints(0, 'earth', 2), {
+        min: layout.getBeadRestY('earth', 0, 'up'),
+        max: layout.getBeadRestY('earth', 3, 'down')
+      });
+      assert.deepEqual(physics.getYConstraints(0, 'heaven', 0), {
+        min: layout.getBeadRestY('heaven', 0, 'up'),
+        max: layout.getBeadRestY('heaven', 0, 'down')
+      });
+    });
+  });
+
+  describe('animations', () => {
+    beforeEach(async () => {
+      abacus = await createAbacus({ digits: 2 });
+    });
+
+    test('animates a rod to a digit and reports the snap', async () => {
+      const snaps = [];
+      abacus.on('onBeadSnap', snap => snaps.push(snap));
+
+      await abacus.setColumnValue(1, 8);
+      assert.equal(abacus.getValue(), 8);
+      assert.equal(abacus.getBead(1, 'heaven', 0).y, abacus.layout.getBeadRestY('heaven', 0, 'down'));
+      assert.equal(snaps.length, 1);
+    });
+
+    test('cancelled animation resolves without changing positions', async () => {
+      const running = abacus.physics.animateBead(0, 'earth', 0, 150, 1000);
+      abacus.physics.cancelAnimation();
+      assert.equal(await running, false);
+      assert.equal(abacus.getBead(0, 'earth', 0).position, 'down');
+    });
+
+    test('takes the configured duration, zero moves beads in one frame', async () => {
+      const physics = new AbacusPhysics(abacus, { animationDuration: 0 });
+      assert.equal(physics.COLUMN_ANIMATION_DURATION, 0);
+
+      await physics.animateColumnTo(1, 3);
+      assert.equal(abacus.getBead(1, 'earth', 2).position, 'up');
+      assert.equal(abacus.getBead(1, 'earth', 2).y, abacus.layout.getBeadRestY('earth', 2, 'up'));
+      assert.equal(new AbacusPhysics(abacus).ANIMATION_DURATION, 150);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus, waitForSnap } from './helpers/dom.js';
+import { Themes, ThemeId } from '../core/Themes.js';
+
+/**
+ * Wait for the next animation frame of the DOM harness
+ * @returns {Promise}
+ */
+function nextFrame() {
+  return new Promise(resolve => requestAnimationFrame(resolve));
+}
+
+describe('AbacusRenderer', () => {
+  let abacus;
+
+  beforeEach(async () => {
+    abacus = await createAbacus({ digits: 6 });
+  });
+
+  afterEach(() => {
+    destroyAbacus(abacus);
+  });
+
+  const bead = (col, type, index) => abacus.svgElement.querySelector(`[data-col="${col}"][data-type="${type}"][data-index="${index}"]`);
+
+  test('keeps one SVG element and its listeners across updates', async () => {
+    const svg = abacus.svgElement;
+
+    abacus.setValue(123456);
+    abacus.setShowDigits(true);
+    abacus.setNotchOffset(1);
+    abacus.setDecimalPlaces(2);
+    abacus.setDigitCount(8);
+    abacus.setLayout({ rodPitch: 80 });
+
+    assert.equal(abacus.svgElement, svg);
+    assert.equal(abacus.container.querySelectorAll('svg').length, 1);
+
+    // Клавиатура работает без повторной привязки обработчиков
+    svg.dispatchEvent(new KeyboardEvent('keydown', { key: 'End' }));
+    svg.dispatchEvent(new KeyboardEvent('keydown', { key: '7' }));
+    await waitForSnap(abacus);
+    assert.equal(abacus.getColumnValue(7), 7);
+  });
+
+  test('batches bead moves into one animation frame', async () => {
+    const requested = [];
+    const original = globalThis.requestAnimationFrame;
+    globalThis.requestAnimationFrame = callback => {
+      requested.push(callback);
+      return original(callback);
+    };
+
+    try {
+      const before = bead(5, 'earth', 0).getAttribute('transform');
+      abacus.setValue(999999);
+      abacus.setValue(555555);
+      abacus.setValue(444444);
+
+      assert.equal(requested.length, 1);
+      assert.equal(bead(5, 'earth', 0).getAttribute('transform'), before);
+    } finally {
+      globalThis.requestAnimationFrame = original;
+    }
+
+    await nextFrame();
+    const y = abacus.getBead(5, 'earth', 0).y;
+    assert.equal(bead(5, 'earth', 0).getAttribute('transform'), `translate(${abacus.layout.rodX(5)}, ${y})`);
+  });
+
+  test('writes only the beads that moved', () => {
+    abacus.setValue(111111);
+    abacus.renderer.flush();
+
+    const written = new Set();
+    abacus.svgElement.querySelectorAll('.bead').forEach(element => {
+      const setAttribute = element.setAttribute.bind(element);
+      element.setAttribute = (name, value) => {
+        written.add(`${element.dataset.col}:${element.dataset.type}:${element.dataset.index}`);
+        setAttribute(name, value);
+      };
+    });
+
+    abacus.setValue(111151);
+    abacus.renderer.flush();
+    assert.deepEqual([...written].sort(), ['4:earth:0', '4:heaven:0']);
+  });
+
+  test('updates digits and notches in place', () => {
+    abacus.setShowDigits(true);
+    const digit = abacus.svgElement.querySelectorAll('.digits .digit')[5];
+    const notches = [...abacus.svgElement.querySelectorAll('.notch')];
+    const shown = () => notches.filter(n => n.getAttribute('display') !== 'none').map(n => Number(n.dataset.col));
+
+    abacus.setValue(42);
+    assert.equal(abacus.svgElement.querySelectorAll('.digits .digit')[5], digit);
+    assert.equal(digit.textContent, '2');
+
+    assert.deepEqual(shown(), [0, 3]);
+    abacus.setNotchOffset(1);
+    assert.deepEqual(shown(), [1, 4]);
+    assert.deepEqual([...abacus.svgElement.querySelectorAll('.notch')], notches);
+
+    abacus.setShowDigits(false);
+    assert.equal(abacus.svgElement.querySelector('.digits').getAttribute('display'), 'none');
+  });
+
+  test('redraws with a theme in the same SVG', () => {
+    const svg = abacus.svgElement;
+    abacus.setTheme(Themes.get(ThemeId.COLORBLIND));
+
+    const stop = id => svg.querySelector(`#${id} stop[offset="50%"]`).getAttribute('stop-color');
+    assert.equal(stop('beadHeavenGradient'), '#0072B2');
+    assert.equal(stop('beadGradient'), '#E69F00');
+    assert.equal(bead(0, 'heaven', 0).querySelector('path').getAttribute('fill'), 'url(#beadHeavenGradient)');
+    assert.equal(bead(0, 'earth', 0).querySelector('path').getAttribute('fill'), 'url(#beadGradient)');
+    assert.equal(abacus.svgElement, svg);
+    assert.equal(svg.querySelectorAll('defs').length, 1);
+  });
+
+  test('serializes a standalone SVG with pending moves and inline gradients', () => {
+    abacus.setValue(7);
+    abacus.renderer.updateFocusRing(2);
+    const markup = abacus.toSVG();
+
+    const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+    const svg = doc.documentElement;
+    assert.equal(doc.querySelector('parsererror'), null);
+    assert.equal(svg.namespaceURI, 'http://www.w3.org/2000/svg');
+    assert.equal(svg.getAttribute('width'), String(abacus.layout.width));
+    assert.equal(svg.getAttribute('role'), 'img');
+    assert.ok(svg.querySelector('defs #beadGradient'));
+
+    // Только id градиентов и фильтров, без интерактивного состояния
+    assert.equal(svg.querySelectorAll('[id]').length, svg.querySelectorAll('defs [id]').length);
+    assert.equal(svg.querySelector('.focus-ring'), null);
+    assert.equal(svg.querySelector('[role="slider"], [tabindex]'), null);
+
+    const y = abacus.getBead(5, 'heaven', 0).y;
+    const bead = svg.querySelector('[data-col="5"][data-type="heaven"][data-index="0"]');
+    assert.equal(bead.getAttribute('transform'), `translate(${abacus.layout.rodX(5)}, ${y})`);
+
+    // Живой SVG не изменился
+    assert.equal(abacus.svgElement.id, 'abacus-svg');
+    assert.ok(abacus.svgElement.querySelector('.focus-ring'));
+  });
+});
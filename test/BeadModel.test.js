@@ -0,0 +1,152 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BeadModel } from '../core/BeadModel.js';
+import { AbacusType } from '../core/AbacusTypes.js';
+import { logger } from '../core/logger.js';
+
+logger.setLevel('error');
+
+describe('BeadModel', () => {
+  test('starts cleared', () => {
+    const model = new BeadModel(5);
+    assert.equal(model.getValue(), 0);
+    assert.equal(model.getDigits(), '00000');
+    assert.equal(model.beads[0].heaven.length, 1);
+    assert.equal(model.beads[0].earth.length, 4);
+  });
+
+  test('sets and reads values', () => {
+    const model = new BeadModel(5);
+    assert.equal(model.setValue(12345), true);
+    assert.equal(model.getValue(), 12345);
+    assert.deepEqual(model.getColumnValues(), [1, 2, 3, 4, 5]);
+  });
+
+  test('places beads of a digit against the bar', () => {
+    const model = new BeadModel(1);
+    model.setColumnValue(0, 7);
+    const { heaven, earth } = model.beads[0];
+    assert.equal(heaven[0].position, 'down');
+    assert.deepEqual(earth.map(bead => bead.position), ['up', 'up', 'down', 'down']);
+    assert.equal(earth[0].y, model.getRestY('earth', 0, 'up'));
+  });
+
+  test('rejects values that do not fit', () => {
+    const model = new BeadModel(3);
+    model.setValue(42);
+    assert.equal(model.setValue(1000), false);
+    assert.equal(model.setValue(-1), false);
+    assert.equal(model.setValue('abc'), false);
+    assert.equal(model.setColumnValue(0, 10), false);
+    assert.equal(model.setColumnValue(5, 1), false);
+    assert.equal(model.getValue(), 42);
+  });
+
+  test('keeps values beyond Number precision', () => {
+    const model = new BeadModel(17);
+    assert.equal(model.setValue('12345678901234567'), true);
+    assert.equal(model.getBigIntValue(), 12345678901234567n);
+    assert.equal(model.getValueString(), '12345678901234567');
+  });
+
+  test('reads decimals right of the unit rod', () => {
+    const model = new BeadModel(6, { decimalPlaces: 2 });
+    assert.equal(model.getUnitColumn(), 3);
+    assert.equal(model.setValue(12.345), true);
+    assert.equal(model.getValueString(), '12.35');
+    assert.equal(model.isShowing('12.35'), true);
+    assert.equal(model.isShowing(12.3), false);
+  });
+
+  describe('moveBead', () => {
+    test('pushes earth beads above the moved one', () => {
+      const model = new BeadModel(1);
+      assert.deepEqual(model.moveBead(0, 'earth', 2), { col: 0, from: 0, to: 3 });
+      assert.deepEqual(model.moveBead(0, 'earth', 1), { col: 0, from: 3, to: 1 });
+    });
+
+    test('toggles the heaven bead', () => {
+      const model = new BeadModel(1);
+      model.setColumnValue(0, 2);
+      assert.equal(model.moveBead(0, 'heaven', 0).to, 7);
+      assert.equal(model.moveBead(0, 'heaven', 0).to, 2);
+    });
+
+    test('keeps groups apart on a 1/5 soroban', () => {
+      const model = new BeadModel(1, {}, AbacusType.SOROBAN_1_5);
+      for (let i = 0; i < 5; i++) {
+        model.moveBead(0, 'earth', i);
+      }
+      assert.equal(model.getColumnValue(0), 5);
+      assert.equal(model.countActive(0, 'earth'), 5);
+      assert.equal(model.countActive(0, 'heaven'), 0);
+    });
+
+    test('returns null for missing beads', () => {
+      const model = new BeadModel(1);
+      assert.equal(model.moveBead(0, 'earth', 4), null);
+      assert.equal(model.moveBead(3, 'heaven', 0), null);
+    });
+  });
+
+  describe('gesture targets', () => {
+    test('counts beads of a forced move direction', () => {
+      const model = new BeadModel(1, {}, AbacusType.SUANPAN);
+      model.setColumnValue(0, 3);
+      assert.equal(model.getMoveCount(0, 'earth', 1), 1);
+      assert.equal(model.getMoveCount(0, 'earth', 4, true), 5);
+      assert.equal(model.getMoveCount(0, 'heaven', 0, true), 2);
+      assert.equal(model.getMoveCount(0, 'heaven', 1, false), 0);
+    });
+
+    test('settles each bead to the nearer end of its travel', () => {
+      const model = new BeadModel(1);
+      const earth = model.beads[0].earth;
+      const up = i => model.getRestY('earth', i, 'up');
+      const down = i => model.getRestY('earth', i, 'down');
+
+      earth[0].y = up(0) + (down(0) - up(0)) * 0.4;
+      earth[1].y = up(1) + (down(1) - up(1)) * 0.6;
+      assert.equal(model.getNearestCount(0, 'earth'), 1);
+
+      // Bead 2 past half-way does not count while bead 1 lags behind
+      earth[2].y = up(2);
+      assert.equal(model.getNearestCount(0, 'earth'), 1);
+    });
+
+    test('lays out a group for a number of active beads', () => {
+      const model = new BeadModel(1);
+      model.setGroup(0, 'earth', 2);
+      assert.equal(model.getColumnValue(0), 2);
+      assert.deepEqual(
+        model.getGroupLayout('earth', 2),
+        model.beads[0].earth.map(({ position, y }, index) => ({ index, position, y }))
+      );
+    });
+  });
+
+  test('supports other abacus types', () => {
+    const suanpan = new BeadModel(2, {}, AbacusType.SUANPAN);
+    assert.equal(suanpan.setColumnValue(1, 15), true);
+    assert.equal(suanpan.getValue(), 15);
+
+    const schoty = new BeadModel(3, {}, AbacusType.SCHOTY);
+    assert.equal(schoty.setValue(907), true);
+    assert.equal(schoty.countActive(1, 'earth'), 0);
+    assert.equal(schoty.countActive(2, 'earth'), 7);
+  });
+
+  test('moves beads to the new rest positions after layout change', () => {
+    const config = {};
+    const model = new BeadModel(2, config);
+    model.setValue(38);
+    const before = model.beads[1].earth[0].y;
+
+    config.beadHeight = 40;
+    model.updateLayout();
+
+    assert.equal(model.getValue(), 38);
+    assert.notEqual(model.beads[1].earth[0].y, before);
+    assert.equal(model.beads[1].earth[0].y, model.layout.getBeadRestY('earth', 0, 'up'));
+  });
+});
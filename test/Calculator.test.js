@@ -0,0 +1,112 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Calculator, MAX_EXACT_DIGITS } from '../core/Calculator.js';
+import { logger } from '../core/logger.js';
+
+logger.setLevel('error');
+
+describe('Calculator', () => {
+  test('converts values to scaled digit strings', () => {
+    assert.equal(Calculator.toDigitString(42), '42');
+    assert.equal(Calculator.toDigitString(10n ** 18n), '1000000000000000000');
+    assert.equal(Calculator.toDigitString('1.25', 1), '13');
+    assert.equal(Calculator.toDigitString(3.5, 2), '350');
+    assert.equal(Calculator.toDigitString(-1), null);
+    assert.equal(Calculator.toDigitString('1e5'), null);
+  });
+
+  test('rounds extra decimals half up', () => {
+    assert.equal(Calculator.toDigitString('0.995', 2), '100');
+    assert.equal(Calculator.toDigitString('0.994', 2), '99');
+    assert.equal(Calculator.toDigitString('7.', 1), '70');
+    assert.equal(Calculator.toDigitString(' 12 '), '12');
+  });
+
+  test('rejects malformed input', () => {
+    ['', '.5', '1,5', '+3', '0x10', 'Infinity'].forEach(text => {
+      assert.equal(Calculator.toDigitString(text), null, text);
+    });
+    [NaN, Infinity, -0.5, -1n, null, undefined, {}].forEach(value => {
+      assert.equal(Calculator.toDigitString(value), null, String(value));
+    });
+  });
+
+  test('keeps integers beyond Number precision exact', () => {
+    assert.equal(Calculator.toDigitString(2 ** 60), '1152921504606846976');
+    assert.equal(Calculator.toDigitString(1e21), '1000000000000000000000');
+    assert.equal(Calculator.getMaxBigInt(17), 99999999999999999n);
+  });
+
+  test('sums rods that hold more than 9', () => {
+    const rod = (heaven, earth) => ({
+      heaven: Array.from({ length: 2 }, (_, i) => ({ position: i >= 2 - heaven ? 'down' : 'up' })),
+      earth: Array.from({ length: 5 }, (_, i) => ({ position: i < earth ? 'up' : 'down' }))
+    });
+    const beads = { 0: rod(0, 1), 1: rod(2, 5) }; // 1 и 15 на суаньпане
+
+    assert.equal(Calculator.calculateBigInt(beads, 2), 25n);
+    assert.equal(Calculator.calculateDigits(beads, 2), '25');
+    assert.equal(Calculator.calculateValue(beads, 2), 25);
+  });
+
+  test('validates numbers against rod count', () => {
+    assert.equal(Calculator.isValidNumber(999, 3), true);
+    assert.equal(Calculator.isValidNumber(1000, 3), false);
+    assert.equal(Calculator.isValidNumber(NaN, 3), false);
+    assert.equal(Calculator.isValidNumber(0, 1), true);
+    assert.equal(Calculator.isValidNumber('0009', 1), true); // Ведущие нули не занимают стержни
+  });
+
+  test('decomposes numbers into padded digits', () => {
+    assert.deepEqual(Calculator.decomposeNumber(305, 5), [0, 0, 3, 0, 5]);
+    assert.equal(Calculator.formatNumber(7, 3), '007');
+  });
+
+  test('decomposes a digit into heaven and earth beads', () => {
+    assert.deepEqual(Calculator.decomposeDigit(8), { heaven: 1, earth: 3 });
+    assert.deepEqual(Calculator.decomposeDigit(4), { heaven: 0, earth: 4 });
+  });
+
+  test('generates series within rod capacity', () => {
+    for (let i = 0; i < 20; i++) {
+      const terms = Calculator.generateSeries({ digits: 1, count: 8, allowNegative: true, rods: 2 });
+      let total = 0;
+      terms.forEach(term => {
+        total += term;
+        assert.ok(total >= 0 && total <= 99);
+      });
+      assert.ok(terms[0] > 0);
+    }
+  });
+
+  test('keeps series on wide abaci exact', () => {
+    for (let i = 0; i < 20; i++) {
+      const terms = Calculator.generateSeries({ digits: MAX_EXACT_DIGITS, count: 30, allowNegative: true, rods: 17 });
+      let total = 0;
+      terms.forEach(term => {
+        assert.ok(Number.isSafeInteger(term));
+        total += term;
+        assert.ok(total >= 0 && total < 10 ** MAX_EXACT_DIGITS);
+      });
+    }
+    assert.throws(() => Calculator.generateSeries({ digits: 16, count: 3, rods: 17 }), RangeError);
+  });
+
+  test('compares values exactly across types', () => {
+    assert.equal(Calculator.isSameValue('12.50', 12.5), true);
+    assert.equal(Calculator.isSameValue('99999999999999999', 10n ** 17n - 1n), true);
+    assert.equal(Calculator.isSameValue('99999999999999999', 1e17), false);
+    assert.equal(Calculator.isSameValue('7', 7), true);
+    assert.equal(Calculator.isSameValue('7.01', 7), false);
+    assert.equal(Calculator.isSameValue('abc', 'abc'), false);
+    assert.equal(Calculator.isSameValue(12.4, 12.3), false);
+    assert.equal(Calculator.isSameValue(12.4, '12.40'), true);
+    assert.equal(Calculator.isSameValue(0.1 + 0.2, 0.3), false);
+    assert.equal(Calculator.isSameValue(1e-7, 1e-7), false);
+  });
+
+  test('parses addition and subtraction chains', () => {
+    assert.deepEqual(Calculator.parseExpression('37 + 48 − 19'), [37, 48, -19]);
+    assert.equal(Calculator.parseExpression('3 * 4'), null);
+  });
+});
@@ -0,0 +1,111 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/dom.js';
+import { Config, SETTINGS_VERSION } from '../core/Config.js';
+
+const STORAGE_KEY = 'soroban_config';
+const stored = () => JSON.parse(localStorage.getItem(STORAGE_KEY));
+
+describe('Config', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('uses schema defaults without saved settings', () => {
+    const config = new Config();
+    assert.equal(config.get('digitCount'), 13);
+    assert.equal(config.get('notchOffset'), 0);
+    assert.deepEqual(config.get('flashAnzan'), { digits: 1, count: 5, interval: 1000, allowNegative: false });
+    assert.equal(localStorage.getItem(STORAGE_KEY), null);
+  });
+
+  test('migrates unversioned settings and writes them back', () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ digitCount: '17', notchOffset: '2', showDigits: true }));
+    const config = new Config();
+
+    assert.equal(config.get('digitCount'), 17);
+    assert.equal(config.get('notchOffset'), 2);
+    assert.equal(config.get('showDigits'), true);
+    assert.equal(stored().version, SETTINGS_VERSION);
+    assert.equal(stored().digitCount, 17);
+  });
+
+  test('repairs invalid values instead of producing NaN rods', () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: SETTINGS_VERSION,
+      digitCount: null,
+      abacusType: 'slide-rule',
+      decimalPlaces: 40,
+      beadHeight: 'big',
+      flashAnzan: { digits: 3, count: 1000 },
+      unknownKey: 1
+    }));
+    const config = new Config();
+
+    assert.equal(config.get('digitCount'), 13);
+    assert.equal(config.get('abacusType'), 'soroban');
+    assert.equal(config.get('decimalPlaces'), 6);
+    assert.equal(config.get('beadHeight'), 36);
+    assert.deepEqual(config.get('flashAnzan'), { digits: 3, count: 30, interval: 1000, allowNegative: false });
+    assert.equal('unknownKey' in stored(), false);
+    assert.equal(stored().digitCount, 13);
+  });
+
+  test('keeps the unit rod on the abacus', () => {
+    const { settings, repaired } = Config.validate({ digitCount: 3, decimalPlaces: 5 });
+    assert.equal(settings.decimalPlaces, 2);
+    assert.deepEqual(repaired, ['decimalPlaces']);
+  });
+
+  test('repairs geometry that would hide or stack the beads', () => {
+    const { settings, repaired } = Config.validate({ beadHeight: 0, beadWidth: 0, rodPitch: 0, barHeight: -3 });
+    assert.equal(settings.beadHeight, 10);
+    assert.equal(settings.beadWidth, 8);
+    assert.equal(settings.rodPitch, 16);
+    assert.equal(settings.barHeight, 2);
+    assert.deepEqual(repaired.sort(), ['barHeight', 'beadHeight', 'beadWidth', 'rodPitch']);
+
+    const wide = Config.validate({ beadWidth: 40, rodPitch: 60 });
+    assert.equal(wide.settings.rodPitch, 80);
+    assert.deepEqual(wide.repaired, ['rodPitch']);
+  });
+
+  test('recovers from a corrupted entry', () => {
+    localStorage.setItem(STORAGE_KEY, '{"digitCount": 9,');
+    const config = new Config();
+    assert.equal(config.get('digitCount'), 13);
+    assert.equal(localStorage.getItem(STORAGE_KEY), null);
+
+    localStorage.setItem(STORAGE_KEY, '[1, 2]');
+    assert.equal(new Config().get('digitCount'), 13);
+    assert.equal(stored().version, SETTINGS_VERSION);
+  });
+
+  test('rejects unknown keys and invalid values on set', () => {
+    const config = new Config();
+    assert.equal(config.set('digitCount', 9), true);
+    assert.equal(stored().digitCount, 9);
+
+    assert.equal(config.set('digitCount', NaN), false);
+    assert.equal(config.set('notchOffset', 5), false);
+    assert.equal(config.set('colour', 'red'), false);
+    assert.equal(config.get('digitCount'), 9);
+    assert.equal(config.get('notchOffset'), 0);
+  });
+
+  test('persists a custom theme and drops a broken one', () => {
+    const config = new Config();
+    assert.equal(config.set('theme', 'custom'), false);
+    assert.equal(config.update({ theme: 'custom', customTheme: { rod: '#123456' } }), true);
+    assert.deepEqual(new Config().get('customTheme'), { rod: '#123456' });
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: SETTINGS_VERSION,
+      theme: 'custom',
+      customTheme: { rod: 'url(javascript:alert(1))' }
+    }));
+    const repaired = new Config();
+    assert.equal(repaired.get('customTheme'), null);
+    assert.equal(repaired.get('theme'), 'classic');
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus } from './helpers/dom.js';
+import { Dictation } from '../ui/Dictation.js';
+import { i18n } from '../i18n/i18n.js';
+
+describe('Dictation', () => {
+  let abacus;
+  let dictation;
+  let spoken;
+
+  beforeEach(async () => {
+    spoken = [];
+    window.SpeechSynthesisUtterance = class {
+      constructor(text) {
+        this.text = text;
+      }
+    };
+    window.speechSynthesis = {
+      getVoices: () => [],
+      speak: utterance => {
+        spoken.push(utterance);
+        setTimeout(() => utterance.onend(), 0);
+      },
+      cancel: () => {}
+    };
+
+    abacus = await createAbacus({ digits: 4 });
+    dictation = new Dictation(abacus);
+    dictation.settings = { ...dictation.settings, pause: 0, rate: 1.5 };
+  });
+
+  afterEach(() => {
+    dictation.destroy();
+    destroyAbacus(abacus);
+    delete window.speechSynthesis;
+    delete window.SpeechSynthesisUtterance;
+  });
+
+  test('spells terms with their sign', () => {
+    assert.equal(dictation.getPhrase(34, true), 'thirty-four');
+    assert.equal(dictation.getPhrase(34), 'plus thirty-four');
+    assert.equal(dictation.getPhrase(-12), 'minus twelve');
+  });
+
+  test('follows the UI language', () => {
+    i18n.currentLang = 'ua';
+    try {
+      assert.equal(dictation.getPhrase(-2), 'мінус два');
+    } finally {
+      i18n.currentLang = 'en';
+    }
+  });
+
+  test('speaks the series and checks the answer on the abacus', async () => {
+    assert.equal(dictation.start(), true);
+    while (dictation.state === 'speaking') {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const { terms } = dictation;
+    assert.equal(spoken.length, terms.length + 1);
+    assert.equal(spoken[1].text, dictation.getPhrase(terms[1]));
+    assert.equal(spoken[0].rate, 1.5);
+    assert.equal(spoken[0].lang, 'en');
+
+    abacus.setValue(dictation.getAnswer());
+    assert.equal(dictation.check().correct, true);
+  });
+
+  test('stops with a message when a term cannot be spelled', (t) => {
+    t.mock.method(i18n, 'numberToWords', () => {
+      throw new RangeError('Too large');
+    });
+    document.body.insertAdjacentHTML('beforeend', '<div id="dictationStatus"></div>');
+
+    assert.equal(dictation.start(), true);
+    assert.equal(dictation.state, 'idle');
+    assert.equal(spoken.length, 0);
+    assert.equal(document.getElementById('dictationStatus').textContent, i18n.t('dictationSpellFailed'));
+    document.getElementById('dictationStatus').remove();
+  });
+
+  test('keeps dictated numbers within what can be spelled', () => {
+    abacus.setDigitCount(17);
+    document.body.insertAdjacentHTML('beforeend', '<input id="dictationDigits" value="17">');
+    dictation.readSettingsForm();
+    assert.equal(dictation.settings.digits, 15);
+    document.getElementById('dictationDigits').remove();
+  });
+
+  test('dictates sums that fit left of the decimal point', () => {
+    abacus.setDecimalPlaces(2);
+    dictation.settings = { ...dictation.settings, digits: 2, count: 30 };
+
+    for (let i = 0; i < 20; i++) {
+      assert.equal(dictation.start(), true);
+      let total = 0;
+      dictation.terms.forEach(term => {
+        total += term;
+        assert.ok(total >= 0 && total <= 99, `${dictation.terms}`);
+      });
+      dictation.stop();
+    }
+
+    document.body.insertAdjacentHTML('beforeend', '<input id="dictationDigits" value="4">');
+    dictation.readSettingsForm();
+    assert.equal(dictation.settings.digits, 2);
+    document.getElementById('dictationDigits').remove();
+  });
+
+  test('reports missing speech support', () => {
+    delete window.speechSynthesis;
+    assert.equal(dictation.start(), false);
+    assert.equal(dictation.state, 'idle');
+  });
+});
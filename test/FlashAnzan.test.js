@@ -0,0 +1,50 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus } from './helpers/dom.js';
+import { FlashAnzan } from '../ui/FlashAnzan.js';
+
+describe('FlashAnzan', () => {
+  let abacus;
+  let flash;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    abacus = await createAbacus({ digits: 5 });
+    abacus.setDecimalPlaces(2);
+    flash = new FlashAnzan(abacus);
+  });
+
+  afterEach(() => {
+    flash.destroy();
+    destroyAbacus(abacus);
+    document.body.innerHTML = '';
+  });
+
+  test('keeps series within the rods left of the decimal point', () => {
+    flash.settings = { ...flash.settings, digits: 3, count: 30, allowNegative: true };
+
+    for (let i = 0; i < 20; i++) {
+      assert.equal(flash.start(), true);
+      let total = 0;
+      flash.terms.forEach(term => {
+        total += term;
+        assert.ok(total >= 0 && total <= 999, `${flash.terms}`);
+      });
+      flash.stop();
+    }
+
+    flash.settings = { ...flash.settings, digits: 4 };
+    assert.equal(flash.start(), false);
+  });
+
+  test('limits term digits to the whole-number rods and grades decimals exactly', () => {
+    document.body.insertAdjacentHTML('beforeend', '<input id="flashDigits" value="5">');
+    flash.readSettingsForm();
+    assert.equal(flash.settings.digits, 3);
+
+    flash.terms = [250, 123];
+    flash.state = 'answering';
+    assert.equal(abacus.setValue('373.00'), true);
+    assert.equal(flash.check().correct, true);
+  });
+});
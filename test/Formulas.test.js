@@ -0,0 +1,59 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Formulas, FormulaType } from '../core/Formulas.js';
+import { ExerciseGenerator } from '../core/ExerciseGenerator.js';
+import { logger } from '../core/logger.js';
+
+logger.setLevel('error');
+
+describe('Formulas', () => {
+  test('resolves direct, small and big friend moves', () => {
+    assert.equal(Formulas.resolve(1, 3).type, FormulaType.DIRECT);
+    assert.equal(Formulas.resolve(3, 4).id, '+4=+5-1');
+    assert.equal(Formulas.resolve(8, 7).id, '+7=+10-3');
+    assert.equal(Formulas.resolve(5, 7).type, FormulaType.MIXED);
+  });
+
+  test('plans carries across rods', () => {
+    const plan = Formulas.planTerm([0, 9, 9], 1);
+    assert.deepEqual(plan.after, [1, 0, 0]);
+  });
+
+  test('rejects terms wider than the abacus', () => {
+    assert.throws(() => Formulas.planTerm([0, 0], 100), RangeError);
+  });
+});
+
+describe('ExerciseGenerator', () => {
+  test('generates exercises that practice the target formula', () => {
+    const exercise = ExerciseGenerator.generate({ formula: '+4=+5-1', count: 5 });
+    assert.equal(exercise.terms.length, 5);
+    assert.equal(exercise.terms.reduce((a, b) => a + b, 0), exercise.answer);
+    assert.ok(exercise.steps.some(step => step.formulas.includes('+4=+5-1')));
+  });
+
+  test('never gives up on a reachable formula', () => {
+    const cases = [
+      { formula: '+4=+5-1', count: 5 },
+      { formula: '+7=+10-3', count: 3 },
+      { formula: '-6=-10+5-1', count: 3 },
+      { formula: '+9=+10-1', digits: 2, count: 4, exclude: [FormulaType.SMALL_FRIEND] }
+    ];
+
+    cases.forEach(options => {
+      for (let i = 0; i < 200; i++) {
+        const exercise = ExerciseGenerator.generate(options);
+        assert.ok(exercise.steps.some(step => step.formulas.includes(options.formula)), options.formula);
+      }
+    });
+  });
+
+  test('rejects formulas out of reach', () => {
+    assert.throws(() => ExerciseGenerator.generate({ formula: '+4=+5-1', count: 1 }), /cannot be practiced/);
+    assert.throws(() => ExerciseGenerator.generate({ formula: '-4=-5+1', allowNegative: false }), RangeError);
+  });
+
+  test('rejects unknown formulas', () => {
+    assert.throws(() => ExerciseGenerator.generate({ formula: '+4=+3+1' }), /Unknown formula/);
+  });
+});
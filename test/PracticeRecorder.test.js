@@ -0,0 +1,67 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus, dragBead, waitForSnap } from './helpers/dom.js';
+import { AbacusTechnique } from '../components/AbacusTechnique.js';
+import { PracticeRecorder } from '../ui/PracticeRecorder.js';
+import { getAttempts, clearAttempts } from '../utils/practiceHistory.js';
+
+describe('PracticeRecorder', () => {
+  let abacus;
+  let recorder;
+
+  beforeEach(async () => {
+    await clearAttempts();
+    abacus = await createAbacus({ digits: 2 });
+    abacus.technique = new AbacusTechnique(abacus);
+    recorder = new PracticeRecorder(abacus);
+  });
+
+  afterEach(() => {
+    abacus.technique.destroy();
+    destroyAbacus(abacus);
+  });
+
+  test('records moves, formulas and the graded answer of an attempt', async (t) => {
+    t.mock.method(Date, 'now', () => 1000);
+    recorder.begin('flash', { digits: 1, terms: [6] });
+
+    // +6 = +5 +1: небесная вниз, одна земная вверх
+    dragBead(abacus, { col: 1, type: 'heaven', index: 0 }, 100);
+    await waitForSnap(abacus);
+    dragBead(abacus, { col: 1, type: 'earth', index: 0 }, -100);
+    await waitForSnap(abacus);
+
+    Date.now.mock.mockImplementation(() => 4500);
+    const attempt = await recorder.finish({ correct: true, expected: 6, actual: abacus.getValue() });
+
+    assert.equal(attempt.time, 3500);
+    assert.equal(attempt.moves, 2);
+    assert.deepEqual(attempt.formulas, ['+6']);
+    assert.equal(attempt.actual, 6);
+
+    const saved = await getAttempts();
+    assert.equal(saved.length, 1);
+    assert.deepEqual(saved[0], attempt);
+  });
+
+  test('tracks exercise modes through their callbacks', async () => {
+    const exercise = { settings: { digits: 2 }, onStart: null, onResult: null };
+    const saved = [];
+    recorder.track(exercise, 'dictation');
+    recorder.onSaved = attempt => saved.push(attempt);
+
+    exercise.onStart([12, -5]);
+    await exercise.onResult({ correct: false, expected: 7, actual: 8 });
+
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].mode, 'dictation');
+    assert.equal(saved[0].digits, 2);
+    assert.deepEqual(saved[0].terms, [12, -5]);
+    assert.equal(saved[0].correct, false);
+  });
+
+  test('ignores answers without a started attempt', async () => {
+    assert.equal(await recorder.finish({ correct: true, expected: 1, actual: 1 }), null);
+    assert.deepEqual(await getAttempts(), []);
+  });
+});
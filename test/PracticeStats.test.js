@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PracticeStats } from '../core/PracticeStats.js';
+
+/**
+ * Attempt record with defaults
+ * @param {Object} fields - Fields to override
+ * @returns {Object}
+ */
+function attempt(fields) {
+  return {
+    id: 1,
+    mode: 'flash',
+    startedAt: new Date(2026, 0, 5, 12).getTime(),
+    time: 10000,
+    digits: 1,
+    count: 3,
+    terms: [4, 5, -2],
+    expected: 7,
+    actual: 7,
+    correct: true,
+    moves: 4,
+    formulas: [],
+    ...fields
+  };
+}
+
+describe('PracticeStats', () => {
+  const day1 = new Date(2026, 0, 5, 9).getTime();
+  const day2 = new Date(2026, 0, 6, 18).getTime();
+  const attempts = [
+    attempt({ id: 1, startedAt: day1, digits: 1, correct: false, time: 20000, formulas: ['+4=+5-1'] }),
+    attempt({ id: 2, startedAt: day1, digits: 2, correct: true, time: 30000, formulas: ['+4=+5-1', '+3'] }),
+    attempt({ id: 3, startedAt: day2, digits: 1, correct: true, time: 10000, formulas: ['+3'] })
+  ];
+
+  test('summarizes accuracy and average time', () => {
+    assert.deepEqual(PracticeStats.summarize(attempts), {
+      attempts: 3,
+      correct: 2,
+      accuracy: 2 / 3,
+      averageTime: 20000
+    });
+    assert.deepEqual(PracticeStats.summarize([]), { attempts: 0, correct: 0, accuracy: 0, averageTime: 0 });
+  });
+
+  test('builds daily trends', () => {
+    const trend = PracticeStats.getTrend(attempts);
+    assert.deepEqual(trend.map(d => [d.day, d.attempts, d.accuracy, d.averageTime]), [
+      ['2026-01-05', 2, 0.5, 25000],
+      ['2026-01-06', 1, 1, 10000]
+    ]);
+  });
+
+  test('groups by digit length', () => {
+    const groups = PracticeStats.byDigits(attempts);
+    assert.deepEqual(groups.map(g => [g.key, g.attempts, g.accuracy]), [[1, 2, 0.5], [2, 1, 1]]);
+    assert.deepEqual(groups[0].trend.map(d => d.accuracy), [0, 1]);
+  });
+
+  test('groups by formula, counting an attempt once per formula', () => {
+    const withRepeat = [...attempts, attempt({ id: 4, startedAt: day2, formulas: ['+3', '+3'] })];
+    const groups = PracticeStats.byFormula(withRepeat);
+    assert.deepEqual(groups.map(g => [g.key, g.attempts]), [['+3', 3], ['+4=+5-1', 2]]);
+    assert.equal(groups[1].accuracy, 0.5);
+  });
+
+  test('exports CSV safe for spreadsheets', () => {
+    const [header, first] = PracticeStats.toCSV([attempts[1]]).split('\r\n');
+    assert.equal(header, 'id,mode,startedAt,digits,count,terms,expected,actual,correct,time,moves,formulas');
+    assert.equal(first, `2,flash,${new Date(day1).toISOString()},2,3,4 5 -2,7,7,true,30000,4,"'+4=+5-1 +3"`);
+    assert.equal(PracticeStats.escapeCSV('a "b", c'), '"a ""b"", c"');
+  });
+
+  test('exports JSON with the attempts', () => {
+    const data = JSON.parse(PracticeStats.toJSON(attempts));
+    assert.equal(data.version, 1);
+    assert.deepEqual(data.attempts, attempts);
+  });
+});
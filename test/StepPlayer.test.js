@@ -0,0 +1,62 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus } from './helpers/dom.js';
+import { SolutionPlayer } from '../ui/SolutionPlayer.js';
+import { WorkspacePlayer } from '../ui/WorkspacePlayer.js';
+
+describe('StepPlayer', () => {
+  let abacus;
+
+  beforeEach(async () => {
+    document.body.innerHTML = `
+      <div id="solution-panel"><button id="solutionBack"></button><button id="solutionForward"></button><div id="solutionCaption"></div></div>
+      <div id="workspace-panel"><div id="workspaceReadouts"></div><button id="workspaceBack"></button><div id="workspaceCaption"></div></div>`;
+    abacus = await createAbacus({ digits: 9 });
+  });
+
+  afterEach(() => {
+    destroyAbacus(abacus);
+    document.body.innerHTML = '';
+  });
+
+  test('steps a solution forward and back with its own controls', async () => {
+    const player = new SolutionPlayer(abacus);
+    const reported = [];
+    player.onStep = index => reported.push(index);
+
+    assert.equal(player.load('7 + 5'), true);
+    assert.equal(document.getElementById('solutionBack').disabled, true);
+
+    while (await player.stepForward());
+    assert.equal(abacus.getValue(), 12);
+    assert.equal(document.getElementById('solutionForward').disabled, true);
+    assert.match(document.getElementById('solutionCaption').textContent, /^Step 2/);
+
+    await player.stepBack();
+    assert.equal(abacus.getValue(), 7);
+    assert.deepEqual(reported, [0, 1, 2, 1]);
+    assert.equal(document.getElementById('workspaceCaption').textContent, '');
+    player.destroy();
+  });
+
+  test('keeps workspace readouts in step with the rods', async () => {
+    const player = new WorkspacePlayer(abacus);
+    const readout = role => document.querySelector(`.workspace-readout[data-role="${role}"] output`).textContent;
+
+    assert.equal(player.load('12 × 3'), true);
+    assert.equal(readout('product'), '0');
+
+    player.goToStep(player.steps.length);
+    assert.equal(readout('product'), '36');
+
+    await player.stepBack();
+    await player.stepBack();
+    assert.equal(readout('multiplicand'), '12');
+    assert.equal(player.index, player.steps.length - 2);
+
+    player.togglePanel();
+    assert.equal(abacus.workspace, null);
+    assert.equal(document.getElementById('workspaceReadouts').children.length, 0);
+    player.destroy();
+  });
+});
@@ -0,0 +1,42 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Themes, ThemeId } from '../core/Themes.js';
+
+describe('Themes', () => {
+  test('built-in themes are complete and valid', () => {
+    const classic = Object.keys(Themes.get(ThemeId.CLASSIC)).sort();
+    for (const id of Themes.list()) {
+      const theme = Themes.get(id);
+      assert.deepEqual(Themes.validate(theme), [], id);
+      assert.deepEqual(Object.keys(theme).sort(), classic, id);
+    }
+  });
+
+  test('the colorblind theme tells heaven beads from earth beads', () => {
+    const theme = Themes.get(ThemeId.COLORBLIND);
+    assert.notDeepEqual(theme.heaven, theme.earth);
+  });
+
+  test('custom themes fill missing keys from classic', () => {
+    const custom = Themes.fromJSON('{ "name": "Sea", "earth": ["#e0f7fa", "#00acc1", "rgb(0, 96, 100)"], "rod": "#333" }');
+    const theme = Themes.resolve(ThemeId.CUSTOM, custom);
+
+    assert.equal(theme.id, ThemeId.CUSTOM);
+    assert.equal(theme.rod, '#333');
+    assert.deepEqual(theme.earth, ['#e0f7fa', '#00acc1', 'rgb(0, 96, 100)']);
+    assert.deepEqual(theme.frame, Themes.get(ThemeId.CLASSIC).frame);
+  });
+
+  test('rejects invalid theme JSON', () => {
+    assert.throws(() => Themes.fromJSON('{ rod: 1 }'), SyntaxError);
+    assert.throws(() => Themes.fromJSON('[]'), TypeError);
+    assert.throws(() => Themes.fromJSON('{ "glow": "#fff" }'), /unknown key "glow"/);
+    assert.throws(() => Themes.fromJSON('{ "bar": ["#fff"] }'), /"bar" must be a list of 5 colors/);
+    assert.throws(() => Themes.fromJSON('{ "rod": "red\\" onload=\\"alert(1)" }'), /"rod" must be a color/);
+  });
+
+  test('unknown or unloaded themes fall back to classic', () => {
+    assert.equal(Themes.get('neon').id, ThemeId.CLASSIC);
+    assert.equal(Themes.resolve(ThemeId.CUSTOM, null).id, ThemeId.CLASSIC);
+  });
+});
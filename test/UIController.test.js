@@ -0,0 +1,46 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus } from './helpers/dom.js';
+import { UIController } from '../ui/UIController.js';
+import { config } from '../core/Config.js';
+import { i18n } from '../i18n/i18n.js';
+
+describe('UIController', () => {
+  let abacus;
+  let ui;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    config.reset();
+    document.body.innerHTML = `
+      <select id="unitRodSelect">
+        ${[0, 1, 2, 3, 4, 5, 6].map(n => `<option value="${n}">${n}</option>`).join('')}
+      </select>`;
+    abacus = await createAbacus({ digits: 3 });
+    ui = new UIController(abacus);
+  });
+
+  afterEach(() => {
+    ui.destroy();
+    destroyAbacus(abacus);
+    document.body.innerHTML = '';
+  });
+
+  test('saves only the unit rods the abacus accepts', () => {
+    const select = document.getElementById('unitRodSelect');
+    const choose = value => {
+      select.value = String(value);
+      select.dispatchEvent(new Event('change'));
+    };
+
+    choose(2);
+    assert.equal(abacus.config.decimalPlaces, 2);
+    assert.equal(config.get('decimalPlaces'), 2);
+
+    choose(6);
+    assert.equal(abacus.config.decimalPlaces, 2);
+    assert.equal(config.get('decimalPlaces'), 2);
+    assert.equal(select.value, '2');
+    assert.equal(document.querySelector('.toast__message').textContent, i18n.t('decimalsTooMany', { count: 6 }));
+  });
+});
@@ -0,0 +1,42 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { UrlState, ExerciseMode } from '../core/UrlState.js';
+import { logger } from '../core/logger.js';
+
+logger.setLevel('error');
+
+describe('UrlState', () => {
+  test('round-trips a full state', () => {
+    const state = {
+      lang: 'en',
+      digitCount: 9,
+      decimalPlaces: 2,
+      notchOffset: 1,
+      showDigits: true,
+      value: '12.50',
+      mode: ExerciseMode.SOLUTION,
+      expression: '37 + 48 − 19',
+      step: 3
+    };
+
+    const query = UrlState.encode(state);
+    assert.equal(query, 'lang=en&rods=9&places=2&notch=1&showDigits=1&value=12.50&mode=solution&expr=37+%2B+48+%E2%88%92+19&step=3');
+    assert.deepEqual(UrlState.decode(`?${query}`), state);
+  });
+
+  test('keeps the expression and step for stepped modes only', () => {
+    const query = UrlState.encode({ value: '7', mode: ExerciseMode.FLASH, expression: '1 + 2', step: 1 });
+    assert.equal(query, 'value=7&mode=flash');
+    assert.deepEqual(UrlState.decode('mode=dictation&expr=1+%2B+2&step=1'), { mode: ExerciseMode.DICTATION });
+    assert.equal(UrlState.encode({ mode: null, value: '0' }), 'value=0');
+  });
+
+  test('drops invalid parameters and keeps the rest', () => {
+    const state = UrlState.decode('lang=de&rods=40&notch=1&showDigits=yes&value=-5&mode=game&utm_source=mail');
+    assert.deepEqual(state, { notchOffset: 1 });
+
+    assert.deepEqual(UrlState.decode('rods=1.5&value=1e3&places=7'), {});
+    assert.deepEqual(UrlState.decode('showDigits=0&value=0012'), { showDigits: false, value: '0012' });
+    assert.deepEqual(UrlState.decode(''), {});
+  });
+});
@@ -0,0 +1,109 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus } from './helpers/dom.js';
+import { UIController } from '../ui/UIController.js';
+
+/**
+ * Wait for the browser to deliver popstate after history.back/forward
+ * @returns {Promise}
+ */
+function nextTask() {
+  return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+describe('UrlSync', () => {
+  let abacus;
+  let ui;
+
+  /**
+   * Open the app at a link
+   * @param {string} search - Query string of the link
+   */
+  async function open(search) {
+    window.history.replaceState(null, '', `/${search}`);
+    abacus = await createAbacus({ digits: 13 });
+    ui = new UIController(abacus);
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '<div id="solution-panel" style="display: none;"></div><div id="workspace-panel" style="display: none;"></div>';
+  });
+
+  afterEach(() => {
+    ui.destroy();
+    destroyAbacus(abacus);
+    document.body.innerHTML = '';
+  });
+
+  test('restores the setup of a link', async () => {
+    await open('?lang=en&rods=9&notch=2&showDigits=1&value=2025');
+
+    assert.equal(abacus.digitCount, 9);
+    assert.equal(abacus.config.notchOffset, 2);
+    assert.equal(abacus.config.showDigits, true);
+    assert.equal(abacus.getValue(), 2025);
+  });
+
+  test('writes changes to the current history entry', async () => {
+    await open('');
+    const entries = window.history.length;
+
+    abacus.setValue(42);
+    ui.changeNotchOffset(1);
+    ui.urlSync.replace();
+
+    const params = new URLSearchParams(window.location.search);
+    assert.equal(params.get('value'), '42');
+    assert.equal(params.get('notch'), '1');
+    assert.equal(params.get('rods'), '13');
+    assert.equal(window.history.length, entries);
+  });
+
+  test('walks example steps with back and forward', async () => {
+    await open('?mode=solution&expr=37+%2B+48&step=1');
+    const player = ui.solutionPlayer;
+    assert.equal(player.isVisible(), true);
+    assert.equal(player.index, 1);
+    assert.equal(abacus.getValue(), 30);
+
+    const entries = window.history.length;
+    await player.stepForward();
+    assert.equal(window.history.length, entries + 1);
+    assert.equal(new URLSearchParams(window.location.search).get('step'), '2');
+    assert.equal(abacus.getValue(), 37);
+
+    window.history.back();
+    await nextTask();
+    assert.equal(player.index, 1);
+    assert.equal(abacus.getValue(), 30);
+
+    window.history.forward();
+    await nextTask();
+    assert.equal(player.index, 2);
+    assert.equal(abacus.getValue(), 37);
+  });
+
+  test('carries the unit rod so fractions restore exactly', async () => {
+    await open('');
+    ui.changeDecimalPlaces(2);
+    abacus.setValue('12.34');
+    ui.urlSync.replace();
+    const link = window.location.search;
+    assert.equal(new URLSearchParams(link).get('places'), '2');
+
+    ui.destroy();
+    destroyAbacus(abacus);
+    localStorage.clear();
+    await open(link);
+    assert.equal(abacus.config.decimalPlaces, 2);
+    assert.equal(abacus.getValueString(), '12.34');
+
+    // Меньше стержней, чем прежних знаков, - знаки уменьшаются раньше стержней
+    ui.changeDecimalPlaces(6);
+    abacus.clear();
+    ui.urlSync.restore({ digitCount: 3, decimalPlaces: 1, value: '1.5' });
+    assert.equal(abacus.digitCount, 3);
+    assert.equal(abacus.getValueString(), '1.5');
+  });
+});
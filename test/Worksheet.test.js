@@ -0,0 +1,63 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAbacus, destroyAbacus } from './helpers/dom.js';
+import { Worksheet, WorksheetMode, WORKSHEET_LIMITS } from '../core/Worksheet.js';
+
+describe('Worksheet', () => {
+  test('parses numbers separated by commas, semicolons and spaces', () => {
+    assert.deepEqual(Worksheet.parseNumbers(' 7, 42;305  0 007'), ['7', '42', '305', '0', '7']);
+    assert.deepEqual(Worksheet.parseNumbers(''), []);
+  });
+
+  test('rejects numbers that cannot be drawn', () => {
+    assert.throws(() => Worksheet.parseNumbers('12, -3'), TypeError);
+    assert.throws(() => Worksheet.parseNumbers('1.5'), TypeError);
+    assert.throws(() => Worksheet.parseNumbers('abc'), TypeError);
+    assert.throws(() => Worksheet.parseNumbers('1'.repeat(WORKSHEET_LIMITS.maxRods + 1)), RangeError);
+    assert.throws(() => Worksheet.parseNumbers(Array(WORKSHEET_LIMITS.maxItems + 1).fill(1).join(',')), RangeError);
+  });
+
+  test('generates numbers with exactly the given digits', () => {
+    const numbers = Worksheet.generateNumbers(20, 3);
+    assert.equal(numbers.length, 20);
+    numbers.forEach(value => assert.match(value, /^[1-9]\d{2}$/));
+
+    assert.equal(Worksheet.generateNumbers(100, 1).length, WORKSHEET_LIMITS.maxItems);
+  });
+
+  test('sizes every abacus for the longest number', () => {
+    const sheet = Worksheet.create({ numbers: [7, 12345, 42], mode: WorksheetMode.SET });
+    assert.equal(sheet.mode, WorksheetMode.SET);
+    assert.equal(sheet.rods, 5);
+    assert.deepEqual(sheet.items, [
+      { number: 1, value: '7' },
+      { number: 2, value: '12345' },
+      { number: 3, value: '42' }
+    ]);
+
+    assert.equal(Worksheet.create({ numbers: [5] }).rods, WORKSHEET_LIMITS.minRods);
+    assert.equal(Worksheet.create({ numbers: [5] }).mode, WorksheetMode.READ);
+    assert.throws(() => Worksheet.create({ numbers: [] }), RangeError);
+    assert.throws(() => Worksheet.create({ numbers: [1], mode: 'draw' }), TypeError);
+    assert.throws(() => Worksheet.create({ numbers: [1.5] }), TypeError);
+    assert.throws(() => Worksheet.create({ numbers: ['1.5'] }), TypeError);
+  });
+
+  test('keeps 17-digit numbers exact from the form to the beads', async () => {
+    const longest = '98765432109876543';
+    assert.deepEqual(Worksheet.parseNumbers(`12345678901234567 ${longest}`), ['12345678901234567', longest]);
+
+    const generated = Worksheet.generateNumbers(5, WORKSHEET_LIMITS.maxRods);
+    generated.forEach(value => assert.match(value, /^[1-9]\d{16}$/));
+
+    const sheet = Worksheet.create({ numbers: [longest, ...generated] });
+    assert.equal(sheet.rods, WORKSHEET_LIMITS.maxRods);
+
+    const abacus = await createAbacus({ digits: sheet.rods });
+    sheet.items.forEach(item => {
+      assert.equal(abacus.setValue(item.value), true);
+      assert.equal(abacus.getBigIntValue().toString(), item.value);
+    });
+    destroyAbacus(abacus);
+  });
+});
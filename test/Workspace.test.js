@@ -0,0 +1,110 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Workspace, RegionRole, Operation } from '../core/Workspace.js';
+import { logger } from '../core/logger.js';
+
+logger.setLevel('error');
+
+/**
+ * Apply planned moves to rod digits, as the player animates them
+ * @param {Array<number>} digits - Rod digits (mutated)
+ * @param {Array<Object>} moves - [{ col, bead, delta }]
+ */
+function applyMoves(digits, moves) {
+  moves.forEach(move => {
+    digits[move.col] += move.bead === 'heaven' ? 5 * move.delta : move.delta;
+  });
+}
+
+describe('Workspace', () => {
+  test('lays out multiplication regions with the product on the right', () => {
+    const workspace = Workspace.forMultiplication(13, 123, 45);
+    assert.equal(workspace.operation, Operation.MULTIPLY);
+    assert.deepEqual(workspace.regions, [
+      { role: RegionRole.MULTIPLIER, start: 0, length: 2 },
+      { role: RegionRole.MULTIPLICAND, start: 3, length: 3 },
+      { role: RegionRole.PRODUCT, start: 8, length: 5 }
+    ]);
+    assert.equal(workspace.getRegionAt(10).role, RegionRole.PRODUCT);
+    assert.equal(workspace.getRegionAt(2), null);
+  });
+
+  test('rejects examples that do not fit and overlapping regions', () => {
+    assert.throws(() => Workspace.forMultiplication(7, 1234, 56), RangeError);
+    assert.throws(() => Workspace.forDivision(5, 1476, 12), RangeError);
+
+    const workspace = new Workspace(5);
+    workspace.addRegion(RegionRole.PRODUCT, 2, 3);
+    assert.throws(() => workspace.addRegion(RegionRole.MULTIPLIER, 1, 2), /overlaps product/);
+  });
+
+  test('reads region values from rod digits', () => {
+    const workspace = Workspace.forMultiplication(9, 12, 3);
+    const digits = [3, 0, 1, 2, 0, 0, 0, 3, 6];
+    assert.deepEqual(workspace.getValues(digits), { multiplier: 3, multiplicand: 12, product: 36 });
+  });
+
+  test('accumulates partial products on the rods of their place', () => {
+    const workspace = Workspace.forMultiplication(13, 123, 45);
+    const steps = workspace.planMultiplication(123, 45);
+
+    assert.deepEqual(steps.slice(0, 2).map(s => [s.action, s.role, s.operand]), [
+      ['set', RegionRole.MULTIPLIER, 45],
+      ['set', RegionRole.MULTIPLICAND, 123]
+    ]);
+
+    // 1 × 4 = 4 - сотни × десятки дают тысячи
+    const first = steps[2];
+    assert.deepEqual(first.factors, [1, 4]);
+    assert.equal(first.place, 3);
+    assert.equal(first.operand, 4000);
+    assert.deepEqual(first.moves.map(m => m.col), [9]);
+
+    const digits = new Array(13).fill(0);
+    steps.forEach(step => {
+      assert.deepEqual(digits, step.before);
+      applyMoves(digits, step.moves);
+      assert.deepEqual(digits, step.after);
+    });
+    assert.deepEqual(workspace.getValues(digits), { multiplier: 45, multiplicand: 123, product: 5535 });
+  });
+
+  test('divides with quotient digits and subtracted partial products', () => {
+    const workspace = Workspace.forDivision(13, 1479, 12);
+    assert.deepEqual(workspace.regions.map(r => [r.role, r.start, r.length]), [
+      [RegionRole.DIVISOR, 0, 2],
+      [RegionRole.QUOTIENT, 5, 3],
+      [RegionRole.REMAINDER, 9, 4]
+    ]);
+
+    const steps = workspace.planDivision(1479, 12);
+    assert.deepEqual(steps.map(s => s.action), [
+      'set', 'set',
+      'quotient', 'subtract', 'subtract',
+      'quotient', 'subtract', 'subtract',
+      'quotient', 'subtract', 'subtract'
+    ]);
+    assert.deepEqual(steps.filter(s => s.action === 'quotient').map(s => [s.digit, s.place]), [[1, 2], [2, 1], [3, 0]]);
+
+    const digits = new Array(13).fill(0);
+    steps.forEach(step => applyMoves(digits, step.moves));
+    assert.deepEqual(workspace.getValues(digits), { divisor: 12, quotient: 123, remainder: 3 });
+  });
+
+  test('skips zero quotient digits and refuses division by zero', () => {
+    const workspace = Workspace.forDivision(13, 612, 6);
+    const steps = workspace.planDivision(612, 6);
+    assert.deepEqual(steps.filter(s => s.action === 'quotient').map(s => s.operand), [100, 2]);
+    assert.deepEqual(workspace.getValues(steps.at(-1).after), { divisor: 6, quotient: 102, remainder: 0 });
+
+    assert.throws(() => Workspace.forDivision(13, 5, 0).planDivision(5, 0), RangeError);
+  });
+
+  test('parses multiplication and division examples', () => {
+    assert.deepEqual(Workspace.parse('123 × 45'), { operation: Operation.MULTIPLY, left: 123, right: 45 });
+    assert.deepEqual(Workspace.parse('12*3'), { operation: Operation.MULTIPLY, left: 12, right: 3 });
+    assert.deepEqual(Workspace.parse('1476 ÷ 12'), { operation: Operation.DIVIDE, left: 1476, right: 12 });
+    assert.deepEqual(Workspace.parse('84 : 4'), { operation: Operation.DIVIDE, left: 84, right: 4 });
+    assert.equal(Workspace.parse('12 + 3'), null);
+  });
+});
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+test('core loads without a DOM', async () => {
+  assert.equal(typeof globalThis.document, 'undefined');
+  assert.equal(typeof globalThis.window, 'undefined');
+
+  const core = await import('../core/index.js');
+  core.logger.setLevel('error');
+
+  const model = new core.BeadModel(13);
+  assert.equal(model.setValue(2025), true);
+  assert.equal(model.isShowing(2025), true);
+});
@@ -0,0 +1,249 @@
+/**
+ * DOM harness for component tests
+ * Sets up jsdom globals on import (import it before any component module) and
+ * fakes the SVG screen CTM, which jsdom does not implement: the screen matrix of
+ * an element is the product of `transform` attributes of its ancestors, with the
+ * root SVG at screen origin.
+ */
+
+import { JSDOM } from 'jsdom';
+import { logger } from '../../core/logger.js';
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+  url: 'http://localhost/',
+  pretendToBeVisual: true
+});
+
+const GLOBALS = [
+  'window', 'document', 'navigator', 'localStorage', 'Node', 'HTMLElement', 'SVGElement',
+  'Event', 'CustomEvent', 'MouseEvent', 'PointerEvent', 'KeyboardEvent', 'getComputedStyle',
+  'XMLSerializer', 'DOMParser'
+];
+
+GLOBALS.forEach(name => {
+  Object.defineProperty(globalThis, name, {
+    value: dom.window[name],
+    configurable: true,
+    writable: true
+  });
+});
+
+// Frames as in a browser: callbacks of one frame share its timestamp and run in request order
+let frameCallbacks = new Map();
+let frameTimer = null;
+let lastFrameId = 0;
+
+globalThis.requestAnimationFrame = callback => {
+  frameCallbacks.set(++lastFrameId, callback);
+  if (!frameTimer) {
+    frameTimer = setTimeout(() => {
+      const callbacks = frameCallbacks;
+      frameCallbacks = new Map();
+      frameTimer = null;
+      const timestamp = performance.now();
+      callbacks.forEach(callback => callback(timestamp));
+    }, 16);
+  }
+  return lastFrameId;
+};
+globalThis.cancelAnimationFrame = id => frameCallbacks.delete(id);
+window.APP_LANG = 'en';
+
+logger.setLevel('error');
+
+/**
+ * Minimal 2D affine matrix with the DOMMatrix fields used by the app
+ */
+class FakeMatrix {
+  constructor(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+    Object.assign(this, { a, b, c, d, e, f });
+  }
+
+  multiply(m) {
+    return new FakeMatrix(
+      this.a * m.a + this.c * m.b,
+      this.b * m.a + this.d * m.b,
+      this.a * m.c + this.c * m.d,
+      this.b * m.c + this.d * m.d,
+      this.a * m.e + this.c * m.f + this.e,
+      this.b * m.e + this.d * m.f + this.f
+    );
+  }
+
+  inverse() {
+    const det = this.a * this.d - this.b * this.c;
+    return new FakeMatrix(
+      this.d / det,
+      -this.b / det,
+      -this.c / det,
+      this.a / det,
+      (this.c * this.f - this.d * this.e) / det,
+      (this.b * this.e - this.a * this.f) / det
+    );
+  }
+
+  transformPoint({ x, y }) {
+    return { x: this.a * x + this.c * y + this.e, y: this.b * x + this.d * y + this.f };
+  }
+}
+
+/**
+ * Parse translate(x, y) / matrix(a b c d e f) transform attribute
+ * @param {string|null} value - Attribute value
+ * @returns {FakeMatrix}
+ */
+function parseTransform(value) {
+  if (!value) return new FakeMatrix();
+
+  const numbers = (value.match(/-?\d*\.?\d+/g) || []).map(Number);
+  if (value.startsWith('translate')) {
+    return new FakeMatrix(1, 0, 0, 1, numbers[0] || 0, numbers[1] || 0);
+  }
+  if (value.startsWith('matrix')) {
+    return new FakeMatrix(...numbers);
+  }
+  throw new Error(`Unsupported transform in tests: ${value}`);
+}
+
+const SVGElementProto = dom.window.SVGElement.prototype;
+
+SVGElementProto.getScreenCTM = function () {
+  let matrix = new FakeMatrix();
+  for (let node = this; node && node.namespaceURI === 'http://www.w3.org/2000/svg'; node = node.parentNode) {
+    matrix = parseTransform(node.getAttribute('transform')).multiply(matrix);
+    if (node.tagName === 'svg') break;
+  }
+  return matrix;
+};
+
+SVGElementProto.createSVGPoint = function () {
+  return {
+    x: 0,
+    y: 0,
+    matrixTransform(matrix) {
+      return matrix.transformPoint(this);
+    }
+  };
+};
+
+/**
+ * Create abacus with the modules main.js attaches
+ * @param {Object} options
+ * @param {number} options.digits - Number of rods (default: 5)
+ * @param {string} options.type - AbacusType (default: soroban)
+ * @param {Object} options.layout - Geometry overrides (see Abacus.setLayout)
+ * @returns {Promise<Abacus>}
+ */
+export async function createAbacus({ digits = 5, type, layout } = {}) {
+  const { Abacus } = await import('../../components/Abacus.js');
+  const { AbacusPhysics } = await import('../../components/AbacusPhysics.js');
+  const { AbacusInteraction } = await import('../../components/AbacusInteraction.js');
+
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+
+  const abacus = new Abacus(container, digits, type, layout);
+  abacus.physics = new AbacusPhysics(abacus);
+  abacus.interaction = new AbacusInteraction(abacus, abacus.svgElement);
+  return abacus;
+}
+
+/**
+ * Remove abacus and its document listeners
+ * @param {Abacus} abacus
+ */
+export function destroyAbacus(abacus) {
+  abacus.physics.cancelAnimation();
+  abacus.interaction.destroy();
+  abacus.destroy();
+  abacus.container.remove();
+}
+
+/**
+ * Screen position of a point given in rod coordinates (abacus body group)
+ * @param {Abacus} abacus
+ * @param {number} x - Rod X
+ * @param {number} y - Rod Y
+ * @returns {Object} - { clientX, clientY }
+ */
+export function toScreen(abacus, x, y) {
+  const body = abacus.svgElement.querySelector('.abacus-body');
+  const point = body.getScreenCTM().transformPoint({ x, y });
+  return { clientX: point.x, clientY: point.y };
+}
+
+/**
+ * Dispatch a pointer event at a point given in rod coordinates
+ * @param {Abacus} abacus
+ * @param {EventTarget} target - SVG for pointerdown, document for the rest
+ * @param {string} name - Event name
+ * @param {Object} point - { x, y } in rod coordinates
+ * @param {Object} options - PointerEvent init, e.g. { pointerId, pointerType },
+ *   and timeStamp to fake event time (gestures depend on speed)
+ */
+export function firePointer(abacus, target, name, { x, y }, options = {}) {
+  const { timeStamp, ...init } = options;
+  const event = new PointerEvent(name, {
+    bubbles: true,
+    cancelable: true,
+    pointerId: 1,
+    pointerType: 'mouse',
+    ...init,
+    ...toScreen(abacus, x, y)
+  });
+
+  if (timeStamp !== undefined) {
+    Object.defineProperty(event, 'timeStamp', { value: timeStamp });
+  }
+  target.dispatchEvent(event);
+}
+
+// Fake event clock for drags - every drag starts later than the previous one
+let clock = 0;
+
+/**
+ * Drag a bead along its rod
+ * @param {Abacus} abacus
+ * @param {Object} bead - { col, type, index }
+ * @param {number} deltaY - Distance along the rod (positive = towards the bottom frame)
+ * @param {number} steps - Number of pointermove events
+ * @param {Object} options - PointerEvent init, e.g. { pointerId, pointerType: 'touch' },
+ *   and duration of the drag in ms (default: 1000 - slow enough not to be a flick)
+ */
+export function dragBead(abacus, { col, type, index }, deltaY, steps = 5, options = {}) {
+  const { duration = 1000, ...init } = options;
+  const x = abacus.layout.rodX(col);
+  const startY = abacus.getBead(col, type, index).y;
+  const start = clock += 10000;
+  const at = i => ({ ...init, timeStamp: start + (duration * i) / steps });
+
+  firePointer(abacus, abacus.svgElement, 'pointerdown', { x, y: startY }, at(0));
+  for (let i = 1; i <= steps; i++) {
+    firePointer(abacus, document, 'pointermove', { x, y: startY + (deltaY * i) / steps }, at(i));
+  }
+  firePointer(abacus, document, 'pointerup', { x, y: startY + deltaY }, at(steps));
+}
+
+/**
+ * Tap a bead
+ * @param {Abacus} abacus
+ * @param {Object} bead - { col, type, index }
+ */
+export function tapBead(abacus, { col, type, index }) {
+  const point = { x: abacus.layout.rodX(col), y: abacus.getBead(col, type, index).y };
+  const start = clock += 10000;
+
+  firePointer(abacus, abacus.svgElement, 'pointerdown', point, { timeStamp: start });
+  firePointer(abacus, document, 'pointerup', point, { timeStamp: start + 80 });
+}
+
+/**
+ * Wait until released beads have finished their snap animations
+ * @param {Abacus} abacus
+ * @returns {Promise}
+ */
+export async function waitForSnap(abacus) {
+  while (abacus.physics.animations.size > 0) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
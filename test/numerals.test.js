@@ -0,0 +1,46 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { numerals } from '../i18n/numerals/index.js';
+
+describe('numerals', () => {
+  test('spell numbers in every UI language', () => {
+    assert.equal(numerals.ua.toWords(34), 'тридцять чотири');
+    assert.equal(numerals.ru.toWords(115), 'сто пятнадцать');
+    assert.equal(numerals.en.toWords(1234567), 'one million two hundred thirty-four thousand five hundred sixty-seven');
+    assert.equal(numerals.es.toWords(1234567), 'un millón doscientos treinta y cuatro mil quinientos sesenta y siete');
+    Object.values(numerals).forEach(({ toWords }) => assert.ok(toWords(0)));
+  });
+
+  test('agree Ukrainian and Russian numerals with the gender of thousands', () => {
+    assert.equal(numerals.ua.toWords(2021), 'дві тисячі двадцять один');
+    assert.equal(numerals.ua.toWords(21000), 'двадцять одна тисяча');
+    assert.equal(numerals.ru.toWords(2002), 'две тысячи два');
+    assert.equal(numerals.ua.toWords(1, { gender: 'n' }), 'одне');
+    assert.equal(numerals.ru.toWords(2, { gender: 'f' }), 'две');
+  });
+
+  test('pick the case form of the noun after a number', () => {
+    assert.equal(numerals.ua.toWords(5000), "п'ять тисяч");
+    assert.equal(numerals.ua.toWords(3000000), 'три мільйони');
+    assert.equal(numerals.ru.toWords(3000000), 'три миллиона');
+    assert.equal(numerals.ru.toWords(11000000), 'одиннадцать миллионов');
+    assert.deepEqual([1, 3, 5, 11, 22, 112].map(numerals.ru.pluralForm), [0, 1, 2, 2, 1, 2]);
+  });
+
+  test('shorten and inflect Spanish "uno"', () => {
+    assert.equal(numerals.es.toWords(21), 'veintiuno');
+    assert.equal(numerals.es.toWords(21000), 'veintiún mil');
+    assert.equal(numerals.es.toWords(1000), 'mil');
+    assert.equal(numerals.es.toWords(100), 'cien');
+    assert.equal(numerals.es.toWords(1e9), 'mil millones');
+    assert.equal(numerals.es.toWords(300, { gender: 'f' }), 'trescientas');
+  });
+
+  test('reject numbers that cannot be spelled', () => {
+    Object.values(numerals).forEach(({ toWords }) => {
+      assert.throws(() => toWords(-1), RangeError);
+      assert.throws(() => toWords(1.5), RangeError);
+      assert.throws(() => toWords(1e15), RangeError);
+    });
+  });
+});
@@ -0,0 +1,409 @@
+/**
+ * Dictation - numbers are read aloud, the student works them on the abacus
+ * Terms are spelled through i18n ("plus thirty-four, minus twelve…") and spoken
+ * with the Speech Synthesis API in the current UI language.
+ */
+
+import { logger } from '../core/logger.js';
+import { i18n } from '../i18n/i18n.js';
+import { Calculator, MAX_EXACT_DIGITS } from '../core/Calculator.js';
+import { config } from '../core/Config.js';
+
+const CONTEXT = 'Dictation';
+
+export class Dictation {
+  /**
+   * @param {Abacus} abacus - Abacus instance
+   */
+  constructor(abacus) {
+    this.abacus = abacus;
+
+    this.settings = config.get('dictation'); // Defaults and limits - core/Config.js
+
+    this.state = 'idle'; // 'idle' | 'speaking' | 'answering' | 'graded'
+    this.terms = [];
+    this.currentIndex = -1;
+    this.timer = null;
+    this.run = 0; // Incremented on start/stop - speech callbacks of an old run are ignored
+    this.onStart = null;  // Optional callback (terms) => {}
+    this.onResult = null; // Optional callback (result) => {}
+
+    this.init();
+  }
+
+  /**
+   * Initialize mode
+   */
+  init() {
+    this.setupButtons();
+    this.setupSettingsForm();
+    logger.debug(CONTEXT, `Dictation initialized (speech: ${this.isSupported()})`);
+  }
+
+  /**
+   * Check if the browser can speak
+   * @returns {boolean}
+   */
+  isSupported() {
+    return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+  }
+
+  /**
+   * Setup mode buttons
+   */
+  setupButtons() {
+    const dictationBtn = document.getElementById('dictationBtn');
+    if (dictationBtn) {
+      dictationBtn.addEventListener('click', () => this.showMenu());
+    }
+
+    const startBtn = document.getElementById('dictationStart');
+    if (startBtn) {
+      startBtn.addEventListener('click', () => {
+        this.readSettingsForm();
+        this.hideMenu();
+        this.start();
+      });
+    }
+
+    const closeBtn = document.getElementById('closeDictation');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.hideMenu());
+    }
+
+    const checkBtn = document.getElementById('dictationCheck');
+    if (checkBtn) {
+      checkBtn.addEventListener('click', () => this.check());
+    }
+
+    const menu = document.getElementById('dictation-menu');
+    if (menu) {
+      menu.addEventListener('click', (e) => {
+        if (e.target === menu) {
+          this.hideMenu();
+        }
+      });
+    }
+  }
+
+  /**
+   * Fill settings form with current settings
+   */
+  setupSettingsForm() {
+    const digits = document.getElementById('dictationDigits');
+    if (digits) digits.value = this.settings.digits;
+
+    const count = document.getElementById('dictationCount');
+    if (count) count.value = this.settings.count;
+
+    const rate = document.getElementById('dictationRate');
+    if (rate) rate.value = this.settings.rate;
+
+    const pause = document.getElementById('dictationPause');
+    if (pause) pause.value = this.settings.pause;
+
+    const negative = document.getElementById('dictationNegative');
+    if (negative) negative.checked = this.settings.allowNegative;
+  }
+
+  /**
+   * Read settings form and persist settings
+   */
+  readSettingsForm() {
+    const readNumber = (id, fallback, min, max) => {
+      const input = document.getElementById(id);
+      const value = input ? parseFloat(input.value) : NaN;
+      return Number.isNaN(value) ? fallback : Math.max(min, Math.min(max, value));
+    };
+
+    const negative = document.getElementById('dictationNegative');
+
+    this.configure({
+      digits: Math.round(readNumber('dictationDigits', this.settings.digits, 1, Math.min(this.getIntegerRods(), MAX_EXACT_DIGITS))),
+      count: Math.round(readNumber('dictationCount', this.settings.count, 2, 30)),
+      rate: readNumber('dictationRate', this.settings.rate, 0.5, 2),
+      pause: Math.round(readNumber('dictationPause', this.settings.pause, 0, 10000)),
+      allowNegative: negative ? negative.checked : this.settings.allowNegative
+    });
+    this.setupSettingsForm();
+  }
+
+  /**
+   * Rods for whole numbers - the ones right of the unit rod hold decimals
+   * @returns {number}
+   */
+  getIntegerRods() {
+    return this.abacus.getUnitColumn() + 1;
+  }
+
+  /**
+   * Update settings
+   * @param {Object} settings - { digits, count, rate, pause, allowNegative }
+   */
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+    config.set('dictation', this.settings);
+    logger.debug(CONTEXT, 'Settings updated:', this.settings);
+  }
+
+  /**
+   * Start a new dictation
+   * @returns {boolean} - False if speech is unavailable or the series could not be generated
+   */
+  start() {
+    this.stop();
+
+    if (!this.isSupported()) {
+      this.showStatus(i18n.t('dictationUnsupported'), 'error');
+      return false;
+    }
+
+    try {
+      this.terms = Calculator.generateSeries({
+        digits: this.settings.digits,
+        count: this.settings.count,
+        allowNegative: this.settings.allowNegative,
+        rods: this.getIntegerRods()
+      });
+    } catch (error) {
+      logger.error(CONTEXT, 'Failed to generate series:', error);
+      this.showStatus(i18n.t('flashImpossible'), 'error');
+      return false;
+    }
+
+    this.abacus.clear();
+    this.state = 'speaking';
+    this.currentIndex = -1;
+    this.showStatus(i18n.t('dictationListen'));
+    if (this.onStart) {
+      this.onStart([...this.terms]);
+    }
+    this.speakNext(this.run);
+
+    logger.info(CONTEXT, `Dictation started: ${this.terms.join(', ')}`);
+    return true;
+  }
+
+  /**
+   * Spell a term, e.g. "plus thirty-four"; the first term is read without a sign
+   * @param {number} term - Signed term
+   * @param {boolean} first - First term of the series
+   * @returns {string}
+   */
+  getPhrase(term, first = false) {
+    const words = i18n.numberToWords(Math.abs(term));
+    if (first && term > 0) return words;
+    return `${i18n.t(term < 0 ? 'dictationMinus' : 'dictationPlus')} ${words}`;
+  }
+
+  /**
+   * Speak next term of the series
+   * @param {number} run - Run the call belongs to
+   */
+  speakNext(run) {
+    if (run !== this.run) return;
+    this.currentIndex++;
+
+    if (this.currentIndex >= this.terms.length) {
+      this.finish(run);
+      return;
+    }
+
+    let phrase;
+    try {
+      phrase = this.getPhrase(this.terms[this.currentIndex], this.currentIndex === 0);
+    } catch (error) {
+      // Числительные не умеют слишком большие числа - не оставляем режим «говорит» навсегда
+      logger.error(CONTEXT, 'Failed to spell term:', error);
+      this.stop();
+      this.showStatus(i18n.t('dictationSpellFailed'), 'error');
+      return;
+    }
+
+    this.speak(phrase).then(() => {
+      if (run !== this.run) return;
+      this.timer = setTimeout(() => this.speakNext(run), this.settings.pause);
+    });
+  }
+
+  /**
+   * All terms spoken - ask for the answer
+   * @param {number} run - Run the call belongs to
+   */
+  finish(run) {
+    this.timer = null;
+    this.speak(i18n.t('dictationQuestion')).then(() => {
+      if (run !== this.run) return;
+      this.state = 'answering';
+      this.showStatus(i18n.t('dictationEnterAnswer'));
+      logger.debug(CONTEXT, 'Dictation finished, waiting for answer');
+    });
+  }
+
+  /**
+   * Speak a phrase in the current UI language
+   * @param {string} text - Phrase
+   * @returns {Promise} - Resolves when speaking ends (or fails)
+   */
+  speak(text) {
+    return new Promise(resolve => {
+      const utterance = new window.SpeechSynthesisUtterance(text);
+      const locale = i18n.getLocale();
+      const voice = window.speechSynthesis.getVoices().find(v => v.lang && v.lang.startsWith(locale));
+
+      utterance.lang = locale;
+      utterance.rate = this.settings.rate;
+      if (voice) {
+        utterance.voice = voice;
+      }
+      utterance.onend = () => resolve();
+      utterance.onerror = (e) => {
+        logger.warn(CONTEXT, `Speech failed: ${e.error}`);
+        resolve();
+      };
+
+      window.speechSynthesis.speak(utterance);
+      logger.debug(CONTEXT, `Speaking: ${text}`);
+    });
+  }
+
+  /**
+   * Grade abacus value against the sum of the series
+   * @returns {Object|null} - { correct, expected, actual, terms }
+   */
+  check() {
+    if (this.state !== 'answering') return null;
+
+    const expected = this.getAnswer();
+    const actual = this.abacus.getValue();
+    const correct = Calculator.isSameValue(this.abacus.getValueString(), expected);
+    const result = { correct, expected, actual, terms: [...this.terms] };
+
+    this.state = 'graded';
+    this.showStatus(
+      correct ? i18n.t('flashCorrect') : i18n.t('flashWrong', { answer: expected }),
+      correct ? 'success' : 'error'
+    );
+
+    if (this.onResult) {
+      this.onResult(result);
+    }
+
+    logger.info(CONTEXT, `Answer ${actual}, expected ${expected}: ${correct ? 'correct' : 'wrong'}`);
+    return result;
+  }
+
+  /**
+   * Get the sum of the current series
+   * @returns {number}
+   */
+  getAnswer() {
+    return this.terms.reduce((sum, term) => sum + term, 0);
+  }
+
+  /**
+   * Stop running dictation
+   */
+  stop() {
+    this.run++;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.state === 'speaking' && this.isSupported()) {
+      window.speechSynthesis.cancel();
+    }
+    this.state = 'idle';
+  }
+
+  /**
+   * Show status message in the answer panel
+   * @param {string} message - Message text
+   * @param {string} type - '', 'success' or 'error'
+   */
+  showStatus(message, type = '') {
+    const status = document.getElementById('dictationStatus');
+    if (status) {
+      status.textContent = message;
+      status.className = type ? `flash-panel__status flash-panel__status--${type}` : 'flash-panel__status';
+    }
+
+    const panel = document.getElementById('dictation-panel');
+    if (panel) {
+      panel.style.display = message ? 'flex' : 'none';
+    }
+
+    const checkBtn = document.getElementById('dictationCheck');
+    if (checkBtn) {
+      checkBtn.disabled = this.state !== 'answering';
+    }
+  }
+
+  /**
+   * Show settings menu
+   */
+  showMenu() {
+    const menu = document.getElementById('dictation-menu');
+    if (menu) {
+      this.setupSettingsForm();
+      menu.style.display = 'flex';
+    }
+  }
+
+  /**
+   * Hide settings menu
+   */
+  hideMenu() {
+    const menu = document.getElementById('dictation-menu');
+    if (menu) {
+      menu.style.display = 'none';
+    }
+  }
+
+  /**
+   * Update texts after language change
+   */
+  updateTexts() {
+    const texts = {
+      dictationBtn: `🗣 ${i18n.t('dictation')}`,
+      dictationTitle: i18n.t('dictation'),
+      dictationStart: i18n.t('flashStart'),
+      closeDictation: i18n.t('close'),
+      dictationCheck: i18n.t('flashCheck')
+    };
+
+    Object.entries(texts).forEach(([id, text]) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = text;
+    });
+
+    const labels = {
+      dictationDigits: 'flashDigits',
+      dictationCount: 'flashCount',
+      dictationRate: 'dictationRate',
+      dictationPause: 'dictationPause'
+    };
+
+    Object.entries(labels).forEach(([id, key]) => {
+      const label = document.querySelector(`label[for="${id}"]`);
+      if (label) label.textContent = i18n.t(key);
+    });
+
+    const negativeLabel = document.querySelector('label[for="dictationNegative"] span');
+    if (negativeLabel) {
+      negativeLabel.textContent = i18n.t('flashNegative');
+    }
+
+    if (this.state === 'answering') {
+      this.showStatus(i18n.t('dictationEnterAnswer'));
+    }
+  }
+
+  /**
+   * Destroy mode
+   */
+  destroy() {
+    this.stop();
+    logger.debug(CONTEXT, 'Dictation destroyed');
+  }
+}
@@ -0,0 +1,310 @@
+/**
+ * Export Panel - pictures of the abacus and printable worksheets
+ * Downloads the current abacus as a standalone SVG or a PNG at a chosen scale,
+ * and prints "read the abacus" / "set the number" worksheets with an answer
+ * key (core/Worksheet.js). Worksheet abaci are drawn by an off-screen abacus
+ * of the same type and theme.
+ */
+
+import { logger } from '../core/logger.js';
+import { i18n } from '../i18n/i18n.js';
+import { Worksheet, WorksheetMode, WORKSHEET_LIMITS } from '../core/Worksheet.js';
+import { Abacus } from '../components/Abacus.js';
+import { downloadFile, SVG_PROLOG } from '../utils/export.js';
+
+const CONTEXT = 'ExportPanel';
+
+export class ExportPanel {
+  /**
+   * @param {Abacus} abacus - Abacus instance
+   */
+  constructor(abacus) {
+    this.abacus = abacus;
+    this.init();
+  }
+
+  /**
+   * Initialize panel
+   */
+  init() {
+    const bindings = {
+      exportBtn: () => this.show(),
+      closeExport: () => this.hide(),
+      exportSvg: () => this.exportSvg(),
+      exportPng: () => this.exportPng(),
+      worksheetPrint: () => this.printWorksheet()
+    };
+
+    Object.entries(bindings).forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', handler);
+      }
+    });
+
+    const menu = document.getElementById('export-menu');
+    if (menu) {
+      menu.addEventListener('click', (e) => {
+        if (e.target === menu) {
+          this.hide();
+        }
+      });
+    }
+
+    logger.debug(CONTEXT, 'Export panel initialized');
+  }
+
+  /**
+   * Show panel
+   */
+  show() {
+    this.showStatus('');
+    const menu = document.getElementById('export-menu');
+    if (menu) {
+      menu.style.display = 'flex';
+    }
+  }
+
+  /**
+   * Hide panel
+   */
+  hide() {
+    const menu = document.getElementById('export-menu');
+    if (menu) {
+      menu.style.display = 'none';
+    }
+  }
+
+  /**
+   * Show a message (errors) in the panel
+   * @param {string} text - Message, empty to clear
+   */
+  showStatus(text) {
+    const status = document.getElementById('exportStatus');
+    if (status) {
+      status.textContent = text;
+    }
+  }
+
+  /**
+   * File name for the current abacus, e.g. "abacus-2025.svg"
+   * @param {string} extension - File extension
+   * @returns {string}
+   */
+  getFilename(extension) {
+    return `abacus-${this.abacus.getValueString()}.${extension}`;
+  }
+
+  /**
+   * Download the current abacus as SVG
+   */
+  exportSvg() {
+    const filename = this.getFilename('svg');
+    downloadFile(filename, SVG_PROLOG + this.abacus.toSVG(), 'image/svg+xml');
+    logger.info(CONTEXT, `Exported ${filename}`);
+  }
+
+  /**
+   * Download the current abacus as PNG at the chosen scale
+   * @returns {Promise}
+   */
+  async exportPng() {
+    const select = document.getElementById('exportScale');
+    const scale = select ? Number(select.value) || 1 : 2;
+    const filename = this.getFilename('png');
+
+    try {
+      downloadFile(filename, await this.abacus.toPNG(scale));
+      logger.info(CONTEXT, `Exported ${filename} at ${scale}x`);
+    } catch (error) {
+      logger.error(CONTEXT, 'PNG export failed:', error);
+      this.showStatus(i18n.t('exportFailed', { error: error.message }));
+    }
+  }
+
+  /**
+   * Read the worksheet form: given numbers, or random ones if the field is empty
+   * @returns {Object} - { numbers, mode, answerKey }
+   * @throws {TypeError|RangeError} - Numbers are invalid (see Worksheet.parseNumbers)
+   */
+  readWorksheetForm() {
+    const value = id => {
+      const element = document.getElementById(id);
+      return element ? element.value : '';
+    };
+    const readInt = (id, fallback, min, max) => {
+      const number = parseInt(value(id), 10);
+      return Number.isNaN(number) ? fallback : Math.max(min, Math.min(max, number));
+    };
+
+    const text = value('worksheetNumbers').trim();
+    const numbers = text !== ''
+      ? Worksheet.parseNumbers(text)
+      : Worksheet.generateNumbers(
+        readInt('worksheetCount', 12, 1, WORKSHEET_LIMITS.maxItems),
+        readInt('worksheetDigits', 2, 1, WORKSHEET_LIMITS.maxRods)
+      );
+
+    const answerKey = document.getElementById('worksheetAnswerKey');
+    return {
+      numbers,
+      mode: value('worksheetMode') || WorksheetMode.READ,
+      answerKey: answerKey ? answerKey.checked : true
+    };
+  }
+
+  /**
+   * Build the worksheet from the form and open the print dialog
+   * @returns {boolean} - False if the form is invalid
+   */
+  printWorksheet() {
+    let sheet;
+    let answerKey;
+    try {
+      const form = this.readWorksheetForm();
+      sheet = Worksheet.create(form);
+      answerKey = form.answerKey;
+    } catch (error) {
+      this.showStatus(i18n.t('worksheetInvalid', { error: error.message }));
+      return false;
+    }
+
+    this.renderWorksheet(sheet, answerKey);
+    this.hide();
+    window.print();
+    return true;
+  }
+
+  /**
+   * Draw every abacus of a sheet with an off-screen abacus
+   * @param {Object} sheet - See Worksheet.create
+   * @returns {Object} - { blank, filled } - data URLs, filled by item number
+   */
+  drawAbaci(sheet) {
+    const abacus = new Abacus(document.createElement('div'), sheet.rods, this.abacus.type.id);
+    abacus.setTheme(this.abacus.theme);
+    abacus.setNotchOffset(this.abacus.config.notchOffset);
+
+    // SVG как <img>: id градиентов разных абакусов не пересекаются
+    const toDataUrl = () => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(abacus.toSVG())}`;
+
+    const blank = toDataUrl();
+    const filled = new Map();
+    sheet.items.forEach(item => {
+      abacus.setValue(item.value);
+      filled.set(item.number, toDataUrl());
+    });
+
+    abacus.destroy();
+    return { blank, filled };
+  }
+
+  /**
+   * Fill the print view: exercise page and optional answer key page
+   * @param {Object} sheet - See Worksheet.create
+   * @param {boolean} answerKey - Add the answer key page
+   */
+  renderWorksheet(sheet, answerKey = true) {
+    const container = document.getElementById('worksheet');
+    if (!container) return;
+
+    const { blank, filled } = this.drawAbaci(sheet);
+    const isRead = sheet.mode === WorksheetMode.READ;
+    // Широкие абакусы - меньше колонок
+    const columns = sheet.rods <= 5 ? 3 : sheet.rods <= 10 ? 2 : 1;
+    const image = src => `<img class="worksheet__abacus" src="${src}" alt="${i18n.t('abacusLabel')}" />`;
+
+    const exercises = sheet.items.map(item => `
+      <li class="worksheet__item">
+        <span class="worksheet__number">${item.number}.</span>
+        ${image(isRead ? filled.get(item.number) : blank)}
+        ${isRead ? '<span class="worksheet__answer worksheet__answer--line"></span>' : `<span class="worksheet__answer">${item.value}</span>`}
+      </li>
+    `).join('');
+
+    // Ответы: числа для чтения, отложенные абакусы для задания "отложи число"
+    const answers = sheet.items.map(item => `
+      <li class="worksheet__item">
+        <span class="worksheet__number">${item.number}.</span>
+        ${isRead ? '' : image(filled.get(item.number))}
+        <span class="worksheet__answer worksheet__answer--key">${item.value}</span>
+      </li>
+    `).join('');
+
+    container.style.setProperty('--worksheet-columns', columns);
+    container.innerHTML = `
+      <section class="worksheet__page">
+        <h1 class="worksheet__title">${i18n.t(isRead ? 'worksheetRead' : 'worksheetSet')}</h1>
+        <p class="worksheet__fields">
+          <span>${i18n.t('worksheetName')}: ____________________</span>
+          <span>${i18n.t('worksheetDate')}: ____________</span>
+        </p>
+        <ol class="worksheet__grid">${exercises}</ol>
+      </section>
+      ${answerKey ? `
+        <section class="worksheet__page worksheet__page--key">
+          <h2 class="worksheet__title">${i18n.t('worksheetKey')}</h2>
+          <ol class="worksheet__grid${isRead ? ' worksheet__grid--compact' : ''}">${answers}</ol>
+        </section>
+      ` : ''}
+    `;
+
+    logger.info(CONTEXT, `Worksheet: ${sheet.items.length} abaci (${sheet.mode}), answer key: ${answerKey}`);
+  }
+
+  /**
+   * Update texts after language change
+   */
+  updateTexts() {
+    const texts = {
+      exportBtn: `🖨 ${i18n.t('export')}`,
+      exportTitle: i18n.t('export'),
+      exportImageTitle: i18n.t('exportImage'),
+      exportSvg: i18n.t('exportSvg'),
+      exportPng: i18n.t('exportPng'),
+      worksheetTitle: i18n.t('worksheet'),
+      worksheetPrint: i18n.t('worksheetPrint'),
+      closeExport: i18n.t('close')
+    };
+
+    Object.entries(texts).forEach(([id, text]) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = text;
+    });
+
+    const labels = {
+      exportScale: 'exportScale',
+      worksheetMode: 'worksheetMode',
+      worksheetNumbers: 'worksheetNumbers',
+      worksheetCount: 'worksheetCount',
+      worksheetDigits: 'worksheetDigits'
+    };
+
+    Object.entries(labels).forEach(([id, key]) => {
+      const label = document.querySelector(`label[for="${id}"]`);
+      if (label) label.textContent = i18n.t(key);
+    });
+
+    const answerKeyLabel = document.querySelector('label[for="worksheetAnswerKey"] span');
+    if (answerKeyLabel) {
+      answerKeyLabel.textContent = i18n.t('worksheetAnswerKey');
+    }
+
+    const modes = {
+      [WorksheetMode.READ]: 'worksheetRead',
+      [WorksheetMode.SET]: 'worksheetSet'
+    };
+
+    document.querySelectorAll('#worksheetMode option').forEach(option => {
+      if (modes[option.value]) option.textContent = i18n.t(modes[option.value]);
+    });
+  }
+
+  /**
+   * Destroy panel
+   */
+  destroy() {
+    this.hide();
+    logger.debug(CONTEXT, 'Export panel destroyed');
+  }
+}
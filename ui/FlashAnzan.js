@@ -0,0 +1,365 @@
+/**
+ * Flash Anzan - flash mental arithmetic exercise mode
+ * Numbers are flashed one after another, then the student sets the sum on the abacus.
+ */
+
+import { logger } from '../core/logger.js';
+import { i18n } from '../i18n/i18n.js';
+import { Calculator, MAX_EXACT_DIGITS } from '../core/Calculator.js';
+import { config } from '../core/Config.js';
+
+const CONTEXT = 'FlashAnzan';
+
+export class FlashAnzan {
+  /**
+   * @param {Abacus} abacus - Abacus instance
+   */
+  constructor(abacus) {
+    this.abacus = abacus;
+
+    this.settings = config.get('flashAnzan'); // Defaults and limits - core/Config.js
+
+    this.state = 'idle'; // 'idle' | 'showing' | 'answering' | 'graded'
+    this.terms = [];
+    this.currentIndex = -1;
+    this.timer = null;
+    this.blankTimer = null; // Gap between two flashes
+    this.onStart = null;  // Optional callback (terms) => {}
+    this.onResult = null; // Optional callback (result) => {}
+
+    this.init();
+  }
+
+  /**
+   * Initialize mode
+   */
+  init() {
+    this.setupButtons();
+    this.setupSettingsForm();
+    logger.debug(CONTEXT, 'Flash Anzan initialized');
+  }
+
+  /**
+   * Setup mode buttons
+   */
+  setupButtons() {
+    const flashBtn = document.getElementById('flashBtn');
+    if (flashBtn) {
+      flashBtn.addEventListener('click', () => this.showMenu());
+    }
+
+    const startBtn = document.getElementById('flashStart');
+    if (startBtn) {
+      startBtn.addEventListener('click', () => {
+        this.readSettingsForm();
+        this.hideMenu();
+        this.start();
+      });
+    }
+
+    const closeBtn = document.getElementById('closeFlash');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.hideMenu());
+    }
+
+    const checkBtn = document.getElementById('flashCheck');
+    if (checkBtn) {
+      checkBtn.addEventListener('click', () => this.check());
+    }
+
+    const menu = document.getElementById('flash-menu');
+    if (menu) {
+      menu.addEventListener('click', (e) => {
+        if (e.target === menu) {
+          this.hideMenu();
+        }
+      });
+    }
+  }
+
+  /**
+   * Fill settings form with current settings
+   */
+  setupSettingsForm() {
+    const digits = document.getElementById('flashDigits');
+    if (digits) digits.value = this.settings.digits;
+
+    const count = document.getElementById('flashCount');
+    if (count) count.value = this.settings.count;
+
+    const interval = document.getElementById('flashInterval');
+    if (interval) interval.value = this.settings.interval;
+
+    const negative = document.getElementById('flashNegative');
+    if (negative) negative.checked = this.settings.allowNegative;
+  }
+
+  /**
+   * Read settings form and persist settings
+   */
+  readSettingsForm() {
+    const readInt = (id, fallback, min, max) => {
+      const input = document.getElementById(id);
+      const value = input ? parseInt(input.value, 10) : NaN;
+      return Number.isNaN(value) ? fallback : Math.max(min, Math.min(max, value));
+    };
+
+    const negative = document.getElementById('flashNegative');
+
+    this.configure({
+      digits: readInt('flashDigits', this.settings.digits, 1, Math.min(this.getIntegerRods(), MAX_EXACT_DIGITS)),
+      count: readInt('flashCount', this.settings.count, 2, 30),
+      interval: readInt('flashInterval', this.settings.interval, 200, 5000),
+      allowNegative: negative ? negative.checked : this.settings.allowNegative
+    });
+    this.setupSettingsForm();
+  }
+
+  /**
+   * Rods for whole numbers - the ones right of the unit rod hold decimals
+   * @returns {number}
+   */
+  getIntegerRods() {
+    return this.abacus.getUnitColumn() + 1;
+  }
+
+  /**
+   * Update settings
+   * @param {Object} settings - { digits, count, interval, allowNegative }
+   */
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+    config.set('flashAnzan', this.settings);
+    logger.debug(CONTEXT, 'Settings updated:', this.settings);
+  }
+
+  /**
+   * Start a new series
+   * @returns {boolean} - False if the series could not be generated
+   */
+  start() {
+    this.stop();
+
+    try {
+      this.terms = Calculator.generateSeries({
+        digits: this.settings.digits,
+        count: this.settings.count,
+        allowNegative: this.settings.allowNegative,
+        rods: this.getIntegerRods()
+      });
+    } catch (error) {
+      logger.error(CONTEXT, 'Failed to generate series:', error);
+      this.showStatus(i18n.t('flashImpossible'), 'error');
+      return false;
+    }
+
+    this.abacus.clear();
+    this.state = 'showing';
+    this.currentIndex = -1;
+    this.showStatus('');
+    this.setPanelVisible(false);
+    this.setDisplayVisible(true);
+    if (this.onStart) {
+      this.onStart([...this.terms]);
+    }
+    this.showNext();
+
+    logger.info(CONTEXT, `Series started: ${this.terms.length} terms`);
+    return true;
+  }
+
+  /**
+   * Flash next number of the series
+   */
+  showNext() {
+    this.currentIndex++;
+
+    if (this.currentIndex >= this.terms.length) {
+      this.finishSeries();
+      return;
+    }
+
+    const display = document.getElementById('flashNumber');
+    if (display) {
+      const term = this.terms[this.currentIndex];
+      // Blank first so equal consecutive numbers are still seen as two flashes
+      display.textContent = '';
+      this.blankTimer = setTimeout(() => {
+        this.blankTimer = null;
+        display.textContent = term < 0 ? `−${-term}` : String(term);
+      }, 80);
+    }
+
+    this.timer = setTimeout(() => this.showNext(), this.settings.interval);
+  }
+
+  /**
+   * Series shown - wait for the answer on the abacus
+   */
+  finishSeries() {
+    this.timer = null;
+    this.state = 'answering';
+    this.setDisplayVisible(false);
+    this.setPanelVisible(true);
+    this.showStatus(i18n.t('flashEnterAnswer'));
+    logger.debug(CONTEXT, 'Series finished, waiting for answer');
+  }
+
+  /**
+   * Grade abacus value against the sum of the series
+   * @returns {Object|null} - { correct, expected, actual, terms }
+   */
+  check() {
+    if (this.state !== 'answering') return null;
+
+    const expected = this.getAnswer();
+    const actual = this.abacus.getValue();
+    const correct = Calculator.isSameValue(this.abacus.getValueString(), expected);
+    const result = { correct, expected, actual, terms: [...this.terms] };
+
+    this.state = 'graded';
+    this.showStatus(
+      correct ? i18n.t('flashCorrect') : i18n.t('flashWrong', { answer: expected }),
+      correct ? 'success' : 'error'
+    );
+
+    if (this.onResult) {
+      this.onResult(result);
+    }
+
+    logger.info(CONTEXT, `Answer ${actual}, expected ${expected}: ${correct ? 'correct' : 'wrong'}`);
+    return result;
+  }
+
+  /**
+   * Get the sum of the current series
+   * @returns {number}
+   */
+  getAnswer() {
+    return this.terms.reduce((sum, term) => sum + term, 0);
+  }
+
+  /**
+   * Stop running series
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.blankTimer) {
+      clearTimeout(this.blankTimer);
+      this.blankTimer = null;
+    }
+    this.state = 'idle';
+    this.setDisplayVisible(false);
+  }
+
+  /**
+   * Show status message in the answer panel
+   * @param {string} message - Message text
+   * @param {string} type - '', 'success' or 'error'
+   */
+  showStatus(message, type = '') {
+    const status = document.getElementById('flashStatus');
+    if (!status) return;
+
+    status.textContent = message;
+    status.className = type ? `flash-panel__status flash-panel__status--${type}` : 'flash-panel__status';
+    if (message) {
+      this.setPanelVisible(true);
+    }
+  }
+
+  /**
+   * @param {boolean} visible
+   */
+  setDisplayVisible(visible) {
+    const display = document.getElementById('flash-display');
+    if (display) {
+      display.style.display = visible ? 'flex' : 'none';
+    }
+  }
+
+  /**
+   * @param {boolean} visible
+   */
+  setPanelVisible(visible) {
+    const panel = document.getElementById('flash-panel');
+    if (panel) {
+      panel.style.display = visible ? 'flex' : 'none';
+    }
+
+    const checkBtn = document.getElementById('flashCheck');
+    if (checkBtn) {
+      checkBtn.disabled = this.state !== 'answering';
+    }
+  }
+
+  /**
+   * Show settings menu
+   */
+  showMenu() {
+    const menu = document.getElementById('flash-menu');
+    if (menu) {
+      this.setupSettingsForm();
+      menu.style.display = 'flex';
+    }
+  }
+
+  /**
+   * Hide settings menu
+   */
+  hideMenu() {
+    const menu = document.getElementById('flash-menu');
+    if (menu) {
+      menu.style.display = 'none';
+    }
+  }
+
+  /**
+   * Update texts after language change
+   */
+  updateTexts() {
+    const texts = {
+      flashBtn: `⚡ ${i18n.t('flashAnzan')}`,
+      flashTitle: i18n.t('flashAnzan'),
+      flashStart: i18n.t('flashStart'),
+      closeFlash: i18n.t('close'),
+      flashCheck: i18n.t('flashCheck')
+    };
+
+    Object.entries(texts).forEach(([id, text]) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = text;
+    });
+
+    const labels = {
+      flashDigits: 'flashDigits',
+      flashCount: 'flashCount',
+      flashInterval: 'flashInterval'
+    };
+
+    Object.entries(labels).forEach(([id, key]) => {
+      const label = document.querySelector(`label[for="${id}"]`);
+      if (label) label.textContent = i18n.t(key);
+    });
+
+    const negativeLabel = document.querySelector('label[for="flashNegative"] span');
+    if (negativeLabel) {
+      negativeLabel.textContent = i18n.t('flashNegative');
+    }
+
+    if (this.state === 'answering') {
+      this.showStatus(i18n.t('flashEnterAnswer'));
+    }
+  }
+
+  /**
+   * Destroy mode
+   */
+  destroy() {
+    this.stop();
+    logger.debug(CONTEXT, 'Flash Anzan destroyed');
+  }
+}
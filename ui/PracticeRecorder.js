@@ -0,0 +1,105 @@
+/**
+ * Practice Recorder - records exercise attempts of Flash Anzan and dictation
+ * An attempt runs from the start of a series to the answer check; bead moves
+ * are counted from snaps and formulas collected from AbacusTechnique results.
+ * Attempts are saved to the practice history (utils/practiceHistory.js).
+ */
+
+import { logger } from '../core/logger.js';
+import { addAttempt } from '../utils/practiceHistory.js';
+
+const CONTEXT = 'PracticeRecorder';
+
+export class PracticeRecorder {
+  /**
+   * @param {Abacus} abacus - Abacus instance
+   */
+  constructor(abacus) {
+    this.abacus = abacus;
+    this.current = null;  // Attempt in progress
+    this.onSaved = null;  // Optional callback (attempt) => {}
+
+    this.abacus.on('onBeadSnap', this.onBeadSnap.bind(this));
+    this.abacus.on('onTechnique', this.onTechnique.bind(this));
+
+    logger.debug(CONTEXT, 'Practice recorder initialized');
+  }
+
+  /**
+   * Record attempts of an exercise mode (FlashAnzan, Dictation)
+   * @param {Object} exercise - Mode with settings.digits, onStart and onResult callbacks
+   * @param {string} mode - Mode name stored with the attempt
+   */
+  track(exercise, mode) {
+    exercise.onStart = (terms) => this.begin(mode, { digits: exercise.settings.digits, terms });
+    exercise.onResult = (result) => this.finish(result);
+  }
+
+  /**
+   * Start a new attempt (an unfinished one is dropped)
+   * @param {string} mode - 'flash' | 'dictation'
+   * @param {Object} exercise - { digits, terms }
+   */
+  begin(mode, { digits, terms }) {
+    this.current = {
+      mode,
+      startedAt: Date.now(),
+      digits,
+      count: terms.length,
+      terms: [...terms],
+      moves: 0,
+      formulas: []
+    };
+  }
+
+  /**
+   * Snap handler - count bead moves of the attempt
+   */
+  onBeadSnap() {
+    if (this.current) {
+      this.current.moves++;
+    }
+  }
+
+  /**
+   * Operation handler - collect formulas of the attempt
+   * @param {Object} result - AbacusTechnique validation result
+   */
+  onTechnique(result) {
+    if (this.current) {
+      this.current.formulas.push(...result.formulas);
+    }
+  }
+
+  /**
+   * Finish the attempt with its graded answer and save it
+   * @param {Object} result - { correct, expected, actual }
+   * @returns {Promise<Object|null>} - Saved attempt, null if no attempt was running
+   */
+  async finish({ correct, expected, actual }) {
+    if (!this.current) return null;
+
+    // Последняя операция ещё ждёт паузы - засчитываем её формулы сразу
+    if (this.abacus.technique) {
+      this.abacus.technique.commit();
+    }
+
+    const attempt = {
+      ...this.current,
+      time: Date.now() - this.current.startedAt,
+      expected,
+      actual,
+      correct,
+      formulas: [...new Set(this.current.formulas)]
+    };
+    this.current = null;
+
+    attempt.id = await addAttempt(attempt);
+    logger.info(CONTEXT, `Attempt saved: ${attempt.mode}, ${attempt.correct ? 'correct' : 'wrong'}, ${attempt.time} ms, ${attempt.moves} moves`);
+
+    if (this.onSaved) {
+      this.onSaved(attempt);
+    }
+    return attempt;
+  }
+}
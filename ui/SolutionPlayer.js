@@ -0,0 +1,124 @@
+/**
+ * Solution Player - animates the canonical solution of an expression step by step
+ * Each step applies one digit of a term and shows its formula as a caption.
+ * Stepping and playback are shared with WorkspacePlayer (ui/StepPlayer.js).
+ */
+
+import { logger } from '../core/logger.js';
+import { i18n } from '../i18n/i18n.js';
+import { Calculator } from '../core/Calculator.js';
+import { Formulas } from '../core/Formulas.js';
+import { StepPlayer } from './StepPlayer.js';
+
+const CONTEXT = 'SolutionPlayer';
+
+export class SolutionPlayer extends StepPlayer {
+  /**
+   * @param {Abacus} abacus - Abacus instance
+   */
+  constructor(abacus) {
+    super(abacus, 'solution');
+
+    this.terms = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize player
+   */
+  init() {
+    super.init();
+    logger.debug(CONTEXT, 'Solution player initialized');
+  }
+
+  /**
+   * Load an expression and reset the abacus to its starting state
+   * @param {string} expression - Expression like "37 + 48 − 19"
+   * @returns {boolean} - False if the expression cannot be solved on this abacus
+   */
+  load(expression) {
+    this.pause();
+
+    const terms = Calculator.parseExpression(expression);
+    if (!terms) {
+      this.showCaption(i18n.t('solutionInvalid'));
+      return false;
+    }
+
+    try {
+      this.steps = this.buildSteps(terms);
+    } catch (error) {
+      logger.warn(CONTEXT, 'Expression does not fit on the abacus:', error);
+      this.steps = [];
+      this.showCaption(i18n.t('solutionInvalid'));
+      this.updateControls();
+      return false;
+    }
+
+    this.terms = terms;
+    this.expression = expression;
+    this.restart();
+
+    logger.info(CONTEXT, `Loaded expression: ${terms.join(' ')} (${this.steps.length} steps)`);
+    return true;
+  }
+
+  /**
+   * Split terms into single-digit steps with their canonical moves
+   * @param {Array<number>} terms - Signed terms
+   * @returns {Array<Object>}
+   */
+  buildSteps(terms) {
+    const steps = [];
+    // Terms are whole numbers - they end on the unit rod
+    let digits = new Array(this.abacus.getUnitColumn() + 1).fill(0);
+
+    terms.forEach((term, termIndex) => {
+      const plan = Formulas.planTerm(digits, term);
+      let before = digits;
+
+      plan.steps.forEach(step => {
+        steps.push({ ...step, term, termIndex, before });
+        before = step.after;
+      });
+
+      digits = plan.after;
+    });
+
+    return steps;
+  }
+
+  /**
+   * Build caption for a step, e.g. "+48 · +8: add 10, subtract 2"
+   * @param {number} stepIndex - Step index
+   */
+  showStepCaption(stepIndex) {
+    const step = this.steps[stepIndex];
+    const sign = (value) => Formulas.formatSigned(value).replace('-', '−');
+    const parts = step.parts
+      .map(part => (part > 0 ? i18n.t('captionAdd', { n: part }) : i18n.t('captionSubtract', { n: -part })))
+      .join(', ');
+
+    const progress = i18n.t('solutionStep', { current: stepIndex + 1, total: this.steps.length });
+    this.showCaption(`${progress} · ${sign(step.term)} · ${sign(step.operand)}: ${parts}`);
+  }
+
+  /**
+   * Update texts after language change
+   */
+  updateTexts() {
+    const solutionBtn = document.getElementById('solutionBtn');
+    if (solutionBtn) solutionBtn.textContent = `🎬 ${i18n.t('solution')}`;
+
+    super.updateTexts();
+  }
+
+  /**
+   * Destroy player
+   */
+  destroy() {
+    super.destroy();
+    logger.debug(CONTEXT, 'Solution player destroyed');
+  }
+}
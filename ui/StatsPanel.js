@@ -0,0 +1,252 @@
+/**
+ * Stats Panel - practice statistics and history export
+ * Shows accuracy and speed per digit length and per formula with daily
+ * trend sparklines; exports the practice history as JSON or CSV.
+ */
+
+import { logger } from '../core/logger.js';
+import { i18n } from '../i18n/i18n.js';
+import { PracticeStats } from '../core/PracticeStats.js';
+import { Formulas } from '../core/Formulas.js';
+import { getAttempts, clearAttempts } from '../utils/practiceHistory.js';
+import { downloadFile } from '../utils/export.js';
+
+const CONTEXT = 'StatsPanel';
+
+const SPARKLINE_WIDTH = 64;
+const SPARKLINE_HEIGHT = 18;
+
+export class StatsPanel {
+  constructor() {
+    this.attempts = [];
+    this.init();
+  }
+
+  /**
+   * Initialize panel
+   */
+  init() {
+    const bindings = {
+      statsBtn: () => this.show(),
+      closeStats: () => this.hide(),
+      statsExportJson: () => this.download('soroban-practice.json', PracticeStats.toJSON(this.attempts), 'application/json'),
+      statsExportCsv: () => this.download('soroban-practice.csv', PracticeStats.toCSV(this.attempts), 'text/csv'),
+      statsClear: () => this.clear()
+    };
+
+    Object.entries(bindings).forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', handler);
+      }
+    });
+
+    const menu = document.getElementById('stats-menu');
+    if (menu) {
+      menu.addEventListener('click', (e) => {
+        if (e.target === menu) {
+          this.hide();
+        }
+      });
+    }
+
+    logger.debug(CONTEXT, 'Stats panel initialized');
+  }
+
+  /**
+   * Show panel with fresh statistics
+   * @returns {Promise}
+   */
+  async show() {
+    const menu = document.getElementById('stats-menu');
+    if (menu) {
+      menu.style.display = 'flex';
+    }
+    await this.refresh();
+  }
+
+  /**
+   * Hide panel
+   */
+  hide() {
+    const menu = document.getElementById('stats-menu');
+    if (menu) {
+      menu.style.display = 'none';
+    }
+  }
+
+  /**
+   * Check if the panel is open
+   * @returns {boolean}
+   */
+  isVisible() {
+    const menu = document.getElementById('stats-menu');
+    return Boolean(menu) && menu.style.display !== 'none';
+  }
+
+  /**
+   * Reload attempts from the practice history and redraw
+   * @returns {Promise}
+   */
+  async refresh() {
+    this.attempts = await getAttempts();
+    this.render();
+  }
+
+  /**
+   * Draw summary and tables
+   */
+  render() {
+    const content = document.getElementById('statsContent');
+    if (!content) return;
+
+    const exportButtons = ['statsExportJson', 'statsExportCsv', 'statsClear'];
+    exportButtons.forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = this.attempts.length === 0;
+    });
+
+    if (this.attempts.length === 0) {
+      content.innerHTML = `<p class="stats__empty">${i18n.t('statsEmpty')}</p>`;
+      return;
+    }
+
+    const summary = PracticeStats.summarize(this.attempts);
+    content.innerHTML = `
+      <p class="stats__summary">${i18n.t('statsSummary', {
+        attempts: summary.attempts,
+        accuracy: this.formatPercent(summary.accuracy),
+        time: this.formatTime(summary.averageTime)
+      })}</p>
+      <h3 class="stats__heading">${i18n.t('statsByDigits')}</h3>
+      ${this.renderTable(PracticeStats.byDigits(this.attempts), i18n.t('statsDigits'), key => key)}
+      <h3 class="stats__heading">${i18n.t('statsByFormula')}</h3>
+      ${this.renderTable(PracticeStats.byFormula(this.attempts), i18n.t('statsFormula'), key => Formulas.getLabel(key))}
+    `;
+  }
+
+  /**
+   * Table of statistic groups with accuracy and speed trends
+   * @param {Array<Object>} groups - PracticeStats groups
+   * @param {string} title - Header of the key column
+   * @param {Function} label - key => cell text
+   * @returns {string}
+   */
+  renderTable(groups, title, label) {
+    if (groups.length === 0) {
+      return `<p class="stats__empty">${i18n.t('statsNoFormulas')}</p>`;
+    }
+
+    const rows = groups.map(group => `
+      <tr>
+        <th scope="row">${label(group.key)}</th>
+        <td>${group.attempts}</td>
+        <td>${this.formatPercent(group.accuracy)} ${this.renderSparkline(group.trend.map(d => d.accuracy), 'accuracy')}</td>
+        <td>${this.formatTime(group.averageTime)} ${this.renderSparkline(group.trend.map(d => d.averageTime), 'time')}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <table class="stats__table">
+        <thead>
+          <tr>
+            <th scope="col">${title}</th>
+            <th scope="col">${i18n.t('statsAttempts')}</th>
+            <th scope="col">${i18n.t('statsAccuracy')}</th>
+            <th scope="col">${i18n.t('statsTime')}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Tiny line chart of daily values, oldest day on the left
+   * @param {Array<number>} values - Daily values
+   * @param {string} kind - 'accuracy' (0-1 scale) or 'time' (own min-max scale)
+   * @returns {string} - SVG markup, empty if there is only one day
+   */
+  renderSparkline(values, kind) {
+    if (values.length < 2) return '';
+
+    const min = kind === 'accuracy' ? 0 : Math.min(...values);
+    const max = kind === 'accuracy' ? 1 : Math.max(...values);
+    const range = max - min || 1;
+    const step = SPARKLINE_WIDTH / (values.length - 1);
+
+    const points = values.map((value, i) => {
+      const x = i * step;
+      const y = SPARKLINE_HEIGHT - 1 - ((value - min) / range) * (SPARKLINE_HEIGHT - 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    return `<svg class="stats__trend stats__trend--${kind}" width="${SPARKLINE_WIDTH}" height="${SPARKLINE_HEIGHT}" aria-label="${i18n.t('statsTrend')}" role="img"><polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>`;
+  }
+
+  /**
+   * @param {number} value - 0..1
+   * @returns {string}
+   */
+  formatPercent(value) {
+    return `${Math.round(value * 100)}%`;
+  }
+
+  /**
+   * @param {number} ms - Time in ms
+   * @returns {string}
+   */
+  formatTime(ms) {
+    return `${(ms / 1000).toFixed(1)} ${i18n.t('statsSeconds')}`;
+  }
+
+  /**
+   * Save text as a file
+   * @param {string} filename - File name
+   * @param {string} text - File contents
+   * @param {string} type - MIME type
+   */
+  download(filename, text, type) {
+    downloadFile(filename, text, type);
+    logger.info(CONTEXT, `Exported ${this.attempts.length} attempts to ${filename}`);
+  }
+
+  /**
+   * Delete the practice history after confirmation
+   * @returns {Promise}
+   */
+  async clear() {
+    if (!window.confirm(i18n.t('statsClearConfirm'))) return;
+    await clearAttempts();
+    await this.refresh();
+  }
+
+  /**
+   * Update texts after language change
+   */
+  updateTexts() {
+    const texts = {
+      statsBtn: `📊 ${i18n.t('stats')}`,
+      statsTitle: i18n.t('stats'),
+      statsExportJson: i18n.t('statsExportJson'),
+      statsExportCsv: i18n.t('statsExportCsv'),
+      statsClear: i18n.t('statsClear'),
+      closeStats: i18n.t('close')
+    };
+
+    Object.entries(texts).forEach(([id, text]) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = text;
+    });
+
+    this.render();
+  }
+
+  /**
+   * Destroy panel
+   */
+  destroy() {
+    this.hide();
+    logger.debug(CONTEXT, 'Stats panel destroyed');
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * Step Player - shared step sequencer of the example players
+ * Applies precomputed steps with animated bead moves: forward, back, jump,
+ * play and pause, with the panel controls found by an element id prefix
+ * (solutionBack, workspacePlay...). Subclasses implement load(expression),
+ * which fills `steps` and calls restart(), and showStepCaption(stepIndex)
+ * (see SolutionPlayer, WorkspacePlayer).
+ *
+ * Each step is { moves: [{ col, bead, delta }], before, after } - rod digits
+ * before and after its moves.
+ */
+
+import { i18n } from '../i18n/i18n.js';
+import { delay } from '../utils/animations.js';
+
+export class StepPlayer {
+  /**
+   * @param {Abacus} abacus - Abacus instance
+   * @param {string} prefix - Id prefix of the panel elements, e.g. "solution"
+   */
+  constructor(abacus, prefix) {
+    this.abacus = abacus;
+    this.prefix = prefix;
+
+    this.PAUSE_BETWEEN_STEPS = 700;
+
+    this.expression = ''; // Loaded expression text
+    this.steps = [];
+    this.index = 0;      // Number of steps already applied
+    this.generation = 0; // Bumped on restart so pending steps know they are stale
+    this.playing = false;
+    this.busy = false;
+    this.onStep = null; // Optional callback (index) => {} - after a load and every step
+  }
+
+  /**
+   * Panel element of the player
+   * @param {string} name - Id without the prefix, e.g. "Back" or "-panel"
+   * @returns {HTMLElement|null}
+   */
+  getElement(name) {
+    return document.getElementById(`${this.prefix}${name}`);
+  }
+
+  /**
+   * Bind panel buttons and the expression input
+   */
+  init() {
+    const bindings = {
+      Btn: () => this.togglePanel(),
+      Load: () => {
+        const input = this.getElement('Expression');
+        this.load(input ? input.value : '');
+      },
+      Back: () => {
+        this.pause();
+        this.stepBack();
+      },
+      Play: () => (this.playing ? this.pause() : this.play()),
+      Forward: () => {
+        this.pause();
+        this.stepForward();
+      }
+    };
+
+    Object.entries(bindings).forEach(([name, handler]) => {
+      const button = this.getElement(name);
+      if (button) {
+        button.addEventListener('click', handler);
+      }
+    });
+
+    const input = this.getElement('Expression');
+    if (input) {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          this.load(input.value);
+        }
+      });
+    }
+
+    this.updateControls();
+  }
+
+  /**
+   * Refresh views derived from rod values after rods were set without physics
+   * (no-op here, see WorkspacePlayer)
+   */
+  updateView() {}
+
+  /**
+   * Return to the first step with an empty abacus
+   * @param {boolean} notify - Report the step to onStep (default: true)
+   */
+  restart(notify = true) {
+    if (this.abacus.physics) {
+      this.abacus.physics.cancelAnimation();
+    }
+    this.generation++;
+    this.busy = false;
+    this.index = 0;
+    this.abacus.clear();
+
+    this.showReadyCaption();
+    this.updateControls();
+    if (notify) {
+      this.notifyStep();
+    }
+  }
+
+  /**
+   * Apply next step with animation
+   * @returns {Promise<boolean>} - False if there was nothing to do
+   */
+  async stepForward() {
+    if (this.busy || this.index >= this.steps.length) return false;
+
+    const step = this.steps[this.index];
+    const generation = this.generation;
+    this.busy = true;
+    this.showStepCaption(this.index);
+
+    await this.animateMoves(step.moves, [...step.before], 1);
+    if (generation !== this.generation) return false;
+
+    this.index++;
+    this.busy = false;
+    this.updateControls();
+    this.notifyStep();
+    return true;
+  }
+
+  /**
+   * Undo last applied step with animation
+   * @returns {Promise<boolean>} - False if there was nothing to undo
+   */
+  async stepBack() {
+    if (this.busy || this.index === 0) return false;
+
+    const step = this.steps[this.index - 1];
+    const generation = this.generation;
+    this.busy = true;
+
+    await this.animateMoves([...step.moves].reverse(), [...step.after], -1);
+    if (generation !== this.generation) return false;
+
+    this.index--;
+    this.busy = false;
+
+    if (this.index > 0) {
+      this.showStepCaption(this.index - 1);
+    } else {
+      this.showReadyCaption();
+    }
+    this.updateControls();
+    this.notifyStep();
+    return true;
+  }
+
+  /**
+   * Jump to a step without animation (links, browser back/forward)
+   * @param {number} index - Number of steps to apply, clamped to the loaded steps
+   */
+  goToStep(index) {
+    this.pause();
+    const target = Math.max(0, Math.min(index, this.steps.length));
+    this.restart(false); // Переход по ссылке - не новый шаг
+    if (target === 0) return;
+
+    this.steps[target - 1].after.forEach((digit, col) => this.abacus.placeColumn(col, digit));
+    this.abacus.render();
+    this.abacus.triggerEvent('onChange', { value: this.abacus.getValue() });
+
+    this.index = target;
+    this.showStepCaption(target - 1);
+    this.updateControls();
+  }
+
+  /**
+   * Report the current step to onStep
+   */
+  notifyStep() {
+    if (this.onStep) {
+      this.onStep(this.index);
+    }
+  }
+
+  /**
+   * Queue rod animations for a list of moves
+   * @param {Array<Object>} moves - [{ col, bead, delta }]
+   * @param {Array<number>} digits - Rod digits before the moves (mutated)
+   * @param {number} direction - 1 to apply moves, -1 to revert them
+   * @returns {Promise}
+   */
+  animateMoves(moves, digits, direction) {
+    const jobs = moves.map(move => {
+      const value = move.bead === 'heaven' ? 5 * move.delta : move.delta;
+      digits[move.col] += direction * value;
+
+      if (this.abacus.physics) {
+        return this.abacus.physics.queueColumnTo(move.col, digits[move.col]);
+      }
+      this.abacus.placeColumn(move.col, digits[move.col]);
+      this.abacus.render();
+      this.updateView();
+      return Promise.resolve();
+    });
+
+    return Promise.all(jobs);
+  }
+
+  /**
+   * Play remaining steps
+   */
+  async play() {
+    if (this.playing || this.steps.length === 0) return;
+
+    if (this.index >= this.steps.length) {
+      this.restart();
+    }
+
+    this.playing = true;
+    this.updateControls();
+
+    while (this.playing && this.index < this.steps.length) {
+      await this.stepForward();
+      if (this.playing && this.index < this.steps.length) {
+        await delay(this.PAUSE_BETWEEN_STEPS);
+      }
+    }
+
+    this.playing = false;
+    this.updateControls();
+  }
+
+  /**
+   * Pause playback after the current step
+   */
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    this.updateControls();
+  }
+
+  /**
+   * Caption before the first step
+   */
+  showReadyCaption() {
+    this.showCaption(i18n.t('solutionReady', { total: this.steps.length }));
+  }
+
+  /**
+   * @param {string} text - Caption text
+   */
+  showCaption(text) {
+    const caption = this.getElement('Caption');
+    if (caption) {
+      caption.textContent = text;
+    }
+  }
+
+  /**
+   * Enable/disable controls for the current state
+   */
+  updateControls() {
+    const back = this.getElement('Back');
+    if (back) back.disabled = this.index === 0;
+
+    const forward = this.getElement('Forward');
+    if (forward) forward.disabled = this.index >= this.steps.length;
+
+    const play = this.getElement('Play');
+    if (play) {
+      play.disabled = this.steps.length === 0;
+      play.textContent = this.playing ? '⏸' : '▶';
+      play.setAttribute('aria-label', i18n.t(this.playing ? 'solutionPause' : 'solutionPlay'));
+    }
+  }
+
+  /**
+   * Check if the panel is open
+   * @returns {boolean}
+   */
+  isVisible() {
+    const panel = this.getElement('-panel');
+    return Boolean(panel) && panel.style.display !== 'none';
+  }
+
+  /**
+   * Show or hide the player panel
+   */
+  togglePanel() {
+    const panel = this.getElement('-panel');
+    if (!panel) return;
+
+    const visible = panel.style.display !== 'none';
+    panel.style.display = visible ? 'none' : 'flex';
+    if (visible) {
+      this.panelHidden();
+    }
+  }
+
+  /**
+   * Panel was hidden - stop playback (WorkspacePlayer also removes its regions)
+   */
+  panelHidden() {
+    this.pause();
+  }
+
+  /**
+   * Update texts of the shared controls and the caption after language change
+   */
+  updateTexts() {
+    const loadBtn = this.getElement('Load');
+    if (loadBtn) loadBtn.textContent = i18n.t('solutionShow');
+
+    const back = this.getElement('Back');
+    if (back) back.setAttribute('aria-label', i18n.t('solutionBack'));
+
+    const forward = this.getElement('Forward');
+    if (forward) forward.setAttribute('aria-label', i18n.t('solutionForward'));
+
+    if (this.index > 0) {
+      this.showStepCaption(this.index - 1);
+    } else if (this.steps.length > 0) {
+      this.showReadyCaption();
+    }
+
+    this.updateControls();
+  }
+
+  /**
+   * Stop playback
+   */
+  destroy() {
+    this.pause();
+  }
+}
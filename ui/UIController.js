@@ -5,7 +5,16 @@
 import { logger } from '../core/logger.js';
 import { i18n } from '../i18n/i18n.js';
 import { eventBus } from '../core/EventBus.js';
-import { saveConfig, loadConfig } from '../utils/storage.js';
+import { config } from '../core/Config.js';
+import { Themes, ThemeId } from '../core/Themes.js';
+import { FlashAnzan } from './FlashAnzan.js';
+import { Dictation } from './Dictation.js';
+import { SolutionPlayer } from './SolutionPlayer.js';
+import { WorkspacePlayer } from './WorkspacePlayer.js';
+import { PracticeRecorder } from './PracticeRecorder.js';
+import { StatsPanel } from './StatsPanel.js';
+import { ExportPanel } from './ExportPanel.js';
+import { UrlSync } from './UrlSync.js';
 
 const CONTEXT = 'UIController';
 
@@ -26,9 +35,25 @@ export class UIController {
   init() {
     this.createLanguageSwitcher();
     this.setupResetButton();
+    this.setupHistoryControls();
     this.setupConfigButton();
     this.setupConfigMenu();
+    this.flashAnzan = new FlashAnzan(this.abacus);
+    this.dictation = new Dictation(this.abacus);
+    this.solutionPlayer = new SolutionPlayer(this.abacus);
+    this.workspacePlayer = new WorkspacePlayer(this.abacus);
+    this.statsPanel = new StatsPanel();
+    this.exportPanel = new ExportPanel(this.abacus);
+    this.practiceRecorder = new PracticeRecorder(this.abacus);
+    this.practiceRecorder.track(this.flashAnzan, 'flash');
+    this.practiceRecorder.track(this.dictation, 'dictation');
+    this.practiceRecorder.onSaved = () => {
+      if (this.statsPanel.isVisible()) this.statsPanel.refresh();
+    };
     this.updateTexts();
+
+    // Link state last - it opens modes created above
+    this.urlSync = new UrlSync(this);
     
     // Listen to language changes
     window.addEventListener('languageChanged', this.onLanguageChanged.bind(this));
@@ -126,6 +151,18 @@ export class UIController {
       configBtn.innerHTML = `⚙️ ${i18n.t('settings')}`;
     }
 
+    const undoBtn = document.getElementById('undoBtn');
+    if (undoBtn) {
+      undoBtn.title = `${i18n.t('undo')} (Ctrl+Z)`;
+      undoBtn.setAttribute('aria-label', i18n.t('undo'));
+    }
+
+    const redoBtn = document.getElementById('redoBtn');
+    if (redoBtn) {
+      redoBtn.title = `${i18n.t('redo')} (Ctrl+Shift+Z)`;
+      redoBtn.setAttribute('aria-label', i18n.t('redo'));
+    }
+
     // Update config menu
     const configTitle = document.querySelector('.config-modal__title');
     if (configTitle) {
@@ -137,6 +174,36 @@ export class UIController {
       showDigitsLabel.textContent = i18n.t('showDigits');
     }
 
+    const fingerTrainingLabel = document.querySelector('label[for="fingerTraining"] span');
+    if (fingerTrainingLabel) {
+      fingerTrainingLabel.textContent = i18n.t('fingerTraining');
+    }
+
+    const typeLabel = document.querySelector('label[for="typeSelect"]');
+    if (typeLabel) {
+      typeLabel.textContent = i18n.t('abacusType');
+    }
+
+    const typeOptions = document.querySelectorAll('#typeSelect option');
+    if (typeOptions.length === 4) {
+      typeOptions[0].textContent = i18n.t('typeSoroban');
+      typeOptions[1].textContent = i18n.t('typeSoroban15');
+      typeOptions[2].textContent = i18n.t('typeSuanpan');
+      typeOptions[3].textContent = i18n.t('typeSchoty');
+    }
+
+    const themeLabel = document.querySelector('label[for="themeSelect"]');
+    if (themeLabel) {
+      themeLabel.textContent = i18n.t('theme');
+    }
+
+    this.updateThemeOptions();
+
+    const themeLoadBtn = document.getElementById('themeLoad');
+    if (themeLoadBtn) {
+      themeLoadBtn.textContent = i18n.t('themeLoad');
+    }
+
     const sizeLabel = document.querySelector('label[for="sizeSelect"]');
     if (sizeLabel) {
       sizeLabel.textContent = i18n.t('sorobanSize');
@@ -162,11 +229,52 @@ export class UIController {
       notchOptions[2].textContent = i18n.t('notchRight');
     }
 
+    const unitRodLabel = document.querySelector('label[for="unitRodSelect"]');
+    if (unitRodLabel) {
+      unitRodLabel.textContent = i18n.t('unitRod');
+    }
+
+    document.querySelectorAll('#unitRodSelect option').forEach(option => {
+      const places = parseInt(option.value, 10);
+      option.textContent = places === 0
+        ? i18n.t('unitRodRightmost')
+        : i18n.t('unitRodDecimals', { n: places });
+    });
+
     const closeBtn = document.getElementById('closeConfig');
     if (closeBtn) {
       closeBtn.textContent = i18n.t('close');
     }
 
+    // Decimal separator depends on language
+    if (this.abacus.renderer) {
+      this.abacus.renderer.updateDigits();
+    }
+
+    if (this.flashAnzan) {
+      this.flashAnzan.updateTexts();
+    }
+
+    if (this.dictation) {
+      this.dictation.updateTexts();
+    }
+
+    if (this.solutionPlayer) {
+      this.solutionPlayer.updateTexts();
+    }
+
+    if (this.workspacePlayer) {
+      this.workspacePlayer.updateTexts();
+    }
+
+    if (this.statsPanel) {
+      this.statsPanel.updateTexts();
+    }
+
+    if (this.exportPanel) {
+      this.exportPanel.updateTexts();
+    }
+
     // Update footer
     const footer = document.getElementById('appFooter');
     if (footer) {
@@ -189,6 +297,47 @@ export class UIController {
     });
   }
 
+  /**
+   * Setup undo/redo buttons and keyboard shortcuts (Ctrl+Z / Ctrl+Shift+Z)
+   */
+  setupHistoryControls() {
+    const history = this.abacus.history;
+    if (!history) return;
+
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+
+    const updateButtons = () => {
+      if (undoBtn) undoBtn.disabled = !history.canUndo();
+      if (redoBtn) redoBtn.disabled = !history.canRedo();
+    };
+    history.onUpdate = updateButtons;
+    updateButtons();
+
+    if (undoBtn) {
+      undoBtn.addEventListener('click', () => history.undo());
+    }
+    if (redoBtn) {
+      redoBtn.addEventListener('click', () => history.redo());
+    }
+
+    this.onHistoryKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+
+      // Leave text fields their own undo
+      const tag = e.target && e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+
+      e.preventDefault();
+      if (e.shiftKey) {
+        history.redo();
+      } else {
+        history.undo();
+      }
+    };
+    document.addEventListener('keydown', this.onHistoryKeyDown);
+  }
+
   /**
    * Setup config button
    */
@@ -216,14 +365,58 @@ export class UIController {
     const showDigitsCheckbox = document.getElementById('showDigits');
     if (showDigitsCheckbox) {
       // Load saved state
-      const config = loadConfig() || {};
-      showDigitsCheckbox.checked = config.showDigits || false;
+      showDigitsCheckbox.checked = config.get('showDigits');
       this.abacus.setShowDigits(showDigitsCheckbox.checked);
 
       showDigitsCheckbox.addEventListener('change', (e) => {
-        this.abacus.setShowDigits(e.target.checked);
-        saveConfig({ ...loadConfig(), showDigits: e.target.checked });
-        logger.info(CONTEXT, `Show digits: ${e.target.checked}`);
+        this.changeShowDigits(e.target.checked);
+      });
+    }
+
+    // Finger training checkbox
+    const fingerTrainingCheckbox = document.getElementById('fingerTraining');
+    if (fingerTrainingCheckbox && this.abacus.fingering) {
+      fingerTrainingCheckbox.checked = this.abacus.fingering.enabled;
+
+      fingerTrainingCheckbox.addEventListener('change', (e) => {
+        this.abacus.fingering.setEnabled(e.target.checked);
+        config.set('fingerTraining', e.target.checked);
+        logger.info(CONTEXT, `Finger training: ${e.target.checked}`);
+      });
+    }
+
+    // Abacus type selector
+    const typeSelect = document.getElementById('typeSelect');
+    if (typeSelect) {
+      typeSelect.value = this.abacus.type.id;
+
+      typeSelect.addEventListener('change', (e) => {
+        this.changeAbacusType(e.target.value);
+      });
+    }
+
+    // Theme selector
+    const themeSelect = document.getElementById('themeSelect');
+    if (themeSelect) {
+      // Load saved state
+      this.abacus.setTheme(Themes.resolve(config.get('theme'), config.get('customTheme')));
+      this.updateThemeOptions();
+
+      themeSelect.addEventListener('change', (e) => {
+        this.changeTheme(e.target.value);
+      });
+    }
+
+    const themeLoadBtn = document.getElementById('themeLoad');
+    const themeFile = document.getElementById('themeFile');
+    if (themeLoadBtn && themeFile) {
+      themeLoadBtn.addEventListener('click', () => themeFile.click());
+      themeFile.addEventListener('change', async () => {
+        const [file] = themeFile.files;
+        themeFile.value = ''; // Тот же файл можно выбрать снова
+        if (file) {
+          await this.loadCustomTheme(await file.text());
+        }
       });
     }
 
@@ -231,9 +424,7 @@ export class UIController {
     const sizeSelect = document.getElementById('sizeSelect');
     if (sizeSelect) {
       // Load saved state
-      const config = loadConfig() || {};
-      const savedSize = config.digitCount || 13;
-      sizeSelect.value = savedSize;
+      sizeSelect.value = config.get('digitCount');
 
       sizeSelect.addEventListener('change', (e) => {
         const newSize = parseInt(e.target.value, 10);
@@ -245,16 +436,25 @@ export class UIController {
     const notchOffsetSelect = document.getElementById('notchOffsetSelect');
     if (notchOffsetSelect) {
       // Load saved state
-      const config = loadConfig() || {};
-      const savedOffset = config.notchOffset || 0;
+      const savedOffset = config.get('notchOffset');
       notchOffsetSelect.value = savedOffset;
       this.abacus.setNotchOffset(savedOffset);
 
       notchOffsetSelect.addEventListener('change', (e) => {
-        const newOffset = parseInt(e.target.value, 10);
-        this.abacus.setNotchOffset(newOffset);
-        saveConfig({ ...loadConfig(), notchOffset: newOffset });
-        logger.info(CONTEXT, `Notch offset: ${newOffset}`);
+        this.changeNotchOffset(parseInt(e.target.value, 10));
+      });
+    }
+
+    // Unit rod selector
+    const unitRodSelect = document.getElementById('unitRodSelect');
+    if (unitRodSelect) {
+      // Load saved state
+      const savedPlaces = config.get('decimalPlaces');
+      unitRodSelect.value = savedPlaces;
+      this.abacus.setDecimalPlaces(savedPlaces);
+
+      unitRodSelect.addEventListener('change', (e) => {
+        this.changeDecimalPlaces(parseInt(e.target.value, 10));
       });
     }
 
@@ -292,15 +492,132 @@ export class UIController {
   }
 
   /**
-   * Change abacus size
+   * Change abacus size at runtime, keeping the value
    * @param {number} newSize - New digit count
    */
   changeAbacusSize(newSize) {
-    // Save config
-    saveConfig({ ...loadConfig(), digitCount: newSize });
-    
-    // Reload page to reinitialize abacus with new size
-    logger.info(CONTEXT, `Changing abacus size to ${newSize} - reloading...`);
+    if (!this.abacus.setDigitCount(newSize)) {
+      const sizeSelect = document.getElementById('sizeSelect');
+      if (sizeSelect) sizeSelect.value = this.abacus.digitCount;
+      this.showToast(i18n.t('sizeTooSmall', { count: newSize }), 'warning');
+      return;
+    }
+
+    const sizeSelect = document.getElementById('sizeSelect');
+    if (sizeSelect) sizeSelect.value = newSize;
+    config.set('digitCount', newSize);
+    logger.info(CONTEXT, `Abacus size changed to ${newSize}`);
+  }
+
+  /**
+   * Choose the unit rod and remember it
+   * @param {number} places - Decimal places right of the unit rod
+   */
+  changeDecimalPlaces(places) {
+    const unitRodSelect = document.getElementById('unitRodSelect');
+    if (!this.abacus.setDecimalPlaces(places)) {
+      if (unitRodSelect) unitRodSelect.value = this.abacus.config.decimalPlaces;
+      this.showToast(i18n.t('decimalsTooMany', { count: places }), 'warning');
+      return;
+    }
+
+    if (unitRodSelect) unitRodSelect.value = places;
+    config.set('decimalPlaces', places);
+    logger.info(CONTEXT, `Decimal places: ${places}`);
+  }
+
+  /**
+   * Show or hide rod digits and remember it
+   * @param {boolean} show
+   */
+  changeShowDigits(show) {
+    const checkbox = document.getElementById('showDigits');
+    if (checkbox) checkbox.checked = show;
+    this.abacus.setShowDigits(show);
+    config.set('showDigits', show);
+    logger.info(CONTEXT, `Show digits: ${show}`);
+  }
+
+  /**
+   * Move the notches and remember it
+   * @param {number} offset - 0 (standard), 1 (shift left), 2 (shift right)
+   */
+  changeNotchOffset(offset) {
+    const select = document.getElementById('notchOffsetSelect');
+    if (select) select.value = offset;
+    this.abacus.setNotchOffset(offset);
+    config.set('notchOffset', offset);
+    logger.info(CONTEXT, `Notch offset: ${offset}`);
+  }
+
+  /**
+   * Switch to a theme and remember it
+   * @param {string} themeId - ThemeId value
+   */
+  changeTheme(themeId) {
+    if (!config.set('theme', themeId)) return;
+
+    this.abacus.setTheme(Themes.resolve(themeId, config.get('customTheme')));
+    logger.info(CONTEXT, `Theme: ${themeId}`);
+  }
+
+  /**
+   * Load a custom theme from JSON and switch to it
+   * @param {string} text - Theme JSON (see core/Themes.js)
+   * @returns {boolean} - False if the JSON is not a valid theme
+   */
+  loadCustomTheme(text) {
+    let theme;
+    try {
+      theme = Themes.fromJSON(text);
+    } catch (error) {
+      logger.warn(CONTEXT, 'Invalid theme:', error.message);
+      this.showToast(i18n.t('themeInvalid', { error: error.message }), 'error');
+      return false;
+    }
+
+    config.update({ customTheme: theme, theme: ThemeId.CUSTOM });
+    this.abacus.setTheme(Themes.resolve(ThemeId.CUSTOM, theme));
+    this.updateThemeOptions();
+    this.showToast(i18n.t('themeLoaded'), 'success');
+    return true;
+  }
+
+  /**
+   * Translate theme options; the custom one is enabled once a theme was loaded
+   */
+  updateThemeOptions() {
+    const themeSelect = document.getElementById('themeSelect');
+    if (!themeSelect) return;
+
+    const customTheme = config.get('customTheme');
+    const names = {
+      [ThemeId.CLASSIC]: i18n.t('themeClassic'),
+      [ThemeId.HIGH_CONTRAST]: i18n.t('themeHighContrast'),
+      [ThemeId.COLORBLIND]: i18n.t('themeColorblind'),
+      [ThemeId.CUSTOM]: customTheme && customTheme.name
+        ? `${i18n.t('themeCustom')}: ${customTheme.name}`
+        : i18n.t('themeCustom')
+    };
+
+    [...themeSelect.options].forEach(option => {
+      option.textContent = names[option.value] || option.textContent;
+      if (option.value === ThemeId.CUSTOM) {
+        option.disabled = !customTheme;
+      }
+    });
+    themeSelect.value = config.get('theme');
+  }
+
+  /**
+   * Change abacus type
+   * @param {string} newType - AbacusType value
+   */
+  changeAbacusType(newType) {
+    if (!config.set('abacusType', newType)) return;
+
+    // Bead layout differs per type - reinitialize the page
+    logger.info(CONTEXT, `Changing abacus type to ${newType} - reloading...`);
     window.location.reload();
   }
 
@@ -313,9 +630,11 @@ export class UIController {
     const toast = document.createElement('div');
     toast.className = `toast toast--${type}`;
     toast.innerHTML = `
-      <div class="toast__message">${message}</div>
+      <div class="toast__message"></div>
       <button class="toast__close">×</button>
     `;
+    // Текст может прийти из файла пользователя - не разбираем как HTML
+    toast.querySelector('.toast__message').textContent = message;
 
     // Add to body
     document.body.appendChild(toast);
@@ -350,6 +669,30 @@ export class UIController {
    */
   destroy() {
     window.removeEventListener('languageChanged', this.onLanguageChanged);
+    if (this.onHistoryKeyDown) {
+      document.removeEventListener('keydown', this.onHistoryKeyDown);
+    }
+    if (this.flashAnzan) {
+      this.flashAnzan.destroy();
+    }
+    if (this.dictation) {
+      this.dictation.destroy();
+    }
+    if (this.solutionPlayer) {
+      this.solutionPlayer.destroy();
+    }
+    if (this.workspacePlayer) {
+      this.workspacePlayer.destroy();
+    }
+    if (this.statsPanel) {
+      this.statsPanel.destroy();
+    }
+    if (this.exportPanel) {
+      this.exportPanel.destroy();
+    }
+    if (this.urlSync) {
+      this.urlSync.destroy();
+    }
     logger.debug(CONTEXT, 'UI Controller destroyed');
   }
 }
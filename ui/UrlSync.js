@@ -0,0 +1,279 @@
+/**
+ * URL Sync - keeps a shareable link to the current setup in the address bar
+ * The query string (core/UrlState.js) follows the value, rod count, unit rod, notches,
+ * digits, language and the active exercise; opening the link restores them.
+ * Ordinary changes replace the current history entry. Each step of a solution
+ * or workspace example adds an entry, so browser back/forward walk the steps.
+ */
+
+import { logger } from '../core/logger.js';
+import { i18n } from '../i18n/i18n.js';
+import { UrlState, ExerciseMode } from '../core/UrlState.js';
+
+const CONTEXT = 'UrlSync';
+
+// Перетаскивание и анимация меняют значение много раз подряд - пишем в адрес, когда всё стихнет
+const REPLACE_DELAY = 300;
+
+/**
+ * @param {string} id - Element id
+ * @returns {boolean} - True if the element exists and is not hidden
+ */
+function isShown(id) {
+  const element = document.getElementById(id);
+  return Boolean(element) && element.style.display !== 'none';
+}
+
+export class UrlSync {
+  /**
+   * @param {UIController} ui - UI controller with the abacus and the exercise modes
+   */
+  constructor(ui) {
+    this.ui = ui;
+    this.abacus = ui.abacus;
+    this.timer = null;
+    this.restoring = false; // Changes made by restore are not written back
+
+    this.onPopState = () => this.restore(UrlState.decode(window.location.search));
+    this.onLanguageChanged = () => this.scheduleReplace();
+
+    this.init();
+  }
+
+  /**
+   * Restore the state of the link and start following changes
+   */
+  init() {
+    this.abacus.on('onChange', () => this.scheduleReplace());
+    this.abacus.on('onResize', () => this.scheduleReplace());
+
+    [this.ui.solutionPlayer, this.ui.workspacePlayer].forEach(player => {
+      player.onStep = () => this.push();
+    });
+
+    // Настройки, панели и меню режимов - после их собственных обработчиков (всплытие)
+    const configMenu = document.getElementById('config-menu');
+    if (configMenu) {
+      configMenu.addEventListener('change', () => this.scheduleReplace());
+    }
+    const footer = document.querySelector('.screen__footer');
+    if (footer) {
+      footer.addEventListener('click', () => this.scheduleReplace());
+    }
+
+    window.addEventListener('popstate', this.onPopState);
+    window.addEventListener('languageChanged', this.onLanguageChanged);
+
+    this.restore(UrlState.decode(window.location.search));
+    logger.debug(CONTEXT, 'URL sync initialized');
+  }
+
+  /**
+   * Active exercise: a running or open Flash Anzan / dictation, or an open player panel
+   * @returns {string|null} - ExerciseMode value, null for free work on the abacus
+   */
+  getMode() {
+    const { flashAnzan, dictation, solutionPlayer, workspacePlayer } = this.ui;
+    if (flashAnzan.state !== 'idle' || isShown('flash-menu')) return ExerciseMode.FLASH;
+    if (dictation.state !== 'idle' || isShown('dictation-menu')) return ExerciseMode.DICTATION;
+    if (workspacePlayer.isVisible()) return ExerciseMode.WORKSPACE;
+    if (solutionPlayer.isVisible()) return ExerciseMode.SOLUTION;
+    return null;
+  }
+
+  /**
+   * Player of a stepped mode
+   * @param {string|null} mode - ExerciseMode value
+   * @returns {SolutionPlayer|WorkspacePlayer|null}
+   */
+  getPlayer(mode) {
+    if (mode === ExerciseMode.SOLUTION) return this.ui.solutionPlayer;
+    if (mode === ExerciseMode.WORKSPACE) return this.ui.workspacePlayer;
+    return null;
+  }
+
+  /**
+   * Current state of the page
+   * @returns {Object} - See UrlState.encode
+   */
+  getState() {
+    const mode = this.getMode();
+    const player = this.getPlayer(mode);
+    const loaded = Boolean(player && player.expression);
+
+    return {
+      lang: i18n.getCurrentLanguage(),
+      digitCount: this.abacus.digitCount,
+      decimalPlaces: this.abacus.config.decimalPlaces,
+      notchOffset: this.abacus.config.notchOffset,
+      showDigits: this.abacus.config.showDigits,
+      value: this.abacus.getValueString(),
+      mode,
+      expression: loaded ? player.expression : null,
+      step: loaded ? player.index : null
+    };
+  }
+
+  /**
+   * Address of the page for a state
+   * @param {Object} state - See UrlState.encode
+   * @returns {string}
+   */
+  getUrl(state) {
+    const query = UrlState.encode(state);
+    const { pathname, hash } = window.location;
+    return `${pathname}${query ? `?${query}` : ''}${hash}`;
+  }
+
+  /**
+   * Check if a player is animating a step - the step adds its own entry when done
+   * @returns {boolean}
+   */
+  isStepping() {
+    return this.ui.solutionPlayer.busy || this.ui.workspacePlayer.busy;
+  }
+
+  /**
+   * Write the current state to the current history entry after changes settle
+   */
+  scheduleReplace() {
+    if (this.restoring || this.isStepping()) return;
+
+    this.cancelReplace();
+    this.timer = setTimeout(() => this.replace(), REPLACE_DELAY);
+  }
+
+  /**
+   * Write the current state to the current history entry now
+   */
+  replace() {
+    this.cancelReplace();
+    if (this.isStepping()) return;
+
+    const url = this.getUrl(this.getState());
+    if (url !== this.getCurrentUrl()) {
+      window.history.replaceState(null, '', url);
+    }
+  }
+
+  /**
+   * Add a history entry with the current state (exercise steps)
+   */
+  push() {
+    if (this.restoring) return;
+
+    this.cancelReplace();
+    const url = this.getUrl(this.getState());
+    if (url !== this.getCurrentUrl()) {
+      window.history.pushState(null, '', url);
+      logger.debug(CONTEXT, `History entry: ${url}`);
+    }
+  }
+
+  /**
+   * @returns {string} - Path, query and hash of the page
+   */
+  getCurrentUrl() {
+    const { pathname, search, hash } = window.location;
+    return `${pathname}${search}${hash}`;
+  }
+
+  /**
+   * Drop the pending replace
+   */
+  cancelReplace() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Bring the page to a state (opened link, browser back/forward)
+   * Missing keys leave the page as it is.
+   * @param {Object} state - See UrlState.decode
+   */
+  restore(state) {
+    const { ui, abacus } = this;
+    this.cancelReplace();
+    this.restoring = true;
+
+    try {
+      if (state.lang && state.lang !== i18n.getCurrentLanguage()) {
+        ui.changeLanguage(state.lang);
+      }
+      // Знаков меньше - до смены числа стержней, больше - после: иначе стержней не хватит.
+      // В любом случае до значения, иначе дробь округлится
+      const restorePlaces = () => {
+        if (state.decimalPlaces !== undefined && state.decimalPlaces !== abacus.config.decimalPlaces) {
+          ui.changeDecimalPlaces(state.decimalPlaces);
+        }
+      };
+      if (state.decimalPlaces < abacus.config.decimalPlaces) {
+        restorePlaces();
+      }
+      if (state.digitCount !== undefined && state.digitCount !== abacus.digitCount) {
+        ui.changeAbacusSize(state.digitCount);
+      }
+      restorePlaces();
+      if (state.notchOffset !== undefined && state.notchOffset !== abacus.config.notchOffset) {
+        ui.changeNotchOffset(state.notchOffset);
+      }
+      if (state.showDigits !== undefined && state.showDigits !== abacus.config.showDigits) {
+        ui.changeShowDigits(state.showDigits);
+      }
+
+      // Шаг примера сам выставляет значение
+      const stepped = this.restoreMode(state);
+      if (!stepped && state.value !== undefined && state.value !== abacus.getValueString()) {
+        abacus.setValue(state.value);
+      }
+    } finally {
+      this.restoring = false;
+    }
+
+    logger.debug(CONTEXT, 'State restored:', state);
+  }
+
+  /**
+   * Open the exercise of a state and go to its step
+   * @param {Object} state - See UrlState.decode
+   * @returns {boolean} - True if an example step was restored
+   */
+  restoreMode(state) {
+    const { flashAnzan, dictation } = this.ui;
+
+    // Панель открыта только у режима из ссылки
+    [ExerciseMode.SOLUTION, ExerciseMode.WORKSPACE].forEach(mode => {
+      const player = this.getPlayer(mode);
+      if (player.isVisible() !== (mode === state.mode)) {
+        player.togglePanel();
+      }
+    });
+
+    if (state.mode === ExerciseMode.FLASH) flashAnzan.showMenu();
+    if (state.mode === ExerciseMode.DICTATION) dictation.showMenu();
+
+    const player = this.getPlayer(state.mode);
+    if (!player || !state.expression) return false;
+
+    if (player.expression !== state.expression) {
+      const input = document.getElementById(`${state.mode}Expression`);
+      if (input) input.value = state.expression;
+      if (!player.load(state.expression)) return false;
+    }
+
+    player.goToStep(state.step || 0);
+    return true;
+  }
+
+  /**
+   * Stop following changes
+   */
+  destroy() {
+    this.cancelReplace();
+    window.removeEventListener('popstate', this.onPopState);
+    window.removeEventListener('languageChanged', this.onLanguageChanged);
+    logger.debug(CONTEXT, 'URL sync destroyed');
+  }
+}
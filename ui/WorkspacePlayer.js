@@ -0,0 +1,219 @@
+/**
+ * Workspace Player - multiplication and division on named rod regions
+ * Splits the abacus into regions (core/Workspace.js), shows a labeled value
+ * readout for each of them and plays the standard algorithm step by step:
+ * partial products are accumulated on the product rods of their place,
+ * quotient digits are set and their products subtracted from the dividend.
+ * Stepping and playback are shared with SolutionPlayer (ui/StepPlayer.js).
+ */
+
+import { logger } from '../core/logger.js';
+import { i18n } from '../i18n/i18n.js';
+import { Workspace, Operation } from '../core/Workspace.js';
+import { StepPlayer } from './StepPlayer.js';
+
+const CONTEXT = 'WorkspacePlayer';
+
+export class WorkspacePlayer extends StepPlayer {
+  /**
+   * @param {Abacus} abacus - Abacus instance
+   */
+  constructor(abacus) {
+    super(abacus, 'workspace');
+
+    this.workspace = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize player
+   */
+  init() {
+    super.init();
+
+    // Показания областей следуют за бусинами - и при шагах, и при ручной работе
+    this.abacus.on('onChange', () => this.updateReadouts());
+    // Области рассчитаны на прежнее число стержней
+    this.abacus.on('onResize', () => this.close());
+
+    logger.debug(CONTEXT, 'Workspace player initialized');
+  }
+
+  /**
+   * Lay out regions for an example and reset the abacus to its starting state
+   * @param {string} expression - Example like "123 × 45" or "1476 ÷ 12"
+   * @returns {boolean} - False if the example cannot be worked on this abacus
+   */
+  load(expression) {
+    this.pause();
+
+    const parsed = Workspace.parse(expression);
+    if (!parsed) {
+      this.showCaption(i18n.t('workspaceInvalid'));
+      return false;
+    }
+
+    const { operation, left, right } = parsed;
+    const columns = this.abacus.columns;
+
+    try {
+      if (operation === Operation.DIVIDE) {
+        this.workspace = Workspace.forDivision(columns, left, right);
+        this.steps = this.workspace.planDivision(left, right);
+      } else {
+        this.workspace = Workspace.forMultiplication(columns, left, right);
+        this.steps = this.workspace.planMultiplication(left, right);
+      }
+    } catch (error) {
+      logger.warn(CONTEXT, 'Example does not fit on the abacus:', error);
+      this.close();
+      this.showCaption(i18n.t('solutionInvalid'));
+      return false;
+    }
+
+    this.abacus.setWorkspace(this.workspace);
+    this.renderReadouts();
+    this.expression = expression;
+    this.restart();
+
+    logger.info(CONTEXT, `Loaded ${left} ${operation} ${right} (${this.steps.length} steps)`);
+    return true;
+  }
+
+  /**
+   * Remove the regions, the abacus shows one number again
+   */
+  close() {
+    this.pause();
+    this.generation++;
+    this.busy = false;
+    this.workspace = null;
+    this.expression = '';
+    this.steps = [];
+    this.index = 0;
+
+    if (this.abacus.workspace) {
+      this.abacus.setWorkspace(null);
+    }
+    this.renderReadouts();
+    this.showCaption('');
+    this.updateControls();
+  }
+
+  /**
+   * Build caption for a step, e.g. "3 × 4 = 12 → Tens"
+   * @param {number} stepIndex - Step index
+   */
+  showStepCaption(stepIndex) {
+    const step = this.steps[stepIndex];
+    const place = i18n.t(`place${step.place}`);
+    let text;
+
+    switch (step.action) {
+      case 'multiply':
+        text = i18n.t('workspaceMultiply', { a: step.factors[0], b: step.factors[1], product: step.product, place });
+        break;
+      case 'quotient':
+        text = i18n.t('workspaceQuotient', { digit: step.digit, place });
+        break;
+      case 'subtract':
+        text = i18n.t('workspaceSubtract', { a: step.factors[0], b: step.factors[1], product: step.product, place });
+        break;
+      default:
+        text = i18n.t('workspaceSet', { region: this.getRegionLabel(step.role), value: step.operand });
+    }
+
+    const progress = i18n.t('solutionStep', { current: stepIndex + 1, total: this.steps.length });
+    this.showCaption(`${progress} · ${text}`);
+  }
+
+  /**
+   * Label of a region
+   * @param {string} role - RegionRole
+   * @returns {string}
+   */
+  getRegionLabel(role) {
+    const key = `region${role.charAt(0).toUpperCase()}${role.slice(1)}`;
+    return i18n.t(key);
+  }
+
+  /**
+   * Build one readout per region
+   */
+  renderReadouts() {
+    const container = document.getElementById('workspaceReadouts');
+    if (!container) return;
+
+    container.innerHTML = '';
+    if (!this.workspace) return;
+
+    this.workspace.regions.forEach(region => {
+      const readout = document.createElement('span');
+      readout.className = `workspace-readout workspace-readout--${region.role}`;
+      readout.dataset.role = region.role;
+
+      const label = document.createElement('span');
+      label.className = 'workspace-readout__label';
+      label.textContent = this.getRegionLabel(region.role);
+
+      const value = document.createElement('output');
+      value.className = 'workspace-readout__value';
+
+      readout.append(label, value);
+      container.appendChild(readout);
+    });
+
+    this.updateReadouts();
+  }
+
+  /**
+   * Rods were set without physics - show their new values
+   */
+  updateView() {
+    this.updateReadouts();
+  }
+
+  /**
+   * Show current values of the regions
+   */
+  updateReadouts() {
+    if (!this.workspace) return;
+
+    const values = this.workspace.getValues(this.abacus.model.getColumnValues());
+    Object.entries(values).forEach(([role, value]) => {
+      const output = document.querySelector(`.workspace-readout[data-role="${role}"] .workspace-readout__value`);
+      if (output) output.textContent = value;
+    });
+  }
+
+  /**
+   * Hiding the panel removes the regions
+   */
+  panelHidden() {
+    this.close();
+  }
+
+  /**
+   * Update texts after language change
+   */
+  updateTexts() {
+    const workspaceBtn = document.getElementById('workspaceBtn');
+    if (workspaceBtn) workspaceBtn.textContent = `✖️ ${i18n.t('workspace')}`;
+
+    document.querySelectorAll('.workspace-readout').forEach(readout => {
+      const label = readout.querySelector('.workspace-readout__label');
+      if (label) label.textContent = this.getRegionLabel(readout.dataset.role);
+    });
+
+    super.updateTexts();
+  }
+
+  /**
+   * Destroy player
+   */
+  destroy() {
+    super.destroy();
+    logger.debug(CONTEXT, 'Workspace player destroyed');
+  }
+}
@@ -75,7 +75,7 @@ export function animate(options) {
 
     if (!startTime) startTime = timestamp;
     const elapsed = timestamp - startTime;
-    const progress = Math.min(elapsed / duration, 1);
+    const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
     const easedProgress = easing(progress);
     
     const currentValue = from + (to - from) * easedProgress;
@@ -106,6 +106,61 @@ export function animate(options) {
   };
 }
 
+/**
+ * Runs asynchronous animation jobs one after another
+ */
+export class AnimationQueue {
+  constructor() {
+    this.jobs = [];
+    this.running = false;
+  }
+
+  /**
+   * Add job to the queue
+   * @param {Function} job - Function returning a Promise
+   * @returns {Promise} - Resolves when the job has finished
+   */
+  add(job) {
+    return new Promise((resolve, reject) => {
+      this.jobs.push({ job, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * Run next job if idle
+   */
+  next() {
+    if (this.running || this.jobs.length === 0) return;
+
+    const { job, resolve, reject } = this.jobs.shift();
+    this.running = true;
+
+    Promise.resolve()
+      .then(job)
+      .then(resolve, reject)
+      .finally(() => {
+        this.running = false;
+        this.next();
+      });
+  }
+
+  /**
+   * Drop pending jobs (the running one finishes)
+   */
+  clear() {
+    this.jobs.forEach(({ resolve }) => resolve());
+    this.jobs = [];
+  }
+
+  /**
+   * @returns {boolean} - True while a job is running or pending
+   */
+  isBusy() {
+    return this.running || this.jobs.length > 0;
+  }
+}
+
 /**
  * Delay execution
  * @param {number} ms - Milliseconds to delay
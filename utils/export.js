@@ -0,0 +1,55 @@
+/**
+ * File export helpers - downloads and SVG rasterization
+ */
+
+// Пролог для самостоятельного .svg файла
+export const SVG_PROLOG = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+/**
+ * Save data as a file
+ * @param {string} filename - File name
+ * @param {string|Blob} data - File contents
+ * @param {string} type - MIME type (ignored for a Blob)
+ */
+export function downloadFile(filename, data, type) {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Draw SVG markup on a canvas and encode it as PNG
+ * @param {string} markup - Standalone SVG markup
+ * @param {number} width - SVG width in pixels
+ * @param {number} height - SVG height in pixels
+ * @param {number} scale - Output pixels per SVG pixel (default: 1)
+ * @returns {Promise<Blob>}
+ */
+export function rasterizeSvg(markup, width, height, scale = 1) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    const image = new Image();
+
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    };
+
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('SVG could not be loaded as an image'));
+    };
+
+    image.src = url;
+  });
+}
@@ -81,6 +81,23 @@ export function screenToSVG(svg, clientX, clientY) {
   return { x: svgP.x, y: svgP.y };
 }
 
+/**
+ * Convert screen coordinates to the local coordinates of an element inside SVG
+ * Takes the element's own transforms (translate, axis swap) into account.
+ * @param {SVGElement} svg - Root SVG element
+ * @param {SVGGraphicsElement} element - Transformed element
+ * @param {number} clientX - Screen X
+ * @param {number} clientY - Screen Y
+ * @returns {Object} - {x, y}
+ */
+export function screenToElement(svg, element, clientX, clientY) {
+  const pt = svg.createSVGPoint();
+  pt.x = clientX;
+  pt.y = clientY;
+  const localP = pt.matrixTransform(element.getScreenCTM().inverse());
+  return { x: localP.x, y: localP.y };
+}
+
 /**
  * Check if bead is near the bar (for snapping)
  * @param {number} beadY - Bead Y position
@@ -0,0 +1,124 @@
+/**
+ * IndexedDB store for practice history (exercise attempts)
+ * Record format - see core/PracticeStats.js. Where IndexedDB is unavailable
+ * (private mode in some browsers, tests) attempts are kept in memory.
+ */
+
+import { logger } from '../core/logger.js';
+
+const CONTEXT = 'PracticeHistory';
+const DB_NAME = 'soroban_practice';
+const DB_VERSION = 1;
+const STORE_NAME = 'attempts';
+
+let dbPromise = null;
+let memory = null; // Fallback store: array of attempts
+
+/**
+ * Wrap an IndexedDB request into a Promise
+ * @param {IDBRequest} request
+ * @returns {Promise}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the database once
+ * @returns {Promise<IDBDatabase|null>} - null if IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    logger.warn(CONTEXT, 'IndexedDB unavailable, practice history is kept in memory');
+    memory = memory || [];
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    store.createIndex('startedAt', 'startedAt');
+  };
+
+  dbPromise = promisify(request).catch(error => {
+    logger.error(CONTEXT, 'Failed to open practice history:', error);
+    memory = memory || [];
+    return null;
+  });
+  return dbPromise;
+}
+
+/**
+ * Run a request against the attempts store
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} action - store => IDBRequest
+ * @returns {Promise}
+ */
+async function withStore(mode, action) {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, mode);
+  return promisify(action(transaction.objectStore(STORE_NAME)));
+}
+
+/**
+ * Save an exercise attempt
+ * @param {Object} attempt - Attempt record without id
+ * @returns {Promise<number|null>} - id of the saved attempt, null on failure
+ */
+export async function addAttempt(attempt) {
+  try {
+    if (!(await openDatabase())) {
+      const record = { ...attempt, id: memory.length + 1 };
+      memory.push(record);
+      return record.id;
+    }
+
+    const id = await withStore('readwrite', store => store.add(attempt));
+    logger.debug(CONTEXT, `Attempt ${id} saved`);
+    return id;
+  } catch (error) {
+    logger.error(CONTEXT, 'Failed to save attempt:', error);
+    return null;
+  }
+}
+
+/**
+ * Load all attempts, oldest first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getAttempts() {
+  try {
+    if (!(await openDatabase())) {
+      return memory.map(attempt => ({ ...attempt }));
+    }
+
+    return await withStore('readonly', store => store.index('startedAt').getAll());
+  } catch (error) {
+    logger.error(CONTEXT, 'Failed to load attempts:', error);
+    return [];
+  }
+}
+
+/**
+ * Delete all attempts
+ * @returns {Promise}
+ */
+export async function clearAttempts() {
+  try {
+    if (!(await openDatabase())) {
+      memory = [];
+      return;
+    }
+
+    await withStore('readwrite', store => store.clear());
+    logger.debug(CONTEXT, 'Practice history cleared');
+  } catch (error) {
+    logger.error(CONTEXT, 'Failed to clear attempts:', error);
+  }
+}
@@ -20,7 +20,9 @@ export function loadConfig() {
       return config;
     }
   } catch (error) {
-    logger.error(CONTEXT, 'Failed to load config:', error);
+    // Битая запись - удаляем, чтобы настройки восстановились из значений по умолчанию
+    logger.error(CONTEXT, 'Failed to load config, removing corrupted entry:', error);
+    clearConfig();
   }
   return null;
 }